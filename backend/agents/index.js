@@ -0,0 +1,95 @@
+// Built-in Agents - Registry definitions for the four core analysis agents
+const TechnicalAnalysisAgent = require('./technicalAnalysis');
+const MarketSentimentAgent = require('./marketSentiment');
+const ResearchAgent = require('./research');
+const RiskManagementAgent = require('./riskManagement');
+
+function getRiskCategory(score) {
+  if (score < 0.3) return 'LOW';
+  else if (score < 0.6) return 'MEDIUM';
+  else return 'HIGH';
+}
+
+// Fresh agent instances each call; the orchestrator registers them once at startup
+function createBuiltInAgents() {
+  return [
+    {
+      id: 'technical',
+      name: 'Technical Analysis',
+      description: 'RSI, MACD, Moving Averages',
+      icon: '📈',
+      agent: new TechnicalAnalysisAgent(),
+      weight: 0.35,      // Technical analysis gets highest weight
+      expectedMovePct: 0.8,
+      backtest: true,
+      core: true,
+      summarize: result => ({
+        key_indicators: result.analysis ? {
+          rsi: result.analysis.rsi?.value || 'N/A',
+          macd: result.analysis.macd?.action || 'NEUTRAL',
+          sma: result.analysis.sma?.signal || 'NEUTRAL',
+          bollinger: result.analysis.bollinger?.signal || 'NEUTRAL'
+        } : {}
+      })
+    },
+    {
+      id: 'sentiment',
+      name: 'Market Sentiment',
+      description: 'Volume, Breadth, Sentiment',
+      icon: '📊',
+      agent: new MarketSentimentAgent(),
+      weight: 0.25,
+      expectedMovePct: 0.5,
+      backtest: true,
+      summarize: result => ({
+        market_mood: result.analysis ? {
+          overall: result.analysis.overallSentiment?.sentiment || 'NEUTRAL',
+          breadth: result.analysis.marketBreadth?.signal || 'NEUTRAL',
+          volume: result.analysis.volumeAnalysis?.signal || 'NEUTRAL'
+        } : {}
+      })
+    },
+    {
+      id: 'research',
+      name: 'Research Analysis',
+      description: 'News, Fundamentals, Economy',
+      icon: '🔍',
+      agent: new ResearchAgent(),
+      weight: 0.25,
+      expectedMovePct: 0.6,
+      // News is not point-in-time, so backtests leave this agent out
+      backtest: false,
+      summarize: result => ({
+        key_factors: result.analysis ? {
+          news: result.analysis.newsAnalysis?.overallSentiment || 'NEUTRAL',
+          fundamentals: result.analysis.fundamentalData?.recommendation || 'HOLD',
+          economic: result.analysis.economicIndicators?.riskAssessment || 'MEDIUM',
+          global: result.analysis.globalMarketImpact?.globalSentiment || 'NEUTRAL'
+        } : {}
+      })
+    },
+    {
+      id: 'risk',
+      name: 'Risk Management',
+      description: 'Volatility, Position Sizing',
+      icon: '🛡️',
+      agent: new RiskManagementAgent(),
+      role: 'risk',
+      weight: 0.15,      // Risk management (modifier)
+      backtest: true,
+      core: true,
+      summarize: result => ({
+        risk_level: {
+          overall: result.riskScore ? getRiskCategory(result.riskScore) : 'MEDIUM',
+          score: Math.round((result.riskScore || 0.5) * 100),
+          volatility: result.analysis?.volatilityRisk?.level || 'MEDIUM',
+          liquidity: result.analysis?.liquidityRisk?.level || 'LOW'
+        },
+        position_sizing: result.analysis?.positionSizing || null,
+        recommendations: result.recommendations || []
+      })
+    }
+  ];
+}
+
+module.exports = { createBuiltInAgents, getRiskCategory };
@@ -1,17 +1,16 @@
-// Research Agent - Enhanced with real data sources and OpenAI analysis
+// Research Agent - Enhanced with real data sources and LLM analysis
 const axios = require('axios');
 const marketData = require('../services/marketData');
-const OpenAI = require('openai');
+const marketSnapshot = require('../services/marketSnapshot');
+const llm = require('../services/llm');
+const { worstProvenance } = require('../services/provenance');
 
 class ResearchAgent {
   constructor() {
     this.name = 'Research Agent';
     this.description = 'AI-powered fundamental and news analysis with real data sources';
     
-    // Initialize OpenAI client
-    this.openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY || 'your-openai-api-key-here'
-    });
+    this.llm = llm;
     
     // Real data source configurations
     this.dataConfig = {
@@ -34,17 +33,18 @@ class ResearchAgent {
     };
   }
 
-  async analyze() {
+  async analyze(snapshot) {
     try {
       console.log('🔍 Research Agent analyzing with real data sources...');
       
+      snapshot = snapshot || await marketSnapshot.capture();
       const analysis = {
         newsAnalysis: await this.analyzeRealNews(),
-        fundamentalData: await this.getRealFundamentalData(),
+        fundamentalData: await this.getRealFundamentalData(snapshot),
         economicIndicators: await this.getRealEconomicIndicators(),
-        globalMarketImpact: await this.analyzeRealGlobalMarkets(),
+        globalMarketImpact: await this.analyzeRealGlobalMarkets(snapshot),
         corpActions: await this.analyzeRealCorporateActions(),
-        riskFactors: await this.assessRiskFactors(),
+        riskFactors: await this.assessRiskFactors(snapshot),
         fiiDiiData: await this.getFIIDIIData()
       };
 
@@ -61,8 +61,9 @@ class ResearchAgent {
         aiInsights: aiInsights,
         reasoning: signal.reasoning,
         timeframe: '15min',
-        timestamp: new Date(),
-        dataQuality: this.assessDataQuality(analysis)
+        timestamp: snapshot.timestamp,
+        dataQuality: this.assessDataQuality(analysis),
+        dataProvenance: this.getMarketDataProvenance(analysis)
       };
     } catch (error) {
       console.error('❌ Research Analysis Error:', error.message);
@@ -70,6 +71,26 @@ class ResearchAgent {
     }
   }
 
+  assessDataQuality(analysis) {
+    const sections = ['newsAnalysis', 'fundamentalData', 'economicIndicators', 'globalMarketImpact', 'corpActions', 'fiiDiiData'];
+    const realTimeSections = sections.filter(section => analysis[section]?.dataSource === 'REAL_TIME').length;
+    
+    if (realTimeSections >= 5) return 'HIGH';
+    else if (realTimeSections >= 3) return 'MEDIUM';
+    else return 'LOW';
+  }
+
+  // Provenance of the price data behind valuations and global market moves
+  getMarketDataProvenance(analysis) {
+    const globalMarkets = Object.values(analysis.globalMarketImpact || {})
+      .filter(market => market && typeof market === 'object' && market.provenance);
+    
+    return worstProvenance([
+      analysis.fundamentalData?.provenance,
+      ...globalMarkets.map(market => market.provenance)
+    ]);
+  }
+
   async analyzeRealNews() {
     try {
       console.log('📰 Fetching real-time Indian market news...');
@@ -101,6 +122,11 @@ class ResearchAgent {
 
   async fetchIndianMarketNews() {
     try {
+      if (marketData.isOffline()) {
+        console.log('⚠️ Offline market data provider, skipping news fetch');
+        return [];
+      }
+      
       const queries = [
         'Nifty 50',
         'Indian stock market',
@@ -299,7 +325,7 @@ class ResearchAgent {
 
   async analyzeNewsSentimentWithAI(newsData) {
     try {
-      if (!process.env.OPENAI_API_KEY || process.env.OPENAI_API_KEY === 'your-openai-api-key-here') {
+      if (!this.llm.isAvailable()) {
         return this.getBasicSentimentAnalysis(newsData);
       }
       
@@ -325,8 +351,9 @@ Provide analysis in JSON format:
 }
 `;
 
-      const response = await this.openai.chat.completions.create({
-        model: "gpt-4-turbo-preview",
+      const response = await this.llm.completeStructured({
+        agent: 'research',
+        purpose: 'news',
         messages: [
           {
             role: "system",
@@ -334,16 +361,15 @@ Provide analysis in JSON format:
           },
           { role: "user", content: prompt }
         ],
-        max_tokens: 500,
-        temperature: 0.2,
-        response_format: { type: "json_object" }
+        maxTokens: 500,
+        temperature: 0.2
       });
       
-      return JSON.parse(response.choices[0].message.content);
+      return response.data;
       
     } catch (error) {
-      console.error('❌ AI sentiment analysis error:', error);
-      return this.getBasicSentimentAnalysis(newsData);
+      console.error('❌ AI sentiment analysis error:', error.message);
+      return { ...this.getBasicSentimentAnalysis(newsData), degraded: true, error: error.message };
     }
   }
 
@@ -459,18 +485,19 @@ Provide analysis in JSON format:
     };
   }
 
-  async getRealFundamentalData() {
+  async getRealFundamentalData(snapshot) {
     try {
       console.log('📊 Fetching real fundamental data...');
       
-      const niftyData = await marketData.getNiftyIndexData();
-      const realFundamentals = await this.fetchRealFundamentals();
-      const valuationMetrics = await this.calculateValuationMetrics(niftyData);
+      const niftyData = snapshot.niftyData;
+      const realFundamentals = await this.fetchRealFundamentals(snapshot);
+      const valuationMetrics = await this.calculateValuationMetrics(niftyData, realFundamentals);
       
       return {
         ...realFundamentals,
         ...valuationMetrics,
         currentPrice: niftyData.currentPrice,
+        provenance: niftyData.provenance,
         dataSource: 'REAL_TIME',
         lastUpdated: new Date()
       };
@@ -481,12 +508,12 @@ Provide analysis in JSON format:
     }
   }
 
-  async fetchRealFundamentals() {
+  async fetchRealFundamentals(snapshot) {
     try {
       // Fetch from multiple sources
       const [nseFundamentals, yahooData, screenerData] = await Promise.allSettled([
         this.fetchNSEFundamentals(),
-        this.fetchYahooFundamentals(),
+        this.fetchYahooFundamentals(snapshot),
         this.fetchScreenerData()
       ]);
       
@@ -507,6 +534,8 @@ Provide analysis in JSON format:
 
   async fetchNSEFundamentals() {
     try {
+      if (marketData.isOffline()) return {};
+      
       // NSE India API for Nifty 50 data
       const nseUrl = 'https://www.nseindia.com/api/equity-stockIndices?index=NIFTY%2050';
       
@@ -539,27 +568,17 @@ Provide analysis in JSON format:
     return {};
   }
 
-  async fetchYahooFundamentals() {
+  async fetchYahooFundamentals(snapshot) {
     try {
-      // Yahoo Finance API for Nifty 50 ETF data
-      const yahooUrl = 'https://query1.finance.yahoo.com/v8/finance/chart/^NSEI';
-      
-      const response = await axios.get(yahooUrl, {
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (compatible; Nifty-Research-Bot/1.0)'
-        },
-        timeout: 5000
-      });
-      
-      const chart = response.data.chart.result[0];
-      const meta = chart.meta;
+      // Index quote metadata from the run's snapshot
+      const quote = snapshot.niftyData;
       
       return {
-        regularMarketPrice: meta.regularMarketPrice,
-        previousClose: meta.previousClose,
-        fiftyTwoWeekHigh: meta.fiftyTwoWeekHigh,
-        fiftyTwoWeekLow: meta.fiftyTwoWeekLow,
-        marketCap: meta.marketCap,
+        regularMarketPrice: quote.currentPrice,
+        previousClose: quote.previousClose,
+        fiftyTwoWeekHigh: quote.fiftyTwoWeekHigh,
+        fiftyTwoWeekLow: quote.fiftyTwoWeekLow,
+        marketCap: quote.marketCap,
         sourceYahoo: true
       };
       
@@ -572,6 +591,8 @@ Provide analysis in JSON format:
 
   async fetchScreenerData() {
     try {
+      if (marketData.isOffline()) return {};
+      
       // Alternative: Use Alpha Vantage or other financial APIs
       const apiKey = this.dataConfig.financeApi.alphavantage;
       if (apiKey === 'demo') {
@@ -623,9 +644,8 @@ Provide analysis in JSON format:
     };
   }
 
-  async calculateValuationMetrics(niftyData) {
+  async calculateValuationMetrics(niftyData, fundamentals) {
     try {
-      const fundamentals = await this.fetchRealFundamentals();
       const currentPrice = niftyData.currentPrice;
       
       // Calculate additional metrics
@@ -814,6 +834,8 @@ Provide analysis in JSON format:
 
   async fetchTradingEconomicsData() {
     try {
+      if (marketData.isOffline()) return this.getAlternativeEconomicData();
+      
       const apiKey = this.dataConfig.economicData.tradingEconomicsKey;
       if (apiKey === 'demo') {
         console.log('⚠️ Trading Economics API key not configured');
@@ -1037,15 +1059,15 @@ Provide analysis in JSON format:
     };
   }
 
-  async analyzeGlobalMarkets() {
-    return await this.analyzeRealGlobalMarkets();
+  async analyzeGlobalMarkets(snapshot) {
+    return await this.analyzeRealGlobalMarkets(snapshot || await marketSnapshot.capture());
   }
 
-  async analyzeRealGlobalMarkets() {
+  async analyzeRealGlobalMarkets(snapshot) {
     try {
-      console.log('🌍 Fetching real global market data...');
+      console.log('🌍 Reading global market data from snapshot...');
       
-      const globalData = await this.fetchGlobalMarketData();
+      const globalData = this.fetchGlobalMarketData(snapshot);
       return {
         ...globalData,
         globalSentiment: this.calculateGlobalSentiment(globalData),
@@ -1060,47 +1082,20 @@ Provide analysis in JSON format:
     }
   }
 
-  async fetchGlobalMarketData() {
-    try {
-      const indices = [
-        { symbol: '^GSPC', name: 'S&P 500' },     // US
-        { symbol: '^IXIC', name: 'NASDAQ' },      // US
-        { symbol: '^N225', name: 'Nikkei' },      // Japan
-        { symbol: '^HSI', name: 'Hang Seng' },    // Hong Kong
-        { symbol: '^FTSE', name: 'FTSE 100' },    // UK
-        { symbol: '^GDAXI', name: 'DAX' }         // Germany
-      ];
-
-      const marketData = {};
-      
-      for (const index of indices) {
-        try {
-          const url = `https://query1.finance.yahoo.com/v8/finance/chart/${index.symbol}`;
-          const response = await axios.get(url, { timeout: 3000 });
-          
-          const result = response.data.chart.result[0];
-          const meta = result.meta;
-          
-          marketData[index.name] = {
-            price: meta.regularMarketPrice,
-            change: meta.regularMarketPrice - meta.previousClose,
-            changePercent: ((meta.regularMarketPrice - meta.previousClose) / meta.previousClose) * 100,
-            previousClose: meta.previousClose
-          };
-          
-          await new Promise(resolve => setTimeout(resolve, 100)); // Rate limiting
-          
-        } catch (err) {
-          console.log(`⚠️ Failed to fetch ${index.name}:`, err.message);
-        }
-      }
-      
-      return marketData;
-      
-    } catch (error) {
-      console.log('⚠️ Global market data fetch failed:', error.message);
-      return this.getFallbackGlobalData();
-    }
+  fetchGlobalMarketData(snapshot) {
+    const globalData = {};
+    
+    Object.entries(snapshot.globalMarkets || {}).forEach(([name, quote]) => {
+      globalData[name] = {
+        price: quote.currentPrice,
+        change: quote.change,
+        changePercent: quote.changePercent,
+        previousClose: quote.previousClose,
+        provenance: quote.provenance
+      };
+    });
+    
+    return globalData;
   }
 
   calculateGlobalSentiment(globalData) {
@@ -1168,6 +1163,8 @@ Provide analysis in JSON format:
 
   async fetchNSECorporateActions() {
     try {
+      if (marketData.isOffline()) return this.getFallbackCorporateActions();
+      
       // NSE Corporate Actions API (simulated)
       const url = 'https://www.nseindia.com/api/corporates-corporateActions';
       
@@ -1244,9 +1241,9 @@ Provide analysis in JSON format:
     else return 'NEUTRAL';
   }
 
-  async assessRiskFactors() {
+  async assessRiskFactors(snapshot) {
     try {
-      const riskFactors = await this.analyzeComprehensiveRisks();
+      const riskFactors = await this.analyzeComprehensiveRisks(snapshot);
       return riskFactors;
     } catch (error) {
       console.error('❌ Risk assessment error:', error.message);
@@ -1254,10 +1251,10 @@ Provide analysis in JSON format:
     }
   }
 
-  async analyzeComprehensiveRisks() {
+  async analyzeComprehensiveRisks(snapshot) {
     // Get current market conditions for risk assessment
     const economicData = await this.getRealEconomicIndicators();
-    const globalData = await this.analyzeRealGlobalMarkets();
+    const globalData = await this.analyzeRealGlobalMarkets(snapshot);
     
     return {
       geopoliticalRisk: this.assessGeopoliticalRisk(globalData),
@@ -1355,6 +1352,8 @@ Provide analysis in JSON format:
 
   async fetchRealFIIData() {
     try {
+      if (marketData.isOffline()) return this.getFallbackFIIData();
+      
       // NSE FII/DII data API
       const url = 'https://www.nseindia.com/api/fiidiiTradeReact';
       
@@ -1399,7 +1398,7 @@ Provide analysis in JSON format:
 
   async performAIResearchAnalysis(analysis) {
     try {
-      if (!process.env.OPENAI_API_KEY || process.env.OPENAI_API_KEY === 'your-openai-api-key-here') {
+      if (!this.llm.isAvailable()) {
         return this.getBasicResearchAnalysis(analysis);
       }
       
@@ -1414,11 +1413,11 @@ FII FLOWS: Net=${analysis.fiiDiiData.totalNetInvestment} crores
 
 Provide comprehensive analysis in JSON:
 {
-  "overallSignal": "BUY|SELL|HOLD",
+  "signal": "BUY|SELL|HOLD",
   "confidence": 0-100,
-  "timeframe": "SHORT_TERM|MEDIUM_TERM|LONG_TERM",
-  "keyDrivers": ["driver1", "driver2", "driver3"],
-  "riskFactors": ["risk1", "risk2"],
+  "factors": ["driver1", "driver2", "driver3"],
+  "risks": ["risk1", "risk2"],
+  "horizon": "SHORT_TERM|MEDIUM_TERM|LONG_TERM",
   "opportunities": ["opp1", "opp2"],
   "targetLevel": estimated_nifty_level,
   "stopLoss": suggested_stop_loss,
@@ -1426,8 +1425,9 @@ Provide comprehensive analysis in JSON:
 }
 `;
 
-      const response = await this.openai.chat.completions.create({
-        model: "gpt-4-turbo-preview",
+      const response = await this.llm.completeStructured({
+        agent: 'research',
+        purpose: 'summary',
         messages: [
           {
             role: "system",
@@ -1435,16 +1435,15 @@ Provide comprehensive analysis in JSON:
           },
           { role: "user", content: prompt }
         ],
-        max_tokens: 800,
-        temperature: 0.2,
-        response_format: { type: "json_object" }
+        maxTokens: 800,
+        temperature: 0.2
       });
       
-      return JSON.parse(response.choices[0].message.content);
+      return response.data;
       
     } catch (error) {
-      console.error('❌ AI research analysis error:', error);
-      return this.getBasicResearchAnalysis(analysis);
+      console.error('❌ AI research analysis error:', error.message);
+      return { ...this.getBasicResearchAnalysis(analysis), degraded: true, error: error.message };
     }
   }
 
@@ -1591,11 +1590,11 @@ Provide comprehensive analysis in JSON:
 
   getBasicResearchAnalysis(analysis) {
     return {
-      overallSignal: 'HOLD',
+      signal: 'HOLD',
       confidence: 60,
-      timeframe: 'SHORT_TERM',
-      keyDrivers: ['Market Sentiment', 'Economic Data'],
-      riskFactors: ['Market Volatility'],
+      factors: ['Market Sentiment', 'Economic Data'],
+      risks: ['Market Volatility'],
+      horizon: 'SHORT_TERM',
       opportunities: ['Sectoral Opportunities'],
       reasoning: 'Basic analysis completed'
     };
@@ -1,23 +1,25 @@
 // Risk Management Agent - Assesses and manages trading risks
-const marketData = require('../services/marketData');
-const OpenAI = require('openai');
+const marketSnapshot = require('../services/marketSnapshot');
+const { worstProvenance } = require('../services/provenance');
+const llm = require('../services/llm');
 
 class RiskManagementAgent {
   constructor() {
     this.name = 'Risk Management Agent';
     this.maxRiskThreshold = 0.8; // 80% confidence threshold
     this.volatilityThreshold = 2.0; // 2% daily volatility threshold
-    this.openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY
-    });
+    this.llm = llm;
   }
 
-  async analyze() {
+  async analyze(snapshot) {
     console.log('🔄 Risk Management Agent: Starting AI-enhanced risk analysis...');
     
     try {
-      const niftyData = await marketData.getNiftyIndexData();
-      const historicalData = await marketData.getHistoricalData();
+      snapshot = snapshot || await marketSnapshot.capture({ includeGlobal: false });
+      const niftyData = snapshot.niftyData;
+      const series = snapshot.series;
+      const historicalData = series.candles;
+      const dataProvenance = worstProvenance([niftyData.provenance, series.provenance]);
       
       const analysis = {
         volatilityRisk: this.calculateVolatilityRisk(historicalData, niftyData),
@@ -31,7 +33,7 @@ class RiskManagementAgent {
       };
 
       // Enhanced AI Risk Analysis
-      const aiRiskInsights = await this.performAIAnalysis(analysis, niftyData);
+      const aiRiskInsights = await this.performAIAnalysis(analysis, niftyData, snapshot);
 
       const signal = this.generateRiskSignal(analysis, aiRiskInsights);
       
@@ -44,8 +46,9 @@ class RiskManagementAgent {
         riskScore: signal.riskScore,
         recommendations: signal.recommendations,
         aiInsights: aiRiskInsights,
+        dataProvenance: dataProvenance,
         timeframe: '15min',
-        timestamp: new Date()
+        timestamp: snapshot.timestamp
       };
     } catch (error) {
       console.error('Risk Management Analysis Error:', error.message);
@@ -349,9 +352,13 @@ class RiskManagementAgent {
     };
   }
 
-  async performAIAnalysis(analysis, currentData) {
-    if (!this.openai || !process.env.OPENAI_API_KEY) {
-      console.log('⚠️ OpenAI not available for risk analysis');
+  async performAIAnalysis(analysis, currentData, snapshot) {
+    if (snapshot.mode === 'backtest' && !this.llm.isOffline()) {
+      return { insights: 'AI risk analysis disabled in backtest', riskLevel: 'MEDIUM' };
+    }
+
+    if (!this.llm.isAvailable()) {
+      console.log('⚠️ LLM not available for risk analysis');
       return { insights: 'AI risk analysis unavailable', riskLevel: 'MEDIUM' };
     }
 
@@ -369,50 +376,50 @@ Risk Assessment:
 - Market Risk: ${analysis.marketRisk?.level}
 - Position Sizing: Recommended ${analysis.positionSizing?.recommendation}%
 
-Please provide:
-1. RISK_SIGNAL: [AVOID_TRADE/CAUTIOUS_TRADE/APPROVE_TRADE]
-2. OVERALL_RISK: [LOW/MEDIUM/HIGH]
-3. CONFIDENCE: [0-100]%
-4. KEY_RISKS: [Top 2-3 risks to monitor]
-5. POSITION_ADVICE: [Position sizing recommendation]
-6. STOP_LOSS: [Recommended stop-loss level]
-7. TIME_HORIZON: [Risk assessment for 15-minute timeframe]
+Respond with JSON only:
+{
+  "signal": "AVOID_TRADE|CAUTIOUS_TRADE|APPROVE_TRADE",
+  "confidence": 0-100,
+  "riskLevel": "LOW|MEDIUM|HIGH",
+  "factors": ["what drives this assessment"],
+  "risks": ["top 2-3 risks to monitor"],
+  "horizon": "15_MINUTES",
+  "positionAdvice": "position sizing recommendation",
+  "stopLossPercent": recommended_stop_loss_percent_from_entry
+}
 
 Focus on actionable risk management for short-term Nifty 50 trading.`;
 
-      const response = await this.openai.chat.completions.create({
-        model: "gpt-3.5-turbo",
+      const response = await this.llm.completeStructured({
+        agent: 'risk',
         messages: [{ role: "user", content: prompt }],
-        max_tokens: 350,
+        maxTokens: 350,
         temperature: 0.2
       });
 
-      const aiResponse = response.choices[0].message.content;
-      console.log('🤖 Risk AI Analysis:', aiResponse.substring(0, 150) + '...');
+      const aiResponse = response.data;
+      console.log(`🤖 Risk AI Analysis: ${aiResponse.signal} (${aiResponse.riskLevel} risk)`);
 
-      // Parse AI response
-      const signalMatch = aiResponse.match(/RISK_SIGNAL:\s*(AVOID_TRADE|CAUTIOUS_TRADE|APPROVE_TRADE)/i);
-      const riskMatch = aiResponse.match(/OVERALL_RISK:\s*(LOW|MEDIUM|HIGH)/i);
-      const confidenceMatch = aiResponse.match(/CONFIDENCE:\s*(\d+)/);
-      const risksMatch = aiResponse.match(/KEY_RISKS:\s*([^\n]+)/);
-      const positionMatch = aiResponse.match(/POSITION_ADVICE:\s*([^\n]+)/);
-      
       return {
-        signal: signalMatch ? signalMatch[1] : 'CAUTIOUS_TRADE',
-        riskLevel: riskMatch ? riskMatch[1] : 'MEDIUM',
-        confidence: confidenceMatch ? parseInt(confidenceMatch[1]) : 60,
-        keyRisks: risksMatch ? risksMatch[1] : 'Monitor market volatility',
-        positionAdvice: positionMatch ? positionMatch[1] : 'Use conservative position sizing',
-        insights: aiResponse
+        signal: aiResponse.signal,
+        riskLevel: aiResponse.riskLevel,
+        confidence: aiResponse.confidence,
+        keyRisks: aiResponse.risks,
+        positionAdvice: aiResponse.positionAdvice,
+        stopLossPercent: aiResponse.stopLossPercent ?? null,
+        insights: aiResponse.factors.join('; '),
+        fullAnalysis: aiResponse
       };
 
     } catch (error) {
       console.error('❌ Risk AI Analysis failed:', error.message);
+      // Degraded mode: conservative defaults, flagged so callers can tell
       return {
         signal: 'CAUTIOUS_TRADE',
         riskLevel: 'MEDIUM',
         confidence: 50,
         insights: 'AI risk analysis failed, using conservative approach',
+        degraded: true,
         error: error.message
       };
     }
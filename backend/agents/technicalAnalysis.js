@@ -1,22 +1,24 @@
 // Technical Analysis Agent - Analyzes price patterns and indicators
-const marketData = require('../services/marketData');
-const OpenAI = require('openai');
+const marketSnapshot = require('../services/marketSnapshot');
+const { worstProvenance } = require('../services/provenance');
+const llm = require('../services/llm');
 
 class TechnicalAnalysisAgent {
   constructor() {
     this.name = 'Technical Analysis Agent';
     this.confidence = 0;
-    this.openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY
-    });
+    this.llm = llm;
   }
 
-  async analyze() {
+  async analyze(snapshot) {
     console.log('🔄 Technical Analysis Agent: Starting AI-enhanced analysis...');
     
     try {
-      const historicalData = await marketData.getHistoricalData();
-      const currentData = await marketData.getNiftyIndexData();
+      snapshot = snapshot || await marketSnapshot.capture({ includeGlobal: false });
+      const series = snapshot.series;
+      const historicalData = series.candles;
+      const currentData = snapshot.niftyData;
+      const dataProvenance = worstProvenance([series.provenance, currentData.provenance]);
       
       if (!historicalData || historicalData.length < 20) {
         throw new Error('Insufficient historical data for technical analysis');
@@ -33,7 +35,7 @@ class TechnicalAnalysisAgent {
       };
 
       // Enhanced AI Analysis
-      const aiInsights = await this.performAIAnalysis(analysis, currentData);
+      const aiInsights = await this.performAIAnalysis(analysis, currentData, snapshot);
       
       const signal = this.generateSignal(analysis, aiInsights);
       
@@ -43,8 +45,10 @@ class TechnicalAnalysisAgent {
         confidence: signal.confidence,
         analysis: analysis,
         reasoning: signal.reasoning,
+        aiInsights: aiInsights,
+        dataProvenance: dataProvenance,
         timeframe: '15min',
-        timestamp: new Date()
+        timestamp: snapshot.timestamp
       };
     } catch (error) {
       console.error('Technical Analysis Error:', error.message);
@@ -201,9 +205,13 @@ class TechnicalAnalysisAgent {
     return { signal, isUptrend, isDowntrend, momentum: currentData.changePercent };
   }
 
-  async performAIAnalysis(analysis, currentData) {
-    if (!this.openai || !process.env.OPENAI_API_KEY) {
-      console.log('⚠️ OpenAI not available, skipping AI analysis');
+  async performAIAnalysis(analysis, currentData, snapshot) {
+    if (snapshot.mode === 'backtest' && !this.llm.isOffline()) {
+      return { insights: 'AI analysis disabled in backtest', confidence: 0 };
+    }
+
+    if (!this.llm.isAvailable()) {
+      console.log('⚠️ LLM not available, skipping AI analysis');
       return { insights: 'AI analysis unavailable', confidence: 0 };
     }
 
@@ -223,45 +231,48 @@ Technical Indicators:
 - Bollinger Signal: ${analysis.bollinger?.signal}
 - Volume Signal: ${analysis.volumeAnalysis?.signal}
 
-Please provide:
-1. SIGNAL: [BUY/SELL/HOLD]
-2. CONFIDENCE: [0-100]%
-3. KEY_INSIGHTS: [Main technical observations]
-4. NEXT_15MIN_TARGET: [Expected price movement]
-5. SUPPORT_RESISTANCE: [Key levels]
-6. RISK_FACTORS: [Technical risks to watch]
+Respond with JSON only:
+{
+  "signal": "BUY|SELL|HOLD",
+  "confidence": 0-100,
+  "factors": ["main technical observations"],
+  "risks": ["technical risks to watch"],
+  "horizon": "15_MINUTES",
+  "target": expected_price_in_15_minutes,
+  "support": nearest_support_level,
+  "resistance": nearest_resistance_level
+}
 
-Keep response concise and actionable for 15-minute trading.`;
+Keep it concise and actionable for 15-minute trading.`;
 
-      const response = await this.openai.chat.completions.create({
-        model: "gpt-3.5-turbo",
+      const response = await this.llm.completeStructured({
+        agent: 'technical',
         messages: [{ role: "user", content: prompt }],
-        max_tokens: 400,
+        maxTokens: 400,
         temperature: 0.3
       });
 
-      const aiResponse = response.choices[0].message.content;
-      console.log('🤖 Technical AI Analysis:', aiResponse.substring(0, 200) + '...');
+      const aiResponse = response.data;
+      console.log(`🤖 Technical AI Analysis: ${aiResponse.signal} (${aiResponse.confidence}%)`);
 
-      // Parse AI response
-      const signalMatch = aiResponse.match(/SIGNAL:\s*(BUY|SELL|HOLD)/i);
-      const confidenceMatch = aiResponse.match(/CONFIDENCE:\s*(\d+)/);
-      const insightsMatch = aiResponse.match(/KEY_INSIGHTS:\s*([^\n]+)/);
-      const targetMatch = aiResponse.match(/NEXT_15MIN_TARGET:\s*([^\n]+)/);
-      
       return {
-        signal: signalMatch ? signalMatch[1].toUpperCase() : null,
-        confidence: confidenceMatch ? parseInt(confidenceMatch[1]) : 50,
-        insights: insightsMatch ? insightsMatch[1] : 'Technical analysis completed',
-        target: targetMatch ? targetMatch[1] : 'Neutral movement expected',
+        signal: aiResponse.signal,
+        confidence: aiResponse.confidence,
+        insights: aiResponse.factors.join('; ') || 'Technical analysis completed',
+        risks: aiResponse.risks,
+        target: aiResponse.target ?? null,
+        support: aiResponse.support ?? null,
+        resistance: aiResponse.resistance ?? null,
         fullAnalysis: aiResponse
       };
 
     } catch (error) {
       console.error('❌ Technical AI Analysis failed:', error.message);
+      // Degraded mode: indicators alone decide, and the result says so
       return {
         insights: 'AI analysis failed, using traditional methods',
         confidence: 0,
+        degraded: true,
         error: error.message
       };
     }
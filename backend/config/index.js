@@ -0,0 +1,221 @@
+// Application Configuration - Central place for environment-driven settings
+const path = require('path');
+require('dotenv').config();
+
+const config = {
+  marketData: {
+    // yahoo | file | fixture
+    provider: (process.env.MARKET_DATA_PROVIDER || 'yahoo').toLowerCase(),
+    // Directory of <SYMBOL>.csv files or a single recorded session .json file
+    filePath: process.env.MARKET_DATA_FILE || path.join(__dirname, '..', 'data', 'sessions'),
+    // 1 = real time, 60 = one market minute per wall-clock second, 0 = paused (manual stepping)
+    replaySpeed: parseFloat(process.env.MARKET_DATA_REPLAY_SPEED || '1'),
+    replayStart: process.env.MARKET_DATA_REPLAY_START || null,
+    replayLoop: process.env.MARKET_DATA_REPLAY_LOOP === 'true',
+    fixturePath: process.env.MARKET_DATA_FIXTURE || null,
+    requestTimeout: parseInt(process.env.MARKET_DATA_TIMEOUT_MS || '10000', 10),
+    // Cached data older than this is reported as stale rather than cached
+    staleAfterMs: parseInt(process.env.MARKET_DATA_STALE_AFTER_MS || String(15 * 60 * 1000), 10),
+    // Constituent quotes: at most this many requests in flight, and one batch is shared by every
+    // caller within the reuse window (provider clock) so a run does not quote the index twice
+    quoteConcurrency: parseInt(process.env.MARKET_DATA_QUOTE_CONCURRENCY || '5', 10),
+    constituentsReuseMs: parseInt(process.env.MARKET_DATA_CONSTITUENTS_REUSE_MS || '60000', 10)
+  },
+  costs: {
+    // index_futures | equity_intraday
+    segment: process.env.COST_SEGMENT || 'index_futures',
+    maxBrokeragePerOrder: parseFloat(process.env.COST_MAX_BROKERAGE || '20'),
+    // none | fixed | spread | volume
+    slippageModel: process.env.SLIPPAGE_MODEL || 'fixed',
+    slippageBps: parseFloat(process.env.SLIPPAGE_BPS || '1'),
+    spreadBps: parseFloat(process.env.SLIPPAGE_SPREAD_BPS || '2'),
+    impactBps: parseFloat(process.env.SLIPPAGE_IMPACT_BPS || '10')
+  },
+  paper: {
+    // Simulated execution of orchestrator signals; no real orders are ever sent
+    enabled: process.env.PAPER_TRADING !== 'false',
+    symbol: process.env.PAPER_SYMBOL || '^NSEI',
+    initialCapital: parseFloat(process.env.PAPER_CAPITAL || '1000000'),
+    lotSize: parseInt(process.env.PAPER_LOT_SIZE || '75', 10),
+    positionFraction: parseFloat(process.env.PAPER_POSITION_FRACTION || '1'),
+    // Share of notional blocked per lot, as for NRML index futures; 1 funds the full notional
+    marginRate: parseFloat(process.env.PAPER_MARGIN_RATE || '0.12'),
+    minConfidence: parseFloat(process.env.PAPER_MIN_CONFIDENCE || '60'),
+    allowShort: process.env.PAPER_ALLOW_SHORT !== 'false',
+    // Fallbacks when a signal carries no position sizing from the risk agent
+    defaultStopPct: 2,
+    defaultTargetPct: 1.5,
+    // How often open positions are marked and checked against stop/target
+    monitorIntervalMs: parseInt(process.env.PAPER_MONITOR_INTERVAL_MS || '60000', 10)
+  },
+  execution: {
+    // Off unless explicitly enabled: signals are only sent to the broker when AUTO_EXECUTE=true
+    autoExecute: process.env.AUTO_EXECUTE === 'true',
+    // The API has no authentication, so routes that place, modify or cancel orders stay closed unless
+    // EXECUTION_ORDER_API=true (only on a host nobody else can reach)
+    orderApi: process.env.EXECUTION_ORDER_API === 'true',
+    // simulated (local exchange); real broker adapters plug in via services/brokers
+    broker: process.env.EXECUTION_BROKER || 'simulated',
+    initialCash: parseFloat(process.env.EXECUTION_CAPITAL || '1000000'),
+    exchange: process.env.EXECUTION_EXCHANGE || 'NFO',
+    tradingSymbol: process.env.EXECUTION_SYMBOL || 'NIFTY',
+    product: process.env.EXECUTION_PRODUCT || 'MIS',
+    lotSize: parseInt(process.env.EXECUTION_LOT_SIZE || '75', 10),
+    lots: parseInt(process.env.EXECUTION_LOTS || '1', 10),
+    allowShort: process.env.EXECUTION_ALLOW_SHORT !== 'false',
+    placeStopLoss: process.env.EXECUTION_STOP_LOSS !== 'false',
+    // Risk checks every signal must pass before an order is placed
+    minConfidence: parseFloat(process.env.EXECUTION_MIN_CONFIDENCE || '70'),
+    maxLots: parseInt(process.env.EXECUTION_MAX_LOTS || '2', 10),
+    maxDailyLoss: parseFloat(process.env.EXECUTION_MAX_DAILY_LOSS || '20000'),
+    maxOrdersPerDay: parseInt(process.env.EXECUTION_MAX_ORDERS_PER_DAY || '20', 10),
+    maxSignalAgeMs: parseInt(process.env.EXECUTION_MAX_SIGNAL_AGE_MS || String(5 * 60 * 1000), 10),
+    matchIntervalMs: parseInt(process.env.EXECUTION_MATCH_INTERVAL_MS || '5000', 10)
+  },
+  universe: {
+    // Nifty 50 constituents with sector and free-float index weight; update after each rebalance
+    constituentsFile: process.env.NIFTY_CONSTITUENTS_FILE || path.join(__dirname, 'nifty50Constituents.json')
+  },
+  calendar: {
+    // NSE holidays and special sessions (Muhurat trading, Saturday sessions); update yearly
+    holidaysFile: process.env.NSE_HOLIDAYS_FILE || path.join(__dirname, 'nseHolidays.json'),
+    // Regular session in IST
+    hours: {
+      preOpen: process.env.NSE_PRE_OPEN || '09:00',
+      open: process.env.NSE_OPEN || '09:15',
+      close: process.env.NSE_CLOSE || '15:30'
+    }
+  },
+  scheduler: {
+    enabled: process.env.SCHEDULER_ENABLED !== 'false',
+    analysisIntervalMinutes: parseInt(process.env.ANALYSIS_INTERVAL_MINUTES || '15', 10),
+    // Run analysis around the clock instead of only during sessions (not recommended)
+    analyzeOutsideSessions: process.env.ANALYZE_OUTSIDE_SESSIONS === 'true',
+    preMarketLeadMinutes: parseInt(process.env.PRE_MARKET_LEAD_MINUTES || '30', 10),
+    postMarketDelayMinutes: parseInt(process.env.POST_MARKET_DELAY_MINUTES || '15', 10)
+  },
+  intraday: {
+    // Dashboard chart of the session's Nifty bars with signal markers
+    candleInterval: '5m',
+    // How often connected clients get fresh bars while the market is open (0 disables)
+    refreshMs: parseInt(process.env.INTRADAY_REFRESH_MS || '60000', 10),
+    maxSignals: 100
+  },
+  validation: {
+    // Predictions are scored against the index this long after they are made
+    horizonMinutes: parseInt(process.env.VALIDATION_HORIZON_MINUTES || '15', 10),
+    // A HOLD call is right when the index stays within this % of entry
+    holdBandPct: parseFloat(process.env.VALIDATION_HOLD_BAND || '0.2'),
+    // Horizon past the session close - close: score at the close; next-session: carry the rest of
+    // the horizon into the next session; skip: leave unscored
+    afterHours: process.env.VALIDATION_AFTER_HOURS || 'close',
+    // Bars the horizon price is read from
+    candleIntervalMinutes: 5,
+    pollMs: parseInt(process.env.VALIDATION_POLL_MS || '60000', 10),
+    // Give up on a prediction when no bar covering its horizon turns up within this long
+    maxWaitMinutes: parseInt(process.env.VALIDATION_MAX_WAIT_MINUTES || '1440', 10)
+  },
+  runs: {
+    // GET /api/signal serves the last completed run while it is younger than this
+    freshnessMs: parseInt(process.env.SIGNAL_FRESHNESS_MS || String(5 * 60 * 1000), 10),
+    historySize: parseInt(process.env.RUN_HISTORY_SIZE || '100', 10)
+  },
+  agents: {
+    // Comma-separated module paths (relative to backend/) exporting extra agent definitions
+    plugins: (process.env.AGENT_PLUGINS || '').split(',').map(entry => entry.trim()).filter(Boolean),
+    pluginRoot: path.join(__dirname, '..'),
+    // Comma-separated agent ids to leave out of analysis, e.g. research
+    disabled: (process.env.AGENTS_DISABLED || '').split(',').map(entry => entry.trim()).filter(Boolean),
+    defaultTimeoutMs: parseInt(process.env.AGENT_TIMEOUT_MS || '30000', 10),
+    // Per-agent deadlines as id=ms pairs, e.g. research=45000,technical=10000
+    timeouts: Object.fromEntries((process.env.AGENT_TIMEOUTS || '')
+      .split(',')
+      .map(entry => entry.split('=').map(part => part.trim()))
+      .filter(([id, ms]) => id && parseInt(ms, 10) > 0)
+      .map(([id, ms]) => [id, parseInt(ms, 10)])),
+    // Confidence lost when every weighted agent is missing; scaled by the missing share of weight
+    missingAgentPenalty: parseFloat(process.env.AGENT_MISSING_PENALTY || '0.5'),
+    // Signal-agent weights re-estimated from how often each agent called the validated move
+    adaptiveWeights: {
+      enabled: process.env.ADAPTIVE_WEIGHTS !== 'false',
+      // Most recent validated signals considered
+      windowSize: parseInt(process.env.ADAPTIVE_WEIGHTS_WINDOW || '200', 10),
+      // Agents with fewer attributed calls in the window keep their weight
+      minSamples: parseInt(process.env.ADAPTIVE_WEIGHTS_MIN_SAMPLES || '30', 10),
+      minWeight: parseFloat(process.env.ADAPTIVE_WEIGHTS_MIN || '0.05'),
+      maxWeight: parseFloat(process.env.ADAPTIVE_WEIGHTS_MAX || '0.6'),
+      // Share of the gap to the estimated weight closed per re-estimate
+      learningRate: parseFloat(process.env.ADAPTIVE_WEIGHTS_LEARNING_RATE || '0.5'),
+      // Smaller changes are not applied or recorded
+      minChange: 0.005
+    }
+  },
+  aggregation: {
+    // weighted | unanimous | majority-veto | bayesian | stacking; GET /api/signal?strategy= overrides
+    strategy: process.env.AGGREGATION_STRATEGY || 'weighted',
+    weighted: { threshold: parseFloat(process.env.AGGREGATION_WEIGHTED_THRESHOLD || '0.4') },
+    unanimous: { minAgents: parseInt(process.env.AGGREGATION_MIN_AGENTS || '2', 10) },
+    // An opposite call at or above this confidence blocks the majority
+    majorityVeto: { vetoConfidence: parseFloat(process.env.AGGREGATION_VETO_CONFIDENCE || '70') },
+    // BUY at or above this probability of an up move, SELL at or below 1 minus it
+    bayesian: { threshold: parseFloat(process.env.AGGREGATION_PROBABILITY_THRESHOLD || '0.6'), maxProbability: 0.9 },
+    stacking: {
+      threshold: parseFloat(process.env.AGGREGATION_PROBABILITY_THRESHOLD || '0.6'),
+      modelFile: process.env.STACKING_MODEL_FILE || path.join(__dirname, '..', 'data', 'models', 'stacking.json'),
+      minSamples: parseInt(process.env.STACKING_MIN_SAMPLES || '50', 10),
+      horizonMinutes: parseInt(process.env.STACKING_HORIZON_MINUTES || '15', 10)
+    }
+  },
+  calibration: {
+    // Map each agent's raw confidence to the hit rate it has achieved before aggregation
+    enabled: process.env.CONFIDENCE_CALIBRATION !== 'false',
+    // isotonic (monotone fit through the observed hit rates) | platt (logistic curve on confidence)
+    method: process.env.CALIBRATION_METHOD || 'isotonic',
+    // Agents with fewer validated calls keep their raw confidence
+    minSamples: parseInt(process.env.CALIBRATION_MIN_SAMPLES || '50', 10),
+    // Most recent validated signals fitted on
+    windowSize: parseInt(process.env.CALIBRATION_WINDOW || '2000', 10),
+    // Refit after this many newly validated signals
+    refitEvery: parseInt(process.env.CALIBRATION_REFIT_EVERY || '20', 10),
+    modelFile: process.env.CALIBRATION_MODEL_FILE || path.join(__dirname, '..', 'data', 'models', 'calibration.json')
+  },
+  llm: {
+    // openai | openai-compatible (Ollama, vLLM, LM Studio via LLM_BASE_URL) | stub
+    provider: (process.env.LLM_PROVIDER || 'openai').toLowerCase(),
+    apiKey: process.env.LLM_API_KEY || process.env.OPENAI_API_KEY || null,
+    baseURL: process.env.LLM_BASE_URL || null,
+    timeoutMs: parseInt(process.env.LLM_TIMEOUT_MS || '30000', 10),
+    // live | record (save prompt/response pairs) | replay (serve them back, no network)
+    mode: (process.env.LLM_MODE || 'live').toLowerCase(),
+    recordingsDir: process.env.LLM_RECORDINGS_DIR || path.join(__dirname, '..', 'data', 'llm-recordings'),
+    // Only replay exact prompt matches instead of the latest recording per agent
+    replayStrict: process.env.LLM_REPLAY_STRICT === 'true',
+    // LLM_MODEL_<AGENT> wins over LLM_MODEL, which wins over the built-in default
+    models: {
+      default: process.env.LLM_MODEL || 'gpt-3.5-turbo',
+      technical: process.env.LLM_MODEL_TECHNICAL || process.env.LLM_MODEL || 'gpt-3.5-turbo',
+      sentiment: process.env.LLM_MODEL_SENTIMENT || process.env.LLM_MODEL || 'gpt-4-turbo-preview',
+      research: process.env.LLM_MODEL_RESEARCH || process.env.LLM_MODEL || 'gpt-4-turbo-preview',
+      risk: process.env.LLM_MODEL_RISK || process.env.LLM_MODEL || 'gpt-3.5-turbo'
+    },
+    // Once today's (IST) estimated spend reaches this, agents use their non-AI path; 0 disables
+    dailyBudgetUsd: parseFloat(process.env.LLM_DAILY_BUDGET_USD || '0'),
+    // USD per million prompt/completion tokens, matched by longest model-name prefix.
+    // Models not listed (local servers) are counted as free.
+    pricing: {
+      'gpt-3.5-turbo': { prompt: 0.5, completion: 1.5 },
+      'gpt-4-turbo': { prompt: 10, completion: 30 },
+      'gpt-4o': { prompt: 2.5, completion: 10 },
+      'gpt-4o-mini': { prompt: 0.15, completion: 0.6 },
+      'gpt-4.1': { prompt: 2, completion: 8 },
+      'gpt-4.1-mini': { prompt: 0.4, completion: 1.6 }
+    }
+  },
+  database: {
+    // Without a URI signals and predictions are kept in memory and lost on restart
+    uri: process.env.MONGODB_URI || null,
+    connectTimeoutMs: parseInt(process.env.MONGODB_CONNECT_TIMEOUT_MS || '5000', 10)
+  }
+};
+
+module.exports = config;
@@ -0,0 +1,29 @@
+// Agent Output Model - Complete result of a single agent within an analysis run
+const mongoose = require('mongoose');
+
+// Directional agents vote BUY/SELL/HOLD, the risk agent returns a trade verdict
+const AGENT_SIGNALS = ['BUY', 'SELL', 'HOLD', 'APPROVE_TRADE', 'CAUTIOUS_TRADE', 'AVOID_TRADE'];
+
+const agentOutputSchema = new mongoose.Schema({
+  signalId: { type: String, required: true, index: true },
+  agent: { type: String, required: true, index: true },
+  signal: { type: String, enum: AGENT_SIGNALS, required: true },
+  confidence: { type: Number, min: 0, max: 100, required: true },
+  // Confidence as the agent reported it, before calibration
+  rawConfidence: { type: Number, min: 0, max: 100 },
+  reasoning: String,
+  error: String,
+  // OK, or why the agent's result was left out of aggregation
+  status: { type: String, enum: ['OK', 'FAILED', 'TIMED_OUT'], default: 'OK' },
+  dataProvenance: { type: String, enum: ['live', 'cached', 'stale', 'synthetic'] },
+  timestamp: { type: Date, required: true },
+  // Full agent result including indicator values and AI insights
+  output: { type: mongoose.Schema.Types.Mixed, required: true }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  minimize: false
+});
+
+agentOutputSchema.index({ signalId: 1, agent: 1 }, { unique: true });
+
+module.exports = mongoose.models.AgentOutput || mongoose.model('AgentOutput', agentOutputSchema);
@@ -0,0 +1,23 @@
+// Agent Weight Change Model - One change to the orchestrator's agent weights and the evidence behind it
+const mongoose = require('mongoose');
+
+const agentWeightChangeSchema = new mongoose.Schema({
+  _id: { type: String, required: true },
+  timestamp: { type: Date, required: true, index: true },
+  // adaptive: re-estimated from outcomes; reset: returned to the configured defaults
+  reason: { type: String, enum: ['adaptive', 'reset'], required: true },
+  weights: { type: mongoose.Schema.Types.Mixed, required: true },   // { agentId: weight } after the change
+  previous: { type: mongoose.Schema.Types.Mixed, required: true },
+  // Validated signals the estimate was based on
+  window: {
+    samples: { type: Number, min: 0, default: 0 },
+    from: { type: Date, default: null },
+    to: { type: Date, default: null }
+  },
+  // { agentId: { samples, hits, hitRate } }
+  agents: { type: mongoose.Schema.Types.Mixed, default: {} }
+}, {
+  versionKey: false
+});
+
+module.exports = mongoose.models.AgentWeightChange || mongoose.model('AgentWeightChange', agentWeightChangeSchema);
@@ -0,0 +1,19 @@
+// Candle Model - Stored OHLCV bars for backtesting and history
+const mongoose = require('mongoose');
+
+const candleSchema = new mongoose.Schema({
+  symbol: { type: String, required: true },
+  interval: { type: String, required: true },
+  timestamp: { type: Date, required: true },
+  open: { type: Number, required: true, min: 0 },
+  high: { type: Number, required: true, min: 0 },
+  low: { type: Number, required: true, min: 0 },
+  close: { type: Number, required: true, min: 0 },
+  volume: { type: Number, default: 0, min: 0 }
+}, {
+  versionKey: false
+});
+
+candleSchema.index({ symbol: 1, interval: 1, timestamp: 1 }, { unique: true });
+
+module.exports = mongoose.models.Candle || mongoose.model('Candle', candleSchema);
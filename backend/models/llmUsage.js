@@ -0,0 +1,25 @@
+// LLM Usage Model - One LLM call: tokens, latency and estimated cost
+const mongoose = require('mongoose');
+
+const llmUsageSchema = new mongoose.Schema({
+  _id: { type: String, required: true },
+  timestamp: { type: Date, required: true },
+  date: { type: String, required: true, index: true },   // IST day, YYYY-MM-DD
+  agent: { type: String, required: true },
+  purpose: { type: String, default: null },
+  runId: { type: String, default: null, index: true },
+  provider: { type: String, required: true },
+  model: { type: String, required: true },
+  promptTokens: { type: Number, min: 0, default: 0 },
+  completionTokens: { type: Number, min: 0, default: 0 },
+  totalTokens: { type: Number, min: 0, default: 0 },
+  latencyMs: { type: Number, min: 0, default: 0 },
+  costUsd: { type: Number, min: 0, default: 0 },
+  replayed: { type: String, default: null },
+  success: { type: Boolean, required: true },
+  error: { type: String, default: null }
+}, {
+  versionKey: false
+});
+
+module.exports = mongoose.models.LLMUsage || mongoose.model('LLMUsage', llmUsageSchema);
@@ -0,0 +1,38 @@
+// Prediction Model - A tracked prediction and, once due, its validation against the market
+const mongoose = require('mongoose');
+
+const predictionSchema = new mongoose.Schema({
+  _id: { type: String, required: true },
+  // sentiment: the sentiment agent's own call; signal: the orchestrator's final signal
+  source: { type: String, enum: ['sentiment', 'signal'], default: 'sentiment', index: true },
+  signalId: { type: String, index: true },
+  signal: { type: String, enum: ['BUY', 'SELL', 'HOLD'], required: true },
+  confidence: { type: Number, min: 0, max: 100, required: true },
+  targetPrice: { type: Number, min: 0, required: true },
+  timestamp: { type: Date, required: true, index: true },
+  entryPrice: { type: Number, min: 0, default: null },
+  agentData: mongoose.Schema.Types.Mixed,
+  // Each responding agent's call behind a final signal: { agentId: { signal, confidence } }
+  agentCalls: { type: mongoose.Schema.Types.Mixed, default: null },
+  marketConditions: mongoose.Schema.Types.Mixed,
+
+  // Filled in by validation
+  actualOutcome: { type: Number, default: null },   // % move from entry at the horizon
+  actualPrice: { type: Number, default: null },
+  accuracy: { type: Number, min: 0, max: 100, default: null },
+  validationTime: { type: Date, default: null, index: true },
+  // PENDING until scored at horizonAt; SKIPPED when it cannot be scored (skipReason says why)
+  status: { type: String, enum: ['PENDING', 'VALIDATED', 'SKIPPED'], default: 'PENDING', index: true },
+  horizonAt: { type: Date, default: null, index: true },
+  // in-session, session-close or next-session (see config.validation.afterHours)
+  horizonRule: { type: String, enum: ['in-session', 'session-close', 'next-session', null], default: null },
+  skipReason: { type: String, default: null },
+  // Move from entryPrice and whether each agent's call matched it: { agentId: { signal, agreed } }
+  realisedMovePct: { type: Number, default: null },
+  attribution: { type: mongoose.Schema.Types.Mixed, default: null }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+module.exports = mongoose.models.Prediction || mongoose.model('Prediction', predictionSchema);
@@ -0,0 +1,38 @@
+// Trading Signal Model - Final orchestrator output for one analysis run
+const mongoose = require('mongoose');
+
+const SIGNALS = ['BUY', 'SELL', 'HOLD'];
+const PROVENANCE = ['live', 'cached', 'stale', 'synthetic'];
+
+const tradingSignalSchema = new mongoose.Schema({
+  _id: { type: String, required: true },
+  timestamp: { type: Date, required: true, index: true },
+  snapshotId: String,
+  signal: { type: String, enum: SIGNALS, required: true, index: true },
+  confidence: { type: Number, min: 0, max: 100, required: true },
+  // Confidence from the agents' uncalibrated confidences
+  rawConfidence: { type: Number, min: 0, max: 100 },
+  currentPrice: { type: Number, min: 0 },
+  reasoning: String,
+  // Aggregation strategy that produced signal and confidence
+  strategy: { type: String, default: 'weighted' },
+  actionable: { type: Boolean, default: true },
+  suppressedAction: { type: String, enum: SIGNALS },
+  dataProvenance: {
+    overall: { type: String, enum: PROVENANCE },
+    core: { type: String, enum: PROVENANCE },
+    marketData: { type: String, enum: PROVENANCE },
+    agents: mongoose.Schema.Types.Mixed
+  },
+  pricePrediction: mongoose.Schema.Types.Mixed,
+  timeframe: { type: String, default: '15min' },
+  marketData: mongoose.Schema.Types.Mixed,
+  agentResults: { type: mongoose.Schema.Types.Mixed, required: true },
+  recommendations: [String],
+  nextAnalysis: Date
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  minimize: false
+});
+
+module.exports = mongoose.models.TradingSignal || mongoose.model('TradingSignal', tradingSignalSchema);
@@ -0,0 +1,56 @@
+// Agent Output Repository - Stores each agent's full result for a signal
+const AgentOutput = require('../models/agentOutput');
+const { clone, validate } = require('./baseRepository');
+
+// results: { technical: agentResult, sentiment: agentResult, ... }
+function toDocuments(signalId, results) {
+  return Object.entries(results).map(([agent, result]) => ({
+    signalId,
+    agent,
+    signal: result.signal,
+    confidence: result.confidence || 0,
+    rawConfidence: result.rawConfidence ?? result.confidence ?? 0,
+    reasoning: typeof result.reasoning === 'string' ? result.reasoning : undefined,
+    error: result.error,
+    status: result.status || (result.error ? 'FAILED' : 'OK'),
+    dataProvenance: result.dataProvenance,
+    timestamp: result.timestamp || new Date(),
+    output: clone(result)
+  }));
+}
+
+function toRecord(doc) {
+  const { _id, __v, ...rest } = doc;
+  return rest;
+}
+
+class MongoAgentOutputRepository {
+  async saveForSignal(signalId, results) {
+    const docs = await AgentOutput.insertMany(toDocuments(signalId, results));
+    return docs.map(doc => toRecord(doc.toObject()));
+  }
+
+  async findBySignal(signalId) {
+    const docs = await AgentOutput.find({ signalId }).lean();
+    return docs.map(toRecord);
+  }
+}
+
+class MemoryAgentOutputRepository {
+  constructor() {
+    this.outputs = [];
+  }
+
+  async saveForSignal(signalId, results) {
+    const docs = toDocuments(signalId, results);
+    docs.forEach(doc => validate(AgentOutput, doc));
+    this.outputs.push(...docs);
+    return docs.map(clone);
+  }
+
+  async findBySignal(signalId) {
+    return this.outputs.filter(doc => doc.signalId === signalId).map(clone);
+  }
+}
+
+module.exports = { MongoAgentOutputRepository, MemoryAgentOutputRepository };
@@ -0,0 +1,44 @@
+// Base Repository - Shared helpers for the Mongo and in-memory repositories
+
+function createId(prefix) {
+  return `${prefix}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+// Detach stored data from live objects (snapshots are frozen, callers may mutate results)
+function clone(value) {
+  return value === undefined ? value : structuredClone(value);
+}
+
+// Mongo documents keep their id in _id, callers always see id
+function toRecord(doc) {
+  if (!doc) return null;
+  const { _id, __v, ...rest } = doc;
+  return { id: _id, ...rest };
+}
+
+function toDocument(record, prefix) {
+  const { id, ...rest } = clone(record);
+  return { _id: id || createId(prefix), ...rest };
+}
+
+// Run the Mongoose schema validators without a database connection
+function validate(Model, doc) {
+  const error = new Model(doc).validateSync();
+  if (error) throw error;
+}
+
+// Opaque pagination cursor pointing at the last item of a page (newest-first ordering)
+function encodeCursor(record) {
+  return Buffer.from(`${new Date(record.timestamp).getTime()}|${record.id}`).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  const [time, id] = Buffer.from(String(cursor), 'base64url').toString('utf8').split('|');
+  const timestamp = new Date(Number(time));
+  if (!id || !time || isNaN(timestamp.getTime())) {
+    throw new Error('Invalid cursor');
+  }
+  return { timestamp, id };
+}
+
+module.exports = { createId, clone, toRecord, toDocument, validate, encodeCursor, decodeCursor };
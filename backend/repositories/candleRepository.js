@@ -0,0 +1,77 @@
+// Candle Repository - Stores OHLCV bars keyed by symbol, interval and bar time
+const Candle = require('../models/candle');
+const { validate } = require('./baseRepository');
+
+function toCandle(doc) {
+  return {
+    timestamp: new Date(doc.timestamp),
+    open: doc.open,
+    high: doc.high,
+    low: doc.low,
+    close: doc.close,
+    volume: doc.volume || 0
+  };
+}
+
+function inRange(timestamp, { from, to } = {}) {
+  return (!from || timestamp >= new Date(from)) && (!to || timestamp <= new Date(to));
+}
+
+class MongoCandleRepository {
+  // Upserts so re-fetching overlapping windows never duplicates bars
+  async saveMany(symbol, interval, candles) {
+    if (candles.length === 0) return 0;
+
+    const result = await Candle.bulkWrite(candles.map(candle => ({
+      updateOne: {
+        filter: { symbol, interval, timestamp: new Date(candle.timestamp) },
+        update: { $set: { symbol, interval, ...toCandle(candle) } },
+        upsert: true
+      }
+    })), { ordered: false });
+    return result.upsertedCount + result.modifiedCount;
+  }
+
+  async find(symbol, interval, range = {}) {
+    const query = { symbol, interval };
+    if (range.from || range.to) {
+      query.timestamp = {};
+      if (range.from) query.timestamp.$gte = new Date(range.from);
+      if (range.to) query.timestamp.$lte = new Date(range.to);
+    }
+
+    const docs = await Candle.find(query).sort({ timestamp: 1 }).lean();
+    return docs.map(toCandle);
+  }
+}
+
+class MemoryCandleRepository {
+  constructor() {
+    this.series = new Map();
+  }
+
+  async saveMany(symbol, interval, candles) {
+    const key = `${symbol}|${interval}`;
+    const bars = this.series.get(key) || new Map();
+
+    candles.forEach(candle => {
+      const bar = toCandle(candle);
+      validate(Candle, { symbol, interval, ...bar });
+      bars.set(bar.timestamp.getTime(), bar);
+    });
+    this.series.set(key, bars);
+    return candles.length;
+  }
+
+  async find(symbol, interval, range = {}) {
+    const bars = this.series.get(`${symbol}|${interval}`);
+    if (!bars) return [];
+
+    return Array.from(bars.values())
+      .filter(bar => inRange(bar.timestamp, range))
+      .sort((a, b) => a.timestamp - b.timestamp)
+      .map(bar => ({ ...bar, timestamp: new Date(bar.timestamp) }));
+  }
+}
+
+module.exports = { MongoCandleRepository, MemoryCandleRepository };
@@ -0,0 +1,64 @@
+// Repositories - Signal, agent output, prediction, candle, LLM usage and agent weight storage backed by MongoDB or memory
+const mongoose = require('mongoose');
+const config = require('../config');
+const { MongoSignalRepository, MemorySignalRepository } = require('./signalRepository');
+const { MongoAgentOutputRepository, MemoryAgentOutputRepository } = require('./agentOutputRepository');
+const { MongoPredictionRepository, MemoryPredictionRepository } = require('./predictionRepository');
+const { MongoCandleRepository, MemoryCandleRepository } = require('./candleRepository');
+const { MongoLLMUsageRepository, MemoryLLMUsageRepository } = require('./llmUsageRepository');
+const { MongoWeightHistoryRepository, MemoryWeightHistoryRepository } = require('./weightHistoryRepository');
+
+class Repositories {
+  constructor() {
+    this.useMemory();
+  }
+
+  useMemory() {
+    this.backend = 'memory';
+    this.signals = new MemorySignalRepository();
+    this.agentOutputs = new MemoryAgentOutputRepository();
+    this.predictions = new MemoryPredictionRepository();
+    this.candles = new MemoryCandleRepository();
+    this.llmUsage = new MemoryLLMUsageRepository();
+    this.weightHistory = new MemoryWeightHistoryRepository();
+  }
+
+  useMongo() {
+    this.backend = 'mongo';
+    this.signals = new MongoSignalRepository();
+    this.agentOutputs = new MongoAgentOutputRepository();
+    this.predictions = new MongoPredictionRepository();
+    this.candles = new MongoCandleRepository();
+    this.llmUsage = new MongoLLMUsageRepository();
+    this.weightHistory = new MongoWeightHistoryRepository();
+  }
+
+  async connect(uri = config.database.uri) {
+    if (!uri) {
+      console.log('💾 MONGODB_URI not set, storing signals and predictions in memory');
+      return this.backend;
+    }
+
+    try {
+      await mongoose.connect(uri, { serverSelectionTimeoutMS: config.database.connectTimeoutMs });
+      this.useMongo();
+      console.log('💾 Connected to MongoDB');
+    } catch (error) {
+      console.error('❌ MongoDB connection failed, storing data in memory:', error.message);
+    }
+    return this.backend;
+  }
+
+  async disconnect() {
+    if (this.backend === 'mongo') {
+      await mongoose.disconnect();
+    }
+    this.useMemory();
+  }
+
+  isPersistent() {
+    return this.backend === 'mongo';
+  }
+}
+
+module.exports = new Repositories();
@@ -0,0 +1,51 @@
+// LLM Usage Repository - Stores one record per LLM call for cost accounting
+const LLMUsage = require('../models/llmUsage');
+const { clone, toRecord, toDocument, validate } = require('./baseRepository');
+
+const MAX_MEMORY_RECORDS = 20000;
+
+class MongoLLMUsageRepository {
+  async save(usage) {
+    const doc = await LLMUsage.create(toDocument(usage, 'llm'));
+    return toRecord(doc.toObject());
+  }
+
+  // IST date keys, inclusive, oldest first
+  async findByDateRange(fromDate, toDate) {
+    const docs = await LLMUsage.find({ date: { $gte: fromDate, $lte: toDate } }).sort({ timestamp: 1 }).lean();
+    return docs.map(toRecord);
+  }
+
+  async findByRun(runId) {
+    const docs = await LLMUsage.find({ runId }).sort({ timestamp: 1 }).lean();
+    return docs.map(toRecord);
+  }
+}
+
+class MemoryLLMUsageRepository {
+  constructor() {
+    this.records = [];
+  }
+
+  async save(usage) {
+    const doc = toDocument(usage, 'llm');
+    validate(LLMUsage, doc);
+    this.records.push(doc);
+    if (this.records.length > MAX_MEMORY_RECORDS) this.records.shift();
+    return toRecord(clone(doc));
+  }
+
+  async findByDateRange(fromDate, toDate) {
+    return this.records
+      .filter(doc => doc.date >= fromDate && doc.date <= toDate)
+      .map(doc => toRecord(clone(doc)));
+  }
+
+  async findByRun(runId) {
+    return this.records
+      .filter(doc => doc.runId === runId)
+      .map(doc => toRecord(clone(doc)));
+  }
+}
+
+module.exports = { MongoLLMUsageRepository, MemoryLLMUsageRepository };
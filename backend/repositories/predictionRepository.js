@@ -0,0 +1,126 @@
+// Prediction Repository - Stores tracked predictions and their validations
+const Prediction = require('../models/prediction');
+const { clone, toRecord, toDocument, validate } = require('./baseRepository');
+
+// Predictions saved before sources were recorded came from the sentiment agent
+function sourceQuery(source) {
+  return { source: { $in: source === 'sentiment' ? [source, null] : [source] } };
+}
+
+function matchesSource(doc, source) {
+  return !source || (doc.source || 'sentiment') === source;
+}
+
+class MongoPredictionRepository {
+  async save(prediction) {
+    const doc = await Prediction.create(toDocument(prediction, 'pred'));
+    return toRecord(doc.toObject());
+  }
+
+  async update(id, changes) {
+    const doc = await Prediction.findByIdAndUpdate(id, { $set: clone(changes) }, { new: true, runValidators: true }).lean();
+    return toRecord(doc);
+  }
+
+  async findById(id) {
+    return toRecord(await Prediction.findById(id).lean());
+  }
+
+  // filters: { source }
+  async findRecent(limit = 500, filters = {}) {
+    const docs = await Prediction.find(filters.source ? sourceQuery(filters.source) : {})
+      .sort({ timestamp: -1 })
+      .limit(limit)
+      .lean();
+    return docs.reverse().map(toRecord);
+  }
+
+  // Validated predictions made between from and to, oldest first (filters: { source, from, to })
+  async findValidated(filters = {}, limit = 5000) {
+    const query = { actualOutcome: { $ne: null } };
+    if (filters.source) Object.assign(query, sourceQuery(filters.source));
+    if (filters.from || filters.to) {
+      query.timestamp = {};
+      if (filters.from) query.timestamp.$gte = new Date(filters.from);
+      if (filters.to) query.timestamp.$lte = new Date(filters.to);
+    }
+    const docs = await Prediction.find(query).sort({ timestamp: -1 }).limit(limit).lean();
+    return docs.reverse().map(toRecord);
+  }
+
+  // Awaiting validation, oldest first (filters: { source }); predictions saved before statuses
+  // were recorded are pending until validated
+  async findPending(filters = {}) {
+    const query = { validationTime: null, status: { $in: ['PENDING', null] } };
+    if (filters.source) Object.assign(query, sourceQuery(filters.source));
+    const docs = await Prediction.find(query).sort({ timestamp: 1 }).lean();
+    return docs.map(toRecord);
+  }
+
+  // Final-signal predictions tracked for the given signals
+  async findBySignalIds(signalIds) {
+    const docs = await Prediction.find({ source: 'signal', signalId: { $in: signalIds } }).lean();
+    return docs.map(toRecord);
+  }
+}
+
+class MemoryPredictionRepository {
+  constructor() {
+    this.predictions = new Map();
+  }
+
+  async save(prediction) {
+    const doc = toDocument(prediction, 'pred');
+    validate(Prediction, doc);
+    this.predictions.set(doc._id, doc);
+    return toRecord(clone(doc));
+  }
+
+  async update(id, changes) {
+    const existing = this.predictions.get(id);
+    if (!existing) return null;
+
+    const doc = { ...existing, ...clone(changes) };
+    validate(Prediction, doc);
+    this.predictions.set(id, doc);
+    return toRecord(clone(doc));
+  }
+
+  async findById(id) {
+    return toRecord(clone(this.predictions.get(id)));
+  }
+
+  // Oldest first, matching the order PerformanceTracker keeps in memory
+  async findRecent(limit = 500, filters = {}) {
+    return Array.from(this.predictions.values())
+      .filter(doc => matchesSource(doc, filters.source))
+      .sort((a, b) => a.timestamp - b.timestamp)
+      .slice(-limit)
+      .map(doc => toRecord(clone(doc)));
+  }
+
+  async findValidated(filters = {}, limit = 5000) {
+    return Array.from(this.predictions.values())
+      .filter(doc => doc.actualOutcome !== null && doc.actualOutcome !== undefined && matchesSource(doc, filters.source))
+      .filter(doc => (!filters.from || doc.timestamp >= new Date(filters.from)) && (!filters.to || doc.timestamp <= new Date(filters.to)))
+      .sort((a, b) => a.timestamp - b.timestamp)
+      .slice(-limit)
+      .map(doc => toRecord(clone(doc)));
+  }
+
+  async findPending(filters = {}) {
+    return Array.from(this.predictions.values())
+      .filter(doc => !doc.validationTime && (doc.status || 'PENDING') === 'PENDING' && matchesSource(doc, filters.source))
+      .sort((a, b) => a.timestamp - b.timestamp)
+      .map(doc => toRecord(clone(doc)));
+  }
+
+  async findBySignalIds(signalIds) {
+    const ids = new Set(signalIds);
+    return Array.from(this.predictions.values())
+      .filter(doc => doc.source === 'signal' && ids.has(doc.signalId))
+      .map(doc => toRecord(clone(doc)));
+  }
+}
+
+module.exports = { MongoPredictionRepository, MemoryPredictionRepository };
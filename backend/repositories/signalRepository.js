@@ -0,0 +1,108 @@
+// Signal Repository - Stores final trading signals
+const TradingSignal = require('../models/tradingSignal');
+const { clone, toRecord, toDocument, validate, encodeCursor, decodeCursor } = require('./baseRepository');
+
+// Page of results plus the cursor for the next one (fetches limit + 1 to detect more)
+function toPage(records, limit) {
+  const hasMore = records.length > limit;
+  const signals = records.slice(0, limit);
+  return {
+    signals,
+    nextCursor: hasMore ? encodeCursor(signals[signals.length - 1]) : null,
+    hasMore
+  };
+}
+
+class MongoSignalRepository {
+  async save(signal) {
+    const doc = await TradingSignal.create(toDocument(signal, 'sig'));
+    return toRecord(doc.toObject());
+  }
+
+  async findById(id) {
+    return toRecord(await TradingSignal.findById(id).lean());
+  }
+
+  async findLatest() {
+    return toRecord(await TradingSignal.findOne().sort({ timestamp: -1 }).lean());
+  }
+
+  async findRecent(limit = 20) {
+    const docs = await TradingSignal.find().sort({ timestamp: -1 }).limit(limit).lean();
+    return docs.map(toRecord);
+  }
+
+  // filters: { from, to, signal, minConfidence }, newest first
+  async find(filters = {}, { limit = 20, cursor } = {}) {
+    const query = {};
+    if (filters.from || filters.to) {
+      query.timestamp = {};
+      if (filters.from) query.timestamp.$gte = filters.from;
+      if (filters.to) query.timestamp.$lte = filters.to;
+    }
+    if (filters.signal) query.signal = filters.signal;
+    if (filters.minConfidence !== undefined) query.confidence = { $gte: filters.minConfidence };
+
+    if (cursor) {
+      const after = decodeCursor(cursor);
+      query.$or = [
+        { timestamp: { $lt: after.timestamp } },
+        { timestamp: after.timestamp, _id: { $lt: after.id } }
+      ];
+    }
+
+    const docs = await TradingSignal.find(query)
+      .sort({ timestamp: -1, _id: -1 })
+      .limit(limit + 1)
+      .lean();
+    return toPage(docs.map(toRecord), limit);
+  }
+}
+
+class MemorySignalRepository {
+  constructor() {
+    this.signals = new Map();
+  }
+
+  async save(signal) {
+    const doc = toDocument(signal, 'sig');
+    validate(TradingSignal, doc);
+    this.signals.set(doc._id, doc);
+    return toRecord(clone(doc));
+  }
+
+  async findById(id) {
+    return toRecord(clone(this.signals.get(id)));
+  }
+
+  async findLatest() {
+    return (await this.findRecent(1))[0] || null;
+  }
+
+  async findRecent(limit = 20) {
+    return Array.from(this.signals.values())
+      .sort((a, b) => b.timestamp - a.timestamp)
+      .slice(0, limit)
+      .map(doc => toRecord(clone(doc)));
+  }
+
+  async find(filters = {}, { limit = 20, cursor } = {}) {
+    const after = cursor ? decodeCursor(cursor) : null;
+
+    const docs = Array.from(this.signals.values())
+      .filter(doc =>
+        (!filters.from || doc.timestamp >= filters.from) &&
+        (!filters.to || doc.timestamp <= filters.to) &&
+        (!filters.signal || doc.signal === filters.signal) &&
+        (filters.minConfidence === undefined || doc.confidence >= filters.minConfidence) &&
+        (!after || doc.timestamp < after.timestamp ||
+          (doc.timestamp.getTime() === after.timestamp.getTime() && doc._id < after.id))
+      )
+      .sort((a, b) => (b.timestamp - a.timestamp) || (a._id < b._id ? 1 : a._id > b._id ? -1 : 0))
+      .slice(0, limit + 1)
+      .map(doc => toRecord(clone(doc)));
+    return toPage(docs, limit);
+  }
+}
+
+module.exports = { MongoSignalRepository, MemorySignalRepository };
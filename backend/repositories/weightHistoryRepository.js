@@ -0,0 +1,52 @@
+// Weight History Repository - Every change made to the orchestrator's agent weights
+const AgentWeightChange = require('../models/agentWeightChange');
+const { clone, toRecord, toDocument, validate } = require('./baseRepository');
+
+const MAX_MEMORY_RECORDS = 5000;
+
+class MongoWeightHistoryRepository {
+  async save(change) {
+    const doc = await AgentWeightChange.create(toDocument(change, 'wts'));
+    return toRecord(doc.toObject());
+  }
+
+  // Newest first
+  async findRecent(limit = 100) {
+    const docs = await AgentWeightChange.find().sort({ timestamp: -1 }).limit(limit).lean();
+    return docs.map(toRecord);
+  }
+
+  async findLatest() {
+    const [latest] = await this.findRecent(1);
+    return latest || null;
+  }
+}
+
+class MemoryWeightHistoryRepository {
+  constructor() {
+    this.records = [];
+  }
+
+  async save(change) {
+    const doc = toDocument(change, 'wts');
+    validate(AgentWeightChange, doc);
+    this.records.push(doc);
+    if (this.records.length > MAX_MEMORY_RECORDS) this.records.shift();
+    return toRecord(clone(doc));
+  }
+
+  async findRecent(limit = 100) {
+    return this.records
+      .slice()
+      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+      .slice(0, limit)
+      .map(doc => toRecord(clone(doc)));
+  }
+
+  async findLatest() {
+    const [latest] = await this.findRecent(1);
+    return latest || null;
+  }
+}
+
+module.exports = { MongoWeightHistoryRepository, MemoryWeightHistoryRepository };
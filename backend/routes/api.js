@@ -3,15 +3,43 @@ const express = require('express');
 const router = express.Router();
 const agentOrchestrator = require('../services/agentOrchestrator');
 const marketData = require('../services/marketData');
+const backtester = require('../services/backtester');
+const paperBroker = require('../services/paperBroker');
+const executionService = require('../services/executionService');
+const tradingCalendar = require('../services/tradingCalendar');
+const scheduler = require('../services/scheduler');
+const runCoordinator = require('../services/runCoordinator');
+const llm = require('../services/llm');
+const llmUsage = require('../services/llm/usage');
+const adaptiveWeights = require('../services/adaptiveWeights');
+const forecastScoring = require('../services/forecastScoring');
+const confidenceCalibration = require('../services/confidenceCalibration');
+const intradayChart = require('../services/intradayChart');
+const niftyUniverse = require('../services/niftyUniverse');
+const repositories = require('../repositories');
+const { decodeCursor } = require('../repositories/baseRepository');
+const { istDateKey } = require('../services/providers/baseProvider');
 
-// Get current trading signal
+// Get current trading signal; served from cache while fresh (query: refresh=true to skip the cache,
+// strategy to combine the same agent results with another aggregation strategy)
 router.get('/signal', async (req, res) => {
   try {
     console.log('API: Getting current trading signal...');
-    const signal = await agentOrchestrator.runAnalysis();
+    const { strategy } = req.query;
+    if (strategy && !agentOrchestrator.strategies.has(strategy)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid strategy',
+        message: `Valid strategies: ${[...agentOrchestrator.strategies.keys()].join(', ')}`
+      });
+    }
+
+    const maxAgeMs = req.query.refresh === 'true' ? 0 : undefined;
+    const { signal, source, runId, ageMs } = await runCoordinator.getSignal({ maxAgeMs });
     res.json({
       success: true,
-      data: signal
+      data: strategy ? agentOrchestrator.reaggregate(signal, strategy) : signal,
+      meta: { source, runId, ageMs }
     });
   } catch (error) {
     console.error('API Error - /signal:', error);
@@ -49,7 +77,10 @@ router.get('/nifty50-stocks', async (req, res) => {
     const data = await marketData.getNifty50Stocks();
     res.json({
       success: true,
-      data: data
+      data: data,
+      breadth: niftyUniverse.breadth(data),
+      sectors: niftyUniverse.sectorPerformance(data),
+      universe: { index: niftyUniverse.index, effectiveDate: niftyUniverse.effectiveDate, count: niftyUniverse.constituents.length }
     });
   } catch (error) {
     console.error('API Error - /nifty50-stocks:', error);
@@ -61,17 +92,27 @@ router.get('/nifty50-stocks', async (req, res) => {
   }
 });
 
+// Index constituents with sectors and weights from the constituents file
+router.get('/universe', (req, res) => {
+  res.json({
+    success: true,
+    data: niftyUniverse.describe()
+  });
+});
+
 // Get historical data for specific stock
 router.get('/historical/:symbol', async (req, res) => {
   try {
     const { symbol } = req.params;
-    const { period = '1d', interval = '5m' } = req.query;
+    const { interval = '5m' } = req.query;
     
     console.log(`API: Getting historical data for ${symbol}...`);
-    const data = await marketData.getHistoricalData(symbol, period, interval);
+    const series = await marketData.getCandleSeries(symbol, interval);
     res.json({
       success: true,
-      data: data
+      data: series.candles,
+      provenance: series.provenance,
+      source: series.source
     });
   } catch (error) {
     console.error(`API Error - /historical/${req.params.symbol}:`, error);
@@ -90,17 +131,18 @@ router.get('/technical-indicators/:symbol', async (req, res) => {
     console.log(`API: Getting technical indicators for ${symbol}...`);
     
     // Get historical data first
-    const historicalData = await marketData.getHistoricalData(symbol, '1d', '5m');
+    const series = await marketData.getCandleSeries(symbol, '5m');
     
     // Calculate basic technical indicators
-    const indicators = calculateTechnicalIndicators(historicalData);
+    const indicators = calculateTechnicalIndicators(series.candles);
     
     res.json({
       success: true,
       data: {
         symbol: symbol,
         timestamp: new Date(),
-        indicators: indicators
+        indicators: indicators,
+        provenance: series.provenance
       }
     });
   } catch (error) {
@@ -113,35 +155,91 @@ router.get('/technical-indicators/:symbol', async (req, res) => {
   }
 });
 
+// Registered analysis agents with their weights, roles and timeouts
+router.get('/agents', (req, res) => {
+  res.json({
+    success: true,
+    data: agentOrchestrator.registry.describe()
+  });
+});
+
+// Current agent weights, the configured defaults and the latest outcome-based estimate
+router.get('/agents/weights', (req, res) => {
+  res.json({
+    success: true,
+    data: adaptiveWeights.describe()
+  });
+});
+
+// Every weight change with the hit rates behind it, newest first (query: limit)
+router.get('/agents/weights/history', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+    res.json({
+      success: true,
+      data: await adaptiveWeights.getHistory(limit)
+    });
+  } catch (error) {
+    console.error('API Error - /agents/weights/history:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load weight history',
+      message: error.message
+    });
+  }
+});
+
+// Re-estimate the weights from validated signals now instead of waiting for the next validation
+router.post('/agents/weights/reestimate', async (req, res) => {
+  try {
+    const change = await agentOrchestrator.updateWeights();
+    res.json({
+      success: true,
+      data: { changed: Boolean(change), change, ...adaptiveWeights.describe() }
+    });
+  } catch (error) {
+    console.error('API Error - /agents/weights/reestimate:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to re-estimate agent weights',
+      message: error.message
+    });
+  }
+});
+
+// Return to the configured weights; learning continues from there
+router.post('/agents/weights/reset', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await adaptiveWeights.reset()
+    });
+  } catch (error) {
+    console.error('API Error - /agents/weights/reset:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reset agent weights',
+      message: error.message
+    });
+  }
+});
+
 // Run specific agent analysis
 router.get('/agent/:agentType', async (req, res) => {
   try {
     const { agentType } = req.params;
-    console.log(`API: Running ${agentType} agent analysis...`);
-    
-    let result;
-    const orchestrator = agentOrchestrator;
-    
-    switch (agentType.toLowerCase()) {
-      case 'technical':
-        result = await orchestrator.technicalAgent.analyze();
-        break;
-      case 'sentiment':
-        result = await orchestrator.sentimentAgent.analyze();
-        break;
-      case 'research':
-        result = await orchestrator.researchAgent.analyze();
-        break;
-      case 'risk':
-        result = await orchestrator.riskAgent.analyze();
-        break;
-      default:
-        return res.status(400).json({
-          success: false,
-          error: 'Invalid agent type',
-          message: 'Valid agents: technical, sentiment, research, risk'
-        });
+    const { registry } = agentOrchestrator;
+    const definition = registry.get(agentType) || registry.get(agentType.toLowerCase());
+    if (!definition) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid agent type',
+        message: `Valid agents: ${registry.ids().join(', ')}`
+      });
     }
+
+    console.log(`API: Running ${agentType} agent analysis...`);
+    const result = await definition.agent.analyze();
     
     res.json({
       success: true,
@@ -161,6 +259,567 @@ router.get('/agent/:agentType', async (req, res) => {
   }
 });
 
+// Signal history (query: from, to, signal, minConfidence, cursor, limit)
+router.get('/signals', async (req, res) => {
+  let query;
+  try {
+    query = parseSignalHistoryQuery(req.query);
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid query',
+      message: error.message
+    });
+  }
+
+  try {
+    const page = await repositories.signals.find(query.filters, query.options);
+    res.json({
+      success: true,
+      data: await withOutcomes(page.signals),
+      pagination: {
+        limit: query.options.limit,
+        nextCursor: page.nextCursor,
+        hasMore: page.hasMore
+      }
+    });
+  } catch (error) {
+    console.error('API Error - /signals:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch signal history',
+      message: error.message
+    });
+  }
+});
+
+// Forecast scores over validated predictions per agent, call and IST hour
+// (query: source, from, to, agent, bins, window)
+router.get('/performance', async (req, res) => {
+  let options;
+  try {
+    options = parsePerformanceQuery(req.query);
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid query',
+      message: error.message
+    });
+  }
+
+  try {
+    res.json({
+      success: true,
+      data: await forecastScoring.getReport(options)
+    });
+  } catch (error) {
+    console.error('API Error - /performance:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to score predictions',
+      message: error.message
+    });
+  }
+});
+
+// Full stored signal with every agent's complete analysis
+router.get('/signals/:id', async (req, res) => {
+  try {
+    const signal = await repositories.signals.findById(req.params.id);
+    if (!signal) {
+      return res.status(404).json({
+        success: false,
+        error: 'Signal not found',
+        message: `No signal with id ${req.params.id}`
+      });
+    }
+
+    const outputs = await repositories.agentOutputs.findBySignal(signal.id);
+    const agentOutputs = {};
+    outputs.forEach(output => {
+      agentOutputs[output.agent] = output.output;
+    });
+    const [withOutcome] = await withOutcomes([signal]);
+
+    res.json({
+      success: true,
+      data: { ...withOutcome, agentOutputs }
+    });
+  } catch (error) {
+    console.error('API Error - /signals/:id:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch signal',
+      message: error.message
+    });
+  }
+});
+
+// Request a fresh analysis run; joins the waiting run if one is already queued
+router.post('/runs', (req, res) => {
+  const run = runCoordinator.enqueue('manual');
+  res.status(202).json({
+    success: true,
+    data: run
+  });
+});
+
+// In-progress run, queued run, cache age and recent runs
+router.get('/runs', (req, res) => {
+  res.json({
+    success: true,
+    data: runCoordinator.getStatus()
+  });
+});
+
+// Run status; completed runs include the resulting signal
+router.get('/runs/:id', (req, res) => {
+  const run = runCoordinator.getRun(req.params.id);
+  if (!run) {
+    return res.status(404).json({
+      success: false,
+      error: 'Run not found',
+      message: `No run with id ${req.params.id}`
+    });
+  }
+
+  res.json({
+    success: true,
+    data: run
+  });
+});
+
+// Replay the agents over stored candles (body: symbol, interval, from, to and backtest settings)
+router.post('/backtest', async (req, res) => {
+  try {
+    const body = req.body || {};
+    if (body.interval && !backtester.intervals.includes(body.interval)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid interval',
+        message: `Valid intervals: ${backtester.intervals.join(', ')}`
+      });
+    }
+
+    const options = backtestOptions(body);
+    console.log('API: Running backtest...', options);
+    const report = await backtester.run(options);
+    res.json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    console.error('API Error - /backtest:', error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Backtest failed',
+      message: error.message
+    });
+  }
+});
+
+// Same backtest once per aggregation strategy (body: strategies and backtest settings)
+router.post('/backtest/compare', async (req, res) => {
+  try {
+    const body = req.body || {};
+    if (!Array.isArray(body.strategies)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid strategies',
+        message: 'strategies must be an array, e.g. ["weighted", "bayesian"]'
+      });
+    }
+
+    const options = backtestOptions(body);
+    console.log(`API: Comparing ${body.strategies.join(', ')} in backtest...`, options);
+    const comparison = await backtester.compare(options, body.strategies);
+    res.json({
+      success: true,
+      data: comparison
+    });
+  } catch (error) {
+    console.error('API Error - /backtest/compare:', error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Backtest comparison failed',
+      message: error.message
+    });
+  }
+});
+
+// Aggregation strategies, the default in use and the stacking model's state
+router.get('/aggregation/strategies', (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      default: agentOrchestrator.defaultStrategy,
+      strategies: [...agentOrchestrator.strategies.values()].map(strategy => strategy.describe())
+    }
+  });
+});
+
+// Fit the stacking model on stored signals (body: from, to, horizonMinutes)
+router.post('/aggregation/stacking/train', async (req, res) => {
+  try {
+    const { from, to, horizonMinutes } = req.body || {};
+    const range = { from: from ? new Date(from) : undefined, to: to ? new Date(to) : undefined };
+    if (Object.values(range).some(date => date && isNaN(date.getTime()))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid date',
+        message: 'from and to must be ISO dates'
+      });
+    }
+
+    const model = await agentOrchestrator.getStrategy('stacking').train({
+      ...range,
+      horizonMinutes: horizonMinutes ? parseInt(horizonMinutes, 10) : undefined
+    });
+    res.json({
+      success: true,
+      data: model
+    });
+  } catch (error) {
+    console.error('API Error - /aggregation/stacking/train:', error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to train stacking model',
+      message: error.message
+    });
+  }
+});
+
+// Confidence calibration settings and each agent's fitted mapping
+router.get('/calibration', (req, res) => {
+  res.json({
+    success: true,
+    data: confidenceCalibration.describe()
+  });
+});
+
+// Refit the calibration from stored outcomes now (body: method isotonic | platt)
+router.post('/calibration/refit', async (req, res) => {
+  try {
+    const { method } = req.body || {};
+    if (method !== undefined && !confidenceCalibration.METHODS.includes(method)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid method',
+        message: `method must be one of ${confidenceCalibration.METHODS.join(', ')}`
+      });
+    }
+
+    const model = await confidenceCalibration.refit(method);
+    res.json({
+      success: true,
+      data: { fitted: Boolean(model), ...confidenceCalibration.describe() }
+    });
+  } catch (error) {
+    console.error('API Error - /calibration/refit:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to refit confidence calibration',
+      message: error.message
+    });
+  }
+});
+
+// Paper trading portfolio: cash, equity, realised/unrealised P&L and open positions
+router.get('/paper/portfolio', (req, res) => {
+  res.json({
+    success: true,
+    data: paperBroker.getPortfolio()
+  });
+});
+
+router.get('/paper/positions', (req, res) => {
+  res.json({
+    success: true,
+    data: paperBroker.getPositions()
+  });
+});
+
+// Paper orders, fills and closed trades, newest first (query: limit)
+router.get('/paper/orders', (req, res) => {
+  sendPaperHistory(req, res, limit => paperBroker.getOrders(limit));
+});
+
+router.get('/paper/fills', (req, res) => {
+  sendPaperHistory(req, res, limit => paperBroker.getFills(limit));
+});
+
+router.get('/paper/trades', (req, res) => {
+  sendPaperHistory(req, res, limit => paperBroker.getTrades(limit));
+});
+
+// Close an open paper position at the current market price
+router.post('/paper/positions/:symbol/close', async (req, res) => {
+  try {
+    const symbol = req.params.symbol;
+    if (!paperBroker.positions.has(symbol)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Position not found',
+        message: `No open paper position in ${symbol}`
+      });
+    }
+
+    const trade = await paperBroker.closePosition(symbol, 'MANUAL');
+    if (!trade) {
+      return res.status(503).json({
+        success: false,
+        error: 'Close failed',
+        message: 'No reliable price available, position left open'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: trade
+    });
+  } catch (error) {
+    console.error('API Error - /paper/positions/close:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Close failed',
+      message: error.message
+    });
+  }
+});
+
+// Flatten the paper book and start again (body: initialCapital, lotSize, ...)
+router.post('/paper/reset', (req, res) => {
+  const body = req.body || {};
+  if (body.initialCapital !== undefined && !(Number(body.initialCapital) > 0)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid capital',
+      message: 'initialCapital must be a positive number'
+    });
+  }
+
+  const options = {};
+  ['initialCapital', 'lotSize', 'positionFraction', 'minConfidence', 'allowShort'].forEach(key => {
+    if (body[key] !== undefined) options[key] = body[key];
+  });
+
+  res.json({
+    success: true,
+    data: paperBroker.reset(options)
+  });
+});
+
+// Broker orders, optionally only those placed for one signal (query: signalId)
+router.get('/broker/orders', async (req, res) => {
+  try {
+    const broker = executionService.broker;
+    const orders = req.query.signalId
+      ? await broker.getOrdersForSignal(req.query.signalId)
+      : await broker.getOrders();
+    res.json({
+      success: true,
+      data: orders
+    });
+  } catch (error) {
+    sendBrokerError(res, error, 'Failed to fetch orders');
+  }
+});
+
+router.get('/broker/orders/:orderId', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await executionService.broker.getOrder(req.params.orderId)
+    });
+  } catch (error) {
+    sendBrokerError(res, error, 'Failed to fetch order');
+  }
+});
+
+// Place an order (body: exchange, tradingSymbol, transactionType, quantity, product, orderType, price, triggerPrice, signalId)
+router.post('/broker/orders', requireOrderApi, async (req, res) => {
+  try {
+    const { orderId } = await executionService.broker.placeOrder(req.body || {});
+    res.status(201).json({
+      success: true,
+      data: await executionService.broker.getOrder(orderId)
+    });
+  } catch (error) {
+    sendBrokerError(res, error, 'Failed to place order');
+  }
+});
+
+// Modify a pending order (body: quantity, price, triggerPrice, orderType, validity)
+router.put('/broker/orders/:orderId', requireOrderApi, async (req, res) => {
+  try {
+    const { orderId } = await executionService.broker.modifyOrder(req.params.orderId, req.body || {});
+    res.json({
+      success: true,
+      data: await executionService.broker.getOrder(orderId)
+    });
+  } catch (error) {
+    sendBrokerError(res, error, 'Failed to modify order');
+  }
+});
+
+router.delete('/broker/orders/:orderId', requireOrderApi, async (req, res) => {
+  try {
+    const { orderId } = await executionService.broker.cancelOrder(req.params.orderId);
+    res.json({
+      success: true,
+      data: await executionService.broker.getOrder(orderId)
+    });
+  } catch (error) {
+    sendBrokerError(res, error, 'Failed to cancel order');
+  }
+});
+
+router.get('/broker/positions', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await executionService.broker.getPositions()
+    });
+  } catch (error) {
+    sendBrokerError(res, error, 'Failed to fetch positions');
+  }
+});
+
+router.get('/broker/holdings', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await executionService.broker.getHoldings()
+    });
+  } catch (error) {
+    sendBrokerError(res, error, 'Failed to fetch holdings');
+  }
+});
+
+router.get('/broker/margins', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await executionService.broker.getMargins()
+    });
+  } catch (error) {
+    sendBrokerError(res, error, 'Failed to fetch margins');
+  }
+});
+
+// Auto-execution status, risk limits and recent decisions
+router.get('/execution', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await executionService.getStatus()
+    });
+  } catch (error) {
+    sendBrokerError(res, error, 'Failed to fetch execution status');
+  }
+});
+
+// Execute a stored signal through the same risk checks as auto-execution
+router.post('/execution/signals/:id', requireOrderApi, async (req, res) => {
+  try {
+    const signal = await repositories.signals.findById(req.params.id);
+    if (!signal) {
+      return res.status(404).json({
+        success: false,
+        error: 'Signal not found',
+        message: `No signal with id ${req.params.id}`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await executionService.executeSignal(signal, 'manual')
+    });
+  } catch (error) {
+    sendBrokerError(res, error, 'Execution failed');
+  }
+});
+
+// Current NSE phase, today's session, the next session and scheduler state
+router.get('/market-status', (req, res) => {
+  res.json({
+    success: true,
+    data: scheduler.getStatus()
+  });
+});
+
+// The session's Nifty bars with each signal and the latest signal's target band, target and stop
+// (query: date as YYYY-MM-DD, default today once open, else the last session)
+router.get('/intraday', async (req, res) => {
+  const { date } = req.query;
+  if (date !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid query',
+      message: 'date must be YYYY-MM-DD'
+    });
+  }
+
+  try {
+    res.json({
+      success: true,
+      data: await intradayChart.getChart({ date })
+    });
+  } catch (error) {
+    console.error('API Error - /intraday:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to build intraday chart',
+      message: error.message
+    });
+  }
+});
+
+// NSE holidays and special sessions for a year (query: year, default current)
+router.get('/calendar/holidays', (req, res) => {
+  // Default to the current IST year, not the server's local one
+  const year = req.query.year === undefined ? Number(istDateKey(marketData.now()).slice(0, 4)) : Number(req.query.year);
+  if (!Number.isInteger(year) || year < 2000 || year > 2100) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid query',
+      message: 'year must be a four-digit year'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: tradingCalendar.getYear(year)
+  });
+});
+
+// LLM token usage and estimated cost, rolled up per IST day (defaults to the last 7 days)
+router.get('/llm/usage', async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    const isDateKey = value => value === undefined || /^\d{4}-\d{2}-\d{2}$/.test(value);
+    if (!isDateKey(from) || !isDateKey(to) || (from && to && from > to)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid query',
+        message: 'from and to must be YYYY-MM-DD dates with from <= to'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await llmUsage.getDailyUsage({ from, to })
+    });
+  } catch (error) {
+    console.error('API Error - /llm/usage:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load LLM usage',
+      message: error.message
+    });
+  }
+});
+
 // Health check endpoint
 router.get('/health', (req, res) => {
   res.json({
@@ -168,6 +827,8 @@ router.get('/health', (req, res) => {
     status: 'healthy',
     timestamp: new Date(),
     uptime: process.uptime(),
+    storage: repositories.backend,
+    llm: llm.describe(),
     message: 'Nifty Trading System API is running'
   });
 });
@@ -179,12 +840,50 @@ router.get('/docs', (req, res) => {
     title: 'Nifty Trading System API',
     version: '1.0.0',
     endpoints: {
-      'GET /api/signal': 'Get current multi-agent trading signal',
+      'GET /api/signal': 'Get current multi-agent trading signal (cached while fresh; query: refresh, strategy)',
+      'POST /api/runs': 'Queue an analysis run',
+      'GET /api/runs': 'Current, queued and recent analysis runs',
+      'GET /api/runs/:id': 'Analysis run status and result',
       'GET /api/market-data': 'Get current Nifty index data',
-      'GET /api/nifty50-stocks': 'Get all Nifty 50 stocks data',
-      'GET /api/historical/:symbol': 'Get historical data for symbol (query: period, interval)',
+      'GET /api/nifty50-stocks': 'Quotes for every Nifty 50 constituent with index-weighted breadth and sector moves',
+      'GET /api/universe': 'Nifty 50 constituents with sector, index weight and effective date',
+      'GET /api/historical/:symbol': 'Get historical data for symbol (query: interval)',
       'GET /api/technical-indicators/:symbol': 'Get technical indicators for symbol',
-      'GET /api/agent/:agentType': 'Run specific agent (technical, sentiment, research, risk)',
+      'GET /api/agents': 'Registered analysis agents (id, weight, role, timeout, backtest use)',
+      'GET /api/agents/weights': 'Current, default and last estimated agent weights with per-agent hit rates',
+      'GET /api/agents/weights/history': 'Agent weight changes with the evidence behind each, newest first (query: limit)',
+      'POST /api/agents/weights/reestimate': 'Re-estimate agent weights from validated signals now',
+      'POST /api/agents/weights/reset': 'Return agent weights to their configured defaults',
+      'GET /api/agent/:agentType': 'Run a specific registered agent (see /api/agents for ids)',
+      'GET /api/signals': 'Signal history with each signal\'s validated outcome (query: from, to, signal, minConfidence, cursor, limit)',
+      'GET /api/signals/:id': 'Stored signal with every agent\'s full analysis',
+      'GET /api/performance': 'Hit rate, Brier score, log loss, target error and calibration per agent (query: source, from, to, agent, bins, window)',
+      'POST /api/backtest': 'Backtest the agents over stored candles (body: symbol, interval, from, to, ...)',
+      'POST /api/backtest/compare': 'Backtest each aggregation strategy over the same bars (body: strategies, ...)',
+      'GET /api/aggregation/strategies': 'Aggregation strategies, the default and the stacking model',
+      'POST /api/aggregation/stacking/train': 'Train the stacking model on stored signals (body: from, to, horizonMinutes)',
+      'GET /api/calibration': 'Confidence calibration settings and each agent\'s fitted mapping',
+      'POST /api/calibration/refit': 'Refit confidence calibration from validated signals (body: method)',
+      'GET /api/paper/portfolio': 'Paper trading cash, equity, P&L and open positions',
+      'GET /api/paper/positions': 'Open paper positions with stop-loss and target',
+      'GET /api/paper/orders': 'Paper orders, newest first (query: limit)',
+      'GET /api/paper/fills': 'Paper fills with charges and slippage (query: limit)',
+      'GET /api/paper/trades': 'Closed paper trades with realised P&L (query: limit)',
+      'POST /api/paper/positions/:symbol/close': 'Close an open paper position at market',
+      'POST /api/paper/reset': 'Reset the paper portfolio (body: initialCapital, lotSize, ...)',
+      'GET /api/broker/orders': 'Broker orders (query: signalId)',
+      'POST /api/broker/orders': 'Place an order (body: exchange, tradingSymbol, transactionType, quantity, ...; needs EXECUTION_ORDER_API=true)',
+      'PUT /api/broker/orders/:orderId': 'Modify a pending order (needs EXECUTION_ORDER_API=true)',
+      'DELETE /api/broker/orders/:orderId': 'Cancel a pending order (needs EXECUTION_ORDER_API=true)',
+      'GET /api/broker/positions': 'Broker net positions with P&L',
+      'GET /api/broker/holdings': 'Broker delivery holdings',
+      'GET /api/broker/margins': 'Broker funds and margin usage',
+      'GET /api/execution': 'Auto-execution status, risk limits and recent decisions',
+      'POST /api/execution/signals/:id': 'Execute a stored signal through the risk checks (needs EXECUTION_ORDER_API=true)',
+      'GET /api/market-status': 'NSE market phase, session times and scheduler status',
+      'GET /api/intraday': 'Session 5-minute Nifty bars with signal markers, target band, target and stop (query: date)',
+      'GET /api/calendar/holidays': 'NSE holidays and special sessions (query: year)',
+      'GET /api/llm/usage': 'Daily LLM token usage, cost and budget (query: from, to)',
       'GET /api/health': 'Health check',
       'GET /api/docs': 'API documentation'
     },
@@ -196,11 +895,146 @@ router.get('/docs', (req, res) => {
       'Market sentiment analysis',
       'Risk management',
       'Price predictions',
-      '15-minute refresh cycle'
+      '15-minute refresh cycle during NSE sessions'
     ]
   });
 });
 
+// Backtest settings accepted from a request body
+function backtestOptions(body) {
+  const options = {};
+  backtester.optionKeys.forEach(key => {
+    if (body[key] !== undefined) options[key] = body[key];
+  });
+  return options;
+}
+
+// Helper function to answer broker failures with the status they carry
+function sendBrokerError(res, error, label) {
+  console.error(`API Error - ${label}:`, error.message);
+  res.status(error.statusCode || 500).json({
+    success: false,
+    error: label,
+    message: error.message
+  });
+}
+
+// Order-mutating broker routes are refused unless the order API is switched on (EXECUTION_ORDER_API)
+function requireOrderApi(req, res, next) {
+  if (executionService.settings.orderApi) return next();
+  res.status(403).json({
+    success: false,
+    error: 'Order API disabled',
+    message: 'Set EXECUTION_ORDER_API=true to place, modify or cancel orders through the API'
+  });
+}
+
+// Helper function to serve a bounded slice of paper trading history
+function sendPaperHistory(req, res, getHistory) {
+  const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > 500) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid query',
+      message: 'limit must be an integer between 1 and 500'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: getHistory(limit)
+  });
+}
+
+// Validated /performance query: source signal (final signals and their agents) or sentiment
+function parsePerformanceQuery(query) {
+  const options = {};
+  ['from', 'to'].forEach(key => {
+    if (query[key]) {
+      const date = new Date(query[key]);
+      if (isNaN(date.getTime())) {
+        throw new Error(`${key} must be an ISO date or timestamp`);
+      }
+      options[key] = date;
+    }
+  });
+
+  options.source = query.source || 'signal';
+  if (!['signal', 'sentiment'].includes(options.source)) {
+    throw new Error('source must be signal or sentiment');
+  }
+  if (query.agent) options.agent = String(query.agent);
+
+  if (query.bins !== undefined) {
+    options.bins = parseInt(query.bins, 10);
+    if (isNaN(options.bins) || options.bins < 2 || options.bins > 20) {
+      throw new Error('bins must be between 2 and 20');
+    }
+  }
+
+  if (query.window !== undefined) {
+    options.window = parseInt(query.window, 10);
+    if (isNaN(options.window) || options.window < 1 || options.window > 500) {
+      throw new Error('window must be between 1 and 500');
+    }
+  }
+  return options;
+}
+
+// Each signal with what became of it (null when it was never tracked, e.g. synthetic data)
+async function withOutcomes(signals) {
+  if (signals.length === 0) return signals;
+
+  const predictions = await repositories.predictions.findBySignalIds(signals.map(signal => signal.id));
+  const bySignal = new Map(predictions.map(prediction => [prediction.signalId, prediction]));
+  return signals.map(signal => {
+    const prediction = bySignal.get(signal.id);
+    return { ...signal, outcome: prediction ? forecastScoring.outcomeOf(prediction) : null };
+  });
+}
+
+// Helper function to validate signal history query parameters
+function parseSignalHistoryQuery(query) {
+  const filters = {};
+
+  ['from', 'to'].forEach(key => {
+    if (query[key]) {
+      const date = new Date(query[key]);
+      if (isNaN(date.getTime())) {
+        throw new Error(`${key} must be an ISO date or timestamp`);
+      }
+      filters[key] = date;
+    }
+  });
+
+  if (query.signal) {
+    const signal = String(query.signal).toUpperCase();
+    if (!['BUY', 'SELL', 'HOLD'].includes(signal)) {
+      throw new Error('signal must be one of BUY, SELL, HOLD');
+    }
+    filters.signal = signal;
+  }
+
+  if (query.minConfidence !== undefined) {
+    const minConfidence = Number(query.minConfidence);
+    if (isNaN(minConfidence) || minConfidence < 0 || minConfidence > 100) {
+      throw new Error('minConfidence must be a number between 0 and 100');
+    }
+    filters.minConfidence = minConfidence;
+  }
+
+  const limit = query.limit === undefined ? 20 : parseInt(query.limit, 10);
+  if (isNaN(limit) || limit < 1 || limit > 100) {
+    throw new Error('limit must be between 1 and 100');
+  }
+
+  if (query.cursor) {
+    decodeCursor(query.cursor);
+  }
+
+  return { filters, options: { limit, cursor: query.cursor } };
+}
+
 // Helper function to calculate basic technical indicators
 function calculateTechnicalIndicators(historicalData) {
   if (!historicalData || historicalData.length === 0) {
@@ -4,11 +4,16 @@ const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const http = require('http');
 const socketIo = require('socket.io');
-const cron = require('node-cron');
 require('dotenv').config();
 
 const apiRoutes = require('./routes/api');
 const agentOrchestrator = require('./services/agentOrchestrator');
+const repositories = require('./repositories');
+const paperBroker = require('./services/paperBroker');
+const executionService = require('./services/executionService');
+const scheduler = require('./services/scheduler');
+const intradayChart = require('./services/intradayChart');
+const llmUsage = require('./services/llm/usage');
 
 const app = express();
 const server = http.createServer(app);
@@ -47,6 +52,13 @@ app.get('/', (req, res) => {
       '/api/historical/:symbol': 'Get historical data',
       '/api/technical-indicators/:symbol': 'Get technical indicators', 
       '/api/agent/:agentType': 'Run specific agent',
+      '/api/signals': 'Signal history with filters and pagination',
+      '/api/signals/:id': 'Stored signal with full agent analysis',
+      '/api/backtest': 'Backtest the agents over stored candles (POST)',
+      '/api/paper/portfolio': 'Paper trading portfolio, positions and P&L',
+      '/api/broker/orders': 'Broker orders, place/modify/cancel',
+      '/api/execution': 'Auto-execution status and risk limits',
+      '/api/market-status': 'NSE session, holiday and scheduler status',
       '/api/health': 'Health check',
       '/api/docs': 'API documentation',
       '/api/latest-signal': 'Get latest cached signal',
@@ -63,6 +75,7 @@ io.on('connection', (socket) => {
   if (latestTradingSignal) {
     socket.emit('tradingSignal', latestTradingSignal);
   }
+  socket.emit('paperPortfolio', paperBroker.getPortfolio());
   
   socket.on('disconnect', () => {
     console.log('Client disconnected:', socket.id);
@@ -72,21 +85,6 @@ io.on('connection', (socket) => {
 // Global variable to store the latest trading signal
 let latestTradingSignal = null;
 
-// Cron job - Run analysis every 15 minutes
-cron.schedule('*/15 * * * *', async () => {
-  console.log('Running 15-minute analysis...');
-  try {
-    const signal = await agentOrchestrator.runAnalysis();
-    latestTradingSignal = signal;
-    
-    // Broadcast to all connected clients
-    io.emit('tradingSignal', signal);
-    console.log('Trading signal broadcasted:', signal);
-  } catch (error) {
-    console.error('Error in scheduled analysis:', error);
-  }
-});
-
 // Endpoint to get latest signal
 app.get('/api/latest-signal', (req, res) => {
   res.json(latestTradingSignal || { status: 'No signal available yet' });
@@ -99,20 +97,46 @@ app.get('/health', (req, res) => {
 
 const PORT = process.env.PORT || 5000;
 
-server.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-  console.log('Nifty 50 Trading System Backend Started');
-  
-  // Run initial analysis
-  setTimeout(async () => {
-    try {
-      const signal = await agentOrchestrator.runAnalysis();
-      latestTradingSignal = signal;
-      console.log('Initial analysis completed:', signal);
-    } catch (error) {
-      console.error('Error in initial analysis:', error);
-    }
-  }, 5000);
+async function start() {
+  // Restore persisted state before serving clients
+  await repositories.connect();
+  latestTradingSignal = await agentOrchestrator.getLatestSignal();
+  await agentOrchestrator.restore();
+  await llmUsage.restore();
+
+  // Paper-trade every signal and push portfolio changes to clients
+  paperBroker.attach(agentOrchestrator);
+  paperBroker.on('update', portfolio => io.emit('paperPortfolio', portfolio));
+
+  // Send signals to the broker only when AUTO_EXECUTE=true
+  executionService.attach(agentOrchestrator);
+  executionService.broker.on('order', order => io.emit('orderUpdate', order));
+
+  // Fresh bars and markers for the dashboard chart after each signal and through the session
+  intradayChart.attach(agentOrchestrator);
+  intradayChart.on('update', chart => io.emit('intradayChart', chart));
+
+  // Analysis runs only during NSE sessions; pre/post-market briefs go out once per trading day
+  scheduler.on('signal', signal => {
+    latestTradingSignal = signal;
+    io.emit('tradingSignal', signal);
+    console.log('Trading signal broadcasted:', signal);
+  });
+  scheduler.on('preMarket', brief => io.emit('marketBrief', brief));
+  scheduler.on('postMarket', summary => io.emit('marketBrief', summary));
+
+  server.listen(PORT, () => {
+    console.log(`Server running on port ${PORT}`);
+    console.log('Nifty 50 Trading System Backend Started');
+
+    // The first tick runs analysis straight away when a session is in progress
+    scheduler.start();
+  });
+}
+
+start().catch(error => {
+  console.error('❌ Failed to start server:', error);
+  process.exit(1);
 });
 
 module.exports = { app, io };
\ No newline at end of file
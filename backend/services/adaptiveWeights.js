@@ -0,0 +1,161 @@
+// Adaptive Weights - Re-estimates signal-agent weights from how often each agent called the validated move
+const agentRegistry = require('./agentRegistry');
+const repositories = require('../repositories');
+const config = require('../config');
+
+const round = value => Math.round(value * 10000) / 10000;
+
+// Scales weights to sum to total while keeping each within [min, max]; agents pinned at a bound
+// drop out and the rest are rescaled until nothing crosses a bound
+function normalizeWithBounds(weights, total, min, max) {
+  const result = { ...weights };
+  const pinned = new Set();
+
+  for (let pass = 0; pass <= Object.keys(result).length; pass++) {
+    const free = Object.keys(result).filter(id => !pinned.has(id));
+    const freeTotal = free.reduce((sum, id) => sum + result[id], 0);
+    const remaining = total - [...pinned].reduce((sum, id) => sum + result[id], 0);
+    if (free.length === 0) break;
+
+    free.forEach(id => {
+      result[id] = freeTotal > 0 ? result[id] * remaining / freeTotal : remaining / free.length;
+    });
+
+    const crossed = free.filter(id => result[id] < min || result[id] > max);
+    if (crossed.length === 0) break;
+    crossed.forEach(id => {
+      result[id] = Math.min(max, Math.max(min, result[id]));
+      pinned.add(id);
+    });
+  }
+  return result;
+}
+
+class AdaptiveWeights {
+  constructor() {
+    this.settings = config.agents.adaptiveWeights;
+    this.lastEstimate = null;
+  }
+
+  // Hit rates over the most recent attributed predictions and the weights they imply.
+  // Each agent moves towards defaultWeight * (Laplace-smoothed hit rate / 0.5) by learningRate;
+  // agents below minSamples keep their weight, and the rest share their current total weight
+  estimate(predictions) {
+    const { windowSize, minSamples, minWeight, maxWeight, learningRate } = this.settings;
+    const window = predictions
+      .filter(p => p.attribution)
+      .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+      .slice(-windowSize);
+
+    const agents = {};
+    const targets = {};
+    agentRegistry.list({ role: 'signal' }).forEach(definition => {
+      const calls = window.map(p => p.attribution[definition.id]).filter(Boolean);
+      const hits = calls.filter(call => call.agreed).length;
+      agents[definition.id] = {
+        samples: calls.length,
+        hits,
+        hitRate: calls.length > 0 ? round(hits / calls.length) : null,
+        eligible: calls.length >= minSamples
+      };
+
+      if (calls.length >= minSamples) {
+        const skill = (hits + 1) / (calls.length + 2);
+        const target = definition.defaultWeight * skill / 0.5;
+        targets[definition.id] = definition.weight + learningRate * (target - definition.weight);
+      }
+    });
+
+    const current = agentRegistry.weights();
+    const eligibleTotal = Object.keys(targets).reduce((sum, id) => sum + current[id], 0);
+    const adjusted = normalizeWithBounds(targets, eligibleTotal, minWeight, maxWeight);
+    const weights = { ...current };
+    Object.entries(adjusted).forEach(([id, weight]) => { weights[id] = round(weight); });
+
+    return {
+      timestamp: new Date(),
+      window: {
+        samples: window.length,
+        from: window.length > 0 ? window[0].timestamp : null,
+        to: window.length > 0 ? window[window.length - 1].timestamp : null
+      },
+      agents,
+      weights
+    };
+  }
+
+  // Re-estimates from the given predictions and applies the result if any weight moves enough.
+  // Returns the recorded change, or null when nothing changed
+  async update(predictions) {
+    if (!this.settings.enabled) return null;
+
+    const estimate = this.estimate(predictions);
+    this.lastEstimate = estimate;
+    const previous = agentRegistry.weights();
+    const largestChange = Math.max(0, ...Object.keys(estimate.weights)
+      .map(id => Math.abs(estimate.weights[id] - previous[id])));
+    if (largestChange < this.settings.minChange) return null;
+
+    agentRegistry.setWeights(estimate.weights);
+    const change = await this.record('adaptive', previous, estimate);
+    console.log(`⚖️ Agent weights re-estimated from ${estimate.window.samples} validated signals:`,
+      Object.entries(estimate.weights).map(([id, weight]) => `${id}=${weight}`).join(', '));
+    return change;
+  }
+
+  // Back to the configured weights, recorded so the history explains the jump
+  async reset() {
+    const previous = agentRegistry.weights();
+    agentRegistry.setWeights(agentRegistry.defaultWeights());
+    this.lastEstimate = null;
+    return this.record('reset', previous, { weights: agentRegistry.weights(), window: { samples: 0 }, agents: {} });
+  }
+
+  async record(reason, previous, estimate) {
+    const change = {
+      timestamp: new Date(),
+      reason,
+      weights: estimate.weights,
+      previous,
+      window: estimate.window,
+      agents: estimate.agents
+    };
+    try {
+      return await repositories.weightHistory.save(change);
+    } catch (error) {
+      console.error('⚠️ Failed to persist weight change:', error.message);
+      return change;
+    }
+  }
+
+  // Reapply the latest learned weights after a restart
+  async restore() {
+    if (!this.settings.enabled) return;
+    try {
+      const latest = await repositories.weightHistory.findLatest();
+      if (latest) {
+        agentRegistry.setWeights(latest.weights);
+        console.log(`⚖️ Restored agent weights from ${new Date(latest.timestamp).toISOString()} (${latest.reason})`);
+      }
+    } catch (error) {
+      console.error('⚠️ Failed to restore agent weights:', error.message);
+    }
+  }
+
+  async getHistory(limit = 50) {
+    return repositories.weightHistory.findRecent(limit);
+  }
+
+  describe() {
+    return {
+      enabled: this.settings.enabled,
+      settings: this.settings,
+      weights: agentRegistry.weights(),
+      defaults: agentRegistry.defaultWeights(),
+      lastEstimate: this.lastEstimate
+    };
+  }
+}
+
+module.exports = new AdaptiveWeights();
+module.exports.normalizeWithBounds = normalizeWithBounds;
@@ -1,61 +1,85 @@
 // Agent Orchestrator - Coordinates all agents and generates final trading signal
-const TechnicalAnalysisAgent = require('../agents/technicalAnalysis');
-const MarketSentimentAgent = require('../agents/marketSentiment');
-const ResearchAgent = require('../agents/research');
-const RiskManagementAgent = require('../agents/riskManagement');
-const marketData = require('./marketData');
-
-class AgentOrchestrator {
+const EventEmitter = require('events');
+const config = require('../config');
+const agentRegistry = require('./agentRegistry');
+const { AGENT_STATUS } = agentRegistry;
+const { createBuiltInAgents } = require('../agents');
+const { createStrategy, STRATEGY_NAMES, strategyError } = require('./aggregation');
+const marketSnapshot = require('./marketSnapshot');
+const PerformanceTracker = require('./performanceTracker');
+const adaptiveWeights = require('./adaptiveWeights');
+const confidenceCalibration = require('./confidenceCalibration');
+const repositories = require('../repositories');
+const { createId } = require('../repositories/baseRepository');
+const { PROVENANCE, worstProvenance, isSynthetic } = require('./provenance');
+
+// Emits 'signal' with every final signal produced by a run
+class AgentOrchestrator extends EventEmitter {
   constructor() {
-    this.technicalAgent = new TechnicalAnalysisAgent();
-    this.sentimentAgent = new MarketSentimentAgent();
-    this.researchAgent = new ResearchAgent();
-    this.riskAgent = new RiskManagementAgent();
-    
-    this.agentWeights = {
-      technical: 0.35,      // Technical analysis gets highest weight
-      sentiment: 0.25,      // Market sentiment
-      research: 0.25,       // Research and fundamentals
-      risk: 0.15           // Risk management (modifier)
-    };
+    super();
+    this.registry = agentRegistry;
+    createBuiltInAgents().forEach(definition => this.registry.register(definition));
+    this.registry.loadPlugins();
+
+    this.strategies = new Map(STRATEGY_NAMES.map(name => [name, createStrategy(name, config.aggregation)]));
+    this.defaultStrategy = this.getStrategy(config.aggregation.strategy).name;
+
+    // Final signals are validated like the sentiment agent's calls; each outcome re-estimates the weights
+    this.signalTracker = new PerformanceTracker({ source: 'signal' });
+    this.signalTracker.on('validated', () => {
+      this.updateWeights();
+      confidenceCalibration.noteValidation();
+    });
+  }
+
+  getStrategy(name = this.defaultStrategy) {
+    if (!this.strategies.has(name)) {
+      throw strategyError(`Unknown aggregation strategy: ${name} (valid: ${STRATEGY_NAMES.join(', ')})`);
+    }
+    return this.strategies.get(name);
+  }
+
+  get agentWeights() {
+    return this.registry.weights();
   }
 
   async runAnalysis() {
     console.log('Starting multi-agent analysis...');
     
     try {
-      // Get current market data
-      const currentMarketData = await marketData.getNiftyIndexData();
+      // Fetch market data once so every agent sees the same prices
+      const snapshot = await marketSnapshot.capture();
+      const currentMarketData = snapshot.niftyData;
       
-      // Run all agents in parallel
-      const [technicalResult, sentimentResult, researchResult, riskResult] = await Promise.all([
-        this.technicalAgent.analyze(),
-        this.sentimentAgent.analyze(),
-        this.researchAgent.analyze(),
-        this.riskAgent.analyze()
-      ]);
+      // Run all registered agents in parallel, then map their confidences to observed hit rates
+      const results = this.calibrateResults(await this.runAgents(snapshot));
+      const riskResult = this.riskResult(results);
 
       // Aggregate results
-      const aggregatedSignal = this.aggregateSignals({
-        technical: technicalResult,
-        sentiment: sentimentResult,
-        research: researchResult,
-        risk: riskResult
-      });
+      const dataProvenance = this.summariseProvenance(currentMarketData, results);
+      const aggregatedSignal = this.applyProvenanceGuard(this.aggregateSignals(results), dataProvenance);
+      const rawConfidence = aggregatedSignal.actionable === false
+        ? aggregatedSignal.confidence
+        : this.aggregateSignals(this.uncalibratedResults(results)).confidence;
 
       // Calculate price prediction
-      const pricePrediction = this.calculatePricePrediction(
-        currentMarketData,
-        { technical: technicalResult, sentiment: sentimentResult, research: researchResult }
-      );
+      const pricePrediction = this.calculatePricePrediction(currentMarketData, results);
 
       // Generate final trading signal
       const finalSignal = {
-        timestamp: new Date(),
+        id: createId('sig'),
+        timestamp: snapshot.timestamp,
+        snapshotId: snapshot.id,
         currentPrice: currentMarketData.currentPrice,
         signal: aggregatedSignal.action,
         confidence: aggregatedSignal.confidence,
+        // What confidence would have been from the agents' uncalibrated confidences
+        rawConfidence: rawConfidence,
         reasoning: aggregatedSignal.reasoning,
+        strategy: aggregatedSignal.strategy,
+        actionable: aggregatedSignal.actionable,
+        suppressedAction: aggregatedSignal.suppressedAction,
+        dataProvenance: dataProvenance,
         pricePrediction: pricePrediction,
         timeframe: '15min',
         marketData: {
@@ -66,39 +90,21 @@ class AgentOrchestrator {
           high: currentMarketData.high,
           low: currentMarketData.low
         },
-        agentResults: {
-          technical: {
-            signal: technicalResult.signal,
-            confidence: technicalResult.confidence,
-            key_indicators: this.extractKeyIndicators(technicalResult)
-          },
-          sentiment: {
-            signal: sentimentResult.signal,
-            confidence: sentimentResult.confidence,
-            market_mood: this.extractMarketMood(sentimentResult)
-          },
-          research: {
-            signal: researchResult.signal,
-            confidence: researchResult.confidence,
-            key_factors: this.extractResearchFactors(researchResult)
-          },
-          risk: {
-            signal: riskResult.signal,
-            confidence: riskResult.confidence,
-            risk_level: this.extractRiskLevel(riskResult),
-            recommendations: riskResult.recommendations || []
-          }
-        },
+        agentResults: this.summariseResults(results),
         recommendations: this.generateRecommendations(aggregatedSignal, riskResult),
-        nextAnalysis: new Date(Date.now() + 15 * 60 * 1000) // Next analysis in 15 minutes
+        nextAnalysis: new Date(snapshot.timestamp.getTime() + 15 * 60 * 1000) // Next analysis in 15 minutes
       };
 
+      await this.persistSignal(finalSignal, results);
+      await this.trackSignal(finalSignal, snapshot, results);
+
       console.log('Multi-agent analysis completed:', {
         signal: finalSignal.signal,
         confidence: finalSignal.confidence,
         prediction: pricePrediction
       });
 
+      this.publishSignal(finalSignal);
       return finalSignal;
       
     } catch (error) {
@@ -107,46 +113,228 @@ class AgentOrchestrator {
     }
   }
 
-  aggregateSignals(results) {
-    const signals = {
-      BUY: 0,
-      SELL: 0,
-      HOLD: 0
-    };
+  // Storage failures are logged but never block a signal from being published
+  async persistSignal(finalSignal, results) {
+    try {
+      await repositories.signals.save(finalSignal);
+      await repositories.agentOutputs.saveForSignal(finalSignal.id, results);
+    } catch (error) {
+      console.error(`⚠️ Failed to persist signal ${finalSignal.id}:`, error.message);
+    }
+  }
 
-    let totalConfidence = 0;
-    let validAgents = 0;
-    const reasoningParts = [];
+  // Records which agents made which call so the outcome can be attributed; synthetic-data runs are skipped
+  async trackSignal(finalSignal, snapshot, results) {
+    if (finalSignal.actionable === false) return;
+    try {
+      // Raw confidences, so calibration is always fitted on what the agents actually said
+      const agentCalls = Object.fromEntries(this.signalAgents(results).responded
+        .map(({ id, result }) => [id, { signal: result.signal, confidence: result.rawConfidence ?? result.confidence }]));
+      await this.signalTracker.trackPrediction(
+        finalSignal.signal,
+        finalSignal.confidence,
+        finalSignal.pricePrediction.targetPrice,
+        finalSignal.timestamp,
+        null,
+        snapshot,
+        { signalId: finalSignal.id, agentCalls }
+      );
+    } catch (error) {
+      console.error(`⚠️ Failed to track signal ${finalSignal.id}:`, error.message);
+    }
+  }
 
-    // Process each agent's signal
-    Object.keys(results).forEach(agentType => {
-      const result = results[agentType];
-      
-      if (result.signal && agentType !== 'risk') {
-        const weight = this.agentWeights[agentType];
-        const confidence = (result.confidence || 50) / 100;
-        const weightedScore = weight * confidence;
-
-        if (result.signal === 'BUY' || result.signal === 'APPROVE_TRADE') {
-          signals.BUY += weightedScore;
-        } else if (result.signal === 'SELL') {
-          signals.SELL += weightedScore;
-        } else {
-          signals.HOLD += weightedScore;
-        }
-
-        totalConfidence += result.confidence || 50;
-        validAgents++;
-        
-        reasoningParts.push(`${agentType}: ${result.signal} (${result.confidence}%)`);
+  async updateWeights() {
+    try {
+      return await adaptiveWeights.update(this.signalTracker.getAttributedPredictions());
+    } catch (error) {
+      console.error('⚠️ Failed to re-estimate agent weights:', error.message);
+      return null;
+    }
+  }
+
+  // A failing subscriber must not turn a good signal into an error signal
+  publishSignal(finalSignal) {
+    try {
+      this.emit('signal', finalSignal);
+    } catch (error) {
+      console.error(`⚠️ Signal subscriber failed for ${finalSignal.id}:`, error.message);
+    }
+  }
+
+  async getLatestSignal() {
+    try {
+      return await repositories.signals.findLatest();
+    } catch (error) {
+      console.error('⚠️ Failed to load latest signal:', error.message);
+      return null;
+    }
+  }
+
+  // Signal agents that responded get their confidence calibrated; the raw value is kept as
+  // rawConfidence. Backtests skip this stage so no fit made on later outcomes leaks into them
+  calibrateResults(results) {
+    const calibrated = { ...results };
+    this.signalAgents(results).responded.forEach(({ id, result }) => {
+      if (!confidenceCalibration.isCalibrated(id)) return;
+      calibrated[id] = {
+        ...result,
+        rawConfidence: result.confidence,
+        confidence: confidenceCalibration.apply(id, result.confidence)
+      };
+    });
+    return calibrated;
+  }
+
+  uncalibratedResults(results) {
+    return Object.fromEntries(Object.entries(results).map(([id, result]) =>
+      [id, result.rawConfidence === undefined ? result : { ...result, confidence: result.rawConfidence }]));
+  }
+
+  // Runs the given registry definitions against one snapshot; results keyed by agent id
+  async runAgents(snapshot, definitions = this.registry.list()) {
+    const outputs = await Promise.all(definitions.map(definition => this.runAgent(definition, snapshot)));
+    return Object.fromEntries(definitions.map((definition, index) => [definition.id, outputs[index]]));
+  }
+
+  // One failing, late or misbehaving agent falls back to a neutral result instead of
+  // failing or stalling the run. A late agent keeps running but its result is discarded.
+  async runAgent(definition, snapshot) {
+    let timer;
+    const deadline = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        const error = new Error(`Timed out after ${definition.timeoutMs}ms`);
+        error.code = AGENT_STATUS.TIMED_OUT;
+        reject(error);
+      }, definition.timeoutMs);
+    });
+
+    try {
+      const result = await Promise.race([definition.agent.analyze(snapshot), deadline]);
+      const problems = this.registry.validateOutput(definition.id, result);
+      if (problems.length > 0) {
+        throw new Error(`Invalid agent output: ${problems.join('; ')}`);
+      }
+      return result;
+    } catch (error) {
+      const status = error.code === AGENT_STATUS.TIMED_OUT ? AGENT_STATUS.TIMED_OUT : AGENT_STATUS.FAILED;
+      console.error(`❌ ${definition.name} ${status === AGENT_STATUS.TIMED_OUT ? 'timed out' : 'failed'}:`, error.message);
+      return this.registry.failedResult(definition, error, status);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  // Result of the first risk-role agent, if any ran
+  riskResult(results) {
+    const risk = this.registry.list({ role: 'risk' }).find(definition => results[definition.id]);
+    return risk ? results[risk.id] : null;
+  }
+
+  // Signal agents in this run, split by whether they produced a usable result
+  signalAgents(results) {
+    const responded = [];
+    const missing = [];
+    Object.entries(results).forEach(([id, result]) => {
+      const definition = this.registry.get(id);
+      if (!definition || definition.role !== 'signal') return;
+      const entry = { id, definition, result, status: this.registry.statusOf(result) };
+      (entry.status === AGENT_STATUS.OK ? responded : missing).push(entry);
+    });
+    return { responded, missing };
+  }
+
+  // Compact per-agent view carried on the signal; full outputs go to the agent output store
+  summariseResults(results) {
+    const summaries = {};
+    Object.entries(results).forEach(([id, result]) => {
+      const definition = this.registry.get(id);
+      let details = {};
+      try {
+        details = definition ? definition.summarize(result) : {};
+      } catch (error) {
+        console.error(`⚠️ Failed to summarise ${id} result:`, error.message);
+      }
+      summaries[id] = {
+        signal: result.signal,
+        confidence: result.confidence,
+        rawConfidence: result.rawConfidence ?? result.confidence,
+        status: this.registry.statusOf(result),
+        dataProvenance: result.dataProvenance,
+        ...(result.error ? { error: result.error } : {}),
+        ...details
+      };
+    });
+    return summaries;
+  }
+
+  // Reload state that agents keep between runs
+  async restore() {
+    for (const definition of this.registry.list()) {
+      if (typeof definition.agent.restore === 'function') {
+        await definition.agent.restore();
       }
+    }
+    // Weights first, so signals validated while restoring re-estimate from the learned weights
+    await adaptiveWeights.restore();
+    await this.signalTracker.restore();
+    if (confidenceCalibration.settings.enabled) {
+      try {
+        await confidenceCalibration.refit();
+      } catch (error) {
+        console.error('⚠️ Failed to refit confidence calibration:', error.message);
+      }
+    }
+  }
+
+  // results: agent results (or a stored signal's agentResults) keyed by agent id;
+  // options.weights overrides the registry weights (backtests pin them for the whole run)
+  aggregateSignals(results, strategyName = this.defaultStrategy, options = {}) {
+    const strategy = this.getStrategy(strategyName);
+    const reasoningParts = [];
+    const weightFor = ({ id, definition }) => options.weights?.[id] ?? definition.weight;
+
+    // Weights are renormalised over the agents that responded, so a missing agent's share
+    // is spread over the rest instead of being counted as a neutral vote
+    const { responded, missing } = this.signalAgents(results);
+    const weightOf = entries => entries.reduce((sum, entry) => sum + weightFor(entry), 0);
+    const respondedWeight = weightOf(responded);
+    const expectedWeight = respondedWeight + weightOf(missing);
+    const scale = respondedWeight > 0 ? expectedWeight / respondedWeight : 0;
+
+    const votes = responded.map(entry => ({
+      id: entry.id,
+      signal: entry.result.signal,
+      confidence: entry.result.confidence,
+      weight: weightFor(entry) * scale
+    }));
+    votes.forEach(vote => reasoningParts.push(`${vote.id}: ${vote.signal} (${vote.confidence}%)`));
+
+    // Missing agents cost confidence in proportion to the weight they carry
+    const missingShare = expectedWeight > 0 ? weightOf(missing) / expectedWeight : 0;
+    const missingModifier = 1 - config.agents.missingAgentPenalty * missingShare;
+    missing.forEach(({ id, status }) => reasoningParts.push(`${id}: ${status}`));
+    if (missing.length > 0) {
+      reasoningParts.push(`Missing agents: ${missing.map(entry => entry.id).join(', ')} - confidence reduced ${Math.round((1 - missingModifier) * 100)}%`);
+    }
+
+    const riskResult = this.riskResult(results);
+    const riskStatus = riskResult ? this.registry.statusOf(riskResult) : null;
+    const decision = strategy.decide({
+      votes,
+      risk: riskResult ? { signal: riskResult.signal, status: riskStatus } : null
     });
+    if (decision.note) reasoningParts.push(decision.note);
 
-    // Apply risk management modifier
-    const riskResult = results.risk;
+    // Apply risk management modifier; an unassessed risk is treated as a cautious trade
     let riskModifier = 1.0;
     
-    if (riskResult.signal === 'AVOID_TRADE') {
+    if (!riskResult) {
+      reasoningParts.push('Risk: NOT ASSESSED');
+    } else if (riskStatus !== AGENT_STATUS.OK) {
+      riskModifier = 0.7;
+      reasoningParts.push(`Risk: ${riskStatus} - Trade with caution`);
+    } else if (riskResult.signal === 'AVOID_TRADE') {
       riskModifier = 0.3; // Significantly reduce confidence
       reasoningParts.push('Risk: HIGH RISK - Trade discouraged');
     } else if (riskResult.signal === 'CAUTIOUS_TRADE') {
@@ -156,31 +344,82 @@ class AgentOrchestrator {
       reasoningParts.push('Risk: LOW - Trade approved');
     }
 
-    // Determine final signal
-    const maxSignal = Math.max(signals.BUY, signals.SELL, signals.HOLD);
-    let finalAction = 'HOLD';
-    
-    if (maxSignal === signals.BUY && signals.BUY > 0.4) {
-      finalAction = 'BUY';
-    } else if (maxSignal === signals.SELL && signals.SELL > 0.4) {
-      finalAction = 'SELL';
-    }
-
     // Calculate confidence
-    const baseConfidence = validAgents > 0 ? totalConfidence / validAgents : 50;
-    const adjustedConfidence = Math.round(baseConfidence * riskModifier);
+    const adjustedConfidence = Math.round(decision.confidence * riskModifier * missingModifier);
     const finalConfidence = Math.max(20, Math.min(95, adjustedConfidence));
 
     return {
-      action: finalAction,
+      action: decision.action,
       confidence: finalConfidence,
       reasoning: reasoningParts.join('; '),
+      strategy: strategy.name,
       signalStrength: {
-        BUY: Math.round(signals.BUY * 100),
-        SELL: Math.round(signals.SELL * 100),
-        HOLD: Math.round(signals.HOLD * 100)
+        BUY: Math.round(decision.scores.BUY * 100),
+        SELL: Math.round(decision.scores.SELL * 100),
+        HOLD: Math.round(decision.scores.HOLD * 100)
       },
-      riskAdjustment: Math.round((1 - riskModifier) * 100)
+      riskAdjustment: Math.round((1 - riskModifier) * 100),
+      missingAgents: missing.map(({ id, status }) => ({ id, status })),
+      missingAdjustment: Math.round((1 - missingModifier) * 100)
+    };
+  }
+
+  // The same run's agent results combined with another strategy (GET /api/signal?strategy=)
+  reaggregate(signal, strategyName) {
+    if (!signal || signal.error || !signal.agentResults || (signal.strategy || this.defaultStrategy) === strategyName) {
+      return signal;
+    }
+
+    const aggregated = this.applyProvenanceGuard(
+      this.aggregateSignals(signal.agentResults, strategyName),
+      signal.dataProvenance
+    );
+    return {
+      ...signal,
+      signal: aggregated.action,
+      confidence: aggregated.confidence,
+      reasoning: aggregated.reasoning,
+      strategy: aggregated.strategy,
+      actionable: aggregated.actionable,
+      suppressedAction: aggregated.suppressedAction,
+      recommendations: this.generateRecommendations(aggregated, this.riskResult(signal.agentResults))
+    };
+  }
+
+  // Provenance of the inputs behind this run. Core inputs are the index quote and the
+  // data of every agent registered with core: true (the technical and risk agents' candles).
+  summariseProvenance(currentMarketData, results) {
+    const agents = {};
+    Object.keys(results).forEach(agentType => {
+      agents[agentType] = results[agentType].dataProvenance || null;
+    });
+    const coreAgents = this.registry.list({ core: true }).map(definition => agents[definition.id]);
+
+    return {
+      overall: worstProvenance([currentMarketData.provenance, ...Object.values(agents)]),
+      core: worstProvenance([currentMarketData.provenance, ...coreAgents]),
+      marketData: currentMarketData.provenance,
+      agents
+    };
+  }
+
+  // Refuse to publish an actionable call when core inputs are generated prices
+  applyProvenanceGuard(aggregatedSignal, dataProvenance) {
+    if (!isSynthetic(dataProvenance.core)) {
+      const reasoning = dataProvenance.overall === PROVENANCE.LIVE
+        ? aggregatedSignal.reasoning
+        : `${aggregatedSignal.reasoning}; Data: ${dataProvenance.overall.toUpperCase()} inputs in use`;
+      return { ...aggregatedSignal, reasoning, actionable: true };
+    }
+
+    console.warn(`⚠️ Core market data is synthetic - suppressing ${aggregatedSignal.action} signal`);
+    return {
+      ...aggregatedSignal,
+      action: 'HOLD',
+      confidence: 0,
+      suppressedAction: aggregatedSignal.action,
+      reasoning: `SYNTHETIC DATA - signal suppressed (would have been ${aggregatedSignal.action}); ${aggregatedSignal.reasoning}`,
+      actionable: false
     };
   }
 
@@ -190,32 +429,16 @@ class AgentOrchestrator {
     let confidenceSum = 0;
     let agentCount = 0;
 
-    // Technical analysis prediction
-    if (agentResults.technical.signal === 'BUY') {
-      priceMovement += 0.8; // Expect 0.8% move up
-    } else if (agentResults.technical.signal === 'SELL') {
-      priceMovement -= 0.8;
-    }
-    confidenceSum += agentResults.technical.confidence || 50;
-    agentCount++;
-
-    // Sentiment analysis prediction
-    if (agentResults.sentiment.signal === 'BUY') {
-      priceMovement += 0.5; // Expect 0.5% move up
-    } else if (agentResults.sentiment.signal === 'SELL') {
-      priceMovement -= 0.5;
-    }
-    confidenceSum += agentResults.sentiment.confidence || 50;
-    agentCount++;
-
-    // Research analysis prediction
-    if (agentResults.research.signal === 'BUY') {
-      priceMovement += 0.6; // Expect 0.6% move up
-    } else if (agentResults.research.signal === 'SELL') {
-      priceMovement -= 0.6;
-    }
-    confidenceSum += agentResults.research.confidence || 50;
-    agentCount++;
+    // Each responding signal agent contributes its expected % move in the direction it calls
+    this.signalAgents(agentResults).responded.forEach(({ definition, result }) => {
+      if (result.signal === 'BUY') {
+        priceMovement += definition.expectedMovePct;
+      } else if (result.signal === 'SELL') {
+        priceMovement -= definition.expectedMovePct;
+      }
+      confidenceSum += result.confidence || 50;
+      agentCount++;
+    });
 
     // Calculate predicted price range
     const avgConfidence = agentCount > 0 ? confidenceSum / agentCount : 50;
@@ -244,56 +467,13 @@ class AgentOrchestrator {
     };
   }
 
-  extractKeyIndicators(technicalResult) {
-    if (!technicalResult.analysis) return {};
-    
-    return {
-      rsi: technicalResult.analysis.rsi?.value || 'N/A',
-      macd: technicalResult.analysis.macd?.action || 'NEUTRAL',
-      sma: technicalResult.analysis.sma?.signal || 'NEUTRAL',
-      bollinger: technicalResult.analysis.bollinger?.signal || 'NEUTRAL'
-    };
-  }
-
-  extractMarketMood(sentimentResult) {
-    if (!sentimentResult.analysis) return {};
-    
-    return {
-      overall: sentimentResult.analysis.overallSentiment?.sentiment || 'NEUTRAL',
-      breadth: sentimentResult.analysis.marketBreadth?.signal || 'NEUTRAL',
-      volume: sentimentResult.analysis.volumeAnalysis?.signal || 'NEUTRAL'
-    };
-  }
-
-  extractResearchFactors(researchResult) {
-    if (!researchResult.analysis) return {};
-    
-    return {
-      news: researchResult.analysis.newsAnalysis?.overallSentiment || 'NEUTRAL',
-      fundamentals: researchResult.analysis.fundamentalData?.recommendation || 'HOLD',
-      economic: researchResult.analysis.economicIndicators?.riskAssessment || 'MEDIUM',
-      global: researchResult.analysis.globalMarketImpact?.globalSentiment || 'NEUTRAL'
-    };
-  }
-
-  extractRiskLevel(riskResult) {
-    return {
-      overall: riskResult.riskScore ? this.getRiskCategory(riskResult.riskScore) : 'MEDIUM',
-      score: Math.round((riskResult.riskScore || 0.5) * 100),
-      volatility: riskResult.analysis?.volatilityRisk?.level || 'MEDIUM',
-      liquidity: riskResult.analysis?.liquidityRisk?.level || 'LOW'
-    };
-  }
-
-  getRiskCategory(score) {
-    if (score < 0.3) return 'LOW';
-    else if (score < 0.6) return 'MEDIUM';
-    else return 'HIGH';
-  }
-
   generateRecommendations(signal, riskResult) {
     const recommendations = [];
     
+    if (signal.actionable === false) {
+      return ['Market data is synthetic - do not trade on this signal until live data is restored'];
+    }
+    
     // Signal-based recommendations
     if (signal.action === 'BUY') {
       recommendations.push('Consider long position with proper risk management');
@@ -306,7 +486,7 @@ class AgentOrchestrator {
     }
 
     // Risk-based recommendations
-    if (riskResult.recommendations) {
+    if (riskResult?.recommendations) {
       recommendations.push(...riskResult.recommendations.slice(0, 2));
     }
 
@@ -329,6 +509,7 @@ class AgentOrchestrator {
       confidence: 0,
       reasoning: `Analysis error: ${error.message}`,
       error: true,
+      actionable: false,
       pricePrediction: {
         currentPrice: 0,
         targetPrice: 0,
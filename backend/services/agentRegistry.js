@@ -0,0 +1,179 @@
+// Agent Registry - The analysis agents the orchestrator, API and dashboard iterate over
+const path = require('path');
+const config = require('../config');
+const { validate } = require('./llm/schemas');
+
+// 'signal' agents vote BUY/SELL/HOLD; 'risk' agents scale the combined confidence
+const ROLES = {
+  signal: { signals: ['BUY', 'SELL', 'HOLD'], neutral: 'HOLD' },
+  risk: { signals: ['APPROVE_TRADE', 'CAUTIOUS_TRADE', 'AVOID_TRADE', 'HOLD'], neutral: 'CAUTIOUS_TRADE' }
+};
+
+// How an agent's run ended; only OK results take part in aggregation
+const AGENT_STATUS = {
+  OK: 'OK',
+  FAILED: 'FAILED',
+  TIMED_OUT: 'TIMED_OUT'
+};
+
+// Minimum every agent result must satisfy; agents may add their own fields
+function outputSchemaFor(role) {
+  return {
+    type: 'object',
+    required: ['signal', 'confidence'],
+    properties: {
+      signal: { type: 'string', enum: ROLES[role].signals },
+      confidence: { type: 'number', minimum: 0, maximum: 100 },
+      dataProvenance: { type: ['string', 'null'], enum: ['live', 'cached', 'stale', 'synthetic'] }
+    }
+  };
+}
+
+function registryError(message) {
+  return new Error(`Agent registration failed: ${message}`);
+}
+
+class AgentRegistry {
+  constructor() {
+    this.agents = new Map();
+  }
+
+  // definition: { id, name, agent (has analyze(snapshot)), weight, role, timeoutMs, description,
+  //   icon, backtest (point-in-time safe), core (synthetic inputs block the signal), expectedMovePct,
+  //   outputSchema, summarize(result) }
+  // Returns the registered definition, or null when the id is disabled by config
+  register(definition) {
+    const { id, agent } = definition || {};
+    if (typeof id !== 'string' || !/^[a-z][a-zA-Z0-9_]*$/.test(id)) {
+      throw registryError(`id must be a camelCase identifier, got ${JSON.stringify(id)}`);
+    }
+    if (config.agents.disabled.includes(id)) {
+      console.log(`⏸️ Agent ${id} is disabled (AGENTS_DISABLED) - not registering`);
+      if (definition.core) {
+        console.warn(`⚠️ ${id} is a core input: the synthetic-data guard no longer covers its data`);
+      }
+      return null;
+    }
+    if (this.agents.has(id)) {
+      throw registryError(`an agent with id ${id} is already registered`);
+    }
+    if (!agent || typeof agent.analyze !== 'function') {
+      throw registryError(`${id} must provide an agent with an analyze(snapshot) method`);
+    }
+
+    const role = definition.role || 'signal';
+    if (!ROLES[role]) {
+      throw registryError(`${id} has unknown role ${role} (valid: ${Object.keys(ROLES).join(', ')})`);
+    }
+    const weight = definition.weight ?? 0;
+    if (typeof weight !== 'number' || weight < 0) {
+      throw registryError(`${id} weight must be a non-negative number`);
+    }
+
+    const registered = {
+      id,
+      name: definition.name || id,
+      description: definition.description || '',
+      icon: definition.icon || '🤖',
+      role,
+      weight,
+      // Configured weight; weight itself may be re-estimated from outcomes
+      defaultWeight: weight,
+      timeoutMs: config.agents.timeouts[id] || definition.timeoutMs || config.agents.defaultTimeoutMs,
+      backtest: Boolean(definition.backtest),
+      core: Boolean(definition.core),
+      expectedMovePct: definition.expectedMovePct || 0,
+      outputSchema: definition.outputSchema || outputSchemaFor(role),
+      summarize: definition.summarize || (() => ({})),
+      agent
+    };
+
+    this.agents.set(id, registered);
+    console.log(`🧩 Registered agent: ${registered.name} (${id}, ${role}, weight ${weight})`);
+    return registered;
+  }
+
+  unregister(id) {
+    return this.agents.delete(id);
+  }
+
+  get(id) {
+    return this.agents.get(id) || null;
+  }
+
+  // filters: { role, backtest, core }
+  list(filters = {}) {
+    return [...this.agents.values()].filter(definition =>
+      (filters.role === undefined || definition.role === filters.role) &&
+      (filters.backtest === undefined || definition.backtest === filters.backtest) &&
+      (filters.core === undefined || definition.core === filters.core)
+    );
+  }
+
+  ids() {
+    return [...this.agents.keys()];
+  }
+
+  weights() {
+    return Object.fromEntries(this.list().map(definition => [definition.id, definition.weight]));
+  }
+
+  defaultWeights() {
+    return Object.fromEntries(this.list().map(definition => [definition.id, definition.defaultWeight]));
+  }
+
+  // Replaces weights for registered agents; ids no longer registered are ignored
+  setWeights(weights) {
+    Object.entries(weights).forEach(([id, weight]) => {
+      const definition = this.get(id);
+      if (definition && typeof weight === 'number' && weight >= 0) {
+        definition.weight = weight;
+      }
+    });
+    return this.weights();
+  }
+
+  // Problems with an agent's result ([] when it honours the contract)
+  validateOutput(id, result) {
+    return validate(result, this.get(id).outputSchema, `${id} output`);
+  }
+
+  // Stand-in result for an agent that failed or ran late, so one agent never fails the whole run
+  failedResult(definition, error, status = AGENT_STATUS.FAILED) {
+    return {
+      agent: definition.name,
+      signal: ROLES[definition.role].neutral,
+      confidence: 0,
+      status,
+      error: error.message,
+      timestamp: new Date()
+    };
+  }
+
+  // Agents that catch their own errors return a top-level error instead of throwing
+  statusOf(result) {
+    if (!result) return AGENT_STATUS.FAILED;
+    return result.status || (result.error ? AGENT_STATUS.FAILED : AGENT_STATUS.OK);
+  }
+
+  // Plugins are modules exporting a definition (or an array of them), loaded from AGENT_PLUGINS
+  loadPlugins(modulePaths = config.agents.plugins) {
+    modulePaths.forEach(modulePath => {
+      try {
+        const resolved = path.resolve(config.agents.pluginRoot, modulePath);
+        [].concat(require(resolved)).forEach(definition => this.register(definition));
+      } catch (error) {
+        console.error(`❌ Failed to load agent plugin ${modulePath}:`, error.message);
+      }
+    });
+  }
+
+  // Public metadata for the API and dashboard
+  describe() {
+    return this.list().map(({ agent, summarize, ...definition }) => definition);
+  }
+}
+
+module.exports = new AgentRegistry();
+module.exports.ROLES = ROLES;
+module.exports.AGENT_STATUS = AGENT_STATUS;
@@ -0,0 +1,86 @@
+// Aggregation Strategy - Common interface for turning agent votes into one trading call
+//
+// Ballot:   { votes: [{ id, signal, confidence, weight }], risk: { signal, status } | null }
+//           votes are the signal agents that responded; their weights are already scaled
+//           up to cover agents that timed out or failed
+// Decision: { action, confidence, scores: { BUY, SELL, HOLD }, note }
+//           scores are strategy-specific strengths between 0 and 1, note explains the call
+
+const ACTIONS = ['BUY', 'SELL', 'HOLD'];
+
+// Errors carry the HTTP status the API should answer with
+function strategyError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function direction(signal) {
+  if (signal === 'BUY') return 1;
+  if (signal === 'SELL') return -1;
+  return 0;
+}
+
+function meanConfidence(votes) {
+  if (votes.length === 0) return 50;
+  return votes.reduce((sum, vote) => sum + (vote.confidence || 50), 0) / votes.length;
+}
+
+// Sum of weight x confidence behind each action
+function weightedScores(votes) {
+  const scores = { BUY: 0, SELL: 0, HOLD: 0 };
+  votes.forEach(vote => {
+    scores[ACTIONS.includes(vote.signal) ? vote.signal : 'HOLD'] += vote.weight * ((vote.confidence || 50) / 100);
+  });
+  return scores;
+}
+
+function logit(p) {
+  return Math.log(p / (1 - p));
+}
+
+function sigmoid(x) {
+  return 1 / (1 + Math.exp(-x));
+}
+
+// Probability of an up move to a call: BUY/SELL outside the threshold band, HOLD inside it.
+// Confidence is the probability of the favoured direction.
+function probabilityDecision(pUp, threshold) {
+  let action = 'HOLD';
+  if (pUp >= threshold) action = 'BUY';
+  else if (pUp <= 1 - threshold) action = 'SELL';
+
+  return {
+    action,
+    confidence: Math.max(pUp, 1 - pUp) * 100,
+    scores: { BUY: pUp, SELL: 1 - pUp, HOLD: 1 - Math.abs(pUp - 0.5) * 2 }
+  };
+}
+
+class AggregationStrategy {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.description = '';
+    this.options = options;
+  }
+
+  decide(ballot) {
+    throw strategyError(`${this.name} strategy does not implement decide`, 501);
+  }
+
+  describe() {
+    return { name: this.name, description: this.description };
+  }
+}
+
+module.exports = {
+  AggregationStrategy,
+  strategyError,
+  direction,
+  meanConfidence,
+  weightedScores,
+  logit,
+  sigmoid,
+  probabilityDecision,
+  ACTIONS
+};
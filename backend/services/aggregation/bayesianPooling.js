@@ -0,0 +1,34 @@
+// Bayesian Pooling - Combines agent calls as independent evidence in log-odds space
+const { AggregationStrategy, direction, logit, sigmoid, probabilityDecision } = require('./baseStrategy');
+
+class BayesianPoolingStrategy extends AggregationStrategy {
+  constructor(options = {}) {
+    super('bayesian', options);
+    this.description = 'Log-odds pooling of each agent\'s implied probability of an up move, weighted by agent weight';
+    this.threshold = options.threshold ?? 0.6;
+    // A single agent can never claim more certainty than this
+    this.maxProbability = options.maxProbability ?? 0.9;
+  }
+
+  // BUY at 80% confidence reads as P(up) = 0.9, SELL at 80% as 0.1, HOLD as 0.5
+  impliedProbability(vote) {
+    const p = 0.5 + direction(vote.signal) * ((vote.confidence || 0) / 100) * 0.5;
+    return Math.min(this.maxProbability, Math.max(1 - this.maxProbability, p));
+  }
+
+  decide({ votes }) {
+    if (votes.length === 0) {
+      return { ...probabilityDecision(0.5, this.threshold), note: 'Bayesian: no evidence, P(up) = 0.50' };
+    }
+
+    // Weights relative to the average agent, so an average agent counts as one piece of evidence
+    const meanWeight = votes.reduce((sum, vote) => sum + vote.weight, 0) / votes.length;
+    const evidence = votes.reduce((sum, vote) =>
+      sum + (meanWeight > 0 ? vote.weight / meanWeight : 1) * logit(this.impliedProbability(vote)), 0);
+    const pUp = sigmoid(evidence);
+
+    return { ...probabilityDecision(pUp, this.threshold), note: `Bayesian: P(up) = ${pUp.toFixed(2)}` };
+  }
+}
+
+module.exports = BayesianPoolingStrategy;
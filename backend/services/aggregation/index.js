@@ -0,0 +1,38 @@
+// Aggregation Strategies - Ways of combining agent results into the final signal
+const WeightedVoteStrategy = require('./weightedVote');
+const UnanimousStrategy = require('./unanimous');
+const MajorityVetoStrategy = require('./majorityVeto');
+const BayesianPoolingStrategy = require('./bayesianPooling');
+const StackingStrategy = require('./stacking');
+const baseStrategy = require('./baseStrategy');
+
+const STRATEGY_NAMES = ['weighted', 'unanimous', 'majority-veto', 'bayesian', 'stacking'];
+
+function createStrategy(name, options = {}) {
+  switch (name) {
+    case 'weighted':
+    case undefined:
+      return new WeightedVoteStrategy(options.weighted);
+    case 'unanimous':
+      return new UnanimousStrategy(options.unanimous);
+    case 'majority-veto':
+      return new MajorityVetoStrategy(options.majorityVeto);
+    case 'bayesian':
+      return new BayesianPoolingStrategy(options.bayesian);
+    case 'stacking':
+      return new StackingStrategy({ ...options.stacking, fallback: new WeightedVoteStrategy(options.weighted) });
+    default:
+      throw baseStrategy.strategyError(`Unknown aggregation strategy: ${name} (valid: ${STRATEGY_NAMES.join(', ')})`);
+  }
+}
+
+module.exports = {
+  createStrategy,
+  STRATEGY_NAMES,
+  WeightedVoteStrategy,
+  UnanimousStrategy,
+  MajorityVetoStrategy,
+  BayesianPoolingStrategy,
+  StackingStrategy,
+  ...baseStrategy
+};
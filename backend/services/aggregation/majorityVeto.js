@@ -0,0 +1,46 @@
+// Majority with Veto - Weighted majority call that a confident dissenter or the risk agent can block
+const { AggregationStrategy, direction, meanConfidence, weightedScores } = require('./baseStrategy');
+
+class MajorityVetoStrategy extends AggregationStrategy {
+  constructor(options = {}) {
+    super('majority-veto', options);
+    this.description = 'Call backed by over half the agent weight, vetoed by a confident opposite call or AVOID_TRADE';
+    this.vetoConfidence = options.vetoConfidence ?? 70;
+  }
+
+  decide({ votes, risk }) {
+    const scores = weightedScores(votes);
+    const totalWeight = votes.reduce((sum, vote) => sum + vote.weight, 0);
+    const weightFor = call => votes.filter(vote => vote.signal === call).reduce((sum, vote) => sum + vote.weight, 0);
+
+    const majority = ['BUY', 'SELL', 'HOLD'].find(call => totalWeight > 0 && weightFor(call) / totalWeight > 0.5);
+    if (!majority) {
+      return { action: 'HOLD', confidence: meanConfidence(votes), scores, note: 'Majority: no call has over half the weight' };
+    }
+
+    const backers = votes.filter(vote => vote.signal === majority);
+    if (majority === 'HOLD') {
+      return { action: 'HOLD', confidence: meanConfidence(backers), scores, note: 'Majority: HOLD' };
+    }
+
+    const vetoes = votes
+      .filter(vote => direction(vote.signal) === -direction(majority) && vote.confidence >= this.vetoConfidence)
+      .map(vote => `${vote.id} ${vote.signal} (${vote.confidence}%)`);
+    if (risk && risk.status === 'OK' && risk.signal === 'AVOID_TRADE') {
+      vetoes.push('risk AVOID_TRADE');
+    }
+
+    if (vetoes.length > 0) {
+      return {
+        action: 'HOLD',
+        confidence: meanConfidence(votes),
+        scores,
+        note: `Majority: ${majority} vetoed by ${vetoes.join(', ')}`
+      };
+    }
+
+    return { action: majority, confidence: meanConfidence(backers), scores, note: `Majority: ${majority}, no veto` };
+  }
+}
+
+module.exports = MajorityVetoStrategy;
@@ -0,0 +1,147 @@
+// Stacking - Logistic regression over agent calls, fitted to what the index did next
+const fs = require('fs');
+const path = require('path');
+const repositories = require('../../repositories');
+const { AggregationStrategy, strategyError, direction, sigmoid, probabilityDecision, ACTIONS } = require('./baseStrategy');
+
+const MAX_TRAINING_SIGNALS = 20000;
+
+// An agent's call as one number: +confidence for BUY, -confidence for SELL, 0 for HOLD
+function featureOf(vote) {
+  return direction(vote.signal) * ((vote.confidence || 0) / 100);
+}
+
+// Labelled samples from stored signals (oldest first): each signal is paired with the first
+// later signal at least horizonMinutes on, skipping pairs split by a longer gap (overnight)
+function buildSamples(signals, horizonMinutes) {
+  const horizonMs = horizonMinutes * 60 * 1000;
+  const samples = [];
+
+  signals.forEach((signal, index) => {
+    if (signal.error || signal.actionable === false || !signal.currentPrice) return;
+    const start = new Date(signal.timestamp).getTime();
+    const later = signals.slice(index + 1).find(next => new Date(next.timestamp).getTime() - start >= horizonMs);
+    if (!later || !later.currentPrice || new Date(later.timestamp).getTime() - start > 2 * horizonMs) return;
+    if (later.currentPrice === signal.currentPrice) return;
+
+    const features = {};
+    Object.entries(signal.agentResults || {}).forEach(([id, result]) => {
+      if (ACTIONS.includes(result.signal) && (result.status || 'OK') === 'OK') {
+        features[id] = featureOf(result);
+      }
+    });
+    samples.push({ features, up: later.currentPrice > signal.currentPrice ? 1 : 0 });
+  });
+  return samples;
+}
+
+// Batch gradient descent with L2 regularisation; samples: [{ features: { id: x }, up: 0 | 1 }]
+function fitLogistic(samples, { epochs = 500, learningRate = 0.5, l2 = 0.01 } = {}) {
+  const ids = [...new Set(samples.flatMap(sample => Object.keys(sample.features)))].sort();
+  const coefficients = Object.fromEntries(ids.map(id => [id, 0]));
+  let intercept = 0;
+  const predict = sample => sigmoid(intercept + ids.reduce((sum, id) => sum + coefficients[id] * (sample.features[id] || 0), 0));
+
+  for (let epoch = 0; epoch < epochs; epoch++) {
+    const gradients = Object.fromEntries(ids.map(id => [id, 0]));
+    let interceptGradient = 0;
+    samples.forEach(sample => {
+      const error = predict(sample) - sample.up;
+      interceptGradient += error;
+      ids.forEach(id => { gradients[id] += error * (sample.features[id] || 0); });
+    });
+    intercept -= learningRate * interceptGradient / samples.length;
+    ids.forEach(id => {
+      coefficients[id] -= learningRate * (gradients[id] / samples.length + l2 * coefficients[id]);
+    });
+  }
+
+  const correct = samples.filter(sample => (predict(sample) >= 0.5 ? 1 : 0) === sample.up).length;
+  return {
+    intercept,
+    coefficients,
+    trainAccuracy: samples.length > 0 ? correct / samples.length : null,
+    baseRate: samples.length > 0 ? samples.reduce((sum, sample) => sum + sample.up, 0) / samples.length : null
+  };
+}
+
+class StackingStrategy extends AggregationStrategy {
+  constructor(options = {}) {
+    super('stacking', options);
+    this.description = 'Logistic regression over agent calls, trained on stored signals and the move that followed';
+    this.threshold = options.threshold ?? 0.6;
+    this.modelFile = options.modelFile;
+    this.minSamples = options.minSamples ?? 50;
+    this.horizonMinutes = options.horizonMinutes ?? 15;
+    // Used until a model has been trained
+    this.fallback = options.fallback;
+    this.model = this.loadModel();
+  }
+
+  loadModel() {
+    try {
+      if (this.modelFile && fs.existsSync(this.modelFile)) {
+        const model = JSON.parse(fs.readFileSync(this.modelFile, 'utf8'));
+        console.log(`🧠 Loaded stacking model trained on ${model.samples} signals (${model.trainedAt})`);
+        return model;
+      }
+    } catch (error) {
+      console.error('⚠️ Failed to load stacking model:', error.message);
+    }
+    return null;
+  }
+
+  decide(ballot) {
+    if (!this.model) {
+      const decision = this.fallback.decide(ballot);
+      return { ...decision, note: `Stacking: no trained model, ${this.fallback.name} used` };
+    }
+
+    const score = ballot.votes.reduce((sum, vote) =>
+      sum + (this.model.coefficients[vote.id] || 0) * featureOf(vote), this.model.intercept);
+    const pUp = sigmoid(score);
+    return { ...probabilityDecision(pUp, this.threshold), note: `Stacking: P(up) = ${pUp.toFixed(2)}` };
+  }
+
+  // Fits the model on stored signals between from and to and saves it for later runs
+  async train({ from, to, horizonMinutes = this.horizonMinutes } = {}) {
+    const signals = [];
+    let cursor;
+    do {
+      const page = await repositories.signals.find({ from, to }, { limit: 500, cursor });
+      signals.push(...page.signals);
+      cursor = page.nextCursor;
+    } while (cursor && signals.length < MAX_TRAINING_SIGNALS);
+
+    signals.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    const samples = buildSamples(signals, horizonMinutes);
+    if (samples.length < this.minSamples) {
+      throw strategyError(`Not enough labelled signals to train (${samples.length}); need at least ${this.minSamples}`);
+    }
+
+    const model = {
+      trainedAt: new Date().toISOString(),
+      samples: samples.length,
+      horizonMinutes,
+      from: from || signals[0].timestamp,
+      to: to || signals[signals.length - 1].timestamp,
+      ...fitLogistic(samples)
+    };
+
+    if (this.modelFile) {
+      fs.mkdirSync(path.dirname(this.modelFile), { recursive: true });
+      fs.writeFileSync(this.modelFile, JSON.stringify(model, null, 2));
+    }
+    this.model = model;
+    console.log(`🧠 Trained stacking model on ${samples.length} signals (train accuracy ${(model.trainAccuracy * 100).toFixed(1)}%)`);
+    return model;
+  }
+
+  describe() {
+    return { ...super.describe(), trained: Boolean(this.model), model: this.model };
+  }
+}
+
+module.exports = StackingStrategy;
+module.exports.buildSamples = buildSamples;
+module.exports.fitLogistic = fitLogistic;
@@ -0,0 +1,38 @@
+// Unanimous - Only trades when every responding agent makes the same directional call
+const { AggregationStrategy, meanConfidence, weightedScores } = require('./baseStrategy');
+
+class UnanimousStrategy extends AggregationStrategy {
+  constructor(options = {}) {
+    super('unanimous', options);
+    this.description = 'BUY/SELL only when every responding agent agrees; otherwise HOLD';
+    this.minAgents = options.minAgents ?? 2;
+  }
+
+  decide({ votes }) {
+    const scores = weightedScores(votes);
+    const calls = [...new Set(votes.map(vote => vote.signal))];
+
+    if (votes.length < this.minAgents) {
+      return {
+        action: 'HOLD',
+        confidence: meanConfidence(votes),
+        scores,
+        note: `Unanimous: only ${votes.length} agent(s) responded, need ${this.minAgents}`
+      };
+    }
+
+    if (calls.length === 1 && calls[0] !== 'HOLD') {
+      return {
+        action: calls[0],
+        confidence: meanConfidence(votes),
+        scores,
+        note: `Unanimous: all ${votes.length} agents ${calls[0]}`
+      };
+    }
+
+    const tally = calls.map(call => `${call} ${votes.filter(vote => vote.signal === call).length}`).join(', ');
+    return { action: 'HOLD', confidence: meanConfidence(votes), scores, note: `Unanimous: no agreement (${tally})` };
+  }
+}
+
+module.exports = UnanimousStrategy;
@@ -0,0 +1,26 @@
+// Weighted Vote - Weight x confidence per action; BUY/SELL need a clear lead over the threshold
+const { AggregationStrategy, meanConfidence, weightedScores } = require('./baseStrategy');
+
+class WeightedVoteStrategy extends AggregationStrategy {
+  constructor(options = {}) {
+    super('weighted', options);
+    this.description = 'Weighted vote of agent confidence; BUY/SELL when their score leads and exceeds the threshold';
+    this.threshold = options.threshold ?? 0.4;
+  }
+
+  decide({ votes }) {
+    const scores = weightedScores(votes);
+    const maxScore = Math.max(scores.BUY, scores.SELL, scores.HOLD);
+
+    let action = 'HOLD';
+    if (maxScore === scores.BUY && scores.BUY > this.threshold) {
+      action = 'BUY';
+    } else if (maxScore === scores.SELL && scores.SELL > this.threshold) {
+      action = 'SELL';
+    }
+
+    return { action, confidence: meanConfidence(votes), scores, note: null };
+  }
+}
+
+module.exports = WeightedVoteStrategy;
@@ -0,0 +1,473 @@
+// Backtester - Replays the orchestrator over stored candles without lookahead
+const agentOrchestrator = require('./agentOrchestrator');
+const agentRegistry = require('./agentRegistry');
+const marketData = require('./marketData');
+const marketSnapshot = require('./marketSnapshot');
+const niftyUniverse = require('./niftyUniverse');
+const repositories = require('../repositories');
+const { quoteFromCandles } = require('./providers/baseProvider');
+const { PROVENANCE } = require('./provenance');
+const { createCostModel } = require('./transactionCosts');
+
+const INTERVAL_MINUTES = { '1m': 1, '2m': 2, '5m': 5, '15m': 15, '30m': 30, '60m': 60, '1h': 60, '1d': 375 };
+const SESSION_MINUTES = 375; // 09:15 - 15:30 IST
+const TRADING_DAYS_PER_YEAR = 252;
+
+const DEFAULTS = {
+  interval: '5m',
+  initialCapital: 1000000,
+  positionFraction: 1,     // Share of equity committed per trade
+  warmupBars: 50,          // Bars required before the first decision
+  lookbackBars: 375,       // Bars visible to agents at each step (about 5 sessions of 5m bars)
+  stepBars: 3,             // Decide every 3 bars (15 minutes on 5m bars)
+  holdingBars: 3,          // Time exit, also the horizon for hit rates
+  minConfidence: 0,        // Ignore signals below this confidence
+  allowShort: true,
+  holdThresholdPct: 0.2,   // HOLD counts as a hit when the move stays inside this band
+  lotSize: 1,              // Quantities are rounded down to whole lots (e.g. 25 for Nifty futures)
+  costs: {},               // transactionCosts overrides (segment, slippageModel, ...); false for gross results
+  defaultStopPct: 2,
+  defaultTargetPct: 1.5,
+  strategy: null           // Aggregation strategy; null uses AGGREGATION_STRATEGY
+};
+
+// Index of the last bar that has fully closed by time (bars are stamped with their open time)
+function lastClosedIndex(candles, time, intervalMs) {
+  let lo = 0;
+  let hi = candles.length - 1;
+  let found = -1;
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    if (candles[mid].timestamp.getTime() + intervalMs <= time) {
+      found = mid;
+      lo = mid + 1;
+    } else {
+      hi = mid - 1;
+    }
+  }
+  return found;
+}
+
+// Settings that may be supplied through the API
+const OPTION_KEYS = ['symbol', 'interval', 'from', 'to', 'stockSymbols', ...Object.keys(DEFAULTS)];
+
+class Backtester {
+  constructor() {
+    this.defaults = DEFAULTS;
+    this.optionKeys = OPTION_KEYS;
+    this.intervals = Object.keys(INTERVAL_MINUTES);
+  }
+
+  async run(options = {}) {
+    const settings = { ...this.defaults, ...options };
+    settings.strategy = agentOrchestrator.getStrategy(settings.strategy || undefined).name;
+    if (settings.strategy === 'stacking') {
+      // The stacking model is fitted on stored live signals, which may postdate the replayed bars
+      const error = new Error('The stacking strategy cannot be backtested; choose another aggregation strategy');
+      error.statusCode = 400;
+      throw error;
+    }
+    // Adaptive weights are re-estimated from later outcomes, so replays use the default weights
+    settings.weights = agentRegistry.defaultWeights();
+    const symbol = settings.symbol || marketData.niftyIndex;
+    const intervalMs = (INTERVAL_MINUTES[settings.interval] || 5) * 60 * 1000;
+
+    const candles = await this.loadCandles(symbol, settings);
+    if (candles.length < settings.warmupBars + settings.holdingBars + 1) {
+      const error = new Error(`Not enough stored ${settings.interval} candles for ${symbol} (${candles.length}); need at least ${settings.warmupBars + settings.holdingBars + 1}`);
+      error.statusCode = 400;
+      throw error;
+    }
+    const stocks = await this.loadStocks(settings);
+
+    console.log(`🧪 Backtesting ${symbol} over ${candles.length} ${settings.interval} bars...`);
+
+    const state = {
+      costModel: this.createCostModel(settings.costs),
+      cash: settings.initialCapital,
+      position: null,
+      pendingOrder: null,
+      trades: [],
+      equityCurve: [],
+      decisions: []
+    };
+
+    for (let i = 0; i < candles.length; i++) {
+      const bar = candles[i];
+
+      this.fillPendingOrder(state, bar, settings);
+      this.checkExits(state, bar, settings);
+      state.equityCurve.push({ timestamp: bar.timestamp, equity: this.markToMarket(state, bar.close) });
+
+      const isDecisionBar = i >= settings.warmupBars - 1 &&
+        (i - (settings.warmupBars - 1)) % settings.stepBars === 0 &&
+        i < candles.length - 1;
+      if (isDecisionBar) {
+        const decision = await this.decide(symbol, candles, stocks, i, intervalMs, settings);
+        state.decisions.push({ ...decision, index: i });
+        this.queueOrder(state, decision, settings);
+      }
+    }
+
+    const lastBar = candles[candles.length - 1];
+    if (state.position) {
+      this.closePosition(state, lastBar.close, lastBar, 'END');
+      state.equityCurve[state.equityCurve.length - 1].equity = state.cash;
+    }
+
+    return this.buildReport(symbol, candles, state, settings, intervalMs);
+  }
+
+  // One backtest per aggregation strategy over the same bars and agent results
+  async compare(options = {}, strategies = []) {
+    if (strategies.length === 0) {
+      const error = new Error('Give at least one aggregation strategy to compare');
+      error.statusCode = 400;
+      throw error;
+    }
+    strategies.forEach(strategy => agentOrchestrator.getStrategy(strategy));
+
+    const agentCache = new Map();
+    const reports = [];
+    for (const strategy of strategies) {
+      reports.push(await this.run({ ...options, strategy, agentCache }));
+    }
+
+    return {
+      symbol: reports[0].symbol,
+      interval: reports[0].interval,
+      from: reports[0].from,
+      to: reports[0].to,
+      bars: reports[0].bars,
+      strategies: reports.map(report => ({
+        strategy: report.strategy,
+        summary: report.summary,
+        hitRates: report.hitRates,
+        pricePrediction: report.pricePrediction
+      }))
+    };
+  }
+
+  createCostModel(costs) {
+    if (costs === false) return null;
+    try {
+      return createCostModel(costs);
+    } catch (error) {
+      error.statusCode = 400;
+      throw error;
+    }
+  }
+
+  async loadCandles(symbol, settings) {
+    const candles = settings.candles || await repositories.candles.find(symbol, settings.interval, {
+      from: settings.from,
+      to: settings.to
+    });
+    return candles
+      .map(c => ({ ...c, timestamp: new Date(c.timestamp) }))
+      .sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  // Constituent bars for market breadth, the full index universe as in live runs; symbols
+  // without stored history are skipped and the weights renormalise over the rest
+  async loadStocks(settings) {
+    const symbols = settings.stockSymbols || marketData.niftySymbols;
+    const stocks = {};
+
+    for (const stock of symbols) {
+      const candles = settings.stockCandles?.[stock] || await repositories.candles.find(stock, settings.interval, {
+        from: settings.from,
+        to: settings.to
+      });
+      if (candles.length > 0) {
+        stocks[stock] = candles
+          .map(c => ({ ...c, timestamp: new Date(c.timestamp) }))
+          .sort((a, b) => a.timestamp - b.timestamp);
+      }
+    }
+    return stocks;
+  }
+
+  // Everything an agent sees is cut off at the close of bar i
+  buildSnapshot(symbol, candles, stocks, i, intervalMs, settings) {
+    const decisionTime = candles[i].timestamp.getTime() + intervalMs;
+    const window = candles.slice(Math.max(0, i - settings.lookbackBars + 1), i + 1);
+    const tag = { provenance: PROVENANCE.LIVE, source: 'backtest' };
+
+    const quotes = Object.entries(stocks)
+      .map(([stock, bars]) => {
+        const last = lastClosedIndex(bars, decisionTime, intervalMs);
+        if (last < 0) return null;
+        const quote = quoteFromCandles(stock, bars.slice(Math.max(0, last - settings.lookbackBars + 1), last + 1));
+        return { ...quote, ...tag };
+      })
+      .filter(Boolean);
+    const topStocks = niftyUniverse.annotate(quotes).sort((a, b) => b.changePercent - a.changePercent);
+
+    return marketSnapshot.build({
+      runId: `bt_${decisionTime}`,
+      mode: 'backtest',
+      timestamp: new Date(decisionTime),
+      niftyData: { ...quoteFromCandles(symbol, window), ...tag },
+      series: { symbol, interval: settings.interval, candles: window, ...tag },
+      topStocks
+    });
+  }
+
+  // Same aggregation path as a live run, limited to agents that are point-in-time safe
+  // (the research agent is left out since news is not)
+  async decide(symbol, candles, stocks, i, intervalMs, settings) {
+    const snapshot = this.buildSnapshot(symbol, candles, stocks, i, intervalMs, settings);
+
+    // Strategy comparisons share agent results per bar, so agents run once per decision
+    const results = settings.agentCache?.get(i) ||
+      await agentOrchestrator.runAgents(snapshot, agentRegistry.list({ backtest: true }));
+    settings.agentCache?.set(i, results);
+    const riskResult = agentOrchestrator.riskResult(results);
+
+    const dataProvenance = agentOrchestrator.summariseProvenance(snapshot.niftyData, results);
+    const aggregated = agentOrchestrator.applyProvenanceGuard(agentOrchestrator.aggregateSignals(results, settings.strategy, { weights: settings.weights }), dataProvenance);
+    const pricePrediction = agentOrchestrator.calculatePricePrediction(snapshot.niftyData, results);
+    const sizing = riskResult?.analysis?.positionSizing;
+
+    return {
+      timestamp: snapshot.timestamp,
+      price: snapshot.niftyData.currentPrice,
+      signal: aggregated.action,
+      confidence: aggregated.confidence,
+      actionable: aggregated.actionable,
+      targetPrice: pricePrediction.targetPrice,
+      stopPct: sizing?.stopLoss?.percentage || settings.defaultStopPct,
+      targetPct: sizing?.targetPrice?.percentage || settings.defaultTargetPct,
+      agentSignals: Object.fromEntries(Object.entries(results).map(([id, result]) => [id, result.signal]))
+    };
+  }
+
+  queueOrder(state, decision, settings) {
+    if (!decision.actionable || decision.confidence < settings.minConfidence) return;
+
+    const side = decision.signal === 'BUY' ? 'LONG' : decision.signal === 'SELL' ? 'SHORT' : null;
+    if (!side || (side === 'SHORT' && !settings.allowShort)) return;
+    if (state.position && state.position.side === side) return;
+
+    state.pendingOrder = { side, decision };
+  }
+
+  // Orders decided at a bar's close fill at the next bar's open
+  fillPendingOrder(state, bar, settings) {
+    const order = state.pendingOrder;
+    if (!order) return;
+    state.pendingOrder = null;
+
+    if (state.position) {
+      this.closePosition(state, bar.open, bar, 'REVERSE');
+    }
+
+    const direction = order.side === 'LONG' ? 1 : -1;
+    const lots = Math.floor((state.cash * settings.positionFraction) / bar.open / settings.lotSize);
+    if (lots < 1) return;
+
+    const quantity = lots * settings.lotSize;
+    const entry = this.execute(state, direction === 1 ? 'BUY' : 'SELL', bar.open, quantity, bar);
+    const entryPrice = entry.fillPrice;
+    state.cash -= entry.charges;
+
+    state.position = {
+      side: order.side,
+      direction,
+      quantity,
+      entryPrice,
+      referenceEntryPrice: bar.open,
+      entryCosts: entry,
+      entryTime: bar.timestamp,
+      barsHeld: 0,
+      stopPrice: entryPrice * (1 - direction * order.decision.stopPct / 100),
+      targetPrice: entryPrice * (1 + direction * order.decision.targetPct / 100),
+      signalTime: order.decision.timestamp,
+      confidence: order.decision.confidence
+    };
+  }
+
+  // Stops are checked before targets: when a bar spans both, assume the worse outcome
+  checkExits(state, bar, settings) {
+    const position = state.position;
+    if (!position) return;
+    position.barsHeld++;
+
+    const stopHit = position.direction === 1 ? bar.low <= position.stopPrice : bar.high >= position.stopPrice;
+    const targetHit = position.direction === 1 ? bar.high >= position.targetPrice : bar.low <= position.targetPrice;
+
+    if (stopHit) {
+      const price = position.direction === 1 ? Math.min(position.stopPrice, bar.open) : Math.max(position.stopPrice, bar.open);
+      this.closePosition(state, price, bar, 'STOP');
+    } else if (targetHit) {
+      const price = position.direction === 1 ? Math.max(position.targetPrice, bar.open) : Math.min(position.targetPrice, bar.open);
+      this.closePosition(state, price, bar, 'TARGET');
+    } else if (position.barsHeld >= settings.holdingBars) {
+      this.closePosition(state, bar.close, bar, 'TIME');
+    }
+  }
+
+  // Fill through the cost model; charges come out of cash, slippage is in the fill price
+  execute(state, side, price, quantity, bar) {
+    if (!state.costModel) {
+      return { fillPrice: price, charges: 0, slippage: 0 };
+    }
+
+    const fill = state.costModel.fill({ side, price, quantity }, { volume: bar.volume });
+    return { fillPrice: fill.fillPrice, charges: fill.charges.total, slippage: fill.slippageCost };
+  }
+
+  closePosition(state, referencePrice, bar, reason) {
+    const position = state.position;
+    const exit = this.execute(state, position.direction === 1 ? 'SELL' : 'BUY', referencePrice, position.quantity, bar);
+
+    const tradePnl = (exit.fillPrice - position.entryPrice) * position.quantity * position.direction;
+    const grossPnl = (referencePrice - position.referenceEntryPrice) * position.quantity * position.direction;
+    const charges = position.entryCosts.charges + exit.charges;
+    const slippage = position.entryCosts.slippage + exit.slippage;
+    const pnl = tradePnl - charges;
+
+    state.cash += tradePnl - exit.charges;
+    state.trades.push({
+      side: position.side,
+      entryTime: position.entryTime,
+      entryPrice: position.entryPrice,
+      exitTime: bar.timestamp,
+      exitPrice: exit.fillPrice,
+      exitReason: reason,
+      quantity: position.quantity,
+      grossPnl,
+      costs: { charges, slippage, total: charges + slippage },
+      pnl,
+      returnPct: (pnl / (position.entryPrice * position.quantity)) * 100,
+      confidence: position.confidence
+    });
+    state.position = null;
+  }
+
+  markToMarket(state, price) {
+    const position = state.position;
+    if (!position) return state.cash;
+    return state.cash + (price - position.entryPrice) * position.quantity * position.direction;
+  }
+
+  buildReport(symbol, candles, state, settings, intervalMs) {
+    const equity = state.equityCurve.map(point => point.equity);
+    const finalEquity = equity[equity.length - 1];
+    const wins = state.trades.filter(trade => trade.pnl > 0).length;
+    const sum = key => state.trades.reduce((total, trade) => total + key(trade), 0);
+
+    return {
+      symbol,
+      interval: settings.interval,
+      strategy: settings.strategy,
+      from: candles[0].timestamp,
+      to: candles[candles.length - 1].timestamp,
+      bars: candles.length,
+      summary: {
+        initialCapital: settings.initialCapital,
+        finalEquity,
+        totalReturnPct: ((finalEquity - settings.initialCapital) / settings.initialCapital) * 100,
+        trades: state.trades.length,
+        grossPnl: sum(trade => trade.grossPnl),
+        totalCharges: sum(trade => trade.costs.charges),
+        totalSlippage: sum(trade => trade.costs.slippage),
+        netPnl: sum(trade => trade.pnl),
+        winRate: state.trades.length > 0 ? (wins / state.trades.length) * 100 : 0,
+        avgTradeReturnPct: state.trades.length > 0
+          ? state.trades.reduce((sum, trade) => sum + trade.returnPct, 0) / state.trades.length
+          : 0,
+        sharpe: this.calculateSharpe(equity, intervalMs),
+        maxDrawdownPct: this.calculateMaxDrawdown(equity)
+      },
+      costModel: state.costModel ? state.costModel.describe() : null,
+      hitRates: this.calculateHitRates(state.decisions, candles, settings),
+      pricePrediction: this.evaluatePricePredictions(state.decisions, candles, settings),
+      trades: state.trades,
+      equityCurve: state.equityCurve,
+      signals: state.decisions.map(({ index, ...decision }) => decision)
+    };
+  }
+
+  // Annualised from per-bar equity returns
+  calculateSharpe(equity, intervalMs) {
+    const returns = [];
+    for (let i = 1; i < equity.length; i++) {
+      returns.push(equity[i] / equity[i - 1] - 1);
+    }
+    if (returns.length < 2) return 0;
+
+    const mean = returns.reduce((sum, r) => sum + r, 0) / returns.length;
+    const variance = returns.reduce((sum, r) => sum + (r - mean) ** 2, 0) / (returns.length - 1);
+    const std = Math.sqrt(variance);
+    if (std === 0) return 0;
+
+    const barsPerYear = TRADING_DAYS_PER_YEAR * Math.max(1, SESSION_MINUTES / (intervalMs / 60000));
+    return (mean / std) * Math.sqrt(barsPerYear);
+  }
+
+  calculateMaxDrawdown(equity) {
+    let peak = equity[0];
+    let maxDrawdown = 0;
+    equity.forEach(value => {
+      peak = Math.max(peak, value);
+      maxDrawdown = Math.max(maxDrawdown, ((peak - value) / peak) * 100);
+    });
+    return maxDrawdown;
+  }
+
+  // Direction of each call versus the close holdingBars later, traded or not
+  calculateHitRates(decisions, candles, settings) {
+    const hitRates = {};
+    ['BUY', 'SELL', 'HOLD'].forEach(signal => {
+      hitRates[signal] = { count: 0, hits: 0, hitRate: null };
+    });
+
+    decisions.forEach(decision => {
+      const exit = candles[decision.index + settings.holdingBars];
+      if (!exit) return;
+
+      const movePct = ((exit.close - decision.price) / decision.price) * 100;
+      const hit = decision.signal === 'BUY' ? movePct > 0
+        : decision.signal === 'SELL' ? movePct < 0
+          : Math.abs(movePct) < settings.holdThresholdPct;
+
+      const bucket = hitRates[decision.signal];
+      bucket.count++;
+      if (hit) bucket.hits++;
+    });
+
+    Object.values(hitRates).forEach(bucket => {
+      bucket.hitRate = bucket.count > 0 ? (bucket.hits / bucket.count) * 100 : null;
+    });
+    return hitRates;
+  }
+
+  // How far calculatePricePrediction's target was from the realised close at the horizon
+  evaluatePricePredictions(decisions, candles, settings) {
+    const errors = decisions
+      .map(decision => {
+        const exit = candles[decision.index + settings.holdingBars];
+        if (!exit) return null;
+        const predictedMove = decision.targetPrice - decision.price;
+        const actualMove = exit.close - decision.price;
+        return {
+          absErrorPct: (Math.abs(decision.targetPrice - exit.close) / exit.close) * 100,
+          directional: predictedMove === 0 ? null : Math.sign(predictedMove) === Math.sign(actualMove)
+        };
+      })
+      .filter(Boolean);
+
+    const directional = errors.filter(e => e.directional !== null);
+    return {
+      count: errors.length,
+      meanAbsErrorPct: errors.length > 0 ? errors.reduce((sum, e) => sum + e.absErrorPct, 0) / errors.length : null,
+      directionalAccuracy: directional.length > 0
+        ? (directional.filter(e => e.directional).length / directional.length) * 100
+        : null
+    };
+  }
+}
+
+module.exports = new Backtester();
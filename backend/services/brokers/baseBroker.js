@@ -0,0 +1,135 @@
+// Broker Adapter - Common order interface every broker integration implements
+//
+// Modelled on Indian retail broker APIs (Kite Connect, Upstox, Angel SmartAPI):
+//
+// Order params: { exchange, tradingSymbol, transactionType, quantity, product, orderType,
+//                 price, triggerPrice, validity, tag, signalId }
+// Order:        params plus { orderId, status, filledQuantity, pendingQuantity, averagePrice,
+//                 statusMessage, orderTimestamp, exchangeTimestamp }
+// Position:     { exchange, tradingSymbol, product, quantity, averagePrice, lastPrice,
+//                 realisedPnl, unrealisedPnl, pnl }
+// Holding:      { exchange, tradingSymbol, quantity, averagePrice, lastPrice, pnl }
+// Margins:      { available, utilised, net }
+
+const EventEmitter = require('events');
+
+const EXCHANGES = ['NSE', 'NFO'];
+const TRANSACTION_TYPES = ['BUY', 'SELL'];
+// MIS intraday, NRML overnight derivatives, CNC delivery equity
+const PRODUCTS = ['MIS', 'NRML', 'CNC'];
+// SL is stop-limit, SL-M stop-market
+const ORDER_TYPES = ['MARKET', 'LIMIT', 'SL', 'SL-M'];
+const VALIDITIES = ['DAY', 'IOC'];
+
+const ORDER_STATUS = {
+  OPEN: 'OPEN',
+  TRIGGER_PENDING: 'TRIGGER PENDING',
+  COMPLETE: 'COMPLETE',
+  CANCELLED: 'CANCELLED',
+  REJECTED: 'REJECTED'
+};
+
+// Orders in these states can still be modified or cancelled
+const PENDING_STATUSES = [ORDER_STATUS.OPEN, ORDER_STATUS.TRIGGER_PENDING];
+
+// Errors carry the HTTP status the API should answer with
+function brokerError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+// Normalise and check order params; throws a 400 brokerError on the first problem
+function validateOrder(params = {}) {
+  const order = {
+    exchange: params.exchange || 'NSE',
+    tradingSymbol: params.tradingSymbol,
+    transactionType: params.transactionType,
+    quantity: Number(params.quantity),
+    product: params.product || 'MIS',
+    orderType: params.orderType || 'MARKET',
+    price: params.price != null ? Number(params.price) : null,
+    triggerPrice: params.triggerPrice != null ? Number(params.triggerPrice) : null,
+    validity: params.validity || 'DAY',
+    tag: params.tag || null,
+    signalId: params.signalId || null
+  };
+
+  if (!order.tradingSymbol) throw brokerError('tradingSymbol is required');
+  if (!EXCHANGES.includes(order.exchange)) throw brokerError(`Invalid exchange: ${order.exchange}`);
+  if (!TRANSACTION_TYPES.includes(order.transactionType)) throw brokerError(`Invalid transactionType: ${order.transactionType}`);
+  if (!PRODUCTS.includes(order.product)) throw brokerError(`Invalid product: ${order.product}`);
+  if (!ORDER_TYPES.includes(order.orderType)) throw brokerError(`Invalid orderType: ${order.orderType}`);
+  if (!VALIDITIES.includes(order.validity)) throw brokerError(`Invalid validity: ${order.validity}`);
+  if (!Number.isInteger(order.quantity) || order.quantity < 1) throw brokerError('quantity must be a positive integer');
+  if (order.product === 'CNC' && order.exchange !== 'NSE') throw brokerError('CNC is only available for NSE equity');
+
+  if (['LIMIT', 'SL'].includes(order.orderType) && !(order.price > 0)) {
+    throw brokerError(`${order.orderType} orders need a positive price`);
+  }
+  if (['SL', 'SL-M'].includes(order.orderType) && !(order.triggerPrice > 0)) {
+    throw brokerError(`${order.orderType} orders need a positive triggerPrice`);
+  }
+  return order;
+}
+
+// Emits 'order' with the order after every status change (like a broker's order postback)
+class BrokerAdapter extends EventEmitter {
+  constructor(name) {
+    super();
+    this.name = name;
+  }
+
+  // Returns { orderId }
+  async placeOrder(params) {
+    throw brokerError(`${this.name} broker does not implement placeOrder`, 501);
+  }
+
+  // changes: { quantity, price, triggerPrice, orderType, validity }
+  async modifyOrder(orderId, changes) {
+    throw brokerError(`${this.name} broker does not implement modifyOrder(${orderId})`, 501);
+  }
+
+  async cancelOrder(orderId) {
+    throw brokerError(`${this.name} broker does not implement cancelOrder(${orderId})`, 501);
+  }
+
+  async getOrders() {
+    throw brokerError(`${this.name} broker does not implement getOrders`, 501);
+  }
+
+  async getOrder(orderId) {
+    const order = (await this.getOrders()).find(candidate => candidate.orderId === orderId);
+    if (!order) throw brokerError(`Order ${orderId} not found`, 404);
+    return order;
+  }
+
+  async getOrdersForSignal(signalId) {
+    return (await this.getOrders()).filter(order => order.signalId === signalId);
+  }
+
+  async getPositions() {
+    throw brokerError(`${this.name} broker does not implement getPositions`, 501);
+  }
+
+  async getHoldings() {
+    throw brokerError(`${this.name} broker does not implement getHoldings`, 501);
+  }
+
+  async getMargins() {
+    throw brokerError(`${this.name} broker does not implement getMargins`, 501);
+  }
+}
+
+module.exports = {
+  BrokerAdapter,
+  brokerError,
+  validateOrder,
+  EXCHANGES,
+  TRANSACTION_TYPES,
+  PRODUCTS,
+  ORDER_TYPES,
+  VALIDITIES,
+  ORDER_STATUS,
+  PENDING_STATUSES
+};
@@ -0,0 +1,22 @@
+// Broker Adapters - Selects the configured order execution venue
+const SimulatedExchange = require('./simulatedExchange');
+const baseBroker = require('./baseBroker');
+
+function createBroker(options = {}) {
+  switch (options.broker) {
+    case 'simulated':
+    case undefined:
+      return new SimulatedExchange({
+        initialCash: options.initialCash,
+        lotSizes: options.lotSizes
+      });
+    default:
+      throw new Error(`Unknown broker: ${options.broker}`);
+  }
+}
+
+module.exports = {
+  createBroker,
+  SimulatedExchange,
+  ...baseBroker
+};
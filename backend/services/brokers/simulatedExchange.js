@@ -0,0 +1,351 @@
+// Simulated Exchange - Local broker that matches orders against live or replayed quotes
+const marketData = require('../marketData');
+const { createCostModel } = require('../transactionCosts');
+const { createId } = require('../../repositories/baseRepository');
+const { isSynthetic } = require('../provenance');
+const {
+  BrokerAdapter,
+  brokerError,
+  validateOrder,
+  ORDER_STATUS,
+  PENDING_STATUSES
+} = require('./baseBroker');
+
+// Trading symbols that do not follow the NSE equity convention (<SYMBOL>.NS)
+const DEFAULT_SYMBOL_MAP = {
+  NIFTY: '^NSEI',
+  'NIFTY 50': '^NSEI',
+  BANKNIFTY: '^NSEBANK'
+};
+
+// Derivatives trade in whole lots
+const DEFAULT_LOT_SIZES = {
+  NIFTY: 75,
+  BANKNIFTY: 35
+};
+
+// Share of notional blocked as margin: MIS equity is 5x leverage, NRML futures roughly SPAN + exposure
+const DEFAULT_MARGIN_RATES = {
+  MIS: 0.2,
+  NRML: 0.12,
+  CNC: 1
+};
+
+class SimulatedExchange extends BrokerAdapter {
+  constructor(options = {}) {
+    super('simulated');
+    this.initialCash = options.initialCash || 1000000;
+    this.symbolMap = { ...DEFAULT_SYMBOL_MAP, ...(options.symbolMap || {}) };
+    this.lotSizes = { ...DEFAULT_LOT_SIZES, ...(options.lotSizes || {}) };
+    this.marginRates = { ...DEFAULT_MARGIN_RATES, ...(options.marginRates || {}) };
+    this.costModel = options.costModel || createCostModel(options.costs);
+    this.matcher = null;
+    this.reset();
+  }
+
+  reset() {
+    this.cash = this.initialCash;
+    this.chargesPaid = 0;
+    this.orders = new Map();
+    this.positions = new Map();
+  }
+
+  // Re-check pending LIMIT and stop orders as prices move
+  start(intervalMs = 5000) {
+    if (this.matcher || intervalMs <= 0) return;
+    this.matcher = setInterval(() => {
+      this.matchPendingOrders().catch(error => console.error('⚠️ Simulated exchange matching failed:', error.message));
+    }, intervalMs);
+    this.matcher.unref();
+  }
+
+  stop() {
+    if (this.matcher) {
+      clearInterval(this.matcher);
+      this.matcher = null;
+    }
+  }
+
+  toMarketSymbol(exchange, tradingSymbol) {
+    if (this.symbolMap[tradingSymbol]) return this.symbolMap[tradingSymbol];
+    return exchange === 'NSE' ? `${tradingSymbol}.NS` : tradingSymbol;
+  }
+
+  async placeOrder(params) {
+    const order = {
+      ...validateOrder(params),
+      orderId: createId('ord'),
+      status: ORDER_STATUS.OPEN,
+      filledQuantity: 0,
+      pendingQuantity: 0,
+      averagePrice: 0,
+      statusMessage: null,
+      orderTimestamp: marketData.now(),
+      exchangeTimestamp: null
+    };
+    order.pendingQuantity = order.quantity;
+    this.checkLotSize(order);
+
+    this.orders.set(order.orderId, order);
+    console.log(`🏦 Order ${order.orderId}: ${order.transactionType} ${order.quantity} ${order.tradingSymbol} ${order.orderType}${order.signalId ? ` (signal ${order.signalId})` : ''}`);
+
+    const quote = await this.fetchQuote(order);
+    if (quote) {
+      const required = this.marginRequired(order, quote.currentPrice);
+      if (required > this.availableMargin()) {
+        this.reject(order, `Insufficient funds: required ₹${required.toFixed(2)}, available ₹${this.availableMargin().toFixed(2)}`);
+      } else {
+        if (['SL', 'SL-M'].includes(order.orderType)) order.status = ORDER_STATUS.TRIGGER_PENDING;
+        this.match(order, quote);
+      }
+    }
+
+    return { orderId: order.orderId };
+  }
+
+  async modifyOrder(orderId, changes = {}) {
+    const order = this.getPendingOrder(orderId);
+    const previousType = order.orderType;
+    const updated = validateOrder({ ...order, ...changes });
+    this.checkLotSize(updated);
+    if (updated.quantity < order.filledQuantity) {
+      throw brokerError('quantity cannot be reduced below the filled quantity');
+    }
+
+    Object.assign(order, {
+      quantity: updated.quantity,
+      pendingQuantity: updated.quantity - order.filledQuantity,
+      orderType: updated.orderType,
+      price: updated.price,
+      triggerPrice: updated.triggerPrice,
+      validity: updated.validity
+    });
+    if (order.orderType !== previousType) {
+      order.status = ['SL', 'SL-M'].includes(order.orderType) ? ORDER_STATUS.TRIGGER_PENDING : ORDER_STATUS.OPEN;
+    }
+    this.emit('order', { ...order });
+
+    const quote = await this.fetchQuote(order, false);
+    if (quote) this.match(order, quote);
+    return { orderId };
+  }
+
+  async cancelOrder(orderId) {
+    const order = this.getPendingOrder(orderId);
+    this.setStatus(order, ORDER_STATUS.CANCELLED, 'Cancelled by user');
+    return { orderId };
+  }
+
+  lotSize(exchange, tradingSymbol) {
+    return exchange === 'NFO' ? this.lotSizes[tradingSymbol] || 1 : 1;
+  }
+
+  checkLotSize(order) {
+    const lotSize = this.lotSize(order.exchange, order.tradingSymbol);
+    if (order.quantity % lotSize !== 0) {
+      throw brokerError(`quantity must be a multiple of the ${order.tradingSymbol} lot size (${lotSize})`);
+    }
+  }
+
+  getPendingOrder(orderId) {
+    const order = this.orders.get(orderId);
+    if (!order) throw brokerError(`Order ${orderId} not found`, 404);
+    if (!PENDING_STATUSES.includes(order.status)) {
+      throw brokerError(`Order ${orderId} is ${order.status} and can no longer be changed`, 409);
+    }
+    return order;
+  }
+
+  async getOrders() {
+    return [...this.orders.values()].map(order => ({ ...order }));
+  }
+
+  async matchPendingOrders() {
+    const pending = [...this.orders.values()].filter(order => PENDING_STATUSES.includes(order.status));
+    for (const order of pending) {
+      const quote = await this.fetchQuote(order, false);
+      if (quote) this.match(order, quote);
+    }
+    return pending.length;
+  }
+
+  // Quotes must be real (live, cached or stale); a missing or synthetic price rejects new orders
+  async fetchQuote(order, rejectOnFailure = true) {
+    const symbol = this.toMarketSymbol(order.exchange, order.tradingSymbol);
+    try {
+      const quote = await marketData.getQuote(symbol);
+      if (!isSynthetic(quote.provenance) && quote.currentPrice > 0) return quote;
+    } catch (error) {
+      console.log(`⚠️ No quote for ${symbol}:`, error.message);
+    }
+
+    if (rejectOnFailure) this.reject(order, `No reliable market price for ${order.tradingSymbol}`);
+    return null;
+  }
+
+  // Fill what is marketable at the quoted price; IOC orders cancel whatever cannot fill now
+  match(order, quote) {
+    const price = quote.currentPrice;
+    const buying = order.transactionType === 'BUY';
+
+    if (order.status === ORDER_STATUS.TRIGGER_PENDING) {
+      const triggered = buying ? price >= order.triggerPrice : price <= order.triggerPrice;
+      if (!triggered) return this.expireIoc(order);
+      // SL-M becomes a market order, SL a limit order at its price
+      order.status = ORDER_STATUS.OPEN;
+    }
+
+    const marketable = order.orderType === 'MARKET' || order.orderType === 'SL-M' ||
+      (buying ? price <= order.price : price >= order.price);
+    if (!marketable) return this.expireIoc(order);
+
+    this.fill(order, price, quote.volume);
+  }
+
+  expireIoc(order) {
+    if (order.validity === 'IOC') {
+      this.setStatus(order, ORDER_STATUS.CANCELLED, 'IOC order could not be filled immediately');
+    }
+  }
+
+  fill(order, price, volume) {
+    const quantity = order.pendingQuantity;
+    const result = this.costModel.fill({ side: order.transactionType, price, quantity }, { volume });
+    const signedQuantity = order.transactionType === 'BUY' ? quantity : -quantity;
+
+    this.applyToPosition(order, signedQuantity, result.fillPrice);
+    this.cash -= result.charges.total;
+    this.chargesPaid += result.charges.total;
+
+    order.averagePrice = result.fillPrice;
+    order.filledQuantity += quantity;
+    order.pendingQuantity = 0;
+    order.charges = result.charges;
+    order.slippageBps = result.slippageBps;
+    order.exchangeTimestamp = marketData.now();
+    this.setStatus(order, ORDER_STATUS.COMPLETE, null);
+  }
+
+  // Net position per instrument and product; closing trades realise P&L at the average price
+  applyToPosition(order, signedQuantity, price) {
+    const key = `${order.exchange}:${order.tradingSymbol}:${order.product}`;
+    const position = this.positions.get(key) || {
+      exchange: order.exchange,
+      tradingSymbol: order.tradingSymbol,
+      product: order.product,
+      quantity: 0,
+      averagePrice: 0,
+      lastPrice: price,
+      realisedPnl: 0
+    };
+
+    const sameDirection = position.quantity === 0 || Math.sign(position.quantity) === Math.sign(signedQuantity);
+    if (sameDirection) {
+      const total = position.quantity + signedQuantity;
+      position.averagePrice = (position.averagePrice * Math.abs(position.quantity) + price * Math.abs(signedQuantity)) / Math.abs(total);
+      position.quantity = total;
+    } else {
+      const closing = Math.min(Math.abs(signedQuantity), Math.abs(position.quantity));
+      const pnl = (price - position.averagePrice) * closing * Math.sign(position.quantity);
+      position.realisedPnl += pnl;
+      this.cash += pnl;
+
+      const remaining = position.quantity + signedQuantity;
+      if (remaining !== 0 && Math.sign(remaining) !== Math.sign(position.quantity)) {
+        position.averagePrice = price;
+      }
+      position.quantity = remaining;
+      if (remaining === 0) position.averagePrice = 0;
+    }
+
+    position.lastPrice = price;
+    this.positions.set(key, position);
+  }
+
+  setStatus(order, status, message) {
+    order.status = status;
+    order.statusMessage = message;
+    this.emit('order', { ...order });
+  }
+
+  reject(order, message) {
+    console.log(`⚠️ Order ${order.orderId} rejected: ${message}`);
+    this.setStatus(order, ORDER_STATUS.REJECTED, message);
+  }
+
+  // Orders that only reduce an existing position need no extra margin
+  marginRequired(order, price) {
+    const key = `${order.exchange}:${order.tradingSymbol}:${order.product}`;
+    const current = this.positions.get(key)?.quantity || 0;
+    const signedQuantity = order.transactionType === 'BUY' ? order.quantity : -order.quantity;
+    const added = Math.max(Math.abs(current + signedQuantity) - Math.abs(current), 0);
+    return added * (order.price || price) * this.marginRates[order.product];
+  }
+
+  utilisedMargin() {
+    return [...this.positions.values()].reduce((total, position) =>
+      total + Math.abs(position.quantity) * position.lastPrice * this.marginRates[position.product], 0);
+  }
+
+  unrealisedPnl() {
+    return [...this.positions.values()].reduce((total, position) =>
+      total + (position.lastPrice - position.averagePrice) * position.quantity, 0);
+  }
+
+  availableMargin() {
+    return this.cash + this.unrealisedPnl() - this.utilisedMargin();
+  }
+
+  // Positions are re-marked to the latest quote before being reported
+  async getPositions() {
+    const positions = [...this.positions.values()];
+    for (const position of positions) {
+      if (position.quantity === 0) continue;
+      try {
+        const quote = await marketData.getQuote(this.toMarketSymbol(position.exchange, position.tradingSymbol));
+        if (!isSynthetic(quote.provenance)) position.lastPrice = quote.currentPrice;
+      } catch (error) {
+        console.log(`⚠️ Could not mark ${position.tradingSymbol}:`, error.message);
+      }
+    }
+
+    return positions.map(position => {
+      const unrealisedPnl = (position.lastPrice - position.averagePrice) * position.quantity;
+      return { ...position, unrealisedPnl, pnl: position.realisedPnl + unrealisedPnl };
+    });
+  }
+
+  // Delivery (CNC) longs; settlement is immediate in the simulator
+  async getHoldings() {
+    const positions = await this.getPositions();
+    return positions
+      .filter(position => position.product === 'CNC' && position.quantity > 0)
+      .map(position => ({
+        exchange: position.exchange,
+        tradingSymbol: position.tradingSymbol,
+        quantity: position.quantity,
+        averagePrice: position.averagePrice,
+        lastPrice: position.lastPrice,
+        pnl: position.unrealisedPnl
+      }));
+  }
+
+  async getMargins() {
+    await this.getPositions();
+    const utilised = this.utilisedMargin();
+    return {
+      available: {
+        cash: this.cash,
+        openingBalance: this.initialCash
+      },
+      utilised: {
+        margin: utilised,
+        charges: this.chargesPaid,
+        m2m: -this.unrealisedPnl()
+      },
+      net: this.availableMargin()
+    };
+  }
+}
+
+module.exports = SimulatedExchange;
@@ -0,0 +1,180 @@
+// Confidence Calibration - Maps each agent's raw confidence to the hit rate it has actually achieved
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const repositories = require('../repositories');
+const { toForecasts } = require('./forecastScoring');
+const { fitLogistic } = require('./aggregation/stacking');
+const { sigmoid } = require('./aggregation/baseStrategy');
+
+const METHODS = ['isotonic', 'platt'];
+
+// Pool-adjacent-violators: the non-decreasing fit of hit rate on confidence.
+// samples: [{ confidence, hit }]; returns block means [{ confidence, probability, count }]
+function fitIsotonic(samples) {
+  const byConfidence = new Map();
+  samples.forEach(({ confidence, hit }) => {
+    const point = byConfidence.get(confidence) || { sumX: confidence, sumY: 0, count: 0 };
+    if (point.count > 0) point.sumX += confidence;
+    point.sumY += hit ? 1 : 0;
+    point.count++;
+    byConfidence.set(confidence, point);
+  });
+
+  const blocks = [];
+  [...byConfidence.keys()].sort((a, b) => a - b).forEach(confidence => {
+    blocks.push({ ...byConfidence.get(confidence) });
+    while (blocks.length > 1) {
+      const last = blocks[blocks.length - 1];
+      const previous = blocks[blocks.length - 2];
+      if (previous.sumY / previous.count < last.sumY / last.count) break;
+      blocks.splice(-2, 2, { sumX: previous.sumX + last.sumX, sumY: previous.sumY + last.sumY, count: previous.count + last.count });
+    }
+  });
+
+  return blocks.map(block => ({
+    confidence: block.sumX / block.count,
+    probability: block.sumY / block.count,
+    count: block.count
+  }));
+}
+
+// Linear between block means, flat beyond the first and last
+function applyIsotonic(points, confidence) {
+  if (confidence <= points[0].confidence) return points[0].probability;
+  const upper = points.findIndex(point => point.confidence >= confidence);
+  if (upper === -1) return points[points.length - 1].probability;
+
+  const low = points[upper - 1];
+  const high = points[upper];
+  const share = (confidence - low.confidence) / (high.confidence - low.confidence);
+  return low.probability + share * (high.probability - low.probability);
+}
+
+// Logistic curve P(hit) = sigmoid(intercept + slope * confidence / 100)
+function fitPlatt(samples) {
+  const model = fitLogistic(
+    samples.map(({ confidence, hit }) => ({ features: { confidence: confidence / 100 }, up: hit ? 1 : 0 })),
+    { epochs: 2000, learningRate: 1, l2: 0 }
+  );
+  return { intercept: model.intercept, slope: model.coefficients.confidence || 0 };
+}
+
+function fit(method, samples) {
+  return method === 'platt' ? fitPlatt(samples) : { points: fitIsotonic(samples) };
+}
+
+class ConfidenceCalibration {
+  constructor() {
+    this.settings = config.calibration;
+    if (!METHODS.includes(this.settings.method)) {
+      console.error(`⚠️ Unknown CALIBRATION_METHOD ${this.settings.method}, using isotonic`);
+      this.settings.method = 'isotonic';
+    }
+    this.validatedSinceFit = 0;
+    this.model = this.loadModel();
+  }
+
+  loadModel() {
+    try {
+      if (this.settings.modelFile && fs.existsSync(this.settings.modelFile)) {
+        const model = JSON.parse(fs.readFileSync(this.settings.modelFile, 'utf8'));
+        console.log(`🎚️ Loaded ${model.method} confidence calibration for ${Object.keys(model.agents).join(', ')} (${model.fittedAt})`);
+        return model;
+      }
+    } catch (error) {
+      console.error('⚠️ Failed to load confidence calibration:', error.message);
+    }
+    return null;
+  }
+
+  // Calibrated confidence (0-100) for one agent's raw confidence; raw when the agent has no fit
+  apply(agentId, confidence) {
+    const agentModel = this.settings.enabled && this.model ? this.model.agents[agentId] : null;
+    if (!agentModel || !Number.isFinite(confidence)) return confidence;
+
+    const probability = this.model.method === 'platt'
+      ? sigmoid(agentModel.intercept + agentModel.slope * confidence / 100)
+      : applyIsotonic(agentModel.points, confidence);
+    return Math.round(probability * 1000) / 10;
+  }
+
+  isCalibrated(agentId) {
+    return Boolean(this.settings.enabled && this.model && this.model.agents[agentId]);
+  }
+
+  // Fits every agent with enough validated calls in the window on its raw confidence; agents
+  // without enough keep their previous fit. A method passed in is kept for later refits.
+  // Returns the model, or null when nothing could be fitted
+  async refit(method = this.settings.method) {
+    this.settings.method = method;
+    const predictions = await repositories.predictions.findValidated({ source: 'signal' }, this.settings.windowSize);
+    const samplesByAgent = {};
+    toForecasts(predictions).forEach(forecast => {
+      if (forecast.agent === 'final' || !Number.isFinite(forecast.confidence)) return;
+      (samplesByAgent[forecast.agent] = samplesByAgent[forecast.agent] || []).push(forecast);
+    });
+
+    const agents = {};
+    Object.entries(samplesByAgent).forEach(([agentId, samples]) => {
+      if (samples.length < this.settings.minSamples) return;
+      agents[agentId] = {
+        samples: samples.length,
+        hitRate: samples.filter(sample => sample.hit).length / samples.length,
+        ...fit(method, samples)
+      };
+    });
+    this.validatedSinceFit = 0;
+    if (Object.keys(agents).length === 0) return null;
+
+    const previous = this.model && this.model.method === method ? this.model.agents : {};
+    this.model = {
+      method,
+      fittedAt: new Date().toISOString(),
+      predictions: predictions.length,
+      agents: { ...previous, ...agents }
+    };
+    this.saveModel();
+    console.log(`🎚️ Fitted ${method} confidence calibration for ${Object.keys(agents).join(', ')} on ${predictions.length} validated signals`);
+    return this.model;
+  }
+
+  saveModel() {
+    if (!this.settings.modelFile) return;
+    try {
+      fs.mkdirSync(path.dirname(this.settings.modelFile), { recursive: true });
+      fs.writeFileSync(this.settings.modelFile, JSON.stringify(this.model, null, 2));
+    } catch (error) {
+      console.error('⚠️ Failed to save confidence calibration:', error.message);
+    }
+  }
+
+  // Called for each validated signal; refits once refitEvery have come in
+  async noteValidation() {
+    this.validatedSinceFit++;
+    if (!this.settings.enabled || this.validatedSinceFit < this.settings.refitEvery) return null;
+    try {
+      return await this.refit();
+    } catch (error) {
+      console.error('⚠️ Failed to refit confidence calibration:', error.message);
+      return null;
+    }
+  }
+
+  describe() {
+    return {
+      enabled: this.settings.enabled,
+      method: this.settings.method,
+      minSamples: this.settings.minSamples,
+      refitEvery: this.settings.refitEvery,
+      validatedSinceFit: this.validatedSinceFit,
+      model: this.model
+    };
+  }
+}
+
+module.exports = new ConfidenceCalibration();
+module.exports.METHODS = METHODS;
+module.exports.fitIsotonic = fitIsotonic;
+module.exports.applyIsotonic = applyIsotonic;
+module.exports.fitPlatt = fitPlatt;
@@ -0,0 +1,237 @@
+// Execution Service - Turns orchestrator signals into broker orders behind risk checks
+const config = require('../config');
+const marketData = require('./marketData');
+const { createBroker, ORDER_STATUS, PENDING_STATUSES } = require('./brokers');
+const { istDateKey } = require('./providers/baseProvider');
+
+const MAX_EXECUTIONS = 200;
+
+class ExecutionService {
+  constructor() {
+    this.settings = { ...config.execution };
+    this.autoExecute = this.settings.autoExecute;
+    this.broker = createBroker({
+      broker: this.settings.broker,
+      initialCash: this.settings.initialCash,
+      lotSizes: { [this.settings.tradingSymbol]: this.settings.lotSize }
+    });
+    this.executions = [];
+    this.executedSignals = new Set();
+    this.day = null;
+    this.signalHandler = null;
+  }
+
+  // Subscribe to the orchestrator; signals are only executed while auto-execute is on
+  attach(orchestrator) {
+    this.signalHandler = signal => {
+      if (!this.autoExecute) return;
+      this.executeSignal(signal, 'auto').catch(error => {
+        console.error(`❌ Auto-execution failed for signal ${signal.id}:`, error.message);
+      });
+    };
+    orchestrator.on('signal', this.signalHandler);
+
+    if (this.broker.start) this.broker.start(this.settings.matchIntervalMs);
+    console.log(`🏦 Execution via ${this.broker.name} broker, auto-execute ${this.autoExecute ? 'ON' : 'off'}`);
+  }
+
+  detach(orchestrator) {
+    if (this.signalHandler) {
+      orchestrator.off('signal', this.signalHandler);
+      this.signalHandler = null;
+    }
+    if (this.broker.stop) this.broker.stop();
+  }
+
+  // Bring the broker position in line with the signal; every order carries signal.id
+  async executeSignal(signal, source = 'manual') {
+    const blocked = await this.checkRisk(signal);
+    if (blocked.length > 0) {
+      return this.recordExecution(signal, source, 'BLOCKED', { reasons: blocked });
+    }
+
+    const instrument = this.instrument();
+    const current = await this.currentQuantity();
+    const direction = signal.signal === 'BUY' ? 1 : signal.signal === 'SELL' && this.settings.allowShort ? -1 : 0;
+    const lots = Math.min(this.settings.lots, this.settings.maxLots);
+    const target = direction * lots * this.settings.lotSize;
+    const delta = target - current;
+
+    this.executedSignals.add(signal.id);
+    if (delta === 0) {
+      return this.recordExecution(signal, source, 'SKIPPED', { reasons: ['Position already matches the signal'] });
+    }
+
+    // The previous signal's stop-loss no longer applies once the position changes
+    await this.cancelStopLossOrders();
+
+    const orderIds = [];
+    try {
+      const { orderId } = await this.broker.placeOrder({
+        ...instrument,
+        transactionType: delta > 0 ? 'BUY' : 'SELL',
+        quantity: Math.abs(delta),
+        orderType: 'MARKET',
+        tag: 'entry',
+        signalId: signal.id
+      });
+      orderIds.push(orderId);
+
+      const entry = await this.broker.getOrder(orderId);
+      if (entry.status !== ORDER_STATUS.COMPLETE) {
+        return this.recordExecution(signal, source, 'FAILED', { orderIds, reasons: [entry.statusMessage || `Entry order ${entry.status}`] });
+      }
+
+      if (target !== 0 && this.settings.placeStopLoss) {
+        orderIds.push(await this.placeStopLoss(signal, target, entry.averagePrice));
+      }
+    } catch (error) {
+      return this.recordExecution(signal, source, 'FAILED', { orderIds, reasons: [error.message] });
+    }
+
+    return this.recordExecution(signal, source, 'EXECUTED', { orderIds, target });
+  }
+
+  // Stop-market exit at the risk agent's stop-loss percentage from the entry fill
+  async placeStopLoss(signal, target, entryPrice) {
+    const stopPct = signal.agentResults?.risk?.position_sizing?.stopLoss?.percentage || 2;
+    const direction = Math.sign(target);
+    const triggerPrice = Math.round(entryPrice * (1 - direction * stopPct / 100) * 20) / 20; // tick size ₹0.05
+
+    const { orderId } = await this.broker.placeOrder({
+      ...this.instrument(),
+      transactionType: direction > 0 ? 'SELL' : 'BUY',
+      quantity: Math.abs(target),
+      orderType: 'SL-M',
+      triggerPrice,
+      tag: 'stoploss',
+      signalId: signal.id
+    });
+    return orderId;
+  }
+
+  async cancelStopLossOrders() {
+    const orders = await this.broker.getOrders();
+    const pending = orders.filter(order =>
+      order.tag === 'stoploss' && PENDING_STATUSES.includes(order.status) &&
+      order.tradingSymbol === this.settings.tradingSymbol
+    );
+    for (const order of pending) {
+      await this.broker.cancelOrder(order.orderId);
+    }
+  }
+
+  // Reasons the signal must not be traded; empty when every check passes
+  async checkRisk(signal) {
+    const reasons = [];
+    const settings = this.settings;
+
+    if (!signal || signal.error) return ['Signal is an analysis error'];
+    if (!signal.id) reasons.push('Signal has no id');
+    if (this.executedSignals.has(signal.id)) reasons.push('Signal already executed');
+    if (!signal.actionable) reasons.push('Signal is not actionable (unreliable market data)');
+    if (!['BUY', 'SELL'].includes(signal.signal)) reasons.push(`No trade for ${signal.signal}`);
+    if (signal.confidence < settings.minConfidence) {
+      reasons.push(`Confidence ${signal.confidence}% below ${settings.minConfidence}%`);
+    }
+
+    const risk = signal.agentResults?.risk;
+    if (risk?.signal === 'AVOID_TRADE') reasons.push('Risk agent advises avoiding trades');
+    if (risk?.risk_level?.overall === 'HIGH') reasons.push('Overall market risk is HIGH');
+
+    const age = marketData.now() - new Date(signal.timestamp);
+    if (age > settings.maxSignalAgeMs) {
+      reasons.push(`Signal is ${Math.round(age / 60000)} minutes old`);
+    }
+
+    const today = await this.todayStats();
+    if (today.pnl <= -settings.maxDailyLoss) {
+      reasons.push(`Daily loss limit reached (₹${Math.round(-today.pnl)} of ₹${settings.maxDailyLoss})`);
+    }
+    if (today.orders >= settings.maxOrdersPerDay) {
+      reasons.push(`Daily order limit reached (${today.orders})`);
+    }
+
+    return reasons;
+  }
+
+  // P&L since the first check of the IST trading day, and orders placed today
+  async todayStats() {
+    const dateKey = istDateKey(marketData.now());
+    const equity = await this.equity();
+    if (!this.day || this.day.dateKey !== dateKey) {
+      this.day = { dateKey, startEquity: equity };
+    }
+
+    const orders = (await this.broker.getOrders())
+      .filter(order => istDateKey(order.orderTimestamp) === dateKey).length;
+    return { date: dateKey, pnl: equity - this.day.startEquity, orders };
+  }
+
+  async equity() {
+    const margins = await this.broker.getMargins();
+    return margins.available.cash - (margins.utilised.m2m || 0);
+  }
+
+  async currentQuantity() {
+    const positions = await this.broker.getPositions();
+    const position = positions.find(candidate =>
+      candidate.exchange === this.settings.exchange &&
+      candidate.tradingSymbol === this.settings.tradingSymbol &&
+      candidate.product === this.settings.product
+    );
+    return position ? position.quantity : 0;
+  }
+
+  instrument() {
+    return {
+      exchange: this.settings.exchange,
+      tradingSymbol: this.settings.tradingSymbol,
+      product: this.settings.product
+    };
+  }
+
+  recordExecution(signal, source, status, details = {}) {
+    const execution = {
+      signalId: signal?.id || null,
+      signal: signal?.signal,
+      confidence: signal?.confidence,
+      source,
+      status,
+      orderIds: details.orderIds || [],
+      reasons: details.reasons || [],
+      targetQuantity: details.target,
+      timestamp: marketData.now()
+    };
+    this.executions.push(execution);
+    if (this.executions.length > MAX_EXECUTIONS) this.executions.shift();
+
+    const icon = status === 'EXECUTED' ? '✅' : status === 'FAILED' ? '❌' : '⏭️';
+    console.log(`${icon} Execution ${status} for signal ${execution.signalId}${execution.reasons.length ? `: ${execution.reasons.join('; ')}` : ''}`);
+    return execution;
+  }
+
+  getExecutions(limit = 50) {
+    return this.executions.slice(-limit).reverse();
+  }
+
+  async getStatus() {
+    return {
+      autoExecute: this.autoExecute,
+      orderApi: this.settings.orderApi,
+      broker: this.broker.name,
+      instrument: { ...this.instrument(), lotSize: this.settings.lotSize, lots: this.settings.lots },
+      limits: {
+        minConfidence: this.settings.minConfidence,
+        maxLots: this.settings.maxLots,
+        maxDailyLoss: this.settings.maxDailyLoss,
+        maxOrdersPerDay: this.settings.maxOrdersPerDay,
+        maxSignalAgeMs: this.settings.maxSignalAgeMs
+      },
+      today: await this.todayStats(),
+      recentExecutions: this.getExecutions(10)
+    };
+  }
+}
+
+module.exports = new ExecutionService();
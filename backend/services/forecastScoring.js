@@ -0,0 +1,235 @@
+// Forecast Scoring - Hit rate, Brier score, log loss, target error and calibration over validated predictions
+const config = require('../config');
+const repositories = require('../repositories');
+
+const IST_OFFSET_MS = 5.5 * 60 * 60 * 1000;
+const SIGNALS = ['BUY', 'SELL', 'HOLD'];
+// Log loss is unbounded at 0% and 100%; confidences are read as at most this sure
+const MAX_PROBABILITY = 0.99;
+const MAX_PREDICTIONS = 20000;
+// Rolling series are thinned to at most this many points
+const MAX_ROLLING_POINTS = 200;
+
+// BUY is right when the index rose from entry, SELL when it fell, HOLD when it stayed inside the band
+function isHit(signal, movePct, holdBandPct = config.validation.holdBandPct) {
+  if (signal === 'BUY') return movePct > 0;
+  if (signal === 'SELL') return movePct < 0;
+  return Math.abs(movePct) <= holdBandPct;
+}
+
+// What the index did from entry, in the terms the calls use: UP, DOWN or FLAT within the band
+function realisedDirection(movePct, holdBandPct = config.validation.holdBandPct) {
+  if (movePct > holdBandPct) return 'UP';
+  if (movePct < -holdBandPct) return 'DOWN';
+  return 'FLAT';
+}
+
+// A call's confidence read as the probability that it is right
+function impliedProbability(confidence) {
+  return Math.min(MAX_PROBABILITY, Math.max(1 - MAX_PROBABILITY, (confidence || 0) / 100));
+}
+
+// Move from entry; predictions saved before entry prices were recorded use the captured market price
+function realisedMove(prediction) {
+  if (Number.isFinite(prediction.realisedMovePct)) return prediction.realisedMovePct;
+  const entry = prediction.entryPrice || (prediction.marketConditions && prediction.marketConditions.price);
+  return entry > 0 && prediction.actualPrice ? ((prediction.actualPrice - entry) / entry) * 100 : null;
+}
+
+// What became of a tracked signal: pending until its horizon, then the move from entry and whether
+// the call was right; skipped predictions say why
+function outcomeOf(prediction, holdBandPct = config.validation.holdBandPct) {
+  const movePct = prediction.status === 'SKIPPED' ? null : realisedMove(prediction);
+  const validated = movePct !== null && Boolean(prediction.validationTime);
+  return {
+    status: prediction.status === 'SKIPPED' ? 'SKIPPED' : validated ? 'VALIDATED' : 'PENDING',
+    horizonAt: prediction.horizonAt,
+    validatedAt: prediction.validationTime,
+    entryPrice: prediction.entryPrice || (prediction.marketConditions && prediction.marketConditions.price) || null,
+    actualPrice: validated ? prediction.actualPrice : null,
+    movePct: validated ? round(movePct) : null,
+    realised: validated ? realisedDirection(movePct, holdBandPct) : null,
+    hit: validated ? isHit(prediction.signal, movePct, holdBandPct) : null,
+    skipReason: prediction.skipReason || null
+  };
+}
+
+// 'HH:00' IST hour the prediction was made in
+function istHour(timestamp) {
+  const hour = new Date(new Date(timestamp).getTime() + IST_OFFSET_MS).getUTCHours();
+  return `${String(hour).padStart(2, '0')}:00`;
+}
+
+const mean = values => values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+const round = (value, places = 4) => value === null ? null : Math.round(value * 10 ** places) / 10 ** places;
+
+// One scored call per validated prediction, plus one per agent call behind a final signal.
+// Final signals are scored under 'final', the sentiment agent's own calls under 'sentiment'
+function toForecasts(predictions, holdBandPct) {
+  const forecasts = [];
+  predictions.forEach(prediction => {
+    const movePct = realisedMove(prediction);
+    if (movePct === null) return;
+
+    const base = {
+      timestamp: prediction.timestamp,
+      hour: istHour(prediction.timestamp),
+      movePct,
+      realised: realisedDirection(movePct, holdBandPct)
+    };
+    forecasts.push({
+      ...base,
+      agent: prediction.source === 'signal' ? 'final' : 'sentiment',
+      signal: prediction.signal,
+      confidence: prediction.confidence,
+      hit: isHit(prediction.signal, movePct, holdBandPct),
+      targetPrice: prediction.targetPrice,
+      actualPrice: prediction.actualPrice,
+      entryPrice: prediction.entryPrice || (prediction.marketConditions && prediction.marketConditions.price)
+    });
+
+    Object.entries(prediction.source === 'signal' ? prediction.agentCalls || {} : {}).forEach(([agent, call]) => {
+      forecasts.push({ ...base, agent, signal: call.signal, confidence: call.confidence, hit: isHit(call.signal, movePct, holdBandPct) });
+    });
+  });
+  return forecasts;
+}
+
+// Confidence bins with the share of calls in each that turned out right; a calibrated forecaster's
+// hit rate matches its mean confidence in every bin
+function calibrationCurve(forecasts, binCount = 10) {
+  const width = 100 / binCount;
+  const bins = Array.from({ length: binCount }, (_, index) => ({
+    range: `${Math.round(index * width)}-${Math.round((index + 1) * width)}`,
+    count: 0,
+    meanConfidence: null,
+    hitRate: null
+  }));
+  const members = bins.map(() => []);
+  forecasts.forEach(forecast => {
+    const index = Math.min(binCount - 1, Math.floor((forecast.confidence || 0) / width));
+    members[index].push(forecast);
+  });
+
+  bins.forEach((bin, index) => {
+    const calls = members[index];
+    bin.count = calls.length;
+    if (calls.length > 0) {
+      bin.meanConfidence = round(mean(calls.map(call => call.confidence || 0)), 2);
+      bin.hitRate = round(mean(calls.map(call => (call.hit ? 100 : 0))), 2);
+    }
+  });
+  return bins;
+}
+
+function scoreForecasts(forecasts, binCount) {
+  if (forecasts.length === 0) {
+    return { count: 0, hitRate: null, brierScore: null, logLoss: null, targetError: null, calibrationError: null, calibration: [] };
+  }
+
+  const outcomes = forecasts.map(forecast => ({ p: impliedProbability(forecast.confidence), y: forecast.hit ? 1 : 0 }));
+  const targeted = forecasts.filter(forecast => forecast.targetPrice > 0 && forecast.actualPrice > 0);
+  const calibration = calibrationCurve(forecasts, binCount);
+
+  return {
+    count: forecasts.length,
+    hitRate: round(mean(forecasts.map(forecast => (forecast.hit ? 100 : 0))), 2),
+    brierScore: round(mean(outcomes.map(({ p, y }) => (p - y) ** 2))),
+    logLoss: round(mean(outcomes.map(({ p, y }) => -(y * Math.log(p) + (1 - y) * Math.log(1 - p))))),
+    // Distance between the predicted target and where the index actually was at the horizon
+    targetError: targeted.length > 0 ? {
+      count: targeted.length,
+      mae: round(mean(targeted.map(forecast => Math.abs(forecast.actualPrice - forecast.targetPrice))), 2),
+      maePct: round(mean(targeted.map(forecast =>
+        Math.abs(forecast.actualPrice - forecast.targetPrice) / (forecast.entryPrice || forecast.targetPrice) * 100)))
+    } : null,
+    // Count-weighted gap between mean confidence and hit rate across bins, in percentage points
+    calibrationError: round(calibration.reduce((sum, bin) =>
+      sum + (bin.count > 0 ? bin.count * Math.abs(bin.meanConfidence - bin.hitRate) : 0), 0) / forecasts.length, 2),
+    calibration
+  };
+}
+
+// Calls (rows) against what the index did (columns)
+function confusionMatrix(forecasts) {
+  const matrix = Object.fromEntries(SIGNALS.map(signal => [signal, { UP: 0, DOWN: 0, FLAT: 0 }]));
+  forecasts.forEach(forecast => {
+    if (matrix[forecast.signal]) matrix[forecast.signal][forecast.realised]++;
+  });
+  return matrix;
+}
+
+// Hit rate and Brier score over each trailing window of calls, oldest first
+function rollingScores(forecasts, window) {
+  const points = [];
+  const step = Math.max(1, Math.ceil((forecasts.length - window + 1) / MAX_ROLLING_POINTS));
+  for (let end = forecasts.length; end >= window; end -= step) {
+    const slice = forecasts.slice(end - window, end);
+    points.unshift({
+      timestamp: slice[slice.length - 1].timestamp,
+      count: slice.length,
+      hitRate: round(mean(slice.map(forecast => (forecast.hit ? 100 : 0))), 2),
+      brierScore: round(mean(slice.map(forecast => (impliedProbability(forecast.confidence) - (forecast.hit ? 1 : 0)) ** 2)))
+    });
+  }
+  return points;
+}
+
+function groupBy(forecasts, key) {
+  const groups = {};
+  forecasts.forEach(forecast => {
+    (groups[forecast[key]] = groups[forecast[key]] || []).push(forecast);
+  });
+  return groups;
+}
+
+// Scores for one agent, overall and split by the call made and the IST hour it was made in
+function scoreAgent(forecasts, binCount, window) {
+  const bySignal = groupBy(forecasts, 'signal');
+  const byHour = groupBy(forecasts, 'hour');
+  return {
+    ...scoreForecasts(forecasts, binCount),
+    confusion: confusionMatrix(forecasts),
+    rolling: rollingScores(forecasts, window),
+    bySignal: Object.fromEntries(SIGNALS.map(signal => [signal, scoreForecasts(bySignal[signal] || [], binCount)])),
+    byTimeOfDay: Object.fromEntries(Object.keys(byHour).sort().map(hour => [hour, scoreForecasts(byHour[hour], binCount)]))
+  };
+}
+
+class ForecastScoring {
+  // options: { source ('signal' | 'sentiment'), from, to, agent, bins, window (rolling calls) }
+  async getReport(options = {}) {
+    const source = options.source || 'signal';
+    const binCount = options.bins || 10;
+    const window = options.window || 20;
+    const holdBandPct = config.validation.holdBandPct;
+    const predictions = await repositories.predictions.findValidated(
+      { source, from: options.from, to: options.to },
+      MAX_PREDICTIONS
+    );
+
+    const byAgent = groupBy(toForecasts(predictions, holdBandPct), 'agent');
+    const agents = Object.keys(byAgent)
+      .filter(agent => !options.agent || agent === options.agent)
+      .sort((a, b) => (a === 'final' ? -1 : b === 'final' ? 1 : a.localeCompare(b)));
+
+    return {
+      source,
+      from: options.from || (predictions.length > 0 ? predictions[0].timestamp : null),
+      to: options.to || (predictions.length > 0 ? predictions[predictions.length - 1].timestamp : null),
+      predictions: predictions.length,
+      horizonMinutes: config.validation.horizonMinutes,
+      holdBandPct,
+      window,
+      agents: Object.fromEntries(agents.map(agent => [agent, scoreAgent(byAgent[agent], binCount, window)]))
+    };
+  }
+}
+
+module.exports = new ForecastScoring();
+module.exports.isHit = isHit;
+module.exports.realisedDirection = realisedDirection;
+module.exports.impliedProbability = impliedProbability;
+module.exports.scoreForecasts = scoreForecasts;
+module.exports.toForecasts = toForecasts;
+module.exports.outcomeOf = outcomeOf;
@@ -0,0 +1,167 @@
+// Intraday Chart - The session's Nifty bars with signal markers, target band and stop/target levels
+const EventEmitter = require('events');
+const config = require('../config');
+const marketData = require('./marketData');
+const tradingCalendar = require('./tradingCalendar');
+const { PROVENANCE } = require('./provenance');
+const repositories = require('../repositories');
+
+const MINUTE_MS = 60 * 1000;
+const DIRECTIONS = { BUY: 1, SELL: -1 };
+
+const round = value => (Number.isFinite(value) ? Math.round(value * 100) / 100 : null);
+
+// Noon IST on a YYYY-MM-DD date, safely inside that day's session
+function istNoon(dateKey) {
+  return new Date(`${dateKey}T12:00:00+05:30`);
+}
+
+// Emits 'update' with a fresh chart after every signal and every refreshMs while the market is open
+class IntradayChart extends EventEmitter {
+  constructor() {
+    super();
+    this.settings = config.intraday;
+    this.intervalMs = parseInt(this.settings.candleInterval, 10) * MINUTE_MS;
+    this.monitor = null;
+  }
+
+  attach(orchestrator) {
+    this.signalHandler = () => this.publish();
+    orchestrator.on('signal', this.signalHandler);
+
+    if (this.settings.refreshMs > 0 && !this.monitor) {
+      this.monitor = setInterval(() => {
+        if (tradingCalendar.isMarketOpen(marketData.now())) this.publish();
+      }, this.settings.refreshMs);
+      this.monitor.unref();
+    }
+  }
+
+  detach(orchestrator) {
+    if (this.signalHandler) {
+      orchestrator.off('signal', this.signalHandler);
+      this.signalHandler = null;
+    }
+    if (this.monitor) {
+      clearInterval(this.monitor);
+      this.monitor = null;
+    }
+  }
+
+  async publish() {
+    try {
+      this.emit('update', await this.getChart());
+    } catch (error) {
+      console.error('⚠️ Failed to refresh intraday chart:', error.message);
+    }
+  }
+
+  // The session on `date` (YYYY-MM-DD), otherwise today's once it has opened, else the last one
+  resolveSession(date) {
+    if (date) {
+      const session = tradingCalendar.getSession(istNoon(date));
+      if (!session) {
+        const error = new Error(`No NSE session on ${date}`);
+        error.statusCode = 404;
+        throw error;
+      }
+      return session;
+    }
+
+    const now = marketData.now();
+    const today = tradingCalendar.getSession(now);
+    if (today && new Date(now).getTime() >= today.open.getTime()) return today;
+
+    const previous = tradingCalendar.getPreviousTradingDay(now);
+    return previous ? tradingCalendar.getSession(istNoon(previous)) : null;
+  }
+
+  // Session bars from the provider, or from stored bars once they have aged out of its window
+  async getCandles(session) {
+    const symbol = marketData.niftyIndex;
+    const interval = this.settings.candleInterval;
+    const open = session.open.getTime();
+    const close = session.close.getTime();
+    const inSession = candle => {
+      const time = new Date(candle.timestamp).getTime();
+      return time >= open && time < close;
+    };
+
+    const series = await marketData.getCandleSeries(symbol, interval);
+    const candles = series.candles.filter(inSession);
+    if (candles.length > 0) {
+      return { candles, provenance: series.provenance, source: series.source };
+    }
+
+    const stored = await repositories.candles.find(symbol, interval, { from: session.open, to: new Date(close - 1) });
+    return stored.length > 0
+      ? { candles: stored, provenance: PROVENANCE.LIVE, source: 'stored' }
+      : { candles: [], provenance: series.provenance, source: series.source };
+  }
+
+  // Open time of the bar a signal was made in, so markers line up with the candles
+  barTime(candles, timestamp) {
+    const time = new Date(timestamp).getTime();
+    const bar = candles.find(candle => {
+      const start = new Date(candle.timestamp).getTime();
+      return time >= start && time < start + this.intervalMs;
+    });
+    return bar ? new Date(bar.timestamp) : null;
+  }
+
+  // Target band, target and stop for a signal; the stop follows the paper broker's rule
+  levels(signal) {
+    if (!signal) return null;
+
+    const prediction = signal.pricePrediction || {};
+    const entryPrice = signal.currentPrice || prediction.currentPrice;
+    const direction = DIRECTIONS[signal.signal] || 0;
+    const stopPct = signal.agentResults?.risk?.position_sizing?.stopLoss?.percentage || config.paper.defaultStopPct;
+
+    return {
+      signalId: signal.id,
+      signal: signal.signal,
+      timestamp: signal.timestamp,
+      actionable: signal.actionable !== false,
+      entryPrice: round(entryPrice),
+      targetPrice: round(prediction.targetPrice),
+      priceRange: prediction.priceRange || null,
+      stopLoss: direction !== 0 && entryPrice ? round(entryPrice * (1 - direction * stopPct / 100)) : null,
+      stopPct: direction !== 0 ? stopPct : null
+    };
+  }
+
+  async getChart({ date } = {}) {
+    const session = this.resolveSession(date);
+    if (!session) {
+      return { session: null, interval: this.settings.candleInterval, candles: [], signals: [], levels: null };
+    }
+
+    const { candles, provenance, source } = await this.getCandles(session);
+    const page = await repositories.signals.find(
+      { from: session.open, to: session.close },
+      { limit: this.settings.maxSignals }
+    );
+    const signals = page.signals.reverse();
+
+    return {
+      session,
+      interval: this.settings.candleInterval,
+      provenance,
+      source,
+      candles,
+      signals: signals.map(signal => ({
+        id: signal.id,
+        timestamp: signal.timestamp,
+        barTime: this.barTime(candles, signal.timestamp),
+        signal: signal.signal,
+        confidence: signal.confidence,
+        price: round(signal.currentPrice),
+        actionable: signal.actionable !== false
+      })),
+      levels: this.levels(signals[signals.length - 1])
+    };
+  }
+}
+
+module.exports = new IntradayChart();
@@ -0,0 +1,185 @@
+// LLM Client - One chat-completion client for every agent, with provider selection and record/replay
+const config = require('../../config');
+const OpenAIProvider = require('./openaiProvider');
+const StubProvider = require('./stubProvider');
+const ResponseRecorder = require('./recorder');
+const { SCHEMAS, parseStructured } = require('./schemas');
+const usage = require('./usage');
+
+const MODES = ['live', 'record', 'replay'];
+
+function createLLMProvider(options = {}) {
+  switch (options.provider) {
+    case 'openai':
+    case undefined:
+      return new OpenAIProvider({ name: 'openai', apiKey: options.apiKey, baseURL: options.baseURL, timeout: options.timeoutMs });
+    case 'openai-compatible':
+      if (!options.baseURL) {
+        throw new Error('LLM_BASE_URL is required for the openai-compatible provider');
+      }
+      return new OpenAIProvider({ name: 'openai-compatible', apiKey: options.apiKey, baseURL: options.baseURL, timeout: options.timeoutMs });
+    case 'stub':
+      return new StubProvider();
+    default:
+      throw new Error(`Unknown LLM provider: ${options.provider}`);
+  }
+}
+
+class LLMClient {
+  constructor() {
+    this.configure(config.llm);
+    this.resetValidationStats();
+  }
+
+  configure(settings) {
+    if (!MODES.includes(settings.mode)) {
+      throw new Error(`Unknown LLM mode: ${settings.mode} (valid: ${MODES.join(', ')})`);
+    }
+
+    this.settings = settings;
+    this.models = settings.models;
+    this.mode = settings.mode;
+    this.provider = createLLMProvider(settings);
+    this.recorder = this.mode === 'live'
+      ? null
+      : new ResponseRecorder({ dir: settings.recordingsDir, strict: settings.replayStrict });
+    console.log(`🤖 LLM provider: ${this.provider.name} (${this.mode})`);
+  }
+
+  setProvider(provider) {
+    this.provider = provider;
+  }
+
+  modelFor(agent) {
+    return this.models[agent] || this.models.default;
+  }
+
+  // Whether agents should attempt AI analysis at all. Paid calls stop once the daily budget is spent.
+  isAvailable() {
+    if (this.mode === 'replay') return true;
+    if (!this.provider.isConfigured()) return false;
+    return !this.provider.usesNetwork || !usage.isBudgetExhausted();
+  }
+
+  // Responses come from disk or the stub: safe for tests and backtests, no quota spent
+  isOffline() {
+    return this.mode === 'replay' || !this.provider.usesNetwork;
+  }
+
+  // request: { agent, purpose, messages, maxTokens, temperature, json }
+  // Returns { content, model, usage, provider, replayed }. Every call is recorded for cost accounting.
+  async complete({ agent, purpose = null, messages, maxTokens, temperature, json = false }) {
+    const request = { agent, purpose, model: this.modelFor(agent), messages, maxTokens, temperature, json };
+
+    if (this.mode === 'replay') {
+      const recorded = this.recorder.load(request);
+      if (!recorded) {
+        throw new Error(`No recorded LLM response for ${agent}${purpose ? `:${purpose}` : ''} in ${this.settings.recordingsDir}`);
+      }
+      usage.record({ agent, purpose, provider: 'replay', model: request.model, usage: recorded.response.usage, replayed: recorded.match });
+      return { ...recorded.response, provider: 'replay', replayed: recorded.match };
+    }
+
+    if (!this.provider.isConfigured()) {
+      throw new Error(`LLM provider ${this.provider.name} is not configured`);
+    }
+    const billable = this.provider.usesNetwork;
+    if (billable && usage.isBudgetExhausted()) {
+      const error = new Error('LLM daily budget exhausted');
+      error.code = 'LLM_BUDGET_EXHAUSTED';
+      throw error;
+    }
+
+    const startedAt = Date.now();
+    const entry = { agent, purpose, provider: this.provider.name, model: request.model, billable };
+    let response;
+    try {
+      response = await this.provider.complete(request);
+    } catch (error) {
+      usage.record({ ...entry, latencyMs: Date.now() - startedAt, error });
+      throw error;
+    }
+    usage.record({ ...entry, usage: response.usage, latencyMs: Date.now() - startedAt });
+
+    if (this.mode === 'record') {
+      this.recorder.save(request, response);
+    }
+    return { ...response, provider: this.provider.name, replayed: null };
+  }
+
+  // Ask for JSON matching the agent's schema. An invalid reply is retried once with the
+  // problems listed; if that fails too the error carries code INVALID_LLM_OUTPUT so the
+  // agent can return its degraded-mode result.
+  // Returns the complete() response plus the validated object as `data`
+  async completeStructured({ agent, purpose = null, messages, maxTokens, temperature }) {
+    const schemaKey = purpose ? `${agent}:${purpose}` : agent;
+    const schema = SCHEMAS[schemaKey];
+    if (!schema) {
+      throw new Error(`No response schema for ${schemaKey}`);
+    }
+
+    const stats = this.validationStatsFor(schemaKey);
+    let attemptMessages = messages;
+    let errors = [];
+
+    for (let attempt = 1; attempt <= 2; attempt++) {
+      const response = await this.complete({ agent, purpose, messages: attemptMessages, maxTokens, temperature, json: true });
+      const parsed = parseStructured(response.content, schema);
+      stats.checked++;
+      this.validation.checked++;
+
+      if (!parsed.errors.length) {
+        if (attempt > 1) this.validation.recovered++;
+        return { ...response, data: parsed.value, attempts: attempt };
+      }
+
+      errors = parsed.errors;
+      stats.invalid++;
+      this.validation.invalid++;
+      console.warn(`⚠️ Invalid ${schemaKey} LLM output (attempt ${attempt}): ${errors.slice(0, 3).join('; ')}`);
+
+      if (attempt === 1) {
+        this.validation.retried++;
+        attemptMessages = [
+          ...messages,
+          { role: 'assistant', content: response.content },
+          { role: 'user', content: `Your reply did not match the required JSON structure:\n- ${errors.join('\n- ')}\nRespond again with corrected JSON only.` }
+        ];
+      }
+    }
+
+    stats.degraded++;
+    this.validation.degraded++;
+    const error = new Error(`${schemaKey} LLM output failed validation: ${errors.join('; ')}`);
+    error.code = 'INVALID_LLM_OUTPUT';
+    error.validationErrors = errors;
+    throw error;
+  }
+
+  validationStatsFor(schemaKey) {
+    if (!this.validation.bySchema[schemaKey]) {
+      this.validation.bySchema[schemaKey] = { checked: 0, invalid: 0, degraded: 0 };
+    }
+    return this.validation.bySchema[schemaKey];
+  }
+
+  resetValidationStats() {
+    this.validation = { checked: 0, invalid: 0, retried: 0, recovered: 0, degraded: 0, bySchema: {} };
+  }
+
+  describe() {
+    return {
+      provider: this.provider.name,
+      mode: this.mode,
+      available: this.isAvailable(),
+      offline: this.isOffline(),
+      models: this.models,
+      recordings: this.recorder ? { dir: this.settings.recordingsDir, count: this.recorder.count() } : null,
+      validation: this.validation,
+      budget: usage.getBudgetStatus()
+    };
+  }
+}
+
+module.exports = new LLMClient();
+module.exports.createLLMProvider = createLLMProvider;
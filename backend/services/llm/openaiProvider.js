@@ -0,0 +1,49 @@
+// OpenAI Provider - Chat completions from OpenAI or any OpenAI-compatible endpoint
+const OpenAI = require('openai');
+
+class OpenAIProvider {
+  // options: { name, apiKey, baseURL, timeout }
+  constructor(options = {}) {
+    this.name = options.name || 'openai';
+    this.apiKey = options.apiKey;
+    this.baseURL = options.baseURL || undefined;
+    this.timeout = options.timeout;
+    this.usesNetwork = true;
+    this.client = null;
+  }
+
+  // Local servers (Ollama, vLLM, LM Studio) accept any key; api.openai.com needs a real one
+  isConfigured() {
+    return this.baseURL ? true : Boolean(this.apiKey);
+  }
+
+  // The SDK throws without a key, so the client is only built when first used
+  getClient() {
+    if (!this.client) {
+      this.client = new OpenAI({
+        apiKey: this.apiKey || 'not-needed',
+        baseURL: this.baseURL,
+        timeout: this.timeout
+      });
+    }
+    return this.client;
+  }
+
+  async complete({ model, messages, maxTokens, temperature, json }) {
+    const response = await this.getClient().chat.completions.create({
+      model,
+      messages,
+      max_tokens: maxTokens,
+      temperature,
+      ...(json ? { response_format: { type: 'json_object' } } : {})
+    });
+
+    return {
+      content: response.choices[0].message.content,
+      model: response.model || model,
+      usage: response.usage || null
+    };
+  }
+}
+
+module.exports = OpenAIProvider;
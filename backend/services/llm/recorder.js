@@ -0,0 +1,85 @@
+// LLM Recorder - Saves prompt/response pairs to disk and serves them back for offline replay
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+class ResponseRecorder {
+  // options: { dir, strict } - strict replay only serves exact prompt matches
+  constructor(options = {}) {
+    this.dir = options.dir;
+    this.strict = Boolean(options.strict);
+    this.latestByPrefix = null;
+  }
+
+  prefix(request) {
+    return `${request.agent || 'unknown'}-${request.purpose || 'analysis'}`;
+  }
+
+  // Identical model, messages and output format give the same key
+  key(request) {
+    const hash = crypto.createHash('sha256')
+      .update(JSON.stringify([request.model, request.messages, Boolean(request.json)]))
+      .digest('hex')
+      .slice(0, 16);
+    return `${this.prefix(request)}-${hash}`;
+  }
+
+  save(request, response) {
+    const key = this.key(request);
+    const record = {
+      key,
+      agent: request.agent,
+      purpose: request.purpose || null,
+      model: request.model,
+      json: Boolean(request.json),
+      messages: request.messages,
+      response: { content: response.content, model: response.model, usage: response.usage || null },
+      recordedAt: new Date().toISOString()
+    };
+
+    fs.mkdirSync(this.dir, { recursive: true });
+    fs.writeFileSync(path.join(this.dir, `${key}.json`), JSON.stringify(record, null, 2));
+    if (this.latestByPrefix) this.latestByPrefix.set(this.prefix(request), record);
+    return key;
+  }
+
+  // Exact match first; otherwise the most recent recording for the same agent and purpose,
+  // so replays still work when prices in the prompt differ from the recording session
+  load(request) {
+    const exactPath = path.join(this.dir, `${this.key(request)}.json`);
+    if (fs.existsSync(exactPath)) {
+      return { ...JSON.parse(fs.readFileSync(exactPath, 'utf8')), match: 'exact' };
+    }
+    if (this.strict) return null;
+
+    const nearest = this.indexRecordings().get(this.prefix(request));
+    return nearest ? { ...nearest, match: 'nearest' } : null;
+  }
+
+  indexRecordings() {
+    if (this.latestByPrefix) return this.latestByPrefix;
+
+    this.latestByPrefix = new Map();
+    if (!fs.existsSync(this.dir)) return this.latestByPrefix;
+
+    fs.readdirSync(this.dir)
+      .filter(file => file.endsWith('.json'))
+      .forEach(file => {
+        try {
+          const record = JSON.parse(fs.readFileSync(path.join(this.dir, file), 'utf8'));
+          const prefix = this.prefix(record);
+          const current = this.latestByPrefix.get(prefix);
+          if (!current || record.recordedAt > current.recordedAt) this.latestByPrefix.set(prefix, record);
+        } catch (error) {
+          console.log(`⚠️ Skipping unreadable LLM recording ${file}:`, error.message);
+        }
+      });
+    return this.latestByPrefix;
+  }
+
+  count() {
+    return fs.existsSync(this.dir) ? fs.readdirSync(this.dir).filter(file => file.endsWith('.json')).length : 0;
+  }
+}
+
+module.exports = ResponseRecorder;
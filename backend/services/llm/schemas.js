@@ -0,0 +1,124 @@
+// LLM Schemas - JSON structures each agent asks the model for, and a small validator for them
+const SIGNALS = ['BUY', 'SELL', 'HOLD'];
+const RISK_SIGNALS = ['APPROVE_TRADE', 'CAUTIOUS_TRADE', 'AVOID_TRADE'];
+const LEVELS = ['LOW', 'MEDIUM', 'HIGH'];
+const HORIZONS = ['15_MINUTES', 'INTRADAY', 'SHORT_TERM', 'MEDIUM_TERM', 'LONG_TERM'];
+
+const confidence = { type: 'number', minimum: 0, maximum: 100 };
+const textList = { type: 'array', items: { type: 'string' } };
+const price = { type: ['number', 'null'], minimum: 0 };
+
+// Every agent decision carries signal, confidence, factors, risks and horizon
+function decision(signals, extra = {}, extraRequired = []) {
+  return {
+    type: 'object',
+    required: ['signal', 'confidence', 'factors', 'risks', 'horizon', ...extraRequired],
+    properties: {
+      signal: { type: 'string', enum: signals },
+      confidence,
+      factors: textList,
+      risks: textList,
+      horizon: { type: 'string', enum: HORIZONS },
+      ...extra
+    }
+  };
+}
+
+const SCHEMAS = {
+  technical: decision(SIGNALS, {
+    target: price,
+    support: price,
+    resistance: price
+  }),
+
+  sentiment: decision(SIGNALS, {
+    sentiment: { type: 'string', enum: ['BULLISH', 'BEARISH', 'NEUTRAL'] },
+    risk: { type: 'string', enum: LEVELS },
+    targetPrice: price,
+    stopLoss: price,
+    marketContext: { type: 'string', enum: ['opening', 'mid_session', 'closing'] },
+    volumeConfirmation: { type: 'boolean' },
+    sectorRotation: { type: 'string', enum: ['positive', 'negative', 'neutral'] }
+  }, ['sentiment']),
+
+  risk: decision(RISK_SIGNALS, {
+    riskLevel: { type: 'string', enum: LEVELS },
+    positionAdvice: { type: 'string' },
+    stopLossPercent: { type: ['number', 'null'], minimum: 0, maximum: 100 }
+  }, ['riskLevel', 'positionAdvice']),
+
+  'research:summary': decision(SIGNALS, {
+    opportunities: textList,
+    targetLevel: price,
+    stopLoss: price,
+    reasoning: { type: 'string' }
+  }, ['reasoning']),
+
+  // News sentiment feeds the research signal rather than being one
+  'research:news': {
+    type: 'object',
+    required: ['overallSentiment', 'sentimentScore', 'keyThemes', 'marketImpact', 'shortTermOutlook', 'confidence'],
+    properties: {
+      overallSentiment: { type: 'string', enum: ['POSITIVE', 'NEGATIVE', 'NEUTRAL'] },
+      sentimentScore: { type: 'number', minimum: -1, maximum: 1 },
+      keyThemes: textList,
+      marketImpact: { type: 'string', enum: LEVELS },
+      shortTermOutlook: { type: 'string', enum: ['BULLISH', 'BEARISH', 'NEUTRAL'] },
+      confidence,
+      riskFactors: textList,
+      opportunities: textList
+    }
+  }
+};
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isFinite(value) ? 'number' : 'nan';
+  return typeof value;
+}
+
+// Returns a list of problems ([] when valid). Covers the subset of JSON Schema used above;
+// properties that are not declared are allowed since models often add extra detail.
+function validate(value, schema, path = 'response') {
+  const types = [].concat(schema.type || []);
+  const actual = typeOf(value);
+  if (types.length && !types.includes(actual)) {
+    return [`${path} should be ${types.join(' or ')}, got ${actual}`];
+  }
+  if (value === null) return [];
+
+  const errors = [];
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} should be one of ${schema.enum.join(', ')}, got ${JSON.stringify(value)}`);
+  }
+  if (actual === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path} should be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path} should be <= ${schema.maximum}`);
+  }
+  if (actual === 'array' && schema.items) {
+    value.forEach((item, index) => errors.push(...validate(item, schema.items, `${path}[${index}]`)));
+  }
+  if (actual === 'object') {
+    (schema.required || [])
+      .filter(key => value[key] === undefined)
+      .forEach(key => errors.push(`${path}.${key} is required`));
+    Object.entries(schema.properties || {})
+      .filter(([key]) => value[key] !== undefined)
+      .forEach(([key, propertySchema]) => errors.push(...validate(value[key], propertySchema, `${path}.${key}`)));
+  }
+  return errors;
+}
+
+// Parse model output and check it; { value, errors }
+function parseStructured(content, schema) {
+  let value;
+  try {
+    value = JSON.parse(content);
+  } catch (error) {
+    return { value: null, errors: [`response is not valid JSON: ${error.message}`] };
+  }
+  return { value, errors: validate(value, schema) };
+}
+
+module.exports = { SCHEMAS, SIGNALS, RISK_SIGNALS, HORIZONS, validate, parseStructured };
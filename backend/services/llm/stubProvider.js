@@ -0,0 +1,131 @@
+// Stub Provider - Deterministic, offline responses shaped like each agent's real LLM output
+const crypto = require('crypto');
+
+// Same prompt, same answer: a stable number in [0, 1) from the request
+function seededRandom(text, salt = '') {
+  const hash = crypto.createHash('sha256').update(salt + text).digest();
+  return hash.readUInt32BE(0) / 0x100000000;
+}
+
+// Read the market cues already present in the prompt so the stub agrees with the data
+function readCues(prompt) {
+  const priceMatch = prompt.match(/₹\s?([\d,]+(?:\.\d+)?)/);
+  const changeMatch = prompt.match(/Change:\s*([+-]?[\d.]+)%/) || prompt.match(/\(([+-]?[\d.]+)%\)/);
+  const price = priceMatch ? parseFloat(priceMatch[1].replace(/,/g, '')) : null;
+  const change = changeMatch ? parseFloat(changeMatch[1]) : null;
+  return { price: Number.isFinite(price) ? price : null, change: Number.isFinite(change) ? change : null };
+}
+
+function round(value, step = 0.05) {
+  return Math.round(value / step) * step;
+}
+
+const RESPONSES = {
+  technical: ({ signal, confidence, direction, price }) => JSON.stringify({
+    signal,
+    confidence,
+    factors: [
+      signal === 'BUY' ? 'Momentum building above short-term averages' : signal === 'SELL' ? 'Momentum fading below short-term averages' : 'Indicators mixed, price consolidating',
+      'Volume in line with recent bars'
+    ],
+    risks: ['Intraday reversals near round-number levels'],
+    horizon: '15_MINUTES',
+    target: price ? round(price * (1 + direction * 0.001)) : null,
+    support: price ? round(price * 0.995) : null,
+    resistance: price ? round(price * 1.005) : null
+  }),
+
+  sentiment: ({ signal, confidence, direction, price }) => JSON.stringify({
+    signal,
+    confidence,
+    sentiment: direction > 0 ? 'BULLISH' : direction < 0 ? 'BEARISH' : 'NEUTRAL',
+    factors: [
+      direction > 0 ? 'Broad-based buying across heavyweights' : direction < 0 ? 'Selling pressure in heavyweights' : 'Breadth evenly balanced',
+      'Volume in line with the session average'
+    ],
+    risks: ['No major event risk in the next 15 minutes'],
+    horizon: '15_MINUTES',
+    risk: confidence > 70 ? 'LOW' : 'MEDIUM',
+    targetPrice: price ? round(price * (1 + direction * 0.0015)) : null,
+    stopLoss: price ? round(price * (1 - (direction || 1) * 0.004)) : null,
+    marketContext: 'mid_session',
+    volumeConfirmation: confidence > 65,
+    sectorRotation: direction > 0 ? 'positive' : direction < 0 ? 'negative' : 'neutral'
+  }),
+
+  'research:news': ({ direction, confidence, random }) => JSON.stringify({
+    overallSentiment: direction > 0 ? 'POSITIVE' : direction < 0 ? 'NEGATIVE' : 'NEUTRAL',
+    sentimentScore: Math.round((direction * 0.3 + (random - 0.5) * 0.2) * 100) / 100,
+    keyThemes: ['Earnings season', 'RBI policy outlook', 'FII flows'],
+    marketImpact: 'MEDIUM',
+    shortTermOutlook: direction > 0 ? 'BULLISH' : direction < 0 ? 'BEARISH' : 'NEUTRAL',
+    confidence,
+    riskFactors: ['Global bond yields', 'Crude oil prices'],
+    opportunities: ['Banking sector re-rating', 'Domestic consumption']
+  }),
+
+  'research:summary': ({ signal, confidence, direction, price }) => JSON.stringify({
+    signal,
+    confidence,
+    factors: ['Domestic institutional buying', 'Stable macro indicators', 'Global cues'],
+    risks: ['FII outflows', 'Valuation comfort'],
+    horizon: 'SHORT_TERM',
+    opportunities: ['Financials', 'Capital goods'],
+    targetLevel: price ? round(price * (1 + direction * 0.01)) : null,
+    stopLoss: price ? round(price * (1 - (direction || 1) * 0.015)) : null,
+    reasoning: 'Fundamentals and flows are weighed against global risk; stub response for offline runs.'
+  }),
+
+  risk: ({ confidence, random }) => {
+    const riskLevel = random < 0.2 ? 'HIGH' : random < 0.7 ? 'MEDIUM' : 'LOW';
+    return JSON.stringify({
+      signal: riskLevel === 'HIGH' ? 'AVOID_TRADE' : riskLevel === 'MEDIUM' ? 'CAUTIOUS_TRADE' : 'APPROVE_TRADE',
+      confidence,
+      riskLevel,
+      factors: ['Volatility within its recent range'],
+      risks: ['Volatility expansion', 'Liquidity gaps near the close'],
+      horizon: '15_MINUTES',
+      positionAdvice: riskLevel === 'LOW' ? 'Standard position size' : 'Reduce position size by half',
+      stopLossPercent: 2
+    });
+  }
+};
+
+class StubProvider {
+  constructor() {
+    this.name = 'stub';
+    this.usesNetwork = false;
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  async complete({ model, messages, json, agent, purpose }) {
+    const prompt = messages.map(message => message.content).join('\n');
+    const random = seededRandom(prompt, `${agent}:${purpose || ''}`);
+    const { price, change } = readCues(prompt);
+
+    const direction = change === null
+      ? (random < 0.35 ? 1 : random < 0.65 ? -1 : 0)
+      : (change > 0.15 ? 1 : change < -0.15 ? -1 : 0);
+    const context = {
+      random,
+      price,
+      direction,
+      signal: direction > 0 ? 'BUY' : direction < 0 ? 'SELL' : 'HOLD',
+      confidence: 55 + Math.floor(random * 25)
+    };
+
+    const respond = RESPONSES[`${agent}:${purpose}`] || RESPONSES[agent];
+    const content = respond ? respond(context) : (json ? '{}' : 'Stub response');
+
+    return {
+      content,
+      model: `stub:${model}`,
+      usage: { prompt_tokens: Math.ceil(prompt.length / 4), completion_tokens: Math.ceil(content.length / 4) }
+    };
+  }
+}
+
+module.exports = StubProvider;
@@ -0,0 +1,194 @@
+// LLM Usage - Token, latency and cost accounting per call, run and day, with a daily spend budget
+const { AsyncLocalStorage } = require('async_hooks');
+const config = require('../../config');
+const repositories = require('../../repositories');
+const { istDateKey } = require('../providers/baseProvider');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Lets calls made anywhere inside an analysis run be attributed to it
+const runContext = new AsyncLocalStorage();
+
+function roundUsd(value) {
+  return Math.round(value * 1e6) / 1e6;
+}
+
+function addTo(totals, record) {
+  totals.calls++;
+  if (!record.success) totals.failedCalls++;
+  totals.promptTokens += record.promptTokens;
+  totals.completionTokens += record.completionTokens;
+  totals.totalTokens += record.totalTokens;
+  totals.costUsd = roundUsd(totals.costUsd + record.costUsd);
+  totals.latencyMs += record.latencyMs;
+  return totals;
+}
+
+function emptyTotals() {
+  return { calls: 0, failedCalls: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, costUsd: 0, latencyMs: 0 };
+}
+
+// Totals for a set of records, broken down by agent and model
+function summarize(records) {
+  const summary = { ...emptyTotals(), byAgent: {}, byModel: {} };
+  const bucket = (group, key) => (group[key] = group[key] || emptyTotals());
+  records.forEach(record => {
+    addTo(summary, record);
+    addTo(bucket(summary.byAgent, record.agent), record);
+    addTo(bucket(summary.byModel, record.model), record);
+  });
+
+  const withAverage = ({ latencyMs, ...totals }) => ({
+    ...totals,
+    avgLatencyMs: totals.calls ? Math.round(latencyMs / totals.calls) : 0
+  });
+  return {
+    ...withAverage(summary),
+    byAgent: Object.fromEntries(Object.entries(summary.byAgent).map(([key, totals]) => [key, withAverage(totals)])),
+    byModel: Object.fromEntries(Object.entries(summary.byModel).map(([key, totals]) => [key, withAverage(totals)]))
+  };
+}
+
+class LLMUsageTracker {
+  constructor() {
+    this.dailyBudgetUsd = config.llm.dailyBudgetUsd;
+    this.pricing = config.llm.pricing;
+    this.today = { date: istDateKey(new Date()), costUsd: 0, calls: 0 };
+    this.runs = new Map();    // runId -> records, for the run history
+  }
+
+  // Spend already recorded today, so a restart does not reset the budget
+  async restore() {
+    try {
+      const date = istDateKey(new Date());
+      const records = await repositories.llmUsage.findByDateRange(date, date);
+      this.today = { date, costUsd: summarize(records).costUsd, calls: records.length };
+      console.log(`💰 LLM spend today: $${this.today.costUsd.toFixed(4)} over ${this.today.calls} calls`);
+    } catch (error) {
+      console.error('⚠️ Failed to restore LLM usage:', error.message);
+    }
+  }
+
+  withRun(runId, fn) {
+    return runContext.run({ runId }, fn);
+  }
+
+  currentRunId() {
+    const store = runContext.getStore();
+    return store ? store.runId : null;
+  }
+
+  // Exact model name first, then the longest listed prefix (dated versions like gpt-4o-2024-08-06)
+  priceFor(model) {
+    if (this.pricing[model]) return this.pricing[model];
+    const prefix = Object.keys(this.pricing)
+      .filter(name => model.startsWith(name))
+      .sort((a, b) => b.length - a.length)[0];
+    return prefix ? this.pricing[prefix] : null;
+  }
+
+  estimateCost(model, promptTokens, completionTokens) {
+    const price = this.priceFor(model);
+    if (!price) return 0;
+    return roundUsd((promptTokens * price.prompt + completionTokens * price.completion) / 1e6);
+  }
+
+  // entry: { agent, purpose, provider, model, usage, latencyMs, billable, replayed, error }
+  record(entry) {
+    const promptTokens = entry.usage?.prompt_tokens || 0;
+    const completionTokens = entry.usage?.completion_tokens || 0;
+    const timestamp = new Date();
+    const record = {
+      timestamp,
+      date: istDateKey(timestamp),
+      agent: entry.agent,
+      purpose: entry.purpose || null,
+      runId: this.currentRunId(),
+      provider: entry.provider,
+      model: entry.model,
+      promptTokens,
+      completionTokens,
+      totalTokens: entry.usage?.total_tokens || promptTokens + completionTokens,
+      latencyMs: Math.round(entry.latencyMs || 0),
+      // Replayed and stub responses cost nothing
+      costUsd: entry.billable ? this.estimateCost(entry.model, promptTokens, completionTokens) : 0,
+      replayed: entry.replayed || null,
+      success: !entry.error,
+      error: entry.error ? entry.error.message : null
+    };
+
+    this.addToToday(record);
+    if (record.runId) {
+      if (!this.runs.has(record.runId)) {
+        this.runs.set(record.runId, []);
+        if (this.runs.size > config.runs.historySize) this.runs.delete(this.runs.keys().next().value);
+      }
+      this.runs.get(record.runId).push(record);
+    }
+
+    repositories.llmUsage.save(record)
+      .catch(error => console.error('⚠️ Failed to store LLM usage:', error.message));
+    return record;
+  }
+
+  addToToday(record) {
+    this.rollDay(record.date);
+    const wasExhausted = this.isBudgetExhausted();
+    this.today.costUsd = roundUsd(this.today.costUsd + record.costUsd);
+    this.today.calls++;
+
+    if (!wasExhausted && this.isBudgetExhausted()) {
+      console.warn(`💸 LLM daily budget of $${this.dailyBudgetUsd} reached - agents switch to non-AI analysis until tomorrow (IST)`);
+    }
+  }
+
+  rollDay(date = istDateKey(new Date())) {
+    if (date !== this.today.date) {
+      this.today = { date, costUsd: 0, calls: 0 };
+    }
+  }
+
+  isBudgetExhausted() {
+    this.rollDay();
+    return this.dailyBudgetUsd > 0 && this.today.costUsd >= this.dailyBudgetUsd;
+  }
+
+  getBudgetStatus() {
+    this.rollDay();
+    return {
+      date: this.today.date,
+      dailyBudgetUsd: this.dailyBudgetUsd || null,
+      spentUsd: this.today.costUsd,
+      remainingUsd: this.dailyBudgetUsd ? roundUsd(Math.max(0, this.dailyBudgetUsd - this.today.costUsd)) : null,
+      calls: this.today.calls,
+      exhausted: this.isBudgetExhausted()
+    };
+  }
+
+  getRunUsage(runId) {
+    return this.runs.has(runId) ? summarize(this.runs.get(runId)) : null;
+  }
+
+  // Daily roll-up for IST dates from..to (YYYY-MM-DD, inclusive); defaults to the last 7 days
+  async getDailyUsage({ from, to } = {}) {
+    to = to || istDateKey(new Date());
+    from = from || istDateKey(new Date(`${to}T00:00:00+05:30`).getTime() - 6 * DAY_MS);
+    const records = await repositories.llmUsage.findByDateRange(from, to);
+    const byDate = new Map();
+    records.forEach(record => {
+      if (!byDate.has(record.date)) byDate.set(record.date, []);
+      byDate.get(record.date).push(record);
+    });
+
+    return {
+      from,
+      to,
+      budget: this.getBudgetStatus(),
+      totals: summarize(records),
+      days: [...byDate.entries()].map(([date, dayRecords]) => ({ date, ...summarize(dayRecords) }))
+    };
+  }
+}
+
+module.exports = new LLMUsageTracker();
+module.exports.summarize = summarize;
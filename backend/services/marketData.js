@@ -1,87 +1,217 @@
-// Market Data Service - Fetches real-time Nifty 50 data
-const axios = require('axios');
+// Market Data Service - Fetches Nifty 50 data through the configured provider
+const config = require('../config');
+const { createProvider } = require('./providers');
+const { PROVENANCE, worstProvenance } = require('./provenance');
+const repositories = require('../repositories');
+const niftyUniverse = require('./niftyUniverse');
+
+// Settles fn(item) for every item with at most `limit` calls in flight, results in input order
+async function settleWithLimit(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      try {
+        results[i] = { status: 'fulfilled', value: await fn(items[i]) };
+      } catch (reason) {
+        results[i] = { status: 'rejected', reason };
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(Math.max(limit, 1), items.length) }, worker));
+  return results;
+}
 
 class MarketDataService {
   constructor() {
-    this.niftySymbols = [
-      'RELIANCE.NS', 'TCS.NS', 'HDFCBANK.NS', 'BHARTIARTL.NS', 'ICICIBANK.NS',
-      'INFOSYS.NS', 'SBIN.NS', 'LICI.NS', 'ITC.NS', 'HINDUNILVR.NS',
-      'LT.NS', 'KOTAKBANK.NS', 'AXISBANK.NS', 'ASIANPAINT.NS', 'MARUTI.NS',
-      'SUNPHARMA.NS', 'TITAN.NS', 'ULTRACEMCO.NS', 'BAJFINANCE.NS', 'NESTLEIND.NS'
-    ];
     this.niftyIndex = '^NSEI';
+    this.provider = createProvider(config.marketData);
+    this.lastGood = new Map();
+    this.staleAfterMs = config.marketData.staleAfterMs;
+    this.quoteConcurrency = config.marketData.quoteConcurrency;
+    this.constituentsReuseMs = config.marketData.constituentsReuseMs;
+    this.constituentQuotes = null;
   }
 
-  // Fetch current Nifty 50 index data
-  async getNiftyIndexData() {
+  // Index constituents, heaviest first (see config/nifty50Constituents.json)
+  get niftySymbols() {
+    return niftyUniverse.symbols();
+  }
+
+  // Swap the data source at runtime (tests, backtests, replay sessions)
+  setProvider(provider) {
+    this.provider = provider;
+    this.constituentQuotes = null;
+    console.log(`🔌 Market data provider: ${provider.name}`);
+  }
+
+  getProvider() {
+    return this.provider;
+  }
+
+  // True when the active provider never touches the network (file replay, fixtures)
+  isOffline() {
+    return !this.provider.usesNetwork;
+  }
+
+  // Current time as seen by the data source (the replay clock for recorded sessions)
+  now() {
+    return this.provider.now();
+  }
+
+  // Call the provider, remembering the last good payload so that a failure can be
+  // served from cache (cached/stale) before falling back to synthetic mock data
+  async fetchWithFallback(cacheKey, fetcher, syntheticFallback) {
     try {
-      // Using Yahoo Finance API alternative or mock data
-      const response = await axios.get(`https://query1.finance.yahoo.com/v8/finance/chart/${this.niftyIndex}`, {
-        timeout: 10000
-      });
-      
-      const data = response.data.chart.result[0];
-      const meta = data.meta;
-      const quote = data.indicators.quote[0];
-      
-      return {
-        symbol: this.niftyIndex,
-        currentPrice: meta.regularMarketPrice,
-        previousClose: meta.previousClose,
-        change: meta.regularMarketPrice - meta.previousClose,
-        changePercent: ((meta.regularMarketPrice - meta.previousClose) / meta.previousClose) * 100,
-        volume: quote.volume[quote.volume.length - 1],
-        timestamp: new Date(),
-        high: meta.regularMarketDayHigh,
-        low: meta.regularMarketDayLow,
-        open: meta.regularMarketDayRange
-      };
+      const payload = await fetcher();
+      this.lastGood.set(cacheKey, { payload, fetchedAt: Date.now() });
+      return { payload, provenance: PROVENANCE.LIVE, source: this.provider.name, asOf: new Date() };
     } catch (error) {
-      console.error('Error fetching Nifty index data:', error.message);
-      // Return mock data if API fails
-      return this.getMockNiftyData();
+      const cached = this.lastGood.get(cacheKey);
+      if (cached) {
+        const age = Date.now() - cached.fetchedAt;
+        const provenance = age <= this.staleAfterMs ? PROVENANCE.CACHED : PROVENANCE.STALE;
+        console.warn(`⚠️ ${cacheKey}: ${error.message} - serving ${provenance} data from ${Math.round(age / 1000)}s ago`);
+        return { payload: cached.payload, provenance, source: this.provider.name, asOf: new Date(cached.fetchedAt) };
+      }
+
+      if (!syntheticFallback) throw error;
+
+      console.warn(`⚠️ ${cacheKey}: ${error.message} - no cached data, using SYNTHETIC values`);
+      return { payload: syntheticFallback(), provenance: PROVENANCE.SYNTHETIC, source: 'mock', asOf: new Date() };
     }
   }
 
-  // Fetch historical data for technical analysis
-  async getHistoricalData(symbol = this.niftyIndex, period = '1d', interval = '5m') {
-    try {
-      const response = await axios.get(`https://query1.finance.yahoo.com/v8/finance/chart/${symbol}`, {
-        params: {
-          period1: Math.floor(Date.now() / 1000) - (7 * 24 * 60 * 60), // 7 days ago
-          period2: Math.floor(Date.now() / 1000),
-          interval: interval
-        },
-        timeout: 10000
-      });
+  tagQuote(result) {
+    return { ...result.payload, provenance: result.provenance, source: result.source, asOf: result.asOf };
+  }
 
-      const data = response.data.chart.result[0];
-      const timestamps = data.timestamp;
-      const quotes = data.indicators.quote[0];
-
-      return timestamps.map((timestamp, index) => ({
-        timestamp: new Date(timestamp * 1000),
-        open: quotes.open[index],
-        high: quotes.high[index],
-        low: quotes.low[index],
-        close: quotes.close[index],
-        volume: quotes.volume[index]
-      })).filter(item => item.close !== null);
-    } catch (error) {
-      console.error('Error fetching historical data:', error.message);
-      return this.getMockHistoricalData();
+  // Fetch current Nifty 50 index data
+  async getNiftyIndexData() {
+    const result = await this.fetchWithFallback(
+      `quote:${this.niftyIndex}`,
+      () => this.provider.getQuote(this.niftyIndex),
+      () => this.getMockNiftyData()
+    );
+    return this.tagQuote(result);
+  }
+
+  // Fetch a quote for any symbol (indices, stocks, global markets); throws when
+  // neither the provider nor the cache has data
+  async getQuote(symbol) {
+    const result = await this.fetchWithFallback(`quote:${symbol}`, () => this.provider.getQuote(symbol));
+    return this.tagQuote(result);
+  }
+
+  // Fetch a candle series together with its provenance
+  async getCandleSeries(symbol = this.niftyIndex, interval = '5m') {
+    const result = await this.fetchWithFallback(
+      `candles:${symbol}:${interval}`,
+      async () => {
+        const candles = await this.provider.getCandles(symbol, { interval, lookbackDays: 7 });
+        if (!candles || candles.length === 0) {
+          throw new Error(`No candles returned for ${symbol}`);
+        }
+        this.recordCandles(symbol, interval, candles);
+        return candles;
+      },
+      () => this.getMockHistoricalData()
+    );
+
+    return {
+      symbol,
+      interval,
+      candles: result.payload,
+      provenance: result.provenance,
+      source: result.source,
+      asOf: result.asOf
+    };
+  }
+
+  // Keep live bars so backtests can replay them later (recorded and fixture data is already on disk)
+  recordCandles(symbol, interval, candles) {
+    if (!this.provider.usesNetwork) return;
+
+    const complete = candles.filter(c => [c.open, c.high, c.low, c.close].every(Number.isFinite));
+    repositories.candles.saveMany(symbol, interval, complete).catch(error => {
+      console.error(`⚠️ Failed to store candles for ${symbol}:`, error.message);
+    });
+  }
+
+  // The last bar that had closed by `time` (bars are stamped with their open time), from stored
+  // bars first and the provider otherwise; null when no bar closed within one interval of it.
+  // Synthetic bars are never used
+  async getBarAt(time, symbol = this.niftyIndex, intervalMinutes = 5) {
+    const interval = `${intervalMinutes}m`;
+    const intervalMs = intervalMinutes * 60 * 1000;
+    const target = new Date(time).getTime();
+    const pick = candles => candles
+      .filter(candle => {
+        const closedAt = new Date(candle.timestamp).getTime() + intervalMs;
+        return closedAt <= target && closedAt > target - intervalMs && Number.isFinite(candle.close);
+      })
+      .pop() || null;
+
+    const stored = await repositories.candles.find(symbol, interval, {
+      from: new Date(target - 2 * intervalMs),
+      to: new Date(target)
+    });
+    const bar = pick(stored);
+    if (bar) return bar;
+
+    const series = await this.getCandleSeries(symbol, interval);
+    return series.provenance === PROVENANCE.SYNTHETIC ? null : pick(series.candles);
+  }
+
+  // Fetch historical data for technical analysis (the provider's default lookback)
+  async getHistoricalData(symbol = this.niftyIndex, interval = '5m') {
+    const series = await this.getCandleSeries(symbol, interval);
+    return series.candles;
+  }
+
+  // Quotes for every index constituent with name, sector and weight, heaviest first. Callers
+  // within constituentsReuseMs of each other share one batch of quotes
+  async getNifty50Stocks() {
+    const now = this.now().getTime();
+    const batch = this.constituentQuotes;
+    if (batch && Math.abs(now - batch.fetchedAt) < this.constituentsReuseMs) {
+      return batch.stocks;
     }
+
+    const stocks = this.fetchNifty50Stocks();
+    this.constituentQuotes = { stocks, fetchedAt: now };
+    // Mock data is never reused, so the next caller tries the provider again
+    const forget = () => {
+      if (this.constituentQuotes?.stocks === stocks) this.constituentQuotes = null;
+    };
+    stocks.then(result => {
+      if (result.every(stock => stock.source === 'mock')) forget();
+    }, forget);
+    return stocks;
   }
 
-  // Get top Nifty 50 stocks performance
+  // Symbols without a quote are left out; mock data only when none could be fetched
+  async fetchNifty50Stocks() {
+    const symbols = this.niftySymbols;
+    const results = await settleWithLimit(symbols, this.quoteConcurrency, symbol => this.getQuote(symbol));
+    const stocks = results.filter(result => result.status === 'fulfilled').map(result => result.value);
+
+    const missing = symbols.length - stocks.length;
+    if (missing > 0) {
+      console.warn(`⚠️ No quotes for ${missing} of ${symbols.length} Nifty 50 constituents`);
+    }
+    if (stocks.length === 0) {
+      return this.getMockStocksData();
+    }
+    return niftyUniverse.annotate(stocks).sort((a, b) => b.weight - a.weight);
+  }
+
+  // Nifty 50 constituents ranked by today's move, best first
   async getTopNiftyStocks() {
     try {
-      const stockPromises = this.niftySymbols.slice(0, 10).map(symbol => 
-        this.getStockData(symbol)
-      );
-      
-      const stocks = await Promise.all(stockPromises);
-      return stocks.filter(stock => stock !== null).sort((a, b) => b.changePercent - a.changePercent);
+      const stocks = await this.getNifty50Stocks();
+      return [...stocks].sort((a, b) => b.changePercent - a.changePercent);
     } catch (error) {
       console.error('Error fetching top Nifty stocks:', error.message);
       return this.getMockStocksData();
@@ -90,21 +220,7 @@ class MarketDataService {
 
   async getStockData(symbol) {
     try {
-      const response = await axios.get(`https://query1.finance.yahoo.com/v8/finance/chart/${symbol}`, {
-        timeout: 5000
-      });
-      
-      const data = response.data.chart.result[0];
-      const meta = data.meta;
-      
-      return {
-        symbol: symbol,
-        name: meta.longName || symbol,
-        currentPrice: meta.regularMarketPrice,
-        change: meta.regularMarketPrice - meta.previousClose,
-        changePercent: ((meta.regularMarketPrice - meta.previousClose) / meta.previousClose) * 100,
-        volume: meta.regularMarketVolume
-      };
+      return await this.getQuote(symbol);
     } catch (error) {
       console.error(`Error fetching data for ${symbol}:`, error.message);
       return null;
@@ -159,7 +275,7 @@ class MarketDataService {
       { symbol: 'HDFCBANK.NS', name: 'HDFC Bank', currentPrice: 1580, change: 12, changePercent: 0.77, volume: 2000000 },
       { symbol: 'BHARTIARTL.NS', name: 'Bharti Airtel', currentPrice: 950, change: 8, changePercent: 0.85, volume: 1200000 },
       { symbol: 'ICICIBANK.NS', name: 'ICICI Bank', currentPrice: 980, change: -5, changePercent: -0.51, volume: 1800000 }
-    ];
+    ].map(stock => ({ ...niftyUniverse.annotate([stock])[0], provenance: PROVENANCE.SYNTHETIC, source: 'mock', asOf: new Date() }));
   }
 
   // Calculate market sentiment based on multiple factors
@@ -167,35 +283,48 @@ class MarketDataService {
     try {
       const niftyData = await this.getNiftyIndexData();
       const topStocks = await this.getTopNiftyStocks();
-      
-      const advancers = topStocks.filter(stock => stock.changePercent > 0).length;
-      const decliners = topStocks.filter(stock => stock.changePercent < 0).length;
-      
-      const sentimentScore = (advancers - decliners) / topStocks.length;
-      
-      let sentiment = 'NEUTRAL';
-      if (sentimentScore > 0.3) sentiment = 'BULLISH';
-      else if (sentimentScore < -0.3) sentiment = 'BEARISH';
-      
-      return {
-        sentiment,
-        score: sentimentScore,
-        advancers,
-        decliners,
-        niftyChange: niftyData.changePercent,
-        timestamp: new Date()
-      };
+      return this.calculateMarketSentiment(niftyData, topStocks);
     } catch (error) {
       console.error('Error calculating market sentiment:', error.message);
+      return this.calculateMarketSentiment(null, []);
+    }
+  }
+
+  calculateMarketSentiment(niftyData, topStocks) {
+    if (!niftyData || !topStocks || topStocks.length === 0) {
       return {
         sentiment: 'NEUTRAL',
         score: 0,
         advancers: 5,
         decliners: 5,
+        advancingWeight: 0.5,
+        decliningWeight: 0.5,
         niftyChange: 0,
+        provenance: PROVENANCE.SYNTHETIC,
         timestamp: new Date()
       };
     }
+
+    // Breadth by index weight, so HDFC Bank moving counts for more than a 1% constituent
+    const breadth = niftyUniverse.breadth(topStocks);
+    const sentimentScore = breadth.advancingWeight - breadth.decliningWeight;
+    
+    let sentiment = 'NEUTRAL';
+    if (sentimentScore > 0.3) sentiment = 'BULLISH';
+    else if (sentimentScore < -0.3) sentiment = 'BEARISH';
+    
+    return {
+      sentiment,
+      score: sentimentScore,
+      advancers: breadth.advancers,
+      decliners: breadth.decliners,
+      advancingWeight: breadth.advancingWeight,
+      decliningWeight: breadth.decliningWeight,
+      coverage: breadth.coverage,
+      niftyChange: niftyData.changePercent,
+      provenance: worstProvenance([niftyData.provenance, ...topStocks.map(stock => stock.provenance)]),
+      timestamp: new Date()
+    };
   }
 }
 
@@ -0,0 +1,96 @@
+// Market Snapshot - One immutable view of the market shared by every agent in a run
+const marketData = require('./marketData');
+const { PROVENANCE, worstProvenance } = require('./provenance');
+
+const GLOBAL_INDICES = [
+  { symbol: '^GSPC', name: 'S&P 500' },     // US
+  { symbol: '^IXIC', name: 'NASDAQ' },      // US
+  { symbol: '^N225', name: 'Nikkei' },      // Japan
+  { symbol: '^HSI', name: 'Hang Seng' },    // Hong Kong
+  { symbol: '^FTSE', name: 'FTSE 100' },    // UK
+  { symbol: '^GDAXI', name: 'DAX' }         // Germany
+];
+
+const IST_OFFSET_MS = 5.5 * 60 * 60 * 1000;
+
+function deepFreeze(value) {
+  if (value && typeof value === 'object' && !Object.isFrozen(value)) {
+    Object.freeze(value);
+    Object.values(value).forEach(deepFreeze);
+  }
+  return value;
+}
+
+// Exchange-local wall clock, independent of the server's time zone
+function istClock(timestamp) {
+  const ist = new Date(new Date(timestamp).getTime() + IST_OFFSET_MS);
+  return {
+    hour: ist.getUTCHours(),
+    minute: ist.getUTCMinutes(),
+    dayOfWeek: ist.getUTCDay()
+  };
+}
+
+class MarketSnapshotService {
+  constructor() {
+    this.globalIndices = GLOBAL_INDICES;
+  }
+
+  // Fetch everything a run needs exactly once
+  async capture(options = {}) {
+    const includeGlobal = options.includeGlobal !== false;
+
+    const [niftyData, series, topStocks, globalMarkets] = await Promise.all([
+      marketData.getNiftyIndexData(),
+      marketData.getCandleSeries(marketData.niftyIndex, '5m'),
+      marketData.getTopNiftyStocks(),
+      includeGlobal ? this.fetchGlobalMarkets() : {}
+    ]);
+
+    return this.build({
+      runId: options.runId,
+      timestamp: marketData.now(),
+      niftyData,
+      series,
+      topStocks,
+      globalMarkets
+    });
+  }
+
+  async fetchGlobalMarkets() {
+    const results = await Promise.allSettled(
+      this.globalIndices.map(index => marketData.getQuote(index.symbol))
+    );
+
+    const globalMarkets = {};
+    results.forEach((result, i) => {
+      if (result.status === 'fulfilled') {
+        globalMarkets[this.globalIndices[i].name] = result.value;
+      } else {
+        console.log(`⚠️ Failed to fetch ${this.globalIndices[i].name}:`, result.reason.message);
+      }
+    });
+    return globalMarkets;
+  }
+
+  // Assemble a frozen snapshot from already-fetched data (also used for point-in-time replays).
+  // mode 'backtest' tells agents to stay offline and deterministic: no LLM calls, no learning.
+  build({ runId, timestamp, niftyData, series, topStocks = [], globalMarkets = {}, mode = 'live' }) {
+    const snapshotTime = new Date(timestamp || Date.now());
+
+    return deepFreeze({
+      id: runId || `snap_${snapshotTime.getTime()}_${Math.random().toString(36).substr(2, 6)}`,
+      mode,
+      timestamp: snapshotTime,
+      clock: istClock(snapshotTime),
+      niftyData,
+      series: series || { candles: [], provenance: PROVENANCE.SYNTHETIC },
+      topStocks,
+      sentiment: marketData.calculateMarketSentiment(niftyData, topStocks),
+      globalMarkets,
+      provenance: worstProvenance([niftyData?.provenance, series?.provenance])
+    });
+  }
+}
+
+module.exports = new MarketSnapshotService();
@@ -1,5 +1,6 @@
 // Market Microstructure Analysis - Order flow and liquidity analysis
 const marketData = require('./marketData');
+const niftyUniverse = require('./niftyUniverse');
 
 class MicrostructureAnalysis {
   constructor() {
@@ -119,29 +120,33 @@ class MicrostructureAnalysis {
     };
   }
 
+  // Share of index weight (0-1) carried by the stocks matching the predicate
+  weightShare(topStocks, predicate) {
+    const shares = niftyUniverse.shares(topStocks);
+    return topStocks.reduce((sum, stock, i) => sum + (predicate(stock) ? shares[i] : 0), 0);
+  }
+
   calculateBuyPressure(topStocks) {
-    const positiveStocks = topStocks.filter(stock => stock.changePercent > 0);
-    const strongPositives = positiveStocks.filter(stock => stock.changePercent > 1);
+    const positive = this.weightShare(topStocks, stock => stock.changePercent > 0);
+    const strongPositive = this.weightShare(topStocks, stock => stock.changePercent > 1);
     
-    return (positiveStocks.length + strongPositives.length) / (topStocks.length * 2);
+    return (positive + strongPositive) / 2;
   }
 
   calculateSellPressure(topStocks) {
-    const negativeStocks = topStocks.filter(stock => stock.changePercent < 0);
-    const strongNegatives = negativeStocks.filter(stock => stock.changePercent < -1);
+    const negative = this.weightShare(topStocks, stock => stock.changePercent < 0);
+    const strongNegative = this.weightShare(topStocks, stock => stock.changePercent < -1);
     
-    return (negativeStocks.length + strongNegatives.length) / (topStocks.length * 2);
+    return (negative + strongNegative) / 2;
   }
 
   calculateFlowConsistency(topStocks) {
-    // Measure how consistent the flow direction is across stocks
-    const changes = topStocks.map(stock => stock.changePercent);
-    const positives = changes.filter(c => c > 0).length;
-    const negatives = changes.filter(c => c < 0).length;
-    const neutrals = changes.filter(c => Math.abs(c) < 0.1).length;
-    
-    const maxCategory = Math.max(positives, negatives, neutrals);
-    return maxCategory / topStocks.length;
+    // Measure how consistent the flow direction is across the index weight
+    const positives = this.weightShare(topStocks, stock => stock.changePercent > 0);
+    const negatives = this.weightShare(topStocks, stock => stock.changePercent < 0);
+    const neutrals = this.weightShare(topStocks, stock => Math.abs(stock.changePercent) < 0.1);
+    
+    return Math.max(positives, negatives, neutrals);
   }
 
   calculateFlowStrength(imbalance, consistency) {
@@ -183,13 +188,19 @@ class MicrostructureAnalysis {
     };
   }
 
+  // Constituents ranked by index weight, heaviest first
+  byIndexWeight(topStocks) {
+    return [...topStocks].sort((a, b) => niftyUniverse.weightOf(b.symbol) - niftyUniverse.weightOf(a.symbol));
+  }
+
   analyzeLargeCapMovement(topStocks) {
-    // Define large caps (top 10 by market cap typically)
-    const largeCaps = topStocks.slice(0, 10);
-    const midCaps = topStocks.slice(10, 30);
+    // Large caps are the 10 heaviest index constituents, mid caps the next 20
+    const ranked = this.byIndexWeight(topStocks);
+    const largeCaps = ranked.slice(0, 10);
+    const midCaps = ranked.slice(10, 30);
     
-    const largeCapAvg = largeCaps.reduce((sum, stock) => sum + stock.changePercent, 0) / largeCaps.length;
-    const midCapAvg = midCaps.reduce((sum, stock) => sum + stock.changePercent, 0) / midCaps.length;
+    const largeCapAvg = niftyUniverse.weightedAverage(largeCaps);
+    const midCapAvg = niftyUniverse.weightedAverage(midCaps);
     
     const leadership = Math.abs(largeCapAvg) / (Math.abs(largeCapAvg) + Math.abs(midCapAvg) + 0.01);
     
@@ -230,15 +241,13 @@ class MicrostructureAnalysis {
   }
 
   detectCrossCurrents(topStocks) {
-    // Detect divergences between different groups
-    const banking = topStocks.filter(s => ['HDFCBANK.NS', 'ICICIBANK.NS', 'KOTAKBANK.NS'].includes(s.symbol));
-    const it = topStocks.filter(s => ['TCS.NS', 'INFOSYS.NS', 'WIPRO.NS'].includes(s.symbol));
+    // Detect divergences between the two heaviest sectors, financials and IT
+    const sectors = niftyUniverse.sectorPerformance(topStocks);
+    const financials = sectors['Financial Services'];
+    const it = sectors['Information Technology'];
     
-    if (banking.length > 0 && it.length > 0) {
-      const bankingAvg = banking.reduce((sum, s) => sum + s.changePercent, 0) / banking.length;
-      const itAvg = it.reduce((sum, s) => sum + s.changePercent, 0) / it.length;
-      
-      const divergence = Math.abs(bankingAvg - itAvg);
+    if (financials && it) {
+      const divergence = Math.abs(financials.change - it.change);
       
       if (divergence > 1.5) return 'STRONG_DIVERGENCE';
       if (divergence > 0.8) return 'MODERATE_DIVERGENCE';
@@ -249,10 +258,10 @@ class MicrostructureAnalysis {
 
   calculateRetailSentiment(topStocks, largeCapMovement) {
     // Simplified retail sentiment calculation
-    const smallerStocks = topStocks.slice(30); // Smaller stocks more retail-driven
+    const smallerStocks = this.byIndexWeight(topStocks).slice(30); // Lighter constituents are more retail-driven
     
     if (smallerStocks.length > 0) {
-      const smallCapAvg = smallerStocks.reduce((sum, s) => sum + s.changePercent, 0) / smallerStocks.length;
+      const smallCapAvg = niftyUniverse.weightedAverage(smallerStocks);
       
       if (smallCapAvg > 1) return 'BULLISH';
       if (smallCapAvg < -1) return 'BEARISH';
@@ -327,8 +336,7 @@ class MicrostructureAnalysis {
   }
 
   calculateParticipationRate(topStocks) {
-    const activeStocks = topStocks.filter(stock => Math.abs(stock.changePercent) > 0.1).length;
-    return activeStocks / topStocks.length;
+    return this.weightShare(topStocks, stock => Math.abs(stock.changePercent) > 0.1);
   }
 
   assessDepthQuality(participationRate) {
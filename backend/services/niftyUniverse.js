@@ -0,0 +1,140 @@
+// Nifty Universe - Nifty 50 constituents with sectors and free-float index weights
+const fs = require('fs');
+const config = require('../config');
+
+class NiftyUniverse {
+  constructor() {
+    this.load(config.universe.constituentsFile);
+  }
+
+  // Constituents file: { index, effectiveDate, constituents: [{ symbol, name, sector, weight, effectiveDate? }] }.
+  // Weights are rescaled to sum to 100 so a file that drifts after rounding still adds up
+  load(filePath) {
+    this.constituents = [];
+    this.bySymbol = new Map();
+    this.effectiveDate = null;
+
+    try {
+      const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      const entries = (data.constituents || []).filter(entry => entry.symbol && entry.weight > 0);
+      const total = entries.reduce((sum, entry) => sum + entry.weight, 0);
+
+      this.index = data.index || 'NIFTY 50';
+      this.effectiveDate = data.effectiveDate || null;
+      this.constituents = entries
+        .map(entry => ({
+          symbol: entry.symbol,
+          name: entry.name || entry.symbol,
+          sector: entry.sector || 'Other',
+          weight: (entry.weight / total) * 100,
+          effectiveDate: entry.effectiveDate || this.effectiveDate
+        }))
+        .sort((a, b) => b.weight - a.weight);
+      this.constituents.forEach(constituent => this.bySymbol.set(constituent.symbol, constituent));
+      console.log(`📋 Loaded ${this.constituents.length} ${this.index} constituents (effective ${this.effectiveDate})`);
+    } catch (error) {
+      console.error(`⚠️ Could not load index constituents from ${filePath}:`, error.message);
+    }
+  }
+
+  // Symbols by index weight, heaviest first
+  symbols() {
+    return this.constituents.map(constituent => constituent.symbol);
+  }
+
+  get(symbol) {
+    return this.bySymbol.get(symbol) || null;
+  }
+
+  weightOf(symbol) {
+    const constituent = this.bySymbol.get(symbol);
+    return constituent ? constituent.weight : 0;
+  }
+
+  sectors() {
+    return [...new Set(this.constituents.map(constituent => constituent.sector))];
+  }
+
+  // Quotes with their constituent's name, sector and weight; stocks outside the index weigh nothing
+  annotate(stocks) {
+    return stocks.map(stock => {
+      const constituent = this.bySymbol.get(stock.symbol);
+      return {
+        ...stock,
+        name: stock.name || constituent?.name || stock.symbol,
+        sector: constituent ? constituent.sector : 'Other',
+        weight: constituent ? constituent.weight : 0
+      };
+    });
+  }
+
+  // Share of index weight (0-1) each stock carries among those quoted, so a partial set of quotes
+  // still reads as a whole index; equal shares when none of them are constituents
+  shares(stocks) {
+    const weights = stocks.map(stock => stock.weight ?? this.weightOf(stock.symbol));
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+    return total > 0 ? weights.map(weight => weight / total) : stocks.map(() => 1 / stocks.length);
+  }
+
+  // Index-weighted mean of a per-stock value (changePercent by default)
+  weightedAverage(stocks, value = stock => stock.changePercent || 0) {
+    if (stocks.length === 0) return 0;
+    const shares = this.shares(stocks);
+    return stocks.reduce((sum, stock, i) => sum + shares[i] * value(stock), 0);
+  }
+
+  // Advancers and decliners by count and by share of index weight (0-1); coverage is the share of
+  // the index the quotes cover
+  breadth(stocks) {
+    const shares = this.shares(stocks);
+    const result = { total: stocks.length, advancers: 0, decliners: 0, unchanged: 0, advancingWeight: 0, decliningWeight: 0, unchangedWeight: 0 };
+    stocks.forEach((stock, i) => {
+      const change = stock.changePercent || 0;
+      if (change > 0) {
+        result.advancers++;
+        result.advancingWeight += shares[i];
+      } else if (change < 0) {
+        result.decliners++;
+        result.decliningWeight += shares[i];
+      } else {
+        result.unchanged++;
+        result.unchangedWeight += shares[i];
+      }
+    });
+    result.coverage = stocks.reduce((sum, stock) => sum + this.weightOf(stock.symbol), 0) / 100;
+    return result;
+  }
+
+  // Index-weighted change, weight and breadth per sector for the stocks quoted
+  sectorPerformance(stocks) {
+    const bySector = {};
+    this.annotate(stocks).forEach(stock => {
+      (bySector[stock.sector] = bySector[stock.sector] || []).push(stock);
+    });
+
+    return Object.fromEntries(Object.entries(bySector).map(([sector, members]) => [sector, {
+      change: this.weightedAverage(members),
+      weight: members.reduce((sum, stock) => sum + stock.weight, 0),
+      count: members.length,
+      advancers: members.filter(stock => stock.changePercent > 0).length,
+      decliners: members.filter(stock => stock.changePercent < 0).length
+    }]));
+  }
+
+  describe() {
+    return {
+      index: this.index,
+      effectiveDate: this.effectiveDate,
+      count: this.constituents.length,
+      sectors: this.sectors()
+        .map(sector => ({
+          sector,
+          weight: this.constituents.filter(c => c.sector === sector).reduce((sum, c) => sum + c.weight, 0)
+        }))
+        .sort((a, b) => b.weight - a.weight),
+      constituents: this.constituents
+    };
+  }
+}
+
+module.exports = new NiftyUniverse();
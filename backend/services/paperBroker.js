@@ -0,0 +1,340 @@
+// Paper Broker - Executes orchestrator signals as simulated orders against live or replayed prices
+const EventEmitter = require('events');
+const config = require('../config');
+const marketData = require('./marketData');
+const { createCostModel } = require('./transactionCosts');
+const { createId } = require('../repositories/baseRepository');
+const { isSynthetic } = require('./provenance');
+
+const MAX_HISTORY = 500;
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// Emits 'update' with the portfolio after every order, fill, exit or mark
+class PaperBroker extends EventEmitter {
+  constructor() {
+    super();
+    this.costModel = createCostModel();
+    this.monitor = null;
+    this.signalHandler = null;
+    this.reset();
+  }
+
+  // Start from a flat book; options override config.paper (initialCapital, lotSize, ...)
+  reset(options = {}) {
+    this.settings = { ...config.paper, ...options };
+    this.cash = this.settings.initialCapital;
+    this.realizedPnl = 0;
+    this.positions = new Map();
+    this.orders = [];
+    this.fills = [];
+    this.trades = [];
+    this.startedAt = marketData.now();
+    return this.getPortfolio();
+  }
+
+  // Subscribe to the orchestrator and start watching stops and targets
+  attach(orchestrator) {
+    this.signalHandler = signal => {
+      this.onSignal(signal).catch(error => {
+        console.error(`❌ Paper broker failed on signal ${signal.id}:`, error.message);
+      });
+    };
+    orchestrator.on('signal', this.signalHandler);
+
+    if (this.settings.monitorIntervalMs > 0 && !this.monitor) {
+      this.monitor = setInterval(() => {
+        this.markToMarket().catch(error => console.error('⚠️ Paper broker mark failed:', error.message));
+      }, this.settings.monitorIntervalMs);
+      this.monitor.unref();
+    }
+    console.log(`📒 Paper broker attached (capital ₹${this.settings.initialCapital}, lot ${this.settings.lotSize})`);
+  }
+
+  detach(orchestrator) {
+    if (this.signalHandler) {
+      orchestrator.off('signal', this.signalHandler);
+      this.signalHandler = null;
+    }
+    if (this.monitor) {
+      clearInterval(this.monitor);
+      this.monitor = null;
+    }
+  }
+
+  async onSignal(signal) {
+    if (!signal || signal.error || !this.settings.enabled) return null;
+
+    // Every signal is also a price update for open positions
+    await this.markToMarket();
+
+    if (!signal.actionable || signal.confidence < this.settings.minConfidence) return null;
+
+    const side = signal.signal === 'BUY' ? 'LONG' : signal.signal === 'SELL' ? 'SHORT' : null;
+    if (!side) return null;
+
+    const symbol = this.settings.symbol;
+    const position = this.positions.get(symbol);
+    if (position && position.side === side) return null;
+
+    // Only take the new side once the old one has actually closed
+    if (position && !(await this.closePosition(symbol, 'REVERSE', signal.id))) return null;
+    if (side === 'SHORT' && !this.settings.allowShort) return null;
+
+    return this.openPosition(symbol, side, signal);
+  }
+
+  async openPosition(symbol, side, signal) {
+    const sizing = signal.agentResults?.risk?.position_sizing;
+    const direction = side === 'LONG' ? 1 : -1;
+    const order = this.createOrder({
+      symbol,
+      side: direction === 1 ? 'BUY' : 'SELL',
+      signalId: signal.id,
+      purpose: 'ENTRY'
+    });
+
+    const quote = await this.fetchPrice(symbol, order);
+    if (!quote) return order;
+
+    // Lots whose margin fits in the share of cash the risk agent allows
+    const sizeFraction = this.settings.positionFraction * ((sizing?.recommendedSize ?? 100) / 100);
+    const marginPerLot = quote.price * this.settings.lotSize * this.settings.marginRate;
+    const lots = Math.floor((this.cash * sizeFraction) / marginPerLot);
+    if (lots < 1) {
+      return this.rejectOrder(order, 'Insufficient margin for one lot');
+    }
+
+    const fill = this.fillOrder(order, lots * this.settings.lotSize, quote);
+    const stopPct = sizing?.stopLoss?.percentage || this.settings.defaultStopPct;
+    const targetPct = sizing?.targetPrice?.percentage || this.settings.defaultTargetPct;
+
+    this.cash -= fill.charges.total;
+    this.positions.set(symbol, {
+      symbol,
+      side,
+      direction,
+      quantity: fill.quantity,
+      entryPrice: fill.fillPrice,
+      entryTime: fill.timestamp,
+      entryCharges: fill.charges.total,
+      entrySlippage: fill.slippageCost,
+      stopPrice: fill.fillPrice * (1 - direction * stopPct / 100),
+      targetPrice: fill.fillPrice * (1 + direction * targetPct / 100),
+      signalId: signal.id,
+      confidence: signal.confidence,
+      markPrice: fill.fillPrice,
+      unrealizedPnl: 0
+    });
+
+    console.log(`📒 Paper ${side} ${fill.quantity} ${symbol} @ ${fill.fillPrice.toFixed(2)} (signal ${signal.id})`);
+    this.publish();
+    return order;
+  }
+
+  // Close at the current market price; reason is REVERSE/STOP/TARGET/MANUAL
+  async closePosition(symbol, reason = 'MANUAL', signalId = null) {
+    const position = this.positions.get(symbol);
+    if (!position) return null;
+
+    const order = this.createOrder({
+      symbol,
+      side: position.direction === 1 ? 'SELL' : 'BUY',
+      signalId: signalId || position.signalId,
+      purpose: 'EXIT',
+      reason
+    });
+
+    const quote = await this.fetchPrice(symbol, order);
+    if (!quote) return null;
+
+    const fill = this.fillOrder(order, position.quantity, quote);
+    const tradePnl = (fill.fillPrice - position.entryPrice) * position.quantity * position.direction;
+    const charges = position.entryCharges + fill.charges.total;
+    const pnl = tradePnl - charges;
+
+    this.cash += tradePnl - fill.charges.total;
+    this.realizedPnl += pnl;
+    this.positions.delete(symbol);
+
+    const trade = {
+      symbol,
+      side: position.side,
+      quantity: position.quantity,
+      entryPrice: position.entryPrice,
+      entryTime: position.entryTime,
+      exitPrice: fill.fillPrice,
+      exitTime: fill.timestamp,
+      exitReason: reason,
+      signalId: position.signalId,
+      exitSignalId: signalId,
+      costs: {
+        charges: round2(charges),
+        slippage: round2(position.entrySlippage + fill.slippageCost)
+      },
+      pnl: round2(pnl),
+      returnPct: (pnl / (position.entryPrice * position.quantity)) * 100
+    };
+    this.record(this.trades, trade);
+
+    console.log(`📒 Paper exit ${position.side} ${symbol} @ ${fill.fillPrice.toFixed(2)} (${reason}): ₹${trade.pnl}`);
+    this.publish();
+    return trade;
+  }
+
+  // Refresh prices for open positions and trigger stops before targets
+  async markToMarket() {
+    for (const position of [...this.positions.values()]) {
+      let quote;
+      try {
+        quote = await marketData.getQuote(position.symbol);
+      } catch (error) {
+        console.log(`⚠️ Paper broker could not mark ${position.symbol}:`, error.message);
+        continue;
+      }
+      if (isSynthetic(quote.provenance)) continue;
+
+      const price = quote.currentPrice;
+      position.markPrice = price;
+      position.unrealizedPnl = (price - position.entryPrice) * position.quantity * position.direction;
+
+      const stopHit = position.direction === 1 ? price <= position.stopPrice : price >= position.stopPrice;
+      const targetHit = position.direction === 1 ? price >= position.targetPrice : price <= position.targetPrice;
+
+      if (stopHit) {
+        await this.closePosition(position.symbol, 'STOP');
+      } else if (targetHit) {
+        await this.closePosition(position.symbol, 'TARGET');
+      }
+    }
+
+    if (this.positions.size > 0) this.publish();
+    return this.getPortfolio();
+  }
+
+  // Never fill against made-up prices: a synthetic or missing quote rejects the order
+  async fetchPrice(symbol, order) {
+    try {
+      const quote = await marketData.getQuote(symbol);
+      if (isSynthetic(quote.provenance) || !(quote.currentPrice > 0)) {
+        this.rejectOrder(order, `No reliable price for ${symbol} (${quote.provenance})`);
+        return null;
+      }
+      return { price: quote.currentPrice, volume: quote.volume, provenance: quote.provenance };
+    } catch (error) {
+      this.rejectOrder(order, `Price unavailable for ${symbol}: ${error.message}`);
+      return null;
+    }
+  }
+
+  createOrder({ symbol, side, signalId, purpose, reason = null }) {
+    const order = {
+      id: createId('ord'),
+      symbol,
+      side,
+      type: 'MARKET',
+      purpose,
+      reason,
+      signalId,
+      quantity: 0,
+      status: 'PENDING',
+      createdAt: marketData.now()
+    };
+    this.record(this.orders, order);
+    return order;
+  }
+
+  fillOrder(order, quantity, quote) {
+    const result = this.costModel.fill({ side: order.side, price: quote.price, quantity }, { volume: quote.volume });
+    const fill = {
+      id: createId('fill'),
+      orderId: order.id,
+      signalId: order.signalId,
+      symbol: order.symbol,
+      side: order.side,
+      quantity,
+      referencePrice: quote.price,
+      fillPrice: result.fillPrice,
+      slippageBps: result.slippageBps,
+      slippageCost: result.slippageCost,
+      charges: result.charges,
+      priceProvenance: quote.provenance,
+      timestamp: marketData.now()
+    };
+    this.record(this.fills, fill);
+
+    Object.assign(order, {
+      quantity,
+      status: 'FILLED',
+      fillPrice: fill.fillPrice,
+      filledAt: fill.timestamp
+    });
+    return fill;
+  }
+
+  rejectOrder(order, reason) {
+    Object.assign(order, { status: 'REJECTED', reason });
+    console.log(`⚠️ Paper order ${order.id} rejected: ${reason}`);
+    this.publish();
+    return order;
+  }
+
+  record(list, entry) {
+    list.push(entry);
+    if (list.length > MAX_HISTORY) list.shift();
+  }
+
+  getPositions() {
+    return [...this.positions.values()].map(position => ({
+      ...position,
+      unrealizedPnl: round2(position.unrealizedPnl)
+    }));
+  }
+
+  // Newest first
+  getOrders(limit = 50) {
+    return this.orders.slice(-limit).reverse();
+  }
+
+  getFills(limit = 50) {
+    return this.fills.slice(-limit).reverse();
+  }
+
+  getTrades(limit = 50) {
+    return this.trades.slice(-limit).reverse();
+  }
+
+  getPortfolio() {
+    const positions = this.getPositions();
+    const unrealizedPnl = positions.reduce((total, position) => total + position.unrealizedPnl, 0);
+    const wins = this.trades.filter(trade => trade.pnl > 0).length;
+
+    return {
+      enabled: this.settings.enabled,
+      symbol: this.settings.symbol,
+      startedAt: this.startedAt,
+      initialCapital: this.settings.initialCapital,
+      cash: round2(this.cash),
+      equity: round2(this.cash + unrealizedPnl),
+      realizedPnl: round2(this.realizedPnl),
+      unrealizedPnl: round2(unrealizedPnl),
+      positions,
+      stats: {
+        trades: this.trades.length,
+        winRate: this.trades.length > 0 ? (wins / this.trades.length) * 100 : 0,
+        orders: this.orders.length,
+        rejectedOrders: this.orders.filter(order => order.status === 'REJECTED').length
+      },
+      costModel: this.costModel.describe(),
+      timestamp: marketData.now()
+    };
+  }
+
+  publish() {
+    this.emit('update', this.getPortfolio());
+  }
+}
+
+module.exports = new PaperBroker();
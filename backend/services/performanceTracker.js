@@ -1,26 +1,43 @@
 // Performance Tracker - Real-time validation and model optimization
+const { EventEmitter } = require('events');
 const marketData = require('./marketData');
+const tradingCalendar = require('./tradingCalendar');
+const repositories = require('../repositories');
+const { isHit } = require('./forecastScoring');
+const config = require('../config');
 
-class PerformanceTracker {
-  constructor() {
+// AI vs traditional mix the sentiment agent starts from; outcomes shift it over time
+const DEFAULT_MODEL_WEIGHTS = {
+  ai: 0.6,
+  technical: 0.4,
+  historical: 0.0
+};
+
+// Emits 'validated' with each prediction once its outcome is known
+class PerformanceTracker extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    // sentiment: the sentiment agent's own calls; signal: the orchestrator's final signals
+    this.source = options.source || 'sentiment';
     this.predictions = [];
     this.results = [];
-    this.modelWeights = {
-      ai: 0.6,
-      technical: 0.4,
-      historical: 0.0
-    };
+    this.modelWeights = this.getDefaultWeights();
     this.accuracyThresholds = {
       excellent: 80,
       good: 65,
       poor: 45
     };
     this.maxPredictions = 500; // Keep last 500 predictions
+    this.poller = null;
+    this.validating = false;
   }
 
-  async trackPrediction(signal, confidence, targetPrice, timestamp, agentData) {
+  // details: { signalId, agentCalls: { agentId: { signal, confidence } } } for final signals
+  async trackPrediction(signal, confidence, targetPrice, timestamp, agentData, snapshot, details = {}) {
     const prediction = {
       id: `pred_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      source: this.source,
+      signalId: details.signalId,
       signal: signal,
       confidence: confidence,
       targetPrice: targetPrice,
@@ -29,34 +46,166 @@ class PerformanceTracker {
       accuracy: null,
       validationTime: null,
       agentData: agentData,
-      marketConditions: await this.captureMarketConditions()
+      agentCalls: details.agentCalls || null,
+      entryPrice: snapshot ? snapshot.niftyData.currentPrice : null,
+      realisedMovePct: null,
+      attribution: null,
+      marketConditions: await this.captureMarketConditions(snapshot),
+      ...this.resolveHorizon(timestamp)
     };
     
     this.predictions.push(prediction);
+    await this.persist(() => repositories.predictions.save(prediction));
     
     // Clean up old predictions
     if (this.predictions.length > this.maxPredictions) {
       this.predictions = this.predictions.slice(-this.maxPredictions);
     }
     
-    console.log(`📊 Tracking prediction ${prediction.id}: ${signal} (${confidence}% confidence)`);
-    
-    // Schedule validation after 15 minutes
-    setTimeout(() => {
-      this.validatePrediction(prediction.id);
-    }, 15 * 60 * 1000);
+    if (prediction.status === 'SKIPPED') {
+      console.log(`⏭️ Prediction ${prediction.id} will not be scored: ${prediction.skipReason}`);
+    } else {
+      console.log(`📊 Tracking prediction ${prediction.id}: ${signal} (${confidence}% confidence), scored at ${prediction.horizonAt.toISOString()}`);
+      this.startValidation();
+    }
     
     return prediction.id;
   }
 
-  async captureMarketConditions() {
+  // When a prediction made at `timestamp` is scored. A horizon past the session close follows
+  // config.validation.afterHours; predictions made while the market is shut are only scored
+  // under next-session, from the next open
+  resolveHorizon(timestamp) {
+    const { horizonMinutes, afterHours } = config.validation;
+    const time = new Date(timestamp).getTime();
+    const horizonMs = horizonMinutes * 60 * 1000;
+    const inSession = tradingCalendar.isMarketOpen(timestamp);
+    const session = inSession ? tradingCalendar.getSession(timestamp) : null;
+    const pending = (horizonAt, horizonRule) => ({ status: 'PENDING', horizonAt, horizonRule, skipReason: null });
+    const skipped = skipReason => ({ status: 'SKIPPED', horizonAt: null, horizonRule: null, skipReason });
+
+    if (inSession && time + horizonMs <= session.close.getTime()) {
+      return pending(new Date(time + horizonMs), 'in-session');
+    }
+    if (inSession && afterHours === 'close') {
+      return pending(session.close, 'session-close');
+    }
+    if (afterHours === 'next-session') {
+      const next = tradingCalendar.getNextSession(inSession ? session.close : timestamp);
+      if (!next) return skipped('No upcoming session in the trading calendar');
+      const carried = inSession ? time + horizonMs - session.close.getTime() : horizonMs;
+      return pending(new Date(next.open.getTime() + carried), 'next-session');
+    }
+    return skipped(inSession
+      ? `Horizon falls after the session close (VALIDATION_AFTER_HOURS=${afterHours})`
+      : 'Made while the market was closed');
+  }
+
+  // Pending predictions live in storage, so a restart only delays validation; a pending check
+  // alone does not keep the process alive
+  startValidation() {
+    if (this.poller) return;
+    this.poller = setInterval(() => this.processDue(), config.validation.pollMs);
+    this.poller.unref();
+  }
+
+  isPending(prediction) {
+    return prediction.status === 'PENDING' && prediction.actualOutcome === null;
+  }
+
+  stopValidation() {
+    clearInterval(this.poller);
+    this.poller = null;
+  }
+
+  // Validate every pending prediction whose horizon has passed, oldest first
+  async processDue(now = marketData.now()) {
+    if (this.validating) return;
+    this.validating = true;
+    try {
+      const due = this.predictions.filter(p =>
+        this.isPending(p) && p.horizonAt && new Date(p.horizonAt).getTime() <= new Date(now).getTime());
+      for (const prediction of due) {
+        await this.validatePrediction(prediction.id, now);
+      }
+    } finally {
+      this.validating = false;
+    }
+  }
+
+  // Storage failures are logged, tracking continues in memory
+  async persist(operation) {
+    try {
+      await operation();
+    } catch (error) {
+      console.error('⚠️ Failed to persist prediction:', error.message);
+    }
+  }
+
+  // Reload recent predictions and validation results after a restart, then resume validation
+  // of every prediction still pending, including those due while the process was down
+  async restore() {
+    try {
+      const recent = await repositories.predictions.findRecent(this.maxPredictions, { source: this.source });
+      const pending = await repositories.predictions.findPending({ source: this.source });
+      const recentIds = new Set(recent.map(p => p.id));
+      const predictions = [...pending.filter(p => !recentIds.has(p.id)), ...recent];
+
+      // Predictions saved before horizons were recorded are scored from their timestamp
+      for (const prediction of predictions) {
+        if (prediction.actualOutcome === null && !prediction.status) {
+          Object.assign(prediction, this.resolveHorizon(prediction.timestamp));
+          await this.persist(() => repositories.predictions.update(prediction.id, this.horizonFields(prediction)));
+        }
+      }
+
+      this.predictions = predictions;
+      this.results = predictions
+        .filter(p => p.actualOutcome !== null)
+        .map(p => this.toResult(p));
+      const waiting = predictions.filter(p => this.isPending(p)).length;
+      console.log(`📊 Restored ${predictions.length} ${this.source} predictions (${this.results.length} validated, ${waiting} pending)`);
+
+      if (waiting > 0) {
+        this.startValidation();
+        await this.processDue();
+      }
+    } catch (error) {
+      console.error('⚠️ Failed to restore predictions:', error.message);
+    }
+  }
+
+  horizonFields(prediction) {
+    return {
+      status: prediction.status,
+      horizonAt: prediction.horizonAt,
+      horizonRule: prediction.horizonRule,
+      skipReason: prediction.skipReason
+    };
+  }
+
+  toResult(prediction) {
+    return {
+      id: prediction.id,
+      signal: prediction.signal,
+      predicted: prediction.targetPrice,
+      actual: prediction.actualPrice,
+      accuracy: prediction.accuracy,
+      confidence: prediction.confidence,
+      timestamp: prediction.timestamp,
+      validationTime: prediction.validationTime
+    };
+  }
+
+  // Prefer the run's snapshot so conditions match the data the prediction was made on
+  async captureMarketConditions(snapshot) {
     try {
-      const niftyData = await marketData.getNiftyIndexData();
+      const niftyData = snapshot ? snapshot.niftyData : await marketData.getNiftyIndexData();
       return {
         price: niftyData.currentPrice,
         volatility: ((niftyData.high - niftyData.low) / niftyData.currentPrice) * 100,
         volume: niftyData.volume,
-        time: new Date().getHours(),
+        time: snapshot ? snapshot.clock.hour : new Date().getHours(),
         changePercent: niftyData.changePercent
       };
     } catch (error) {
@@ -70,19 +219,32 @@ class PerformanceTracker {
     }
   }
 
-  async validatePrediction(predictionId) {
+  // Scores a prediction against the index bar that closed at its horizon, never the price at
+  // validation time; waits for the bar until config.validation.maxWaitMinutes have passed
+  async validatePrediction(predictionId, now = marketData.now()) {
     try {
       const prediction = this.predictions.find(p => p.id === predictionId);
-      if (!prediction || prediction.actualOutcome !== null) return;
+      if (!prediction || !this.isPending(prediction)) return;
+      const horizonTime = new Date(prediction.horizonAt).getTime();
+      if (horizonTime > new Date(now).getTime()) return;
       
       console.log(`🔍 Validating prediction ${predictionId}...`);
       
-      // Get current market price
-      const currentData = await marketData.getNiftyIndexData();
-      const actualPrice = currentData.currentPrice;
+      const bar = await marketData.getBarAt(prediction.horizonAt, marketData.niftyIndex, config.validation.candleIntervalMinutes);
+      if (!bar) {
+        if (new Date(now).getTime() - horizonTime > config.validation.maxWaitMinutes * 60 * 1000) {
+          prediction.status = 'SKIPPED';
+          prediction.skipReason = 'No index bar at the horizon';
+          await this.persist(() => repositories.predictions.update(prediction.id, this.horizonFields(prediction)));
+          console.log(`⏭️ Prediction ${predictionId} skipped: no index bar at ${new Date(prediction.horizonAt).toISOString()}`);
+        }
+        return;
+      }
+      const actualPrice = bar.close;
       
-      // Calculate actual price movement
-      const actualMove = ((actualPrice - prediction.targetPrice) / prediction.targetPrice) * 100;
+      // Move from the price the prediction was made at (the target is where it expected to end up)
+      const entryPrice = prediction.entryPrice || (prediction.marketConditions || {}).price || prediction.targetPrice;
+      const actualMove = ((actualPrice - entryPrice) / entryPrice) * 100;
       
       // Calculate accuracy based on signal vs actual movement
       const accuracy = this.calculateAccuracy(prediction.signal, actualMove, prediction.confidence);
@@ -90,36 +252,56 @@ class PerformanceTracker {
       // Update prediction with results
       prediction.actualOutcome = actualMove;
       prediction.accuracy = accuracy;
-      prediction.validationTime = new Date();
+      prediction.validationTime = new Date(now);
       prediction.actualPrice = actualPrice;
+      prediction.status = 'VALIDATED';
+      prediction.realisedMovePct = actualMove;
+      prediction.attribution = this.attributeOutcome(prediction.agentCalls, actualMove);
+      
+      await this.persist(() => repositories.predictions.update(prediction.id, {
+        actualOutcome: prediction.actualOutcome,
+        accuracy: prediction.accuracy,
+        validationTime: prediction.validationTime,
+        actualPrice: prediction.actualPrice,
+        status: prediction.status,
+        realisedMovePct: prediction.realisedMovePct,
+        attribution: prediction.attribution
+      }));
       
       // Add to results for analysis
-      this.results.push({
-        id: prediction.id,
-        signal: prediction.signal,
-        predicted: prediction.targetPrice,
-        actual: actualPrice,
-        accuracy: accuracy,
-        confidence: prediction.confidence,
-        timestamp: prediction.timestamp,
-        validationTime: prediction.validationTime
-      });
+      this.results.push(this.toResult(prediction));
       
       console.log(`✅ Prediction ${predictionId} validated: ${accuracy.toFixed(1)}% accuracy`);
       
       // Adjust model weights based on performance
-      this.adjustModelWeights(prediction);
+      if (prediction.agentData) {
+        this.adjustModelWeights(prediction);
+      }
       
       // Clean up old results
       if (this.results.length > this.maxPredictions) {
         this.results = this.results.slice(-this.maxPredictions);
       }
+
+      this.emit('validated', prediction);
       
     } catch (error) {
       console.error(`❌ Error validating prediction ${predictionId}:`, error);
     }
   }
 
+  // Which agents called the realised move from entry, scored the same way as GET /api/performance
+  attributeOutcome(agentCalls, movePct) {
+    if (!agentCalls) return null;
+    return Object.fromEntries(Object.entries(agentCalls).map(([id, call]) =>
+      [id, { signal: call.signal, agreed: isHit(call.signal, movePct) }]));
+  }
+
+  // Validated predictions carrying per-agent attribution, oldest first
+  getAttributedPredictions() {
+    return this.predictions.filter(p => p.actualOutcome !== null && p.attribution);
+  }
+
   calculateAccuracy(signal, actualMove, confidence) {
     let baseAccuracy = 0;
     
@@ -296,6 +478,12 @@ class PerformanceTracker {
     return this.modelWeights;
   }
 
+  // Starting weights before any outcome has adjusted them; backtests use these so weights
+  // learned from later live outcomes never reach a replayed decision
+  getDefaultWeights() {
+    return { ...DEFAULT_MODEL_WEIGHTS };
+  }
+
   // Method to export performance data for analysis
   exportPerformanceData() {
     return {
@@ -0,0 +1,30 @@
+// Data Provenance - Where a market data payload came from and how much to trust it
+//
+// live      - fetched from the provider for this request
+// cached    - provider failed, served from a recent successful fetch
+// stale     - provider failed, served from an old successful fetch
+// synthetic - provider failed with nothing cached, values are generated mock data
+
+const PROVENANCE = {
+  LIVE: 'live',
+  CACHED: 'cached',
+  STALE: 'stale',
+  SYNTHETIC: 'synthetic'
+};
+
+// Ordered from most to least trustworthy
+const RANK = [PROVENANCE.LIVE, PROVENANCE.CACHED, PROVENANCE.STALE, PROVENANCE.SYNTHETIC];
+
+// The overall provenance of a result is only as good as its weakest input
+function worstProvenance(values) {
+  const known = values.filter(value => RANK.includes(value));
+  if (known.length === 0) return PROVENANCE.SYNTHETIC;
+
+  return known.reduce((worst, value) => RANK.indexOf(value) > RANK.indexOf(worst) ? value : worst);
+}
+
+function isSynthetic(value) {
+  return value === PROVENANCE.SYNTHETIC;
+}
+
+module.exports = { PROVENANCE, worstProvenance, isSynthetic };
@@ -0,0 +1,131 @@
+// Market Data Provider - Common interface every data source implements
+//
+// Quotes:  { symbol, name, currentPrice, previousClose, change, changePercent,
+//            volume, open, high, low, timestamp }
+// Candles: [{ timestamp, open, high, low, close, volume }] oldest first
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+const IST_OFFSET_MS = 330 * MINUTE_MS;
+// Intraday bars are counted from the 09:15 IST open, as NSE and Yahoo do
+const SESSION_OPEN_MS = (9 * 60 + 15) * MINUTE_MS;
+const INTERVAL_UNITS = { m: MINUTE_MS, h: 60 * MINUTE_MS, d: DAY_MS };
+
+class MarketDataProvider {
+  constructor(name) {
+    this.name = name;
+    // Whether calls leave the machine; offline providers let the whole system run without network
+    this.usesNetwork = false;
+  }
+
+  async getQuote(symbol) {
+    throw new Error(`${this.name} provider does not implement getQuote(${symbol})`);
+  }
+
+  // options: { interval, lookbackDays, from, to }
+  async getCandles(symbol, options = {}) {
+    throw new Error(`${this.name} provider does not implement getCandles(${symbol})`);
+  }
+
+  async getQuotes(symbols) {
+    const quotes = await Promise.all(symbols.map(symbol =>
+      this.getQuote(symbol).catch(error => {
+        console.error(`Error fetching quote for ${symbol} from ${this.name}:`, error.message);
+        return null;
+      })
+    ));
+    return quotes.filter(quote => quote !== null);
+  }
+
+  // Current time as seen by the provider; replay providers return the replay clock
+  now() {
+    return new Date();
+  }
+}
+
+// Build a quote from a candle series, using the last candle of the previous
+// trading day (IST) as the previous close
+function quoteFromCandles(symbol, candles, name) {
+  if (!candles || candles.length === 0) return null;
+
+  const last = candles[candles.length - 1];
+  const lastDay = istDateKey(last.timestamp);
+  const dayCandles = candles.filter(c => istDateKey(c.timestamp) === lastDay);
+  const priorCandles = candles.filter(c => istDateKey(c.timestamp) < lastDay);
+  const previousClose = priorCandles.length > 0
+    ? priorCandles[priorCandles.length - 1].close
+    : dayCandles[0].open;
+
+  return {
+    symbol,
+    name: name || symbol,
+    currentPrice: last.close,
+    previousClose,
+    change: last.close - previousClose,
+    changePercent: ((last.close - previousClose) / previousClose) * 100,
+    volume: dayCandles.reduce((sum, c) => sum + (c.volume || 0), 0),
+    open: dayCandles[0].open,
+    high: Math.max(...dayCandles.map(c => c.high)),
+    low: Math.min(...dayCandles.map(c => c.low)),
+    timestamp: new Date(last.timestamp)
+  };
+}
+
+// NSE trades on IST (UTC+5:30, no DST), so day boundaries are computed there
+function istDateKey(timestamp) {
+  return new Date(new Date(timestamp).getTime() + IST_OFFSET_MS).toISOString().slice(0, 10);
+}
+
+// Stored bars as-is when the interval matches the recording, merged into coarser bars when it
+// is a multiple of it; anything finer cannot be served from the recording
+function resampleCandles(symbol, candles, interval, recordedMs) {
+  const targetMs = intervalMs(interval);
+  if (!targetMs) {
+    throw new Error(`Unsupported interval ${interval}`);
+  }
+  if (!recordedMs || targetMs === recordedMs) return candles;
+  if (targetMs < recordedMs || targetMs % recordedMs !== 0) {
+    throw new Error(`${symbol} is recorded in ${recordedMs / MINUTE_MS}m bars and cannot be served as ${interval}`);
+  }
+
+  const bars = [];
+  candles.forEach(candle => {
+    const timestamp = bucketStart(candle.timestamp.getTime(), targetMs);
+    const bar = bars[bars.length - 1];
+    if (!bar || bar.timestamp.getTime() !== timestamp) {
+      bars.push({ ...candle, timestamp: new Date(timestamp) });
+      return;
+    }
+    bar.high = Math.max(bar.high, candle.high);
+    bar.low = Math.min(bar.low, candle.low);
+    bar.close = candle.close;
+    bar.volume += candle.volume;
+  });
+  return bars;
+}
+
+// '5m', '1h', '1d' in milliseconds; null when the interval is not understood
+function intervalMs(interval) {
+  const match = /^(\d+)([mhd])$/.exec(interval);
+  return match ? Number(match[1]) * INTERVAL_UNITS[match[2]] : null;
+}
+
+// Smallest gap between consecutive bars; null with fewer than two bars
+function recordedInterval(candles) {
+  let smallest = Infinity;
+  for (let i = 1; i < candles.length; i++) {
+    const gap = candles[i].timestamp - candles[i - 1].timestamp;
+    if (gap > 0) smallest = Math.min(smallest, gap);
+  }
+  return Number.isFinite(smallest) ? smallest : null;
+}
+
+// Start of the bar a timestamp falls in, counted from that IST day's open; daily bars are
+// stamped with the open
+function bucketStart(time, ms) {
+  const open = Math.floor((time + IST_OFFSET_MS) / DAY_MS) * DAY_MS - IST_OFFSET_MS + SESSION_OPEN_MS;
+  if (ms >= DAY_MS) return open;
+  return open + Math.floor((time - open) / ms) * ms;
+}
+
+module.exports = { MarketDataProvider, quoteFromCandles, istDateKey, recordedInterval, resampleCandles };
@@ -0,0 +1,182 @@
+// File Replay Provider - Replays recorded OHLCV candles and quotes from disk
+//
+// Accepts either a directory of <SYMBOL>.csv files (timestamp,open,high,low,close,volume;
+// file names may be URI-encoded, e.g. %5ENSEI.csv for ^NSEI) or a single session .json file:
+//   { "candles": { "^NSEI": [{ timestamp, open, high, low, close, volume }] },
+//     "quotes":  { "^NSEI": [{ timestamp, currentPrice, ... }] },
+//     "names":   { "RELIANCE.NS": "Reliance Industries" } }
+//
+// A replay clock maps wall-clock time onto the recorded session so callers only
+// ever see data up to the current replay time. Candles are served at the recorded
+// interval or resampled to a coarser multiple of it; finer intervals are refused.
+const fs = require('fs');
+const path = require('path');
+const { MarketDataProvider, quoteFromCandles, recordedInterval, resampleCandles } = require('./baseProvider');
+
+class FileProvider extends MarketDataProvider {
+  constructor(options = {}) {
+    super('file');
+    this.filePath = options.path;
+    this.speed = options.speed === undefined ? 1 : options.speed;
+    this.loop = options.loop || false;
+
+    this.candles = {};
+    this.quotes = {};
+    this.names = {};
+    this.load();
+
+    const bounds = this.getSessionBounds();
+    this.sessionStart = options.startAt ? new Date(options.startAt).getTime() : bounds.start;
+    this.sessionEnd = bounds.end;
+    this.anchorReplayTime = this.sessionStart;
+    this.anchorWallTime = Date.now();
+  }
+
+  load() {
+    if (!this.filePath || !fs.existsSync(this.filePath)) {
+      throw new Error(`Market data replay path not found: ${this.filePath}`);
+    }
+
+    if (fs.statSync(this.filePath).isDirectory()) {
+      fs.readdirSync(this.filePath)
+        .filter(file => file.toLowerCase().endsWith('.csv'))
+        .forEach(file => {
+          const symbol = decodeURIComponent(path.basename(file, path.extname(file)));
+          this.candles[symbol] = parseCandleCsv(fs.readFileSync(path.join(this.filePath, file), 'utf8'));
+        });
+    } else {
+      const session = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      Object.entries(session.candles || {}).forEach(([symbol, candles]) => {
+        this.candles[symbol] = candles.map(normaliseCandle).sort(byTimestamp);
+      });
+      Object.entries(session.quotes || {}).forEach(([symbol, quotes]) => {
+        this.quotes[symbol] = quotes
+          .map(q => ({ ...q, timestamp: new Date(q.timestamp) }))
+          .sort(byTimestamp);
+      });
+      this.names = session.names || {};
+    }
+
+    this.recordedIntervals = Object.fromEntries(Object.entries(this.candles)
+      .map(([symbol, candles]) => [symbol, recordedInterval(candles)]));
+
+    const symbolCount = new Set([...Object.keys(this.candles), ...Object.keys(this.quotes)]).size;
+    if (symbolCount === 0) {
+      throw new Error(`No recorded market data found in ${this.filePath}`);
+    }
+    console.log(`📼 Loaded recorded market data for ${symbolCount} symbols from ${this.filePath}`);
+  }
+
+  getSessionBounds() {
+    let start = Infinity;
+    let end = -Infinity;
+
+    [...Object.values(this.candles), ...Object.values(this.quotes)].forEach(series => {
+      if (series.length === 0) return;
+      start = Math.min(start, series[0].timestamp.getTime());
+      end = Math.max(end, series[series.length - 1].timestamp.getTime());
+    });
+
+    return { start, end };
+  }
+
+  // Replay clock
+  now() {
+    let replayTime = this.anchorReplayTime + (Date.now() - this.anchorWallTime) * this.speed;
+
+    if (replayTime > this.sessionEnd) {
+      if (this.loop && this.sessionEnd > this.sessionStart) {
+        replayTime = this.sessionStart + ((replayTime - this.sessionStart) % (this.sessionEnd - this.sessionStart));
+      } else {
+        replayTime = this.sessionEnd;
+      }
+    }
+
+    return new Date(replayTime);
+  }
+
+  seek(time) {
+    this.anchorReplayTime = new Date(time).getTime();
+    this.anchorWallTime = Date.now();
+  }
+
+  advance(ms) {
+    this.seek(this.now().getTime() + ms);
+  }
+
+  setSpeed(speed) {
+    // Re-anchor so the current replay time is preserved across speed changes
+    this.seek(this.now());
+    this.speed = speed;
+  }
+
+  async getQuote(symbol) {
+    const now = this.now();
+    const recorded = (this.quotes[symbol] || []).filter(q => q.timestamp <= now);
+
+    if (recorded.length > 0) {
+      return { symbol, name: this.names[symbol] || symbol, ...recorded[recorded.length - 1] };
+    }
+
+    const quote = quoteFromCandles(symbol, this.candlesUpTo(symbol, now), this.names[symbol]);
+    if (!quote) {
+      throw new Error(`No recorded data for ${symbol} at ${now.toISOString()}`);
+    }
+    return quote;
+  }
+
+  async getCandles(symbol, options = {}) {
+    const { interval, lookbackDays = 7, from, to } = options;
+    const now = this.now();
+    const end = to ? new Date(Math.min(new Date(to).getTime(), now.getTime())) : now;
+    const start = from ? new Date(from) : new Date(end.getTime() - lookbackDays * 24 * 60 * 60 * 1000);
+
+    const candles = this.candlesUpTo(symbol, end).filter(c => c.timestamp >= start);
+    return interval ? resampleCandles(symbol, candles, interval, this.recordedIntervals[symbol]) : candles;
+  }
+
+  candlesUpTo(symbol, time) {
+    return (this.candles[symbol] || []).filter(c => c.timestamp <= time);
+  }
+
+  getSymbols() {
+    return Object.keys(this.candles);
+  }
+}
+
+function parseCandleCsv(text) {
+  const lines = text.split(/\r?\n/).filter(line => line.trim().length > 0);
+  const header = lines.shift().split(',').map(h => h.trim().toLowerCase());
+
+  return lines.map(line => {
+    const values = line.split(',');
+    const row = {};
+    header.forEach((key, i) => { row[key] = values[i]; });
+    return normaliseCandle(row);
+  }).sort(byTimestamp);
+}
+
+function normaliseCandle(row) {
+  const ts = row.timestamp;
+  // Accept ISO strings as well as epoch seconds/milliseconds
+  const numeric = typeof ts === 'number' || /^\d+$/.test(String(ts).trim());
+  const timestamp = numeric
+    ? new Date(Number(ts) < 1e12 ? Number(ts) * 1000 : Number(ts))
+    : new Date(ts);
+
+  return {
+    timestamp,
+    open: parseFloat(row.open),
+    high: parseFloat(row.high),
+    low: parseFloat(row.low),
+    close: parseFloat(row.close),
+    volume: parseFloat(row.volume) || 0
+  };
+}
+
+function byTimestamp(a, b) {
+  return a.timestamp - b.timestamp;
+}
+
+module.exports = FileProvider;
+module.exports.parseCandleCsv = parseCandleCsv;
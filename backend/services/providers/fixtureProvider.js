@@ -0,0 +1,59 @@
+// Fixture Provider - Static in-memory market data for tests and offline runs
+const fs = require('fs');
+const { MarketDataProvider, quoteFromCandles, recordedInterval, resampleCandles } = require('./baseProvider');
+
+class FixtureProvider extends MarketDataProvider {
+  // data: { quotes: { SYMBOL: quote }, candles: { SYMBOL: [candle] }, names: { SYMBOL: name } }
+  constructor(data = {}) {
+    super('fixture');
+    this.quotes = {};
+    this.candles = {};
+    this.recordedIntervals = {};
+    this.names = data.names || {};
+
+    Object.entries(data.quotes || {}).forEach(([symbol, quote]) => this.setQuote(symbol, quote));
+    Object.entries(data.candles || {}).forEach(([symbol, candles]) => this.setCandles(symbol, candles));
+  }
+
+  static fromFile(filePath) {
+    return new FixtureProvider(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+  }
+
+  setQuote(symbol, quote) {
+    this.quotes[symbol] = { symbol, name: this.names[symbol] || symbol, ...quote };
+  }
+
+  setCandles(symbol, candles) {
+    this.candles[symbol] = candles
+      .map(c => ({ ...c, timestamp: new Date(c.timestamp) }))
+      .sort((a, b) => a.timestamp - b.timestamp);
+    this.recordedIntervals[symbol] = recordedInterval(this.candles[symbol]);
+  }
+
+  async getQuote(symbol) {
+    if (this.quotes[symbol]) {
+      return { timestamp: new Date(), ...this.quotes[symbol] };
+    }
+
+    const quote = quoteFromCandles(symbol, this.candles[symbol], this.names[symbol]);
+    if (!quote) {
+      throw new Error(`No fixture data for ${symbol}`);
+    }
+    return quote;
+  }
+
+  // Fixtures have no clock, so the lookback counts back from the last stored bar; intervals
+  // are served the same way as recorded sessions
+  async getCandles(symbol, options = {}) {
+    const { interval, lookbackDays = 7, from, to } = options;
+    const stored = (this.candles[symbol] || []).filter(c => !to || c.timestamp <= new Date(to));
+    if (stored.length === 0) return [];
+
+    const end = stored[stored.length - 1].timestamp;
+    const start = from ? new Date(from) : new Date(end.getTime() - lookbackDays * 24 * 60 * 60 * 1000);
+    const candles = stored.filter(c => c.timestamp >= start);
+    return interval ? resampleCandles(symbol, candles, interval, this.recordedIntervals[symbol]) : candles;
+  }
+}
+
+module.exports = FixtureProvider;
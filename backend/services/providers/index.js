@@ -0,0 +1,32 @@
+// Market Data Providers - Selects the configured data source
+const YahooProvider = require('./yahooProvider');
+const FileProvider = require('./fileProvider');
+const FixtureProvider = require('./fixtureProvider');
+const { MarketDataProvider } = require('./baseProvider');
+
+function createProvider(options = {}) {
+  switch (options.provider) {
+    case 'file':
+      return new FileProvider({
+        path: options.filePath,
+        speed: options.replaySpeed,
+        startAt: options.replayStart,
+        loop: options.replayLoop
+      });
+    case 'fixture':
+      return options.fixturePath ? FixtureProvider.fromFile(options.fixturePath) : new FixtureProvider();
+    case 'yahoo':
+    case undefined:
+      return new YahooProvider({ timeout: options.requestTimeout });
+    default:
+      throw new Error(`Unknown market data provider: ${options.provider}`);
+  }
+}
+
+module.exports = {
+  createProvider,
+  MarketDataProvider,
+  YahooProvider,
+  FileProvider,
+  FixtureProvider
+};
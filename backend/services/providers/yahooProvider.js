@@ -0,0 +1,69 @@
+// Yahoo Finance Provider - Live quotes and candles from the public chart API
+const axios = require('axios');
+const { MarketDataProvider } = require('./baseProvider');
+
+const CHART_URL = 'https://query1.finance.yahoo.com/v8/finance/chart';
+
+class YahooProvider extends MarketDataProvider {
+  constructor(options = {}) {
+    super('yahoo');
+    this.usesNetwork = true;
+    this.timeout = options.timeout || 10000;
+  }
+
+  async getQuote(symbol) {
+    const response = await axios.get(`${CHART_URL}/${encodeURIComponent(symbol)}`, {
+      timeout: this.timeout
+    });
+
+    const data = response.data.chart.result[0];
+    const meta = data.meta;
+    const quote = data.indicators.quote[0] || {};
+    const volumes = (quote.volume || []).filter(v => v !== null);
+    const opens = (quote.open || []).filter(o => o !== null);
+
+    return {
+      symbol: symbol,
+      name: meta.longName || meta.shortName || symbol,
+      currentPrice: meta.regularMarketPrice,
+      previousClose: meta.previousClose,
+      change: meta.regularMarketPrice - meta.previousClose,
+      changePercent: ((meta.regularMarketPrice - meta.previousClose) / meta.previousClose) * 100,
+      volume: meta.regularMarketVolume || volumes[volumes.length - 1] || 0,
+      timestamp: new Date(),
+      high: meta.regularMarketDayHigh,
+      low: meta.regularMarketDayLow,
+      open: opens[0] || meta.previousClose,
+      fiftyTwoWeekHigh: meta.fiftyTwoWeekHigh,
+      fiftyTwoWeekLow: meta.fiftyTwoWeekLow
+    };
+  }
+
+  async getCandles(symbol, options = {}) {
+    const { interval = '5m', lookbackDays = 7, from, to } = options;
+    const period2 = to ? Math.floor(new Date(to).getTime() / 1000) : Math.floor(Date.now() / 1000);
+    const period1 = from
+      ? Math.floor(new Date(from).getTime() / 1000)
+      : period2 - (lookbackDays * 24 * 60 * 60);
+
+    const response = await axios.get(`${CHART_URL}/${encodeURIComponent(symbol)}`, {
+      params: { period1, period2, interval },
+      timeout: this.timeout
+    });
+
+    const data = response.data.chart.result[0];
+    const timestamps = data.timestamp || [];
+    const quotes = data.indicators.quote[0];
+
+    return timestamps.map((timestamp, index) => ({
+      timestamp: new Date(timestamp * 1000),
+      open: quotes.open[index],
+      high: quotes.high[index],
+      low: quotes.low[index],
+      close: quotes.close[index],
+      volume: quotes.volume[index]
+    })).filter(item => item.close !== null);
+  }
+}
+
+module.exports = YahooProvider;
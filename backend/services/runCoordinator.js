@@ -0,0 +1,156 @@
+// Run Coordinator - Single-flight analysis runs with a freshness cache and a manual run queue
+const config = require('../config');
+const agentOrchestrator = require('./agentOrchestrator');
+const llmUsage = require('./llm/usage');
+const { createId } = require('../repositories/baseRepository');
+
+const RUN_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed'
+};
+
+class RunCoordinator {
+  constructor() {
+    this.freshnessMs = config.runs.freshnessMs;
+    this.historySize = config.runs.historySize;
+    this.runs = new Map();
+    this.current = null;      // { run, promise } while analysis is in progress
+    this.queued = null;       // manual run waiting for the current one to finish
+    this.cache = null;        // { signal, completedAt, runId }
+  }
+
+  // Latest signal for readers: cached if fresh, otherwise join or start a run
+  async getSignal({ maxAgeMs = this.freshnessMs, trigger = 'api' } = {}) {
+    const ageMs = this.cacheAge();
+    if (ageMs !== null && ageMs <= maxAgeMs) {
+      return { signal: this.cache.signal, source: 'cache', runId: this.cache.runId, ageMs };
+    }
+
+    const joining = Boolean(this.current);
+    const run = this.start(trigger);
+    const signal = await this.current.promise;
+    return { signal, source: joining ? 'joined' : 'run', runId: run.id, ageMs: 0 };
+  }
+
+  // Start a run unless one is in progress, in which case the caller joins it
+  start(trigger) {
+    if (this.current) {
+      this.current.run.joined++;
+      return this.current.run;
+    }
+
+    const run = this.createRun(trigger);
+    this.execute(run);
+    return run;
+  }
+
+  // Await a run (used by the scheduler); overlapping calls share the in-progress run
+  async run(trigger = 'scheduler') {
+    this.start(trigger);
+    return this.current.promise;
+  }
+
+  // Queue a manual run behind the current one. Requests made while a run is already
+  // waiting share it, since it will see the same market data.
+  enqueue(trigger = 'manual') {
+    if (!this.current) {
+      return this.start(trigger);
+    }
+    if (this.queued) {
+      this.queued.joined++;
+      return this.queued;
+    }
+
+    this.queued = this.createRun(trigger);
+    console.log(`🧾 Run ${this.queued.id} queued behind ${this.current.run.id}`);
+    return this.queued;
+  }
+
+  createRun(trigger) {
+    const run = {
+      id: createId('run'),
+      trigger,
+      status: RUN_STATUS.QUEUED,
+      joined: 0,
+      requestedAt: new Date(),
+      startedAt: null,
+      finishedAt: null,
+      signalId: null,
+      result: null,
+      error: null,
+      llmUsage: null
+    };
+
+    this.runs.set(run.id, run);
+    if (this.runs.size > this.historySize) {
+      this.runs.delete(this.runs.keys().next().value);
+    }
+    return run;
+  }
+
+  execute(run) {
+    run.status = RUN_STATUS.RUNNING;
+    run.startedAt = new Date();
+    console.log(`▶️ Analysis run ${run.id} started (${run.trigger})`);
+
+    // LLM calls made during the run are attributed to it for cost accounting
+    const promise = llmUsage.withRun(run.id, () => agentOrchestrator.runAnalysis())
+      .then(signal => {
+        this.finish(run, signal);
+        return signal;
+      }, error => {
+        // runAnalysis reports failures as error signals, so this is only a safety net
+        const signal = agentOrchestrator.getErrorSignal(error);
+        this.finish(run, signal);
+        return signal;
+      });
+
+    this.current = { run, promise };
+    return promise;
+  }
+
+  finish(run, signal) {
+    run.finishedAt = new Date();
+    run.result = signal;
+    run.signalId = signal.id || null;
+    run.llmUsage = llmUsage.getRunUsage(run.id);
+
+    if (signal.error) {
+      run.status = RUN_STATUS.FAILED;
+      run.error = signal.reasoning;
+    } else {
+      run.status = RUN_STATUS.COMPLETED;
+      this.cache = { signal, completedAt: run.finishedAt, runId: run.id };
+    }
+    console.log(`${signal.error ? '❌' : '✅'} Analysis run ${run.id} ${run.status} in ${run.finishedAt - run.startedAt}ms`);
+
+    this.current = null;
+    if (this.queued) {
+      const next = this.queued;
+      this.queued = null;
+      this.execute(next);
+    }
+  }
+
+  cacheAge() {
+    return this.cache ? Date.now() - this.cache.completedAt.getTime() : null;
+  }
+
+  getRun(id) {
+    return this.runs.get(id) || null;
+  }
+
+  getStatus() {
+    return {
+      freshnessMs: this.freshnessMs,
+      current: this.current ? this.current.run : null,
+      queued: this.queued,
+      cache: this.cache ? { runId: this.cache.runId, signalId: this.cache.signal.id, ageMs: this.cacheAge() } : null,
+      recentRuns: [...this.runs.values()].slice(-10).reverse().map(({ result, ...run }) => run)
+    };
+  }
+}
+
+module.exports = new RunCoordinator();
@@ -0,0 +1,211 @@
+// Scheduler - Runs analysis during NSE sessions plus pre-market and post-market jobs
+const EventEmitter = require('events');
+const cron = require('node-cron');
+const config = require('../config');
+const runCoordinator = require('./runCoordinator');
+const marketData = require('./marketData');
+const marketSnapshot = require('./marketSnapshot');
+const tradingCalendar = require('./tradingCalendar');
+const paperBroker = require('./paperBroker');
+const repositories = require('../repositories');
+
+const MINUTE_MS = 60 * 1000;
+
+// Emits 'signal' after each analysis run, 'preMarket' and 'postMarket' with their briefs.
+// Every job runs at most once per slot, judged on the market data clock so replays follow market time.
+class Scheduler extends EventEmitter {
+  constructor() {
+    super();
+    this.settings = { ...config.scheduler };
+    this.task = null;
+    this.running = {};
+    this.completed = {};
+    this.lastRuns = {};
+    this.lastBriefs = {};
+  }
+
+  start() {
+    if (!this.settings.enabled) {
+      console.log('⏸️ Scheduler disabled (SCHEDULER_ENABLED=false)');
+      return;
+    }
+    if (this.task) return;
+
+    this.task = cron.schedule('* * * * *', () => this.tick());
+    console.log(`⏰ Scheduler started: analysis every ${this.settings.analysisIntervalMinutes} minutes during NSE sessions`);
+    this.tick();
+  }
+
+  stop() {
+    if (this.task) {
+      this.task.stop();
+      this.task = null;
+    }
+  }
+
+  async tick(now = marketData.now()) {
+    const time = new Date(now).getTime();
+    const session = tradingCalendar.getSession(now);
+    const intervalMs = this.settings.analysisIntervalMinutes * MINUTE_MS;
+    const jobs = [];
+
+    if (session) {
+      const open = session.open.getTime();
+      const close = session.close.getTime();
+
+      if (time >= open - this.settings.preMarketLeadMinutes * MINUTE_MS && time < open) {
+        jobs.push(this.runOnce('preMarket', session.date, () => this.preMarket(session)));
+      }
+      if (time >= open && time < close) {
+        const slot = Math.floor((time - open) / intervalMs);
+        jobs.push(this.runOnce('analysis', `${session.date}#${slot}`, () => this.analysis()));
+      }
+      if (time >= close + this.settings.postMarketDelayMinutes * MINUTE_MS) {
+        jobs.push(this.runOnce('postMarket', session.date, () => this.postMarket(session)));
+      }
+    }
+
+    if (this.settings.analyzeOutsideSessions && !tradingCalendar.isMarketOpen(now)) {
+      jobs.push(this.runOnce('analysis', `offsession#${Math.floor(time / intervalMs)}`, () => this.analysis()));
+    }
+
+    return Promise.all(jobs);
+  }
+
+  // Run a job unless it already ran for this key or is still running
+  async runOnce(job, key, fn) {
+    if (this.completed[job] === key || this.running[job]) return null;
+
+    this.running[job] = true;
+    const startedAt = new Date();
+    try {
+      const result = await fn();
+      this.lastRuns[job] = { key, startedAt, finishedAt: new Date(), status: 'ok' };
+      this.emit(job === 'analysis' ? 'signal' : job, result);
+      return result;
+    } catch (error) {
+      console.error(`❌ Scheduled ${job} job failed:`, error.message);
+      this.lastRuns[job] = { key, startedAt, finishedAt: new Date(), status: 'error', error: error.message };
+      return null;
+    } finally {
+      // Failures are not retried within the same slot to avoid hammering data providers
+      this.completed[job] = key;
+      this.running[job] = false;
+    }
+  }
+
+  async analysis() {
+    console.log('Running scheduled analysis...');
+    return runCoordinator.run('scheduler');
+  }
+
+  // Overnight global cues and the previous close ahead of the open
+  async preMarket(session) {
+    console.log(`🌅 Pre-market brief for ${session.date} (${session.name})`);
+    const [niftyData, globalMarkets] = await Promise.all([
+      marketData.getNiftyIndexData(),
+      marketSnapshot.fetchGlobalMarkets()
+    ]);
+
+    const changes = Object.values(globalMarkets).map(quote => quote.changePercent || 0);
+    const averageChange = changes.length > 0 ? changes.reduce((a, b) => a + b, 0) / changes.length : 0;
+
+    const brief = {
+      type: 'preMarket',
+      date: session.date,
+      session,
+      previousTradingDay: tradingCalendar.getPreviousTradingDay(session.open),
+      nifty: {
+        previousClose: niftyData.previousClose ?? niftyData.currentPrice,
+        lastPrice: niftyData.currentPrice,
+        provenance: niftyData.provenance
+      },
+      globalMarkets: Object.fromEntries(Object.entries(globalMarkets).map(([name, quote]) => [name, {
+        price: quote.currentPrice,
+        changePercent: quote.changePercent
+      }])),
+      globalCue: averageChange > 0.3 ? 'POSITIVE' : averageChange < -0.3 ? 'NEGATIVE' : 'NEUTRAL',
+      averageGlobalChange: averageChange,
+      timestamp: marketData.now()
+    };
+    this.lastBriefs.preMarket = brief;
+    return brief;
+  }
+
+  // Day summary after the close; refreshing the candle series also stores the day's bars
+  async postMarket(session) {
+    console.log(`🌇 Post-market summary for ${session.date}`);
+    const [niftyData, series, history] = await Promise.all([
+      marketData.getNiftyIndexData(),
+      marketData.getCandleSeries(marketData.niftyIndex, '5m'),
+      repositories.signals.find({ from: session.open, to: session.close }, { limit: 100 })
+    ]);
+
+    const signals = history.signals;
+    const counts = { BUY: 0, SELL: 0, HOLD: 0 };
+    signals.forEach(signal => { counts[signal.signal] = (counts[signal.signal] || 0) + 1; });
+    const portfolio = paperBroker.getPortfolio();
+
+    const summary = {
+      type: 'postMarket',
+      date: session.date,
+      session,
+      nifty: {
+        open: niftyData.open,
+        high: niftyData.high,
+        low: niftyData.low,
+        close: niftyData.currentPrice,
+        changePercent: niftyData.changePercent,
+        provenance: niftyData.provenance
+      },
+      candlesStored: series.candles.filter(candle => candle.timestamp >= session.open && candle.timestamp < session.close).length,
+      signals: {
+        total: signals.length,
+        counts,
+        averageConfidence: signals.length > 0
+          ? signals.reduce((total, signal) => total + signal.confidence, 0) / signals.length
+          : 0,
+        actionable: signals.filter(signal => signal.actionable !== false).length
+      },
+      paperTrading: {
+        equity: portfolio.equity,
+        realizedPnl: portfolio.realizedPnl,
+        unrealizedPnl: portfolio.unrealizedPnl,
+        openPositions: portfolio.positions.length
+      },
+      timestamp: marketData.now()
+    };
+    this.lastBriefs.postMarket = summary;
+    return summary;
+  }
+
+  getNextAnalysis(now = marketData.now()) {
+    if (this.settings.analyzeOutsideSessions) return null;
+
+    const time = new Date(now).getTime();
+    const intervalMs = this.settings.analysisIntervalMinutes * MINUTE_MS;
+    const session = tradingCalendar.getNextSession(now);
+    if (!session) return null;
+
+    const open = session.open.getTime();
+    if (time < open) return session.open;
+
+    const next = open + (Math.floor((time - open) / intervalMs) + 1) * intervalMs;
+    return next < session.close.getTime() ? new Date(next) : this.getNextAnalysis(session.close);
+  }
+
+  getStatus(now = marketData.now()) {
+    return {
+      enabled: this.settings.enabled,
+      analysisIntervalMinutes: this.settings.analysisIntervalMinutes,
+      analyzeOutsideSessions: this.settings.analyzeOutsideSessions,
+      market: tradingCalendar.getStatus(now),
+      nextAnalysis: this.getNextAnalysis(now),
+      running: Object.keys(this.running).filter(job => this.running[job]),
+      lastRuns: this.lastRuns,
+      lastBriefs: this.lastBriefs
+    };
+  }
+}
+
+module.exports = new Scheduler();
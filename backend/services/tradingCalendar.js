@@ -0,0 +1,151 @@
+// Trading Calendar - NSE sessions, holidays and special sessions in IST
+const fs = require('fs');
+const config = require('../config');
+const { istDateKey } = require('./providers/baseProvider');
+
+const IST_OFFSET_MS = 5.5 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Market phases reported by getPhase()
+const PHASES = {
+  PRE_OPEN: 'PRE_OPEN',   // order collection / call auction before the open
+  OPEN: 'OPEN',
+  CLOSED: 'CLOSED'
+};
+
+// 'HH:MM' IST on an IST date key -> UTC Date
+function istTime(dateKey, time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day, hours, minutes) - IST_OFFSET_MS);
+}
+
+function istDayOfWeek(dateKey) {
+  return new Date(`${dateKey}T00:00:00Z`).getUTCDay();
+}
+
+function addDays(dateKey, days) {
+  return new Date(new Date(`${dateKey}T00:00:00Z`).getTime() + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+class TradingCalendar {
+  constructor() {
+    this.phases = PHASES;
+    this.hours = config.calendar.hours;
+    this.load(config.calendar.holidaysFile);
+  }
+
+  // Holiday list: { holidays: [{ date, name }], specialSessions: [{ date, name, preOpen, open, close }] }
+  load(filePath) {
+    this.holidays = new Map();
+    this.specialSessions = new Map();
+
+    try {
+      const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      (data.holidays || []).forEach(holiday => this.holidays.set(holiday.date, holiday.name));
+      (data.specialSessions || []).forEach(session => this.specialSessions.set(session.date, session));
+      console.log(`📅 Loaded ${this.holidays.size} NSE holidays and ${this.specialSessions.size} special sessions`);
+    } catch (error) {
+      console.error(`⚠️ Could not load NSE holiday list from ${filePath}:`, error.message);
+    }
+  }
+
+  getHoliday(date) {
+    return this.holidays.get(istDateKey(date)) || null;
+  }
+
+  // The session held on the IST date of `date`, or null when the exchange is shut
+  getSession(date) {
+    const dateKey = istDateKey(date);
+    const special = this.specialSessions.get(dateKey);
+    if (special) {
+      return this.buildSession(dateKey, 'special', special.name, special);
+    }
+
+    const dayOfWeek = istDayOfWeek(dateKey);
+    if (dayOfWeek === 0 || dayOfWeek === 6 || this.holidays.has(dateKey)) return null;
+
+    return this.buildSession(dateKey, 'regular', 'Normal market', this.hours);
+  }
+
+  buildSession(dateKey, type, name, hours) {
+    return {
+      date: dateKey,
+      type,
+      name,
+      preOpen: istTime(dateKey, hours.preOpen || this.hours.preOpen),
+      open: istTime(dateKey, hours.open),
+      close: istTime(dateKey, hours.close)
+    };
+  }
+
+  isTradingDay(date) {
+    return this.getSession(date) !== null;
+  }
+
+  // Continuous trading only; the close is exclusive
+  isMarketOpen(date) {
+    const session = this.getSession(date);
+    const time = new Date(date).getTime();
+    return Boolean(session) && time >= session.open.getTime() && time < session.close.getTime();
+  }
+
+  getPhase(date) {
+    const session = this.getSession(date);
+    if (!session) return PHASES.CLOSED;
+
+    const time = new Date(date).getTime();
+    if (time >= session.preOpen.getTime() && time < session.open.getTime()) return PHASES.PRE_OPEN;
+    if (time >= session.open.getTime() && time < session.close.getTime()) return PHASES.OPEN;
+    return PHASES.CLOSED;
+  }
+
+  // The current session if it has not closed yet, otherwise the next one
+  getNextSession(date) {
+    const time = new Date(date).getTime();
+    let dateKey = istDateKey(date);
+
+    for (let i = 0; i < 30; i++) {
+      const session = this.getSession(istTime(dateKey, '12:00'));
+      if (session && session.close.getTime() > time) return session;
+      dateKey = addDays(dateKey, 1);
+    }
+    return null;
+  }
+
+  getPreviousTradingDay(date) {
+    let dateKey = addDays(istDateKey(date), -1);
+    for (let i = 0; i < 30; i++) {
+      if (this.isTradingDay(istTime(dateKey, '12:00'))) return dateKey;
+      dateKey = addDays(dateKey, -1);
+    }
+    return null;
+  }
+
+  // Holidays and special sessions for one calendar year
+  getYear(year) {
+    const prefix = `${year}-`;
+    return {
+      year: Number(year),
+      holidays: [...this.holidays.entries()]
+        .filter(([date]) => date.startsWith(prefix))
+        .map(([date, name]) => ({ date, name })),
+      specialSessions: [...this.specialSessions.values()].filter(session => session.date.startsWith(prefix))
+    };
+  }
+
+  getStatus(date) {
+    const nextSession = this.getNextSession(date);
+    return {
+      timestamp: new Date(date),
+      date: istDateKey(date),
+      phase: this.getPhase(date),
+      isTradingDay: this.isTradingDay(date),
+      holiday: this.getHoliday(date),
+      session: this.getSession(date),
+      nextSession
+    };
+  }
+}
+
+module.exports = new TradingCalendar();
@@ -0,0 +1,130 @@
+// Transaction Costs - NSE statutory charges, brokerage and slippage for simulated fills
+const config = require('../config');
+
+// Rates as fractions of turnover. STT is charged on the sell side only and stamp duty on the
+// buy side only; GST applies to brokerage, exchange charges and SEBI fees.
+const SEGMENTS = {
+  equity_intraday: {
+    brokerageRate: 0.0003,            // 0.03% or the flat cap, whichever is lower
+    sttSellRate: 0.00025,             // 0.025% on sell
+    exchangeRate: 0.0000297,          // NSE 0.00297%
+    stampBuyRate: 0.00003             // 0.003% on buy
+  },
+  index_futures: {
+    brokerageRate: 0.0003,
+    sttSellRate: 0.0002,              // 0.02% on sell
+    exchangeRate: 0.0000173,          // NSE 0.00173%
+    stampBuyRate: 0.00002             // 0.002% on buy
+  }
+};
+
+const SEBI_FEE_RATE = 10 / 1e7;       // ₹10 per crore
+const GST_RATE = 0.18;
+
+const SLIPPAGE_MODELS = ['none', 'fixed', 'spread', 'volume'];
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+class TransactionCostModel {
+  constructor(options = {}) {
+    this.segment = options.segment || 'index_futures';
+    if (!SEGMENTS[this.segment]) {
+      throw new Error(`Unknown cost segment: ${this.segment} (valid: ${Object.keys(SEGMENTS).join(', ')})`);
+    }
+    this.rates = { ...SEGMENTS[this.segment], ...(options.rates || {}) };
+    this.maxBrokeragePerOrder = options.maxBrokeragePerOrder ?? 20;
+
+    this.slippage = {
+      model: options.slippageModel || 'fixed',
+      bps: options.slippageBps ?? 1,                // fixed: cost per side in basis points
+      spreadBps: options.spreadBps ?? 2,            // spread: assumed bid-ask spread when no quote is available
+      impactBps: options.impactBps ?? 10            // volume: impact at 100% participation (square-root law)
+    };
+    if (!SLIPPAGE_MODELS.includes(this.slippage.model)) {
+      throw new Error(`Unknown slippage model: ${this.slippage.model} (valid: ${SLIPPAGE_MODELS.join(', ')})`);
+    }
+  }
+
+  // Statutory charges and brokerage for one executed order, in rupees
+  calculateCharges({ side, price, quantity }) {
+    const turnover = price * quantity;
+    const brokerage = Math.min(turnover * this.rates.brokerageRate, this.maxBrokeragePerOrder);
+    const stt = side === 'SELL' ? turnover * this.rates.sttSellRate : 0;
+    const exchangeCharges = turnover * this.rates.exchangeRate;
+    const sebiFees = turnover * SEBI_FEE_RATE;
+    const stampDuty = side === 'BUY' ? turnover * this.rates.stampBuyRate : 0;
+    const gst = (brokerage + exchangeCharges + sebiFees) * GST_RATE;
+
+    return {
+      turnover: round2(turnover),
+      brokerage: round2(brokerage),
+      stt: round2(stt),
+      exchangeCharges: round2(exchangeCharges),
+      sebiFees: round2(sebiFees),
+      stampDuty: round2(stampDuty),
+      gst: round2(gst),
+      total: round2(brokerage + stt + exchangeCharges + sebiFees + stampDuty + gst)
+    };
+  }
+
+  // Slippage in basis points for an order; market: { volume, bid, ask } when known
+  estimateSlippageBps({ price, quantity }, market = {}) {
+    switch (this.slippage.model) {
+      case 'none':
+        return 0;
+      case 'spread': {
+        const quotedSpread = market.bid > 0 && market.ask > market.bid
+          ? ((market.ask - market.bid) / ((market.ask + market.bid) / 2)) * 10000
+          : this.slippage.spreadBps;
+        return quotedSpread / 2;
+      }
+      case 'volume': {
+        if (!market.volume) return this.slippage.impactBps;
+        const participation = Math.min(quantity / market.volume, 1);
+        return this.slippage.impactBps * Math.sqrt(participation);
+      }
+      default:
+        return this.slippage.bps;
+    }
+  }
+
+  // Price actually obtained: buys fill higher, sells lower
+  fill({ side, price, quantity }, market = {}) {
+    const slippageBps = this.estimateSlippageBps({ price, quantity }, market);
+    const direction = side === 'BUY' ? 1 : -1;
+    const fillPrice = price * (1 + direction * slippageBps / 10000);
+    const charges = this.calculateCharges({ side, price: fillPrice, quantity });
+    const slippageCost = Math.abs(fillPrice - price) * quantity;
+
+    return {
+      side,
+      quantity,
+      referencePrice: price,
+      fillPrice,
+      slippageBps,
+      slippageCost: round2(slippageCost),
+      charges,
+      totalCost: round2(charges.total + slippageCost)
+    };
+  }
+
+  describe() {
+    return {
+      segment: this.segment,
+      rates: this.rates,
+      maxBrokeragePerOrder: this.maxBrokeragePerOrder,
+      sebiFeeRate: SEBI_FEE_RATE,
+      gstRate: GST_RATE,
+      slippage: this.slippage
+    };
+  }
+}
+
+// Cost model from config.costs, with per-run overrides
+function createCostModel(overrides = {}) {
+  return new TransactionCostModel({ ...config.costs, ...overrides });
+}
+
+module.exports = { TransactionCostModel, createCostModel, SEGMENTS, SLIPPAGE_MODELS };
@@ -0,0 +1,90 @@
+// Adaptive weight tests - outcome attribution, bounded re-estimation and the weight history
+
+const agentOrchestrator = require('../services/agentOrchestrator');
+const agentRegistry = require('../services/agentRegistry');
+const adaptiveWeights = require('../services/adaptiveWeights');
+const { normalizeWithBounds } = require('../services/adaptiveWeights');
+const PerformanceTracker = require('../services/performanceTracker');
+const marketData = require('../services/marketData');
+const repositories = require('../repositories');
+
+describe('adaptive agent weights', () => {
+  beforeEach(() => {
+    repositories.useMemory();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    agentRegistry.setWeights(agentRegistry.defaultWeights());
+    jest.restoreAllMocks();
+  });
+
+  test('validation records which agents called the move from entry', async () => {
+    jest.useFakeTimers();
+    try {
+      const tracker = new PerformanceTracker({ source: 'signal' });
+      const validated = jest.fn();
+      tracker.on('validated', validated);
+      const snapshot = { niftyData: { currentPrice: 22000, high: 22100, low: 21900, volume: 1000, changePercent: 0.2 }, clock: { hour: 10 } };
+      const agentCalls = {
+        technical: { signal: 'BUY', confidence: 80 },
+        sentiment: { signal: 'SELL', confidence: 60 },
+        research: { signal: 'HOLD', confidence: 55 }
+      };
+
+      // 10:30 IST, scored against the 10:40 bar's close
+      const madeAt = new Date('2024-03-12T05:00:00Z');
+      const id = await tracker.trackPrediction('BUY', 70, 22050, madeAt, null, snapshot, { signalId: 'sig_1', agentCalls });
+      jest.spyOn(marketData, 'getBarAt').mockResolvedValue({ timestamp: new Date('2024-03-12T05:10:00Z'), close: 22100 });
+      await tracker.validatePrediction(id, new Date('2024-03-12T05:20:00Z'));
+
+      const [prediction] = await repositories.predictions.findRecent(10, { source: 'signal' });
+      expect(prediction).toMatchObject({ signalId: 'sig_1', entryPrice: 22000, actualPrice: 22100 });
+      expect(prediction.realisedMovePct).toBeCloseTo(0.4545, 3);
+      expect(prediction.attribution).toEqual({
+        technical: { signal: 'BUY', agreed: true },
+        sentiment: { signal: 'SELL', agreed: false },
+        research: { signal: 'HOLD', agreed: false }
+      });
+      expect(validated).toHaveBeenCalledWith(expect.objectContaining({ id }));
+
+      // The sentiment agent's own tracker never sees final-signal predictions
+      const sentimentTracker = new PerformanceTracker();
+      await sentimentTracker.restore();
+      expect(sentimentTracker.predictions).toHaveLength(0);
+    } finally {
+      jest.clearAllTimers();
+      jest.useRealTimers();
+    }
+  });
+
+  test('moves weight towards agents that call the move, within bounds and with history', async () => {
+    // Technical is always right, sentiment right a quarter of the time, research has too few calls
+    const predictions = Array.from({ length: 40 }, (_, i) => ({
+      timestamp: new Date(Date.UTC(2024, 2, 12, 4, 0) + i * 15 * 60 * 1000),
+      attribution: {
+        technical: { signal: 'BUY', agreed: true },
+        sentiment: { signal: 'SELL', agreed: i % 4 === 0 },
+        ...(i < 10 ? { research: { signal: 'HOLD', agreed: true } } : {})
+      }
+    }));
+
+    const change = await adaptiveWeights.update(predictions);
+    const weights = agentRegistry.weights();
+    expect(change).toMatchObject({ reason: 'adaptive', previous: { technical: 0.35, sentiment: 0.25 }, window: { samples: 40 } });
+    expect(change.agents.sentiment).toMatchObject({ samples: 40, hits: 10, hitRate: 0.25 });
+    expect(weights.technical).toBeGreaterThan(0.35);
+    expect(weights.sentiment).toBeLessThan(0.25);
+    expect(weights.technical + weights.sentiment).toBeCloseTo(0.6, 3);
+    expect(weights).toMatchObject({ research: 0.25, risk: 0.15 });
+    expect(agentOrchestrator.agentWeights).toEqual(weights);
+
+    await adaptiveWeights.reset();
+    const history = await adaptiveWeights.getHistory();
+    expect(history.map(entry => entry.reason)).toEqual(['reset', 'adaptive']);
+    expect(agentRegistry.weights()).toMatchObject({ technical: 0.35, sentiment: 0.25 });
+
+    // An agent pushed past the cap is pinned there and the others absorb the rest
+    expect(normalizeWithBounds({ a: 0.9, b: 0.1 }, 0.6, 0.05, 0.4)).toEqual({ a: 0.4, b: expect.closeTo(0.2, 5) });
+  });
+});
@@ -0,0 +1,71 @@
+// Agent orchestrator tests - per-agent deadlines and aggregation over the agents that responded
+
+const agentOrchestrator = require('../services/agentOrchestrator');
+const agentRegistry = require('../services/agentRegistry');
+
+describe('agentOrchestrator partial results', () => {
+  const snapshot = { niftyData: { currentPrice: 22000 } };
+
+  function agentWith(analyze, overrides = {}) {
+    return { id: overrides.id, agent: { analyze }, weight: 0.3, ...overrides };
+  }
+
+  afterEach(() => {
+    ['slowFlow', 'brokenFlow', 'coreFlow'].forEach(id => agentRegistry.unregister(id));
+  });
+
+  test('marks late and failing agents instead of waiting on them', async () => {
+    const slow = agentRegistry.register(agentWith(() => new Promise(() => {}), { id: 'slowFlow', timeoutMs: 20 }));
+    const broken = agentRegistry.register(agentWith(async () => { throw new Error('feed down'); }, { id: 'brokenFlow' }));
+
+    const results = await agentOrchestrator.runAgents(snapshot, [slow, broken]);
+
+    expect(results.slowFlow).toMatchObject({ status: 'TIMED_OUT', signal: 'HOLD', confidence: 0, error: 'Timed out after 20ms' });
+    expect(results.brokenFlow).toMatchObject({ status: 'FAILED', error: 'feed down' });
+    expect(agentOrchestrator.summariseResults(results).slowFlow).toMatchObject({ status: 'TIMED_OUT' });
+  });
+
+  test('counts agents registered as core towards the synthetic-data guard', () => {
+    agentRegistry.register(agentWith(async () => ({}), { id: 'coreFlow', core: true }));
+    const marketData = { provenance: 'live' };
+
+    const live = agentOrchestrator.summariseProvenance(marketData, {
+      technical: { dataProvenance: 'live' },
+      sentiment: { dataProvenance: 'synthetic' },
+      coreFlow: { dataProvenance: 'live' }
+    });
+    expect(live).toMatchObject({ core: 'live', overall: 'synthetic' });
+
+    const synthetic = agentOrchestrator.summariseProvenance(marketData, {
+      technical: { dataProvenance: 'live' },
+      coreFlow: { dataProvenance: 'synthetic' }
+    });
+    expect(synthetic.core).toBe('synthetic');
+  });
+
+  test('renormalises weights over responding agents and penalises confidence for missing ones', () => {
+    const complete = agentOrchestrator.aggregateSignals({
+      technical: { signal: 'BUY', confidence: 80 },
+      sentiment: { signal: 'BUY', confidence: 80 },
+      research: { signal: 'HOLD', confidence: 60 },
+      risk: { signal: 'APPROVE_TRADE', confidence: 70 }
+    });
+    expect(complete).toMatchObject({ action: 'BUY', confidence: 73, missingAgents: [], missingAdjustment: 0 });
+
+    // Sentiment's 0.25 is spread over technical and research instead of voting HOLD at 50%
+    const partial = agentOrchestrator.aggregateSignals({
+      technical: { signal: 'BUY', confidence: 80 },
+      sentiment: { signal: 'HOLD', confidence: 0, status: 'TIMED_OUT', error: 'Timed out after 30000ms' },
+      research: { signal: 'HOLD', confidence: 60 },
+      risk: { signal: 'HOLD', confidence: 0, error: 'no candles' }
+    });
+
+    // BUY: 0.35 * (0.85 / 0.6) * 0.8; confidence: 70 * 0.7 (risk failed) * (1 - 0.5 * 0.25 / 0.85)
+    expect(partial.signalStrength.BUY).toBe(40);
+    expect(partial.confidence).toBe(42);
+    expect(partial.missingAgents).toEqual([{ id: 'sentiment', status: 'TIMED_OUT' }]);
+    expect(partial.reasoning).toContain('sentiment: TIMED_OUT');
+    expect(partial.reasoning).toContain('Missing agents: sentiment - confidence reduced 15%');
+    expect(partial.reasoning).toContain('Risk: FAILED - Trade with caution');
+  });
+});
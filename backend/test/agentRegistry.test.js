@@ -0,0 +1,61 @@
+// Agent registry tests - registration contract, plugin agents in aggregation and bad agent output
+
+const agentOrchestrator = require('../services/agentOrchestrator');
+const agentRegistry = require('../services/agentRegistry');
+
+describe('agent registry', () => {
+  const snapshot = { niftyData: { currentPrice: 22000 } };
+
+  function flowAgent(result) {
+    return { analyze: jest.fn(async () => result) };
+  }
+
+  afterEach(() => {
+    agentRegistry.unregister('optionsFlow');
+  });
+
+  test('registers the built-in agents and rejects definitions that break the contract', () => {
+    expect(agentRegistry.ids()).toEqual(['technical', 'sentiment', 'research', 'risk']);
+    expect(agentOrchestrator.agentWeights).toEqual({ technical: 0.35, sentiment: 0.25, research: 0.25, risk: 0.15 });
+    expect(agentRegistry.list({ backtest: true }).map(definition => definition.id)).toEqual(['technical', 'sentiment', 'risk']);
+
+    expect(() => agentRegistry.register({ id: 'technical', agent: flowAgent({}) })).toThrow(/already registered/);
+    expect(() => agentRegistry.register({ id: 'optionsFlow', agent: {} })).toThrow(/analyze/);
+    expect(() => agentRegistry.register({ id: 'optionsFlow', agent: flowAgent({}), role: 'oracle' })).toThrow(/unknown role/);
+    expect(agentRegistry.describe().find(definition => definition.id === 'risk')).not.toHaveProperty('agent');
+  });
+
+  test('a plugin agent votes in aggregation and moves the price prediction', async () => {
+    const definition = agentRegistry.register({
+      id: 'optionsFlow',
+      name: 'Options Flow',
+      agent: flowAgent({ signal: 'BUY', confidence: 80, analysis: { pcr: 0.7 } }),
+      weight: 0.6,
+      expectedMovePct: 1,
+      summarize: result => ({ pcr: result.analysis.pcr })
+    });
+
+    const results = await agentOrchestrator.runAgents(snapshot, [definition]);
+    results.risk = { signal: 'APPROVE_TRADE', confidence: 70 };
+
+    const aggregated = agentOrchestrator.aggregateSignals(results);
+    expect(aggregated.action).toBe('BUY');
+    expect(aggregated.reasoning).toContain('optionsFlow: BUY (80%)');
+    expect(agentOrchestrator.calculatePricePrediction(snapshot.niftyData, results).expectedMove).toBe(0.8);
+    expect(agentOrchestrator.summariseResults(results).optionsFlow).toEqual({ signal: 'BUY', confidence: 80, rawConfidence: 80, status: 'OK', dataProvenance: undefined, pcr: 0.7 });
+  });
+
+  test('replaces output that breaks the schema with a neutral failed result', async () => {
+    const definition = agentRegistry.register({
+      id: 'optionsFlow',
+      agent: flowAgent({ signal: 'STRONG_BUY', confidence: 140 }),
+      weight: 0.5
+    });
+
+    const { optionsFlow } = await agentOrchestrator.runAgents(snapshot, [definition]);
+
+    expect(optionsFlow).toMatchObject({ signal: 'HOLD', confidence: 0 });
+    expect(optionsFlow.error).toMatch(/optionsFlow output.signal should be one of BUY, SELL, HOLD/);
+    expect(optionsFlow.error).toMatch(/optionsFlow output.confidence should be <= 100/);
+  });
+});
@@ -0,0 +1,118 @@
+// Aggregation strategy tests - each consensus rule, per-request re-aggregation, stacking and comparisons
+
+const agentOrchestrator = require('../services/agentOrchestrator');
+const backtester = require('../services/backtester');
+const { createStrategy } = require('../services/aggregation');
+const { buildSamples, fitLogistic } = require('../services/aggregation/stacking');
+
+const vote = (id, signal, confidence, weight) => ({ id, signal, confidence, weight });
+
+describe('aggregation strategies', () => {
+  // Technical and sentiment lean BUY, research disagrees with conviction
+  const ballot = {
+    votes: [vote('technical', 'BUY', 80, 0.35), vote('sentiment', 'BUY', 70, 0.25), vote('research', 'SELL', 75, 0.25)],
+    risk: { signal: 'APPROVE_TRADE', status: 'OK' }
+  };
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('each strategy applies its own consensus rule to the same votes', () => {
+    // BUY score 0.35 * 0.8 + 0.25 * 0.7 = 0.455 clears the 0.4 threshold despite the dissent
+    expect(createStrategy('weighted').decide(ballot).action).toBe('BUY');
+    expect(createStrategy('unanimous').decide(ballot)).toMatchObject({ action: 'HOLD', note: 'Unanimous: no agreement (BUY 2, SELL 1)' });
+    expect(createStrategy('majority-veto').decide(ballot)).toMatchObject({
+      action: 'HOLD',
+      note: 'Majority: BUY vetoed by research SELL (75%)'
+    });
+    expect(createStrategy('majority-veto', { majorityVeto: { vetoConfidence: 80 } }).decide(ballot)).toMatchObject({ action: 'BUY', confidence: 75 });
+
+    // Evidence 1.24 * logit(0.9) + 0.88 * logit(0.85) + 0.88 * logit(0.125) pushes P(up) past 0.6
+    const bayesian = createStrategy('bayesian').decide(ballot);
+    expect(bayesian.action).toBe('BUY');
+    expect(bayesian.note).toMatch(/^Bayesian: P\(up\) = 0\.9\d$/);
+
+    expect(() => createStrategy('coin-flip')).toThrow(/Unknown aggregation strategy/);
+  });
+
+  test('re-aggregates a stored signal with another strategy on request', () => {
+    const signal = {
+      id: 'sig_1',
+      signal: 'HOLD',
+      strategy: 'weighted',
+      dataProvenance: { overall: 'live', core: 'live' },
+      agentResults: {
+        technical: { signal: 'BUY', confidence: 80, status: 'OK' },
+        sentiment: { signal: 'BUY', confidence: 70, status: 'OK' },
+        research: { signal: 'SELL', confidence: 75, status: 'OK' },
+        risk: { signal: 'APPROVE_TRADE', confidence: 70, status: 'OK', recommendations: ['Use a 1.5% stop'] }
+      }
+    };
+
+    const bayesian = agentOrchestrator.reaggregate(signal, 'bayesian');
+    expect(bayesian).toMatchObject({ id: 'sig_1', signal: 'BUY', strategy: 'bayesian', actionable: true });
+    expect(bayesian.reasoning).toContain('Bayesian: P(up)');
+    expect(bayesian.recommendations).toContain('Use a 1.5% stop');
+    expect(agentOrchestrator.reaggregate(signal, 'weighted')).toBe(signal);
+  });
+
+  test('stacking learns which agent to trust from what the index did next', () => {
+    // Technical is right every time, sentiment is always wrong
+    const signals = [];
+    let price = 22000;
+    for (let i = 0; i < 40; i++) {
+      const up = i % 3 !== 0;
+      signals.push({
+        timestamp: new Date(Date.UTC(2024, 2, 12, 4, 0) + i * 15 * 60 * 1000),
+        currentPrice: price,
+        agentResults: {
+          technical: { signal: up ? 'BUY' : 'SELL', confidence: 70 },
+          sentiment: { signal: up ? 'SELL' : 'BUY', confidence: 70 },
+          risk: { signal: 'APPROVE_TRADE', confidence: 60 }
+        }
+      });
+      price += up ? 15 : -15;
+    }
+
+    const samples = buildSamples(signals, 15);
+    expect(samples).toHaveLength(39);
+    expect(samples[0]).toEqual({ features: { technical: -0.7, sentiment: 0.7 }, up: 0 });
+
+    const model = fitLogistic(samples);
+    expect(model.coefficients.technical).toBeGreaterThan(0);
+    expect(model.coefficients.sentiment).toBeLessThan(0);
+    expect(model.trainAccuracy).toBe(1);
+
+    const stacking = createStrategy('stacking', { stacking: { modelFile: null } });
+    expect(stacking.decide(ballot).note).toBe('Stacking: no trained model, weighted used');
+    stacking.model = model;
+    expect(stacking.decide({ votes: [vote('technical', 'SELL', 70, 0.35), vote('sentiment', 'BUY', 70, 0.25)] }).action).toBe('SELL');
+  });
+
+  test('backtest comparison runs the agents once per bar for every strategy', async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(agentOrchestrator, 'runAgents').mockImplementation(async () => ({
+      technical: { signal: 'BUY', confidence: 80 },
+      sentiment: { signal: 'BUY', confidence: 70 },
+      risk: { signal: 'APPROVE_TRADE', confidence: 70 }
+    }));
+
+    const candles = Array.from({ length: 40 }, (_, i) => ({
+      timestamp: new Date(Date.UTC(2024, 2, 11, 3, 45) + i * 5 * 60 * 1000),
+      open: 22000 + i,
+      high: 22002 + i,
+      low: 21998 + i,
+      close: 22001 + i,
+      volume: 1000
+    }));
+
+    const comparison = await backtester.compare(
+      { candles, stockSymbols: [], warmupBars: 20, costs: false },
+      ['weighted', 'unanimous', 'bayesian']
+    );
+
+    expect(comparison.strategies.map(entry => entry.strategy)).toEqual(['weighted', 'unanimous', 'bayesian']);
+    expect(comparison.strategies.every(entry => entry.summary.trades > 0)).toBe(true);
+    expect(agentOrchestrator.runAgents).toHaveBeenCalledTimes(7);
+    await expect(backtester.compare({ candles }, ['weighted', 'coin-flip'])).rejects.toMatchObject({ statusCode: 400 });
+  });
+});
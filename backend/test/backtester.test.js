@@ -0,0 +1,158 @@
+// Backtester tests - point-in-time snapshots, fills, exits and performance metrics
+
+const backtester = require('../services/backtester');
+const agentRegistry = require('../services/agentRegistry');
+
+const BAR_MS = 5 * 60 * 1000;
+const START = new Date('2024-03-11T03:45:00Z').getTime();
+
+// Rises for the first half, then falls
+function buildCandles(count = 80) {
+  const candles = [];
+  let price = 22000;
+  for (let i = 0; i < count; i++) {
+    const open = price;
+    price += i < count / 2 ? 10 : -10;
+    candles.push({
+      timestamp: new Date(START + i * BAR_MS),
+      open,
+      high: Math.max(open, price) + 2,
+      low: Math.min(open, price) - 2,
+      close: price,
+      volume: 1000
+    });
+  }
+  return candles;
+}
+
+function decision(signal, overrides = {}) {
+  return { signal, confidence: 70, actionable: true, stopPct: 5, targetPct: 5, targetPrice: 0, ...overrides };
+}
+
+describe('backtester', () => {
+  let logSpy;
+
+  beforeEach(() => {
+    logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('agents only see bars that have closed at decision time', () => {
+    const candles = buildCandles();
+    const snapshot = backtester.buildSnapshot('^NSEI', candles, {}, 59, BAR_MS, backtester.defaults);
+    const lastBar = snapshot.series.candles[snapshot.series.candles.length - 1];
+
+    expect(snapshot.mode).toBe('backtest');
+    expect(lastBar.timestamp).toEqual(candles[59].timestamp);
+    expect(snapshot.timestamp.getTime()).toBe(candles[59].timestamp.getTime() + BAR_MS);
+    expect(snapshot.niftyData.currentPrice).toBe(candles[59].close);
+  });
+
+  test('sentiment agent ignores weights learned from live outcomes', async () => {
+    const tracker = agentRegistry.get('sentiment').agent.performanceTracker;
+    tracker.modelWeights = { ai: 0.3, technical: 0.7, historical: 0 };
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    try {
+      const snapshot = backtester.buildSnapshot('^NSEI', buildCandles(), {}, 59, BAR_MS, backtester.defaults);
+      const result = await agentRegistry.get('sentiment').agent.analyze(snapshot);
+
+      expect(result.advancedInsights).toContain('Optimal Weights: AI=60%, Technical=40%');
+    } finally {
+      tracker.modelWeights = tracker.getDefaultWeights();
+    }
+  });
+
+  test('replays with default agent weights, not ones re-estimated from later outcomes', async () => {
+    const agentOrchestrator = require('../services/agentOrchestrator');
+    jest.spyOn(agentOrchestrator, 'runAgents').mockResolvedValue({
+      technical: { signal: 'BUY', confidence: 80, dataProvenance: 'live' },
+      sentiment: { signal: 'SELL', confidence: 50, dataProvenance: 'live' },
+      risk: { signal: 'APPROVE_TRADE', confidence: 70, dataProvenance: 'live' }
+    });
+    const options = { candles: buildCandles(), stockSymbols: [], warmupBars: 20, costs: false, strategy: 'majority-veto' };
+
+    const baseline = await backtester.run(options);
+    try {
+      agentRegistry.setWeights({ technical: 0.05, sentiment: 0.9 });
+      const skewed = await backtester.run(options);
+
+      expect(baseline.trades.length).toBeGreaterThan(0);
+      expect(baseline.trades[0].side).toBe('LONG');
+      expect(skewed.trades).toEqual(baseline.trades);
+    } finally {
+      agentRegistry.setWeights(agentRegistry.defaultWeights());
+    }
+  });
+
+  test('rejects the stacking strategy, which is fitted on later signals', async () => {
+    await expect(backtester.run({ candles: buildCandles(), strategy: 'stacking' }))
+      .rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  test('fills at the next open and exits after the holding period', async () => {
+    const candles = buildCandles();
+    jest.spyOn(backtester, 'decide').mockImplementation(async (symbol, bars, stocks, i) => (
+      { ...decision(i === 25 ? 'BUY' : 'HOLD'), timestamp: bars[i].timestamp, price: bars[i].close }
+    ));
+
+    const report = await backtester.run({ candles, stockSymbols: [], warmupBars: 20, costs: false });
+    const [trade] = report.trades;
+
+    expect(report.trades).toHaveLength(1);
+    expect(trade.entryPrice).toBe(candles[26].open);
+    expect(trade.exitReason).toBe('TIME');
+    expect(trade.exitPrice).toBe(candles[28].close);
+    expect(report.summary.winRate).toBe(100);
+    expect(report.summary.finalEquity).toBeCloseTo(1000000 + trade.pnl);
+    expect(report.hitRates.BUY).toEqual({ count: 1, hits: 1, hitRate: 100 });
+    expect(report.equityCurve).toHaveLength(candles.length);
+  });
+
+  test('stops out losing trades and reports drawdown', async () => {
+    const candles = buildCandles();
+    jest.spyOn(backtester, 'decide').mockImplementation(async (symbol, bars, stocks, i) => (
+      { ...decision(i === 52 ? 'BUY' : 'HOLD', { stopPct: 0.05 }), timestamp: bars[i].timestamp, price: bars[i].close }
+    ));
+
+    const report = await backtester.run({ candles, stockSymbols: [], holdingBars: 10, costs: false });
+
+    expect(report.trades[0].exitReason).toBe('STOP');
+    expect(report.trades[0].pnl).toBeLessThan(0);
+    expect(report.summary.maxDrawdownPct).toBeGreaterThan(0);
+    expect(report.hitRates.BUY.hits).toBe(0);
+  });
+
+  test('charges costs and slippage on every fill', async () => {
+    const candles = buildCandles();
+    jest.spyOn(backtester, 'decide').mockImplementation(async (symbol, bars, stocks, i) => (
+      { ...decision(i === 25 ? 'BUY' : 'HOLD'), timestamp: bars[i].timestamp, price: bars[i].close }
+    ));
+
+    const options = { candles, stockSymbols: [], warmupBars: 20, lotSize: 25 };
+    const gross = await backtester.run({ ...options, costs: false });
+    const net = await backtester.run({ ...options, costs: { segment: 'index_futures', slippageModel: 'fixed', slippageBps: 2 } });
+    const trade = net.trades[0];
+
+    expect(trade.quantity % 25).toBe(0);
+    expect(trade.entryPrice).toBeCloseTo(candles[26].open * 1.0002);
+    expect(trade.grossPnl).toBeCloseTo(gross.trades[0].pnl);
+    expect(trade.pnl).toBeCloseTo(trade.grossPnl - trade.costs.total);
+    expect(net.summary.finalEquity).toBeCloseTo(1000000 + trade.pnl);
+    expect(net.summary.netPnl).toBeLessThan(gross.summary.netPnl);
+  });
+
+  test('rejects ranges without enough stored candles', async () => {
+    await expect(backtester.run({ candles: buildCandles(10) })).rejects.toMatchObject({ statusCode: 400 });
+    expect(logSpy).not.toHaveBeenCalled();
+  });
+
+  test('computes Sharpe and drawdown from the equity curve', () => {
+    expect(backtester.calculateMaxDrawdown([100, 120, 90, 130])).toBeCloseTo(25);
+    expect(backtester.calculateSharpe([100, 100, 100], BAR_MS)).toBe(0);
+    expect(backtester.calculateSharpe([100, 101, 102, 103.5], BAR_MS)).toBeGreaterThan(0);
+  });
+});
@@ -0,0 +1,158 @@
+// Broker adapter tests - simulated exchange matching and risk-gated signal execution
+const marketData = require('../services/marketData');
+const executionService = require('../services/executionService');
+const FixtureProvider = require('../services/providers/fixtureProvider');
+const { SimulatedExchange, ORDER_STATUS } = require('../services/brokers');
+const { TransactionCostModel } = require('../services/transactionCosts');
+
+function createExchange() {
+  return new SimulatedExchange({
+    initialCash: 500000,
+    costModel: new TransactionCostModel({ slippageModel: 'none' })
+  });
+}
+
+describe('SimulatedExchange', () => {
+  let provider;
+  let exchange;
+
+  beforeEach(() => {
+    provider = new FixtureProvider({ quotes: { '^NSEI': { currentPrice: 22000 }, 'RELIANCE.NS': { currentPrice: 2500 } } });
+    marketData.setProvider(provider);
+    marketData.lastGood.clear();
+    exchange = createExchange();
+  });
+
+  test('fills market orders and tracks net positions with realised P&L', async () => {
+    const { orderId } = await exchange.placeOrder({
+      exchange: 'NFO', tradingSymbol: 'NIFTY', transactionType: 'BUY', quantity: 75, product: 'NRML', signalId: 'sig_1'
+    });
+    expect((await exchange.getOrder(orderId)).status).toBe(ORDER_STATUS.COMPLETE);
+
+    provider.setQuote('^NSEI', { currentPrice: 22100 });
+    await exchange.placeOrder({ exchange: 'NFO', tradingSymbol: 'NIFTY', transactionType: 'SELL', quantity: 75, product: 'NRML' });
+
+    const [position] = await exchange.getPositions();
+    expect(position.quantity).toBe(0);
+    expect(position.realisedPnl).toBeCloseTo(7500);
+    expect(await exchange.getOrdersForSignal('sig_1')).toHaveLength(1);
+  });
+
+  test('rests limit and stop orders until the price reaches them', async () => {
+    const limit = await exchange.placeOrder({
+      tradingSymbol: 'RELIANCE', transactionType: 'BUY', quantity: 10, orderType: 'LIMIT', price: 2450
+    });
+    const stop = await exchange.placeOrder({
+      tradingSymbol: 'RELIANCE', transactionType: 'SELL', quantity: 5, orderType: 'SL-M', triggerPrice: 2400
+    });
+    expect((await exchange.getOrder(limit.orderId)).status).toBe(ORDER_STATUS.OPEN);
+    expect((await exchange.getOrder(stop.orderId)).status).toBe(ORDER_STATUS.TRIGGER_PENDING);
+
+    provider.setQuote('RELIANCE.NS', { currentPrice: 2440 });
+    await exchange.matchPendingOrders();
+    expect((await exchange.getOrder(limit.orderId)).averagePrice).toBe(2440);
+
+    provider.setQuote('RELIANCE.NS', { currentPrice: 2390 });
+    await exchange.matchPendingOrders();
+    expect((await exchange.getOrder(stop.orderId)).status).toBe(ORDER_STATUS.COMPLETE);
+  });
+
+  test('modifies and cancels pending orders only', async () => {
+    const { orderId } = await exchange.placeOrder({
+      tradingSymbol: 'RELIANCE', transactionType: 'BUY', quantity: 10, orderType: 'LIMIT', price: 2400
+    });
+
+    await exchange.modifyOrder(orderId, { quantity: 20, price: 2410 });
+    expect(await exchange.getOrder(orderId)).toMatchObject({ quantity: 20, price: 2410, status: ORDER_STATUS.OPEN });
+
+    await exchange.cancelOrder(orderId);
+    await expect(exchange.cancelOrder(orderId)).rejects.toMatchObject({ statusCode: 409 });
+  });
+
+  test('rejects invalid params, odd lots and orders beyond available margin', async () => {
+    await expect(exchange.placeOrder({ tradingSymbol: 'RELIANCE', transactionType: 'HOLD', quantity: 1 }))
+      .rejects.toMatchObject({ statusCode: 400 });
+    await expect(exchange.placeOrder({ exchange: 'NFO', tradingSymbol: 'NIFTY', transactionType: 'BUY', quantity: 50 }))
+      .rejects.toThrow('lot size');
+
+    const { orderId } = await exchange.placeOrder({ tradingSymbol: 'RELIANCE', transactionType: 'BUY', quantity: 1000, product: 'CNC' });
+    const order = await exchange.getOrder(orderId);
+    expect(order.status).toBe(ORDER_STATUS.REJECTED);
+    expect(order.statusMessage).toMatch(/Insufficient funds/);
+  });
+});
+
+describe('executionService', () => {
+  function signal(overrides = {}) {
+    return {
+      id: `sig_${Math.random().toString(36).substr(2, 8)}`,
+      timestamp: new Date(),
+      signal: 'BUY',
+      confidence: 80,
+      actionable: true,
+      agentResults: {
+        risk: {
+          signal: 'APPROVE_TRADE',
+          risk_level: { overall: 'MEDIUM' },
+          position_sizing: { stopLoss: { percentage: 2 } }
+        }
+      },
+      ...overrides
+    };
+  }
+
+  beforeEach(() => {
+    marketData.setProvider(new FixtureProvider({ quotes: { '^NSEI': { currentPrice: 22000 } } }));
+    marketData.lastGood.clear();
+    executionService.broker = createExchange();
+    executionService.executions = [];
+    executionService.executedSignals.clear();
+    executionService.day = null;
+  });
+
+  test('places an entry and a stop-loss tied to the signal id', async () => {
+    const buy = signal();
+    const execution = await executionService.executeSignal(buy);
+
+    expect(execution.status).toBe('EXECUTED');
+    const orders = await executionService.broker.getOrdersForSignal(buy.id);
+    expect(orders.map(order => order.tag)).toEqual(['entry', 'stoploss']);
+    expect(orders[1]).toMatchObject({ orderType: 'SL-M', transactionType: 'SELL', triggerPrice: 21560 });
+    expect(await executionService.currentQuantity()).toBe(75);
+  });
+
+  test('reverses the position and replaces the stop-loss on an opposite signal', async () => {
+    const buy = signal();
+    await executionService.executeSignal(buy);
+    await executionService.executeSignal(signal({ signal: 'SELL' }));
+
+    const [, stop] = await executionService.broker.getOrdersForSignal(buy.id);
+    expect(stop.status).toBe(ORDER_STATUS.CANCELLED);
+    expect(await executionService.currentQuantity()).toBe(-75);
+  });
+
+  test('blocks signals that fail the risk checks', async () => {
+    const execution = await executionService.executeSignal(signal({
+      confidence: 50,
+      actionable: false,
+      agentResults: { risk: { signal: 'AVOID_TRADE' } }
+    }));
+
+    expect(execution.status).toBe('BLOCKED');
+    expect(execution.reasons).toEqual(expect.arrayContaining([
+      expect.stringMatching(/not actionable/),
+      expect.stringMatching(/Confidence 50%/),
+      expect.stringMatching(/avoiding trades/)
+    ]));
+    expect(await executionService.broker.getOrders()).toHaveLength(0);
+  });
+
+  test('never executes the same signal twice', async () => {
+    const buy = signal();
+    await executionService.executeSignal(buy);
+    const repeat = await executionService.executeSignal(buy);
+
+    expect(repeat.status).toBe('BLOCKED');
+    expect(repeat.reasons).toContain('Signal already executed');
+  });
+});
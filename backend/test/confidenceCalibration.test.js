@@ -0,0 +1,88 @@
+// Confidence calibration tests - isotonic and Platt fits from stored outcomes, applied before aggregation
+
+const agentOrchestrator = require('../services/agentOrchestrator');
+const confidenceCalibration = require('../services/confidenceCalibration');
+const { fitIsotonic, applyIsotonic } = require('../services/confidenceCalibration');
+const repositories = require('../repositories');
+
+describe('confidence calibration', () => {
+  const settings = { ...confidenceCalibration.settings };
+
+  beforeEach(async () => {
+    repositories.useMemory();
+    confidenceCalibration.settings.modelFile = null;
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    // Technical always claims 90% but is right half the time; sentiment has too few calls to fit
+    for (let i = 0; i < 60; i++) {
+      const actualPrice = i % 2 === 0 ? 22050 : 21950;
+      await repositories.predictions.save({
+        source: 'signal',
+        signal: 'BUY',
+        confidence: 70,
+        targetPrice: 22030,
+        entryPrice: 22000,
+        actualPrice,
+        actualOutcome: ((actualPrice - 22000) / 22000) * 100,
+        realisedMovePct: ((actualPrice - 22000) / 22000) * 100,
+        status: 'VALIDATED',
+        timestamp: new Date(Date.UTC(2024, 2, 12, 4, 0) + i * 15 * 60 * 1000),
+        agentCalls: {
+          technical: { signal: 'BUY', confidence: 90 },
+          ...(i < 10 ? { sentiment: { signal: 'BUY', confidence: 70 } } : {})
+        }
+      });
+    }
+  });
+
+  afterEach(() => {
+    Object.assign(confidenceCalibration.settings, settings);
+    confidenceCalibration.model = null;
+    jest.restoreAllMocks();
+  });
+
+  test('isotonic fit pools violations into a non-decreasing curve', () => {
+    const samples = [
+      { confidence: 40, hit: true }, { confidence: 40, hit: false },
+      { confidence: 60, hit: false }, { confidence: 60, hit: false },
+      { confidence: 80, hit: true }, { confidence: 80, hit: true }, { confidence: 80, hit: true }, { confidence: 80, hit: false }
+    ];
+    const points = fitIsotonic(samples);
+    expect(points).toEqual([
+      { confidence: 50, probability: 0.25, count: 4 },
+      { confidence: 80, probability: 0.75, count: 4 }
+    ]);
+    expect(applyIsotonic(points, 65)).toBeCloseTo(0.5, 6);
+    expect(applyIsotonic(points, 20)).toBe(0.25);
+    expect(applyIsotonic(points, 95)).toBe(0.75);
+  });
+
+  test('refits from stored outcomes and calibrates agent results before aggregation', async () => {
+    const model = await confidenceCalibration.refit();
+    expect(Object.keys(model.agents)).toEqual(['technical']);
+    expect(model.agents.technical).toMatchObject({ samples: 60, hitRate: 0.5 });
+    expect(confidenceCalibration.apply('technical', 90)).toBe(50);
+
+    const results = agentOrchestrator.calibrateResults({
+      technical: { signal: 'BUY', confidence: 90 },
+      sentiment: { signal: 'BUY', confidence: 70 },
+      research: { signal: 'HOLD', confidence: 60, status: 'TIMED_OUT' },
+      risk: { signal: 'APPROVE_TRADE', confidence: 70 }
+    });
+    expect(results.technical).toEqual({ signal: 'BUY', confidence: 50, rawConfidence: 90 });
+    expect(results.sentiment).toEqual({ signal: 'BUY', confidence: 70 });
+
+    const summary = agentOrchestrator.summariseResults(results);
+    expect(summary.technical).toMatchObject({ confidence: 50, rawConfidence: 90 });
+    expect(summary.sentiment).toMatchObject({ confidence: 70, rawConfidence: 70 });
+    expect(agentOrchestrator.uncalibratedResults(results).technical.confidence).toBe(90);
+
+    // Platt finds no link between confidence and hits here either
+    const platt = await confidenceCalibration.refit('platt');
+    expect(platt.method).toBe('platt');
+    expect(confidenceCalibration.apply('technical', 90)).toBeCloseTo(50, 0);
+
+    confidenceCalibration.settings.enabled = false;
+    expect(agentOrchestrator.calibrateResults({ technical: { signal: 'BUY', confidence: 90 } }).technical.confidence).toBe(90);
+  });
+});
@@ -0,0 +1,82 @@
+// Forecast scoring tests - proper scores per agent, call and hour over stored predictions
+
+const forecastScoring = require('../services/forecastScoring');
+const repositories = require('../repositories');
+
+describe('forecast scoring', () => {
+  const validated = (overrides) => ({
+    source: 'signal',
+    entryPrice: 22000,
+    status: 'VALIDATED',
+    validationTime: new Date('2024-03-12T10:00:00Z'),
+    ...overrides,
+    realisedMovePct: ((overrides.actualPrice - 22000) / 22000) * 100,
+    actualOutcome: ((overrides.actualPrice - 22000) / 22000) * 100
+  });
+
+  beforeEach(async () => {
+    repositories.useMemory();
+    // 09:30 IST BUY that came good, 12:00 IST SELL into a +0.2% move
+    await repositories.predictions.save(validated({
+      signalId: 'sig_buy', timestamp: new Date('2024-03-12T04:00:00Z'),
+      signal: 'BUY', confidence: 80, targetPrice: 22050, actualPrice: 22110,
+      agentCalls: { technical: { signal: 'BUY', confidence: 70 }, sentiment: { signal: 'SELL', confidence: 60 } }
+    }));
+    await repositories.predictions.save(validated({
+      timestamp: new Date('2024-03-12T06:30:00Z'),
+      signal: 'SELL', confidence: 60, targetPrice: 21950, actualPrice: 22044,
+      agentCalls: { technical: { signal: 'BUY', confidence: 60 }, sentiment: { signal: 'SELL', confidence: 70 } }
+    }));
+    // Neither a pending signal nor the sentiment agent's own calls are scored here
+    await repositories.predictions.save({ source: 'signal', signalId: 'sig_pending', signal: 'BUY', confidence: 90, targetPrice: 22100, timestamp: new Date('2024-03-12T07:00:00Z') });
+    await repositories.predictions.save(validated({ source: 'sentiment', timestamp: new Date('2024-03-12T04:00:00Z'), signal: 'SELL', confidence: 90, targetPrice: 21900, actualPrice: 22110 }));
+  });
+
+  test('scores final signals and each agent call behind them', async () => {
+    const report = await forecastScoring.getReport();
+    expect(report).toMatchObject({ source: 'signal', predictions: 2, holdBandPct: 0.2 });
+    expect(Object.keys(report.agents)).toEqual(['final', 'sentiment', 'technical']);
+
+    const final = report.agents.final;
+    expect(final).toMatchObject({ count: 2, hitRate: 50, brierScore: 0.2, calibrationError: 40 });
+    expect(final.logLoss).toBeCloseTo((-Math.log(0.8) - Math.log(0.4)) / 2, 4);
+    expect(final.targetError).toEqual({ count: 2, mae: 77, maePct: 0.35 });
+    expect(final.calibration.filter(bin => bin.count > 0)).toEqual([
+      { range: '60-70', count: 1, meanConfidence: 60, hitRate: 0 },
+      { range: '80-90', count: 1, meanConfidence: 80, hitRate: 100 }
+    ]);
+    expect(final.bySignal.BUY).toMatchObject({ count: 1, hitRate: 100 });
+    expect(final.bySignal.HOLD).toMatchObject({ count: 0, hitRate: null });
+    expect(Object.keys(final.byTimeOfDay)).toEqual(['09:00', '12:00']);
+    expect(final.confusion).toEqual({
+      BUY: { UP: 1, DOWN: 0, FLAT: 0 },
+      SELL: { UP: 0, DOWN: 0, FLAT: 1 },
+      HOLD: { UP: 0, DOWN: 0, FLAT: 0 }
+    });
+
+    expect(report.agents.technical).toMatchObject({ count: 2, hitRate: 100, brierScore: 0.125, targetError: null });
+    expect(report.agents.sentiment).toMatchObject({ count: 2, hitRate: 0 });
+  });
+
+  test('filters by source, agent and date range', async () => {
+    const sentiment = await forecastScoring.getReport({ source: 'sentiment' });
+    expect(Object.keys(sentiment.agents)).toEqual(['sentiment']);
+    expect(sentiment.agents.sentiment).toMatchObject({ count: 1, hitRate: 0 });
+
+    const rolling = await forecastScoring.getReport({ agent: 'technical', window: 1 });
+    expect(rolling.agents.technical.rolling.map(point => point.hitRate)).toEqual([100, 100]);
+
+    const morning = await forecastScoring.getReport({ agent: 'final', to: new Date('2024-03-12T05:00:00Z') });
+    expect(Object.keys(morning.agents)).toEqual(['final']);
+    expect(morning.agents.final).toMatchObject({ count: 1, hitRate: 100 });
+  });
+
+  test('reports each tracked signal\'s outcome', async () => {
+    const predictions = await repositories.predictions.findBySignalIds(['sig_buy', 'sig_pending', 'sig_untracked']);
+    const outcomes = Object.fromEntries(predictions.map(p => [p.signalId, forecastScoring.outcomeOf(p)]));
+
+    expect(Object.keys(outcomes).sort()).toEqual(['sig_buy', 'sig_pending']);
+    expect(outcomes.sig_buy).toMatchObject({ status: 'VALIDATED', entryPrice: 22000, actualPrice: 22110, movePct: 0.5, realised: 'UP', hit: true });
+    expect(outcomes.sig_pending).toMatchObject({ status: 'PENDING', movePct: null, hit: null });
+  });
+});
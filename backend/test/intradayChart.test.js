@@ -0,0 +1,55 @@
+// Intraday chart tests - session bars, signal markers and the latest signal's levels
+
+const intradayChart = require('../services/intradayChart');
+const marketData = require('../services/marketData');
+const repositories = require('../repositories');
+
+describe('intraday chart', () => {
+  // Tuesday 12 March 2024: the session opens 03:45 UTC (09:15 IST); the last bar is the previous day's
+  const bars = [new Date('2024-03-11T09:55:00Z'), ...Array.from({ length: 6 }, (_, i) => new Date(Date.UTC(2024, 2, 12, 3, 45 + i * 5)))]
+    .map((timestamp, i) => ({ timestamp, open: 22000 + i, high: 22010 + i, low: 21990 + i, close: 22005 + i, volume: 1000 }));
+
+  beforeEach(() => {
+    repositories.useMemory();
+    jest.spyOn(marketData, 'now').mockReturnValue(new Date('2024-03-12T04:15:00Z'));
+    jest.spyOn(marketData, 'getCandleSeries').mockResolvedValue({ candles: bars, provenance: 'live', source: 'file' });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('marks each signal on its bar and draws levels from the latest', async () => {
+    await repositories.signals.save({ timestamp: new Date('2024-03-12T03:52:00Z'), signal: 'HOLD', confidence: 55, currentPrice: 22003, agentResults: {} });
+    await repositories.signals.save({
+      timestamp: new Date('2024-03-12T04:07:00Z'),
+      signal: 'SELL',
+      confidence: 70,
+      currentPrice: 22000,
+      pricePrediction: { targetPrice: 21950, priceRange: { min: 21840.25, max: 22059.75 } },
+      agentResults: { risk: { signal: 'APPROVE_TRADE', position_sizing: { stopLoss: { percentage: 1.5 } } } }
+    });
+
+    const chart = await intradayChart.getChart();
+    expect(chart.session.date).toBe('2024-03-12');
+    expect(chart.candles).toHaveLength(6);
+    expect(chart.signals.map(marker => [marker.signal, marker.barTime.toISOString()])).toEqual([
+      ['HOLD', '2024-03-12T03:50:00.000Z'],
+      ['SELL', '2024-03-12T04:05:00.000Z']
+    ]);
+    expect(chart.levels).toMatchObject({
+      signal: 'SELL',
+      entryPrice: 22000,
+      targetPrice: 21950,
+      priceRange: { min: 21840.25, max: 22059.75 },
+      stopLoss: 22330,
+      stopPct: 1.5
+    });
+
+    // Before the open the previous session is shown; a date with no session is a 404
+    marketData.now.mockReturnValue(new Date('2024-03-12T02:00:00Z'));
+    const previous = await intradayChart.getChart();
+    expect(previous.session.date).toBe('2024-03-11');
+    expect(previous.candles).toHaveLength(1);
+    expect(previous.levels).toBeNull();
+    expect(() => intradayChart.resolveSession('2024-03-10')).toThrow(expect.objectContaining({ statusCode: 404 }));
+  });
+});
@@ -0,0 +1,119 @@
+// LLM client tests - provider selection, deterministic stub and record/replay
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../config');
+const llm = require('../services/llm');
+const StubProvider = require('../services/llm/stubProvider');
+const { SCHEMAS, validate } = require('../services/llm/schemas');
+
+describe('llm client', () => {
+  let dir;
+
+  const technicalPrompt = [{ role: 'user', content: 'Current Market Data:\n- Price: ₹22000\n- Change: 0.8%' }];
+
+  function configure(overrides) {
+    llm.configure({ ...config.llm, ...overrides });
+  }
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-'));
+  });
+
+  afterEach(() => {
+    configure({});
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('agents construct without an API key and skip AI when no provider is configured', () => {
+    const TechnicalAnalysisAgent = require('../agents/technicalAnalysis');
+    configure({ provider: 'openai', apiKey: null });
+
+    expect(new TechnicalAnalysisAgent().llm).toBe(llm);
+    expect(llm.isAvailable()).toBe(false);
+    expect(llm.isOffline()).toBe(false);
+  });
+
+  test('stub answers are deterministic and follow the prompt', async () => {
+    configure({ provider: 'stub' });
+
+    const first = await llm.complete({ agent: 'technical', messages: technicalPrompt });
+    const second = await llm.complete({ agent: 'technical', messages: technicalPrompt });
+    expect(first.content).toBe(second.content);
+    expect(JSON.parse(first.content).signal).toBe('BUY');
+    expect(first).toMatchObject({ provider: 'stub', model: `stub:${config.llm.models.technical}` });
+
+    const sentiment = await new StubProvider().complete({
+      agent: 'sentiment',
+      model: 'm',
+      json: true,
+      messages: [{ role: 'user', content: 'Nifty 50: ₹22000 (-0.6%)' }]
+    });
+    expect(JSON.parse(sentiment.content)).toMatchObject({ signal: 'SELL', sentiment: 'BEARISH' });
+  });
+
+  test('picks per-agent models with a global fallback', () => {
+    configure({ models: { default: 'llama3.1', sentiment: 'qwen2.5' } });
+    expect(llm.modelFor('sentiment')).toBe('qwen2.5');
+    expect(llm.modelFor('risk')).toBe('llama3.1');
+  });
+
+  test('replays recorded responses without calling the provider', async () => {
+    configure({ provider: 'stub', mode: 'record', recordingsDir: dir });
+    const recorded = await llm.complete({ agent: 'technical', messages: technicalPrompt });
+    expect(fs.readdirSync(dir)).toHaveLength(1);
+
+    configure({ provider: 'openai', apiKey: null, mode: 'replay', recordingsDir: dir });
+    expect(llm.isAvailable()).toBe(true);
+    expect(llm.isOffline()).toBe(true);
+
+    const exact = await llm.complete({ agent: 'technical', messages: technicalPrompt });
+    expect(exact).toMatchObject({ content: recorded.content, provider: 'replay', replayed: 'exact' });
+
+    const otherPrompt = [{ role: 'user', content: 'Price: ₹21000' }];
+    const nearest = await llm.complete({ agent: 'technical', messages: otherPrompt });
+    expect(nearest).toMatchObject({ content: recorded.content, replayed: 'nearest' });
+
+    await expect(llm.complete({ agent: 'risk', messages: otherPrompt })).rejects.toThrow('No recorded LLM response');
+
+    configure({ mode: 'replay', recordingsDir: dir, replayStrict: true });
+    await expect(llm.complete({ agent: 'technical', messages: otherPrompt })).rejects.toThrow('No recorded LLM response');
+  });
+
+  test('stub replies satisfy every agent schema', async () => {
+    configure({ provider: 'stub' });
+    for (const schemaKey of Object.keys(SCHEMAS)) {
+      const [agent, purpose] = schemaKey.split(':');
+      const response = await llm.completeStructured({ agent, purpose, messages: technicalPrompt });
+      expect(validate(response.data, SCHEMAS[schemaKey])).toEqual([]);
+    }
+  });
+
+  test('retries an invalid reply once, then fails as degraded and counts it', async () => {
+    const valid = { signal: 'SELL', confidence: 70, factors: ['Lower highs'], risks: [], horizon: '15_MINUTES' };
+    const replies = ['SIGNAL: SELL', JSON.stringify(valid), JSON.stringify({ ...valid, confidence: 140 }), '{}'];
+    configure({ provider: 'stub' });
+    llm.resetValidationStats();
+    llm.setProvider({
+      name: 'fake',
+      usesNetwork: false,
+      isConfigured: () => true,
+      complete: jest.fn(async () => ({ content: replies.shift(), model: 'fake' }))
+    });
+
+    const recovered = await llm.completeStructured({ agent: 'technical', messages: technicalPrompt });
+    expect(recovered).toMatchObject({ data: valid, attempts: 2 });
+    expect(llm.provider.complete.mock.calls[1][0].messages.at(-1).content).toContain('not valid JSON');
+
+    await expect(llm.completeStructured({ agent: 'technical', messages: technicalPrompt }))
+      .rejects.toMatchObject({ code: 'INVALID_LLM_OUTPUT' });
+    expect(llm.describe().validation).toMatchObject({
+      checked: 4,
+      invalid: 3,
+      retried: 2,
+      recovered: 1,
+      degraded: 1,
+      bySchema: { technical: { checked: 4, invalid: 3, degraded: 1 } }
+    });
+  });
+});
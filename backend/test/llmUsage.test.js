@@ -0,0 +1,84 @@
+// LLM usage tests - per-call cost accounting, run attribution, daily roll-ups and the budget
+const config = require('../config');
+const llm = require('../services/llm');
+const llmUsage = require('../services/llm/usage');
+const repositories = require('../repositories');
+const { istDateKey } = require('../services/providers/baseProvider');
+
+describe('llm usage', () => {
+  const messages = [{ role: 'user', content: 'Price: ₹22000' }];
+
+  beforeEach(() => {
+    repositories.useMemory();
+    llmUsage.runs.clear();
+    llmUsage.today = { date: istDateKey(new Date()), costUsd: 0, calls: 0 };
+    llmUsage.dailyBudgetUsd = 0;
+    llm.configure({
+      ...config.llm,
+      provider: 'openai',
+      apiKey: 'test-key',
+      models: { default: 'gpt-3.5-turbo', technical: 'gpt-3.5-turbo', risk: 'gpt-3.5-turbo', sentiment: 'gpt-4-turbo-preview' }
+    });
+    llm.setProvider({
+      name: 'openai',
+      usesNetwork: true,
+      isConfigured: () => true,
+      complete: jest.fn(async () => ({
+        content: 'ok',
+        model: 'gpt-3.5-turbo-0125',
+        usage: { prompt_tokens: 1000, completion_tokens: 500, total_tokens: 1500 }
+      }))
+    });
+  });
+
+  afterEach(() => {
+    llmUsage.dailyBudgetUsd = config.llm.dailyBudgetUsd;
+    llm.configure(config.llm);
+  });
+
+  test('prices models by longest prefix and treats unknown models as free', () => {
+    expect(llmUsage.estimateCost('gpt-4o-mini-2024-07-18', 1e6, 0)).toBe(0.15);
+    expect(llmUsage.estimateCost('gpt-4o-2024-08-06', 0, 1e6)).toBe(10);
+    expect(llmUsage.estimateCost('llama3.1', 1e6, 1e6)).toBe(0);
+  });
+
+  test('records each call against its run and rolls it up per day', async () => {
+    await llmUsage.withRun('run_1', async () => {
+      await llm.complete({ agent: 'technical', messages });
+      await llm.complete({ agent: 'risk', messages });
+    });
+    await llm.complete({ agent: 'sentiment', messages });
+
+    // gpt-3.5-turbo: 1000 prompt tokens at $0.5/M + 500 completion tokens at $1.5/M = $0.00125
+    expect(llmUsage.getRunUsage('run_1')).toMatchObject({
+      calls: 2,
+      totalTokens: 3000,
+      costUsd: 0.0025,
+      byAgent: { technical: { calls: 1 }, risk: { calls: 1 } }
+    });
+
+    const usage = await llmUsage.getDailyUsage();
+    expect(usage.days).toHaveLength(1);
+    // Sentiment on gpt-4-turbo-preview: $10/M prompt + $30/M completion = $0.025
+    expect(usage.days[0]).toMatchObject({
+      calls: 3,
+      promptTokens: 3000,
+      costUsd: 0.0275,
+      byModel: { 'gpt-3.5-turbo': { calls: 2 }, 'gpt-4-turbo-preview': { calls: 1 } }
+    });
+    expect(usage.budget).toMatchObject({ spentUsd: 0.0275, exhausted: false, dailyBudgetUsd: null });
+  });
+
+  test('switches agents to their fallback once the daily budget is spent', async () => {
+    llmUsage.dailyBudgetUsd = 0.002;
+    expect(llm.isAvailable()).toBe(true);
+
+    await llm.complete({ agent: 'technical', messages });
+    await llm.complete({ agent: 'technical', messages });
+
+    expect(llmUsage.getBudgetStatus()).toMatchObject({ exhausted: true, remainingUsd: 0 });
+    expect(llm.isAvailable()).toBe(false);
+    await expect(llm.complete({ agent: 'technical', messages })).rejects.toMatchObject({ code: 'LLM_BUDGET_EXHAUSTED' });
+    expect(llm.provider.complete).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,44 @@
+// Market data provenance tests - live, cached, stale and synthetic fallbacks
+const marketData = require('../services/marketData');
+const FixtureProvider = require('../services/providers/fixtureProvider');
+const { PROVENANCE, worstProvenance } = require('../services/provenance');
+
+describe('marketData provenance', () => {
+  let provider;
+
+  beforeEach(() => {
+    provider = new FixtureProvider({ quotes: { '^NSEI': { currentPrice: 22000, changePercent: 0.2 } } });
+    marketData.setProvider(provider);
+    marketData.lastGood.clear();
+  });
+
+  test('tags fresh provider data as live', async () => {
+    const quote = await marketData.getNiftyIndexData();
+    expect(quote.currentPrice).toBe(22000);
+    expect(quote.provenance).toBe(PROVENANCE.LIVE);
+  });
+
+  test('falls back to cached then stale data when the provider fails', async () => {
+    await marketData.getNiftyIndexData();
+    provider.getQuote = async () => { throw new Error('provider down'); };
+
+    const cached = await marketData.getNiftyIndexData();
+    expect(cached.currentPrice).toBe(22000);
+    expect(cached.provenance).toBe(PROVENANCE.CACHED);
+
+    marketData.lastGood.get(`quote:${marketData.niftyIndex}`).fetchedAt -= marketData.staleAfterMs + 1;
+    expect((await marketData.getNiftyIndexData()).provenance).toBe(PROVENANCE.STALE);
+  });
+
+  test('marks generated values as synthetic when nothing is cached', async () => {
+    provider.getQuote = async () => { throw new Error('provider down'); };
+    const quote = await marketData.getNiftyIndexData();
+    expect(quote.provenance).toBe(PROVENANCE.SYNTHETIC);
+    expect(quote.source).toBe('mock');
+  });
+
+  test('overall provenance is the weakest input', () => {
+    expect(worstProvenance([PROVENANCE.LIVE, PROVENANCE.STALE, PROVENANCE.CACHED])).toBe(PROVENANCE.STALE);
+    expect(worstProvenance([])).toBe(PROVENANCE.SYNTHETIC);
+  });
+});
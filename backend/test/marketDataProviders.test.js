@@ -0,0 +1,127 @@
+// Market data provider tests - file replay and fixture providers
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FileProvider = require('../services/providers/fileProvider');
+const FixtureProvider = require('../services/providers/fixtureProvider');
+
+// Two sessions of 5-minute candles starting 09:15 IST (03:45 UTC)
+function buildCandles() {
+  const candles = [];
+  ['2024-03-11', '2024-03-12'].forEach((day, d) => {
+    for (let i = 0; i < 6; i++) {
+      const timestamp = new Date(`${day}T03:45:00Z`).getTime() + i * 5 * 60 * 1000;
+      const close = 22000 + d * 100 + i * 10;
+      candles.push({ timestamp, open: close - 5, high: close + 5, low: close - 10, close, volume: 1000 });
+    }
+  });
+  return candles;
+}
+
+describe('FileProvider', () => {
+  let dir;
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'replay-'));
+    const csv = ['timestamp,open,high,low,close,volume']
+      .concat(buildCandles().map(c => [new Date(c.timestamp).toISOString(), c.open, c.high, c.low, c.close, c.volume].join(',')))
+      .join('\n');
+    fs.writeFileSync(path.join(dir, encodeURIComponent('^NSEI') + '.csv'), csv);
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('never returns candles beyond the replay clock', async () => {
+    const provider = new FileProvider({ path: dir, speed: 0, startAt: '2024-03-12T03:55:00Z' });
+
+    const candles = await provider.getCandles('^NSEI');
+    expect(candles).toHaveLength(9);
+    expect(candles[candles.length - 1].close).toBe(22120);
+
+    provider.advance(10 * 60 * 1000);
+    expect(await provider.getCandles('^NSEI')).toHaveLength(11);
+  });
+
+  test('resamples to coarser intervals and refuses finer ones', async () => {
+    const provider = new FileProvider({ path: dir, speed: 0, startAt: '2024-03-12T04:15:00Z' });
+
+    expect(await provider.getCandles('^NSEI', { interval: '5m' })).toHaveLength(12);
+
+    // Six 5-minute bars per session: 09:15 and 09:30 IST 15-minute bars
+    const bars = await provider.getCandles('^NSEI', { interval: '15m', from: '2024-03-12T00:00:00Z' });
+    expect(bars.map(bar => bar.timestamp.toISOString())).toEqual(['2024-03-12T03:45:00.000Z', '2024-03-12T04:00:00.000Z']);
+    expect(bars[0]).toMatchObject({ open: 22095, high: 22125, low: 22090, close: 22120, volume: 3000 });
+
+    const [daily] = await provider.getCandles('^NSEI', { interval: '1d', from: '2024-03-12T00:00:00Z' });
+    expect(daily).toMatchObject({ timestamp: new Date('2024-03-12T03:45:00Z'), open: 22095, close: 22150, volume: 6000 });
+
+    await expect(provider.getCandles('^NSEI', { interval: '1m' })).rejects.toThrow('recorded in 5m bars');
+    await expect(provider.getCandles('^NSEI', { interval: '7m' })).rejects.toThrow('recorded in 5m bars');
+  });
+
+  test('derives the quote from the current session and previous close', async () => {
+    const provider = new FileProvider({ path: dir, speed: 0, startAt: '2024-03-12T04:05:00Z' });
+    const quote = await provider.getQuote('^NSEI');
+
+    expect(quote.currentPrice).toBe(22140);
+    expect(quote.previousClose).toBe(22050);
+    expect(quote.open).toBe(22095);
+    expect(quote.volume).toBe(5000);
+    expect(quote.changePercent).toBeCloseTo((90 / 22050) * 100);
+  });
+
+  test('accelerated replay advances faster than wall-clock time', () => {
+    const provider = new FileProvider({ path: dir, speed: 600 });
+    const realNow = Date.now;
+    const start = provider.now().getTime();
+
+    Date.now = () => realNow() + 1000;
+    try {
+      expect(provider.now().getTime() - start).toBeGreaterThanOrEqual(600 * 1000);
+    } finally {
+      Date.now = realNow;
+    }
+  });
+
+  test('loads a recorded JSON session with explicit quotes', async () => {
+    const file = path.join(dir, 'session.json');
+    fs.writeFileSync(file, JSON.stringify({
+      candles: { '^NSEI': buildCandles() },
+      quotes: { 'TCS.NS': [{ timestamp: '2024-03-11T03:45:00Z', currentPrice: 3900, changePercent: 0.5 }] },
+      names: { 'TCS.NS': 'Tata Consultancy Services' }
+    }));
+
+    const provider = new FileProvider({ path: file, speed: 0, startAt: '2024-03-11T04:00:00Z' });
+    const quote = await provider.getQuote('TCS.NS');
+
+    expect(quote.currentPrice).toBe(3900);
+    expect(quote.name).toBe('Tata Consultancy Services');
+    await expect(provider.getQuote('INFY.NS')).rejects.toThrow('No recorded data');
+  });
+});
+
+describe('FixtureProvider', () => {
+  test('serves static quotes and filters candles by range', async () => {
+    const provider = new FixtureProvider({
+      quotes: { '^NSEI': { currentPrice: 22000, changePercent: 0.2 } },
+      candles: { '^NSEI': buildCandles() }
+    });
+
+    expect((await provider.getQuote('^NSEI')).currentPrice).toBe(22000);
+    const candles = await provider.getCandles('^NSEI', { from: '2024-03-12T00:00:00Z' });
+    expect(candles).toHaveLength(6);
+  });
+
+  test('counts the lookback back from the last bar and resamples like a recording', async () => {
+    const provider = new FixtureProvider({ candles: { '^NSEI': buildCandles() } });
+
+    expect(await provider.getCandles('^NSEI', { interval: '5m', lookbackDays: 7 })).toHaveLength(12);
+    expect(await provider.getCandles('^NSEI', { interval: '5m', lookbackDays: 0.5 })).toHaveLength(6);
+
+    const daily = await provider.getCandles('^NSEI', { interval: '1d' });
+    expect(daily.map(bar => bar.close)).toEqual([22050, 22150]);
+    await expect(provider.getCandles('^NSEI', { interval: '1m' })).rejects.toThrow('recorded in 5m bars');
+  });
+});
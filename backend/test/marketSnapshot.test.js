@@ -0,0 +1,83 @@
+// Market snapshot tests - one fetch per run, immutable, exchange-local clock
+const marketData = require('../services/marketData');
+const marketSnapshot = require('../services/marketSnapshot');
+const FixtureProvider = require('../services/providers/fixtureProvider');
+
+function buildCandles(count) {
+  const start = new Date('2024-03-12T03:45:00Z').getTime();
+  return Array.from({ length: count }, (_, i) => ({
+    timestamp: start + i * 5 * 60 * 1000,
+    open: 22000 + i,
+    high: 22005 + i,
+    low: 21995 + i,
+    close: 22000 + i,
+    volume: 1000
+  }));
+}
+
+describe('marketSnapshot', () => {
+  let provider;
+  let quoteCalls;
+
+  beforeEach(() => {
+    provider = new FixtureProvider({
+      quotes: {
+        '^NSEI': { currentPrice: 22050, changePercent: 0.3, high: 22100, low: 21950, volume: 100000 },
+        'RELIANCE.NS': { currentPrice: 2900, changePercent: 1.2 },
+        'TCS.NS': { currentPrice: 3900, changePercent: -0.4 }
+      },
+      candles: { '^NSEI': buildCandles(30) }
+    });
+    quoteCalls = {};
+    const getQuote = provider.getQuote.bind(provider);
+    provider.getQuote = symbol => {
+      quoteCalls[symbol] = (quoteCalls[symbol] || 0) + 1;
+      return getQuote(symbol);
+    };
+    provider.now = () => new Date('2024-03-12T04:15:00Z');
+    marketData.setProvider(provider);
+    marketData.lastGood.clear();
+  });
+
+  test('fetches each instrument once and derives sentiment from the same quotes', async () => {
+    const snapshot = await marketSnapshot.capture({ includeGlobal: false });
+
+    expect(quoteCalls['^NSEI']).toBe(1);
+    expect(snapshot.niftyData.currentPrice).toBe(22050);
+    expect(snapshot.series.candles).toHaveLength(30);
+    expect(snapshot.sentiment.niftyChange).toBe(0.3);
+    expect(snapshot.sentiment.advancers + snapshot.sentiment.decliners).toBe(snapshot.topStocks.length);
+  });
+
+  test('is immutable and timestamped with the provider clock in IST', async () => {
+    const snapshot = await marketSnapshot.capture({ includeGlobal: false });
+
+    expect(Object.isFrozen(snapshot)).toBe(true);
+    expect(Object.isFrozen(snapshot.niftyData)).toBe(true);
+    expect(Object.isFrozen(snapshot.series.candles)).toBe(true);
+    expect(snapshot.timestamp.toISOString()).toBe('2024-03-12T04:15:00.000Z');
+    expect(snapshot.clock).toEqual({ hour: 9, minute: 45, dayOfWeek: 2 });
+  });
+
+  test('quotes constituents a few at a time and shares one batch across callers', async () => {
+    let inFlight = 0;
+    let maxInFlight = 0;
+    const getQuote = provider.getQuote;
+    provider.getQuote = async symbol => {
+      if (symbol === '^NSEI') return getQuote(symbol);
+      inFlight++;
+      maxInFlight = Math.max(maxInFlight, inFlight);
+      await new Promise(resolve => setImmediate(resolve));
+      inFlight--;
+      return getQuote(symbol);
+    };
+
+    const snapshot = await marketSnapshot.capture({ includeGlobal: false });
+    const stocks = await marketData.getNifty50Stocks();
+
+    expect(maxInFlight).toBeLessThanOrEqual(marketData.quoteConcurrency);
+    expect(quoteCalls['RELIANCE.NS']).toBe(1);
+    expect(quoteCalls['INFY.NS']).toBe(1);
+    expect(stocks.map(stock => stock.symbol).sort()).toEqual(snapshot.topStocks.map(stock => stock.symbol).sort());
+  });
+});
@@ -0,0 +1,67 @@
+// Nifty universe tests - constituents file, index-weighted breadth and sector moves
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const niftyUniverse = require('../services/niftyUniverse');
+const config = require('../config');
+
+describe('niftyUniverse', () => {
+  afterEach(() => niftyUniverse.load(config.universe.constituentsFile));
+
+  test('ships all 50 constituents with weights summing to 100', () => {
+    const symbols = niftyUniverse.symbols();
+
+    expect(symbols).toHaveLength(50);
+    expect(new Set(symbols).size).toBe(50);
+    expect(symbols).toContain('INFY.NS');
+    expect(symbols).not.toContain('INFOSYS.NS');
+    expect(niftyUniverse.constituents.reduce((sum, c) => sum + c.weight, 0)).toBeCloseTo(100, 6);
+    expect(niftyUniverse.weightOf(symbols[0])).toBeGreaterThanOrEqual(niftyUniverse.weightOf(symbols[1]));
+    expect(niftyUniverse.effectiveDate).toBeTruthy();
+  });
+
+  test('weights breadth and sectors by index weight', () => {
+    const file = path.join(os.tmpdir(), `constituents-${process.pid}.json`);
+    fs.writeFileSync(file, JSON.stringify({
+      index: 'TEST',
+      effectiveDate: '2024-09-30',
+      constituents: [
+        { symbol: 'BIG.NS', name: 'Big', sector: 'Banks', weight: 30 },
+        { symbol: 'MID.NS', name: 'Mid', sector: 'Banks', weight: 10 },
+        { symbol: 'SMALL1.NS', name: 'Small 1', sector: 'IT', weight: 5 },
+        { symbol: 'SMALL2.NS', name: 'Small 2', sector: 'IT', weight: 5, effectiveDate: '2025-03-28' }
+      ]
+    }));
+    niftyUniverse.load(file);
+    fs.unlinkSync(file);
+
+    // Rescaled to 100 and ordered heaviest first
+    expect(niftyUniverse.symbols()).toEqual(['BIG.NS', 'MID.NS', 'SMALL1.NS', 'SMALL2.NS']);
+    expect(niftyUniverse.weightOf('BIG.NS')).toBeCloseTo(60, 6);
+    expect(niftyUniverse.get('SMALL2.NS').effectiveDate).toBe('2025-03-28');
+
+    // One heavyweight falling outweighs three smaller names rising
+    const stocks = [
+      { symbol: 'BIG.NS', changePercent: -1 },
+      { symbol: 'MID.NS', changePercent: 0.5 },
+      { symbol: 'SMALL1.NS', changePercent: 1 },
+      { symbol: 'SMALL2.NS', changePercent: 1 }
+    ];
+    const breadth = niftyUniverse.breadth(stocks);
+    expect(breadth).toMatchObject({ total: 4, advancers: 3, decliners: 1, coverage: 1 });
+    expect(breadth.decliningWeight).toBeCloseTo(0.6, 6);
+    expect(breadth.advancingWeight).toBeCloseTo(0.4, 6);
+    expect(niftyUniverse.weightedAverage(stocks)).toBeCloseTo(-0.6 + 0.1 + 0.2, 6);
+
+    const sectors = niftyUniverse.sectorPerformance(stocks);
+    expect(sectors.Banks.change).toBeCloseTo(-0.625, 6);
+    expect(sectors.Banks.weight).toBeCloseTo(80, 6);
+    expect(sectors.IT).toMatchObject({ change: 1, count: 2, advancers: 2, decliners: 0 });
+
+    // A partial set of quotes is renormalised and reports its coverage
+    const partial = niftyUniverse.breadth(stocks.slice(1));
+    expect(partial.advancingWeight).toBeCloseTo(1, 6);
+    expect(partial.coverage).toBeCloseTo(0.4, 6);
+  });
+});
@@ -0,0 +1,127 @@
+// Paper broker tests - signal-driven entries, exits, stop/target handling and P&L
+const EventEmitter = require('events');
+const marketData = require('../services/marketData');
+const paperBroker = require('../services/paperBroker');
+const FixtureProvider = require('../services/providers/fixtureProvider');
+const { TransactionCostModel } = require('../services/transactionCosts');
+
+function signal(action, overrides = {}) {
+  return {
+    id: `sig_${action}_${Math.random().toString(36).substr(2, 6)}`,
+    signal: action,
+    confidence: 75,
+    actionable: true,
+    agentResults: {
+      risk: {
+        position_sizing: {
+          recommendedSize: 50,
+          stopLoss: { percentage: 2 },
+          targetPrice: { percentage: 1.5 }
+        }
+      }
+    },
+    ...overrides
+  };
+}
+
+describe('paperBroker', () => {
+  let provider;
+
+  beforeEach(() => {
+    provider = new FixtureProvider({ quotes: { '^NSEI': { currentPrice: 20000 } } });
+    marketData.setProvider(provider);
+    marketData.lastGood.clear();
+    paperBroker.costModel = new TransactionCostModel({ slippageModel: 'none' });
+    paperBroker.reset({ initialCapital: 1200000, lotSize: 25, marginRate: 1, minConfidence: 60, monitorIntervalMs: 0 });
+  });
+
+  test('fits at least one lot at current Nifty levels with the shipped settings', async () => {
+    paperBroker.reset({ monitorIntervalMs: 0 });
+    provider.setQuote('^NSEI', { currentPrice: 25000 });
+
+    const order = await paperBroker.onSignal(signal('BUY'));
+
+    // 50% of ₹10L against ₹2.25L margin per lot of 75 at 12%
+    expect(order.status).toBe('FILLED');
+    expect(paperBroker.getPositions()[0].quantity).toBe(150);
+  });
+
+  test('opens a position sized by the risk agent with stop and target', async () => {
+    const order = await paperBroker.onSignal(signal('BUY'));
+    const [position] = paperBroker.getPositions();
+
+    expect(order.status).toBe('FILLED');
+    expect(order.signalId).toMatch(/^sig_BUY/);
+    // 50% of ₹12L fully funded at 20000 = 30 units = one lot of 25
+    expect(position.quantity).toBe(25);
+    expect(position.stopPrice).toBeCloseTo(19600);
+    expect(position.targetPrice).toBeCloseTo(20300);
+    expect(paperBroker.getFills()).toHaveLength(1);
+  });
+
+  test('ignores holds, low confidence and non-actionable signals', async () => {
+    await paperBroker.onSignal(signal('HOLD'));
+    await paperBroker.onSignal(signal('BUY', { confidence: 40 }));
+    await paperBroker.onSignal(signal('BUY', { actionable: false }));
+
+    expect(paperBroker.getOrders()).toHaveLength(0);
+  });
+
+  test('reverses on an opposite signal and realises the P&L net of charges', async () => {
+    await paperBroker.onSignal(signal('BUY'));
+    provider.setQuote('^NSEI', { currentPrice: 20100 });
+    await paperBroker.onSignal(signal('SELL'));
+
+    const [trade] = paperBroker.getTrades();
+    expect(trade.exitReason).toBe('REVERSE');
+    expect(trade.pnl).toBeCloseTo(2500 - trade.costs.charges, 2);
+    expect(paperBroker.getPositions()[0].side).toBe('SHORT');
+  });
+
+  test('keeps the open side when the reversing close cannot be priced', async () => {
+    await paperBroker.onSignal(signal('BUY'));
+    marketData.lastGood.clear();
+    provider.getQuote = async () => { throw new Error('provider down'); };
+
+    expect(await paperBroker.onSignal(signal('SELL'))).toBeNull();
+    expect(paperBroker.getTrades()).toHaveLength(0);
+    expect(paperBroker.getPositions().map(position => position.side)).toEqual(['LONG']);
+    expect(paperBroker.getOrders().map(order => [order.purpose, order.status])).toEqual([['EXIT', 'REJECTED'], ['ENTRY', 'FILLED']]);
+  });
+
+  test('marks open positions and exits at the stop-loss', async () => {
+    await paperBroker.onSignal(signal('BUY'));
+
+    provider.setQuote('^NSEI', { currentPrice: 19900 });
+    let portfolio = await paperBroker.markToMarket();
+    expect(portfolio.unrealizedPnl).toBeCloseTo(-2500);
+
+    provider.setQuote('^NSEI', { currentPrice: 19550 });
+    portfolio = await paperBroker.markToMarket();
+    expect(portfolio.positions).toHaveLength(0);
+    expect(paperBroker.getTrades()[0].exitReason).toBe('STOP');
+    expect(portfolio.realizedPnl).toBeLessThan(-11250);
+    expect(portfolio.equity).toBeCloseTo(portfolio.cash);
+  });
+
+  test('rejects orders when only synthetic prices are available', async () => {
+    provider.getQuote = async () => { throw new Error('provider down'); };
+
+    const order = await paperBroker.onSignal(signal('BUY'));
+    expect(order.status).toBe('REJECTED');
+    expect(paperBroker.getPositions()).toHaveLength(0);
+  });
+
+  test('trades signals emitted by the orchestrator once attached', async () => {
+    const orchestrator = new EventEmitter();
+    const updated = new Promise(resolve => paperBroker.once('update', resolve));
+
+    paperBroker.attach(orchestrator);
+    orchestrator.emit('signal', signal('BUY'));
+    const portfolio = await updated;
+    paperBroker.detach(orchestrator);
+
+    expect(portfolio.positions).toHaveLength(1);
+    expect(orchestrator.listenerCount('signal')).toBe(0);
+  });
+});
@@ -0,0 +1,98 @@
+// Repository tests - in-memory storage validated against the Mongoose schemas
+const repositories = require('../repositories');
+const PerformanceTracker = require('../services/performanceTracker');
+
+function buildSignal(overrides = {}) {
+  return {
+    timestamp: new Date('2024-03-12T04:15:00Z'),
+    signal: 'BUY',
+    confidence: 72,
+    currentPrice: 22050,
+    reasoning: 'Technical: BUY (70%)',
+    actionable: true,
+    dataProvenance: { overall: 'live', core: 'live', marketData: 'live', agents: { technical: 'live' } },
+    agentResults: { technical: { signal: 'BUY', confidence: 70, key_indicators: { rsi: 58 } } },
+    recommendations: ['Consider long positions'],
+    ...overrides
+  };
+}
+
+describe('repositories (memory backend)', () => {
+  beforeEach(() => {
+    repositories.useMemory();
+  });
+
+  test('stores signals with full agent results and returns the latest', async () => {
+    const first = await repositories.signals.save(buildSignal());
+    const second = await repositories.signals.save(buildSignal({ id: 'sig_2', timestamp: new Date('2024-03-12T04:30:00Z'), signal: 'SELL' }));
+
+    expect(first.id).toMatch(/^sig_/);
+    expect(second.id).toBe('sig_2');
+    expect((await repositories.signals.findLatest()).signal).toBe('SELL');
+    expect((await repositories.signals.findById(first.id)).agentResults.technical.key_indicators.rsi).toBe(58);
+  });
+
+  test('rejects signals that fail schema validation', async () => {
+    await expect(repositories.signals.save(buildSignal({ signal: 'MAYBE' }))).rejects.toThrow(/signal/);
+    await expect(repositories.signals.save(buildSignal({ confidence: 140 }))).rejects.toThrow(/confidence/);
+  });
+
+  test('filters signal history and pages through it with a cursor', async () => {
+    const start = new Date('2024-03-12T03:45:00Z').getTime();
+    for (let i = 0; i < 6; i++) {
+      await repositories.signals.save(buildSignal({
+        id: `sig_${i}`,
+        timestamp: new Date(start + i * 15 * 60 * 1000),
+        signal: i % 2 === 0 ? 'BUY' : 'SELL',
+        confidence: 50 + i * 5
+      }));
+    }
+
+    const filters = { signal: 'BUY', minConfidence: 55 };
+    const first = await repositories.signals.find(filters, { limit: 1 });
+    expect(first.signals.map(s => s.id)).toEqual(['sig_4']);
+    expect(first.hasMore).toBe(true);
+
+    const second = await repositories.signals.find(filters, { limit: 1, cursor: first.nextCursor });
+    expect(second.signals.map(s => s.id)).toEqual(['sig_2']);
+    expect(second.hasMore).toBe(false);
+    expect(second.nextCursor).toBeNull();
+
+    const ranged = await repositories.signals.find({ from: new Date(start + 60 * 60 * 1000) });
+    expect(ranged.signals.map(s => s.id)).toEqual(['sig_5', 'sig_4']);
+    await expect(repositories.signals.find({}, { cursor: 'garbage' })).rejects.toThrow('Invalid cursor');
+  });
+
+  test('stores one output per agent for a signal', async () => {
+    await repositories.agentOutputs.saveForSignal('sig_1', {
+      technical: { signal: 'BUY', confidence: 70, analysis: { rsi: { value: 58 } }, timestamp: new Date() },
+      risk: { signal: 'HOLD', confidence: 0, error: 'timeout', timestamp: new Date() }
+    });
+
+    const outputs = await repositories.agentOutputs.findBySignal('sig_1');
+    expect(outputs.map(output => output.agent)).toEqual(['technical', 'risk']);
+    expect(outputs[0].output.analysis.rsi.value).toBe(58);
+    expect(outputs[1].error).toBe('timeout');
+  });
+
+  test('performance tracker writes predictions through and restores them', async () => {
+    jest.useFakeTimers();
+    try {
+      const tracker = new PerformanceTracker();
+      const snapshot = { niftyData: { currentPrice: 22000, high: 22100, low: 21900, volume: 1000, changePercent: 0.2 }, clock: { hour: 10 } };
+      const id = await tracker.trackPrediction('BUY', 70, 22100, new Date(), { aiWeight: 0.6, traditionalWeight: 0.4 }, snapshot);
+
+      await repositories.predictions.update(id, { actualOutcome: 0.4, actualPrice: 22090, accuracy: 80, validationTime: new Date() });
+
+      const restored = new PerformanceTracker();
+      await restored.restore();
+      expect(restored.predictions).toHaveLength(1);
+      expect(restored.predictions[0].marketConditions.time).toBe(10);
+      expect(restored.results[0].accuracy).toBe(80);
+      expect(await repositories.predictions.findPending()).toHaveLength(0);
+    } finally {
+      jest.clearAllTimers();
+      jest.useRealTimers();
+    }
+  });
+});
@@ -0,0 +1,82 @@
+// Run coordinator tests - single-flight runs, freshness cache and the manual run queue
+
+const agentOrchestrator = require('../services/agentOrchestrator');
+const runCoordinator = require('../services/runCoordinator');
+
+describe('runCoordinator', () => {
+  let pending;
+
+  // Each runAnalysis call waits until the test resolves it
+  function resolveNext(signal) {
+    pending.shift()(signal);
+    return new Promise(resolve => setImmediate(resolve));
+  }
+
+  beforeEach(() => {
+    pending = [];
+    runCoordinator.runs.clear();
+    runCoordinator.current = null;
+    runCoordinator.queued = null;
+    runCoordinator.cache = null;
+    jest.spyOn(agentOrchestrator, 'runAnalysis').mockImplementation(() =>
+      new Promise(resolve => pending.push(resolve))
+    );
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('concurrent readers join the in-progress run', async () => {
+    const first = runCoordinator.getSignal();
+    const second = runCoordinator.getSignal();
+    const scheduled = runCoordinator.run('scheduler');
+
+    await resolveNext({ id: 'sig_1', signal: 'BUY' });
+    const [a, b, c] = await Promise.all([first, second, scheduled]);
+
+    expect(agentOrchestrator.runAnalysis).toHaveBeenCalledTimes(1);
+    expect(a.source).toBe('run');
+    expect(b.source).toBe('joined');
+    expect(b.runId).toBe(a.runId);
+    expect(c.id).toBe('sig_1');
+    expect(runCoordinator.getRun(a.runId)).toMatchObject({ status: 'completed', joined: 2, signalId: 'sig_1' });
+  });
+
+  test('serves fresh results from cache and reruns once stale', async () => {
+    const first = runCoordinator.getSignal();
+    await resolveNext({ id: 'sig_1', signal: 'HOLD' });
+    await first;
+
+    const cached = await runCoordinator.getSignal();
+    expect(cached).toMatchObject({ source: 'cache', signal: { id: 'sig_1' } });
+
+    const refreshed = runCoordinator.getSignal({ maxAgeMs: -1 });
+    await resolveNext({ id: 'sig_2', signal: 'SELL' });
+    expect((await refreshed).signal.id).toBe('sig_2');
+    expect(agentOrchestrator.runAnalysis).toHaveBeenCalledTimes(2);
+  });
+
+  test('queues manual runs behind the current run and coalesces waiting requests', async () => {
+    const running = runCoordinator.enqueue();
+    const queued = runCoordinator.enqueue();
+    const again = runCoordinator.enqueue();
+
+    expect(running.status).toBe('running');
+    expect(queued.status).toBe('queued');
+    expect(again.id).toBe(queued.id);
+
+    await resolveNext({ id: 'sig_1', signal: 'BUY' });
+    expect(runCoordinator.getRun(queued.id).status).toBe('running');
+
+    await resolveNext({ id: 'sig_2', signal: 'BUY' });
+    expect(runCoordinator.getRun(queued.id)).toMatchObject({ status: 'completed', signalId: 'sig_2' });
+    expect(agentOrchestrator.runAnalysis).toHaveBeenCalledTimes(2);
+  });
+
+  test('marks error signals as failed and keeps them out of the cache', async () => {
+    const run = runCoordinator.enqueue();
+    await resolveNext({ signal: 'HOLD', error: true, reasoning: 'Analysis error: boom' });
+
+    expect(runCoordinator.getRun(run.id)).toMatchObject({ status: 'failed', error: 'Analysis error: boom' });
+    expect(runCoordinator.cache).toBeNull();
+  });
+});
@@ -0,0 +1,76 @@
+// Scheduler tests - NSE trading calendar and session-gated jobs
+
+const tradingCalendar = require('../services/tradingCalendar');
+const scheduler = require('../services/scheduler');
+
+// IST wall-clock time -> Date
+function ist(dateTime) {
+  return new Date(`${dateTime}:00+05:30`);
+}
+
+describe('tradingCalendar', () => {
+  test('knows regular sessions, weekends and NSE holidays', () => {
+    expect(tradingCalendar.isMarketOpen(ist('2024-03-12T10:00'))).toBe(true);
+    expect(tradingCalendar.isMarketOpen(ist('2024-03-12T15:30'))).toBe(false);
+    expect(tradingCalendar.getPhase(ist('2024-03-12T09:05'))).toBe('PRE_OPEN');
+    expect(tradingCalendar.isTradingDay(ist('2024-03-16T10:00'))).toBe(false); // Saturday
+    expect(tradingCalendar.getHoliday(ist('2024-03-25T10:00'))).toBe('Holi');
+    expect(tradingCalendar.isMarketOpen(ist('2024-03-25T10:00'))).toBe(false);
+  });
+
+  test('opens special sessions such as Muhurat trading on holidays', () => {
+    const session = tradingCalendar.getSession(ist('2024-11-01T12:00'));
+    expect(session).toMatchObject({ type: 'special', name: 'Muhurat trading' });
+    expect(tradingCalendar.isMarketOpen(ist('2024-11-01T10:00'))).toBe(false);
+    expect(tradingCalendar.isMarketOpen(ist('2024-11-01T18:30'))).toBe(true);
+  });
+
+  test('finds the next session across weekends and holidays', () => {
+    // Friday 2024-03-22 after the close; Monday 2024-03-25 is Holi
+    const next = tradingCalendar.getNextSession(ist('2024-03-22T16:00'));
+    expect(next.date).toBe('2024-03-26');
+    expect(next.open).toEqual(ist('2024-03-26T09:15'));
+    expect(tradingCalendar.getPreviousTradingDay(ist('2024-03-26T10:00'))).toBe('2024-03-22');
+  });
+});
+
+describe('scheduler', () => {
+  beforeEach(() => {
+    scheduler.completed = {};
+    scheduler.running = {};
+    scheduler.settings = { ...scheduler.settings, analyzeOutsideSessions: false };
+    jest.spyOn(scheduler, 'analysis').mockResolvedValue({ signal: 'HOLD' });
+    jest.spyOn(scheduler, 'preMarket').mockResolvedValue({ type: 'preMarket' });
+    jest.spyOn(scheduler, 'postMarket').mockResolvedValue({ type: 'postMarket' });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('runs analysis once per slot during the session only', async () => {
+    await scheduler.tick(ist('2024-03-12T09:16'));
+    await scheduler.tick(ist('2024-03-12T09:29'));
+    await scheduler.tick(ist('2024-03-12T09:31'));
+    await scheduler.tick(ist('2024-03-12T20:00'));
+    await scheduler.tick(ist('2024-03-16T11:00'));
+
+    expect(scheduler.analysis).toHaveBeenCalledTimes(2);
+  });
+
+  test('runs the pre-market and post-market jobs once per trading day', async () => {
+    await scheduler.tick(ist('2024-03-12T08:50'));
+    await scheduler.tick(ist('2024-03-12T09:00'));
+    await scheduler.tick(ist('2024-03-12T15:50'));
+    await scheduler.tick(ist('2024-03-12T16:30'));
+    await scheduler.tick(ist('2024-03-25T08:50')); // Holi
+
+    expect(scheduler.preMarket).toHaveBeenCalledTimes(1);
+    expect(scheduler.postMarket).toHaveBeenCalledTimes(1);
+    expect(scheduler.analysis).not.toHaveBeenCalled();
+  });
+
+  test('reports the next analysis time across the close', () => {
+    expect(scheduler.getNextAnalysis(ist('2024-03-12T10:05'))).toEqual(ist('2024-03-12T10:15'));
+    expect(scheduler.getNextAnalysis(ist('2024-03-12T15:20'))).toEqual(ist('2024-03-13T09:15'));
+    expect(scheduler.getNextAnalysis(ist('2024-03-16T12:00'))).toEqual(ist('2024-03-18T09:15'));
+  });
+});
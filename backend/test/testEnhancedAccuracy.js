@@ -292,7 +292,7 @@ class AccuracyTestSuite {
       { symbol: 'RELIANCE.NS', changePercent: 1.2 },
       { symbol: 'TCS.NS', changePercent: 0.8 },
       { symbol: 'HDFCBANK.NS', changePercent: 1.5 },
-      { symbol: 'INFOSYS.NS', changePercent: 0.6 },
+      { symbol: 'INFY.NS', changePercent: 0.6 },
       { symbol: 'ICICIBANK.NS', changePercent: 1.1 },
       { symbol: 'HINDUNILVR.NS', changePercent: -0.3 },
       { symbol: 'ITC.NS', changePercent: 0.4 },
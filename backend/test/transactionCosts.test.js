@@ -0,0 +1,51 @@
+// Transaction cost tests - NSE charges and slippage models
+const { TransactionCostModel } = require('../services/transactionCosts');
+
+describe('TransactionCostModel', () => {
+  test('charges intraday equity STT on sells and stamp duty on buys', () => {
+    const model = new TransactionCostModel({ segment: 'equity_intraday', slippageModel: 'none' });
+
+    const buy = model.calculateCharges({ side: 'BUY', price: 1000, quantity: 100 });
+    expect(buy.turnover).toBe(100000);
+    expect(buy.brokerage).toBe(20);            // 0.03% = ₹30, capped at ₹20
+    expect(buy.stt).toBe(0);
+    expect(buy.stampDuty).toBe(3);             // 0.003%
+    expect(buy.exchangeCharges).toBeCloseTo(2.97);
+    expect(buy.sebiFees).toBe(0.1);            // ₹10 per crore
+    expect(buy.gst).toBeCloseTo((20 + 2.97 + 0.1) * 0.18, 1);
+
+    const sell = model.calculateCharges({ side: 'SELL', price: 1000, quantity: 100 });
+    expect(sell.stt).toBe(25);                 // 0.025%
+    expect(sell.stampDuty).toBe(0);
+  });
+
+  test('uses futures rates and percentage brokerage below the cap', () => {
+    const model = new TransactionCostModel({ segment: 'index_futures' });
+    const sell = model.calculateCharges({ side: 'SELL', price: 100, quantity: 100 });
+
+    expect(sell.brokerage).toBe(3);            // 0.03% of ₹10,000
+    expect(sell.stt).toBe(2);                  // 0.02%
+    expect(sell.exchangeCharges).toBeCloseTo(0.17);
+  });
+
+  test('applies fixed, spread and volume slippage against the trader', () => {
+    const fixed = new TransactionCostModel({ slippageModel: 'fixed', slippageBps: 5 });
+    expect(fixed.fill({ side: 'BUY', price: 20000, quantity: 25 }).fillPrice).toBeCloseTo(20010);
+    expect(fixed.fill({ side: 'SELL', price: 20000, quantity: 25 }).fillPrice).toBeCloseTo(19990);
+
+    const spread = new TransactionCostModel({ slippageModel: 'spread' });
+    expect(spread.fill({ side: 'BUY', price: 100, quantity: 10 }, { bid: 99.9, ask: 100.1 }).slippageBps).toBeCloseTo(10);
+
+    const volume = new TransactionCostModel({ slippageModel: 'volume', impactBps: 20 });
+    const small = volume.fill({ side: 'BUY', price: 100, quantity: 100 }, { volume: 10000 });
+    const large = volume.fill({ side: 'BUY', price: 100, quantity: 2500 }, { volume: 10000 });
+    expect(small.slippageBps).toBeCloseTo(2);   // 20 * sqrt(1%)
+    expect(large.slippageBps).toBeCloseTo(10);  // 20 * sqrt(25%)
+    expect(large.totalCost).toBeGreaterThan(large.charges.total);
+  });
+
+  test('rejects unknown segments and slippage models', () => {
+    expect(() => new TransactionCostModel({ segment: 'options' })).toThrow('Unknown cost segment');
+    expect(() => new TransactionCostModel({ slippageModel: 'magic' })).toThrow('Unknown slippage model');
+  });
+});
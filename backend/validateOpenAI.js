@@ -98,13 +98,13 @@ class OpenAIValidator {
         const AgentClass = require(`./agents/${agentFile}`);
         const agent = new AgentClass();
         
-        // Check for OpenAI integration
-        const hasOpenAI = agent.openai !== undefined;
+        // Check for LLM client integration
+        const hasOpenAI = agent.llm !== undefined;
         const hasAIMethod = typeof agent.performAIAnalysis === 'function';
         const hasEnhancedAnalysis = typeof agent.enhancedAnalysis === 'function';
         
         console.log(`  ✅ Agent loads: true`);
-        console.log(`  ${hasOpenAI ? '✅' : '❌'} Has OpenAI client: ${hasOpenAI}`);
+        console.log(`  ${hasOpenAI ? '✅' : '❌'} Has LLM client: ${hasOpenAI}`);
         console.log(`  ${hasAIMethod ? '✅' : '❌'} Has AI analysis method: ${hasAIMethod}`);
         console.log(`  ${hasEnhancedAnalysis ? '✅' : '❌'} Has enhanced analysis: ${hasEnhancedAnalysis}`);
         
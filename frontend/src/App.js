@@ -1,4 +1,5 @@
 import React, { useState, useEffect } from 'react';
+import { Routes, Route, Navigate } from 'react-router-dom';
 import io from 'socket.io-client';
 import axios from 'axios';
 import TradingDashboard from './components/TradingDashboard';
@@ -6,6 +7,10 @@ import Header from './components/Header';
 import ConnectionStatus from './components/ConnectionStatus';
 import LoadingScreen from './components/LoadingScreen';
 import ErrorBoundary from './components/ErrorBoundary';
+import DataProvenanceBanner from './components/DataProvenanceBanner';
+import PerformancePage from './components/PerformancePage';
+import SignalsPage from './components/SignalsPage';
+import SignalDetail from './components/SignalDetail';
 import './App.css';
 
 const API_BASE_URL = 'http://localhost:5000';
@@ -17,6 +22,8 @@ function App() {
   const [error, setError] = useState(null);
   const [tradingSignal, setTradingSignal] = useState(null);
   const [marketData, setMarketData] = useState(null);
+  const [agents, setAgents] = useState([]);
+  const [intradayChart, setIntradayChart] = useState(null);
   const [lastUpdate, setLastUpdate] = useState(null);
 
   useEffect(() => {
@@ -42,6 +49,10 @@ function App() {
       setLastUpdate(new Date());
     });
 
+    newSocket.on('intradayChart', (chart) => {
+      setIntradayChart(chart);
+    });
+
     newSocket.on('connect_error', (err) => {
       console.error('Socket connection error:', err);
       setConnected(false);
@@ -66,12 +77,28 @@ function App() {
           setTradingSignal(signalResponse.data);
         }
 
+        // Get registered agents (the dashboard shows one card per agent)
+        const agentsResponse = await axios.get(`${API_BASE_URL}/api/agents`);
+        if (agentsResponse.data.success) {
+          setAgents(agentsResponse.data.data);
+        }
+
         // Get market data
         const marketResponse = await axios.get(`${API_BASE_URL}/api/market-data`);
         if (marketResponse.data.success) {
           setMarketData(marketResponse.data.data);
         }
 
+        // Get the session's bars and signal markers; the dashboard works without them
+        try {
+          const intradayResponse = await axios.get(`${API_BASE_URL}/api/intraday`);
+          if (intradayResponse.data.success) {
+            setIntradayChart(intradayResponse.data.data);
+          }
+        } catch (err) {
+          console.error('Error fetching intraday chart:', err);
+        }
+
         setLastUpdate(new Date());
         setError(null);
       } catch (err) {
@@ -107,40 +134,56 @@ function App() {
     return <LoadingScreen />;
   }
 
+  const dashboard = (
+    <>
+      <ConnectionStatus 
+        connected={connected} 
+        lastUpdate={lastUpdate}
+        onRefresh={handleRefresh}
+        loading={loading}
+      />
+      
+      <DataProvenanceBanner tradingSignal={tradingSignal} marketData={marketData} />
+      
+      {error && (
+        <div className="container">
+          <div className="card" style={{ borderLeft: '4px solid #f44336' }}>
+            <div className="text-danger font-bold">Error</div>
+            <div className="text-muted mt-1">{error}</div>
+            <button 
+              className="button mt-4" 
+              onClick={handleRefresh}
+              disabled={loading}
+            >
+              {loading ? 'Retrying...' : 'Retry'}
+            </button>
+          </div>
+        </div>
+      )}
+      
+      <TradingDashboard 
+        tradingSignal={tradingSignal}
+        marketData={marketData}
+        agents={agents}
+        intradayChart={intradayChart}
+        connected={connected}
+        onRefresh={handleRefresh}
+        loading={loading}
+      />
+    </>
+  );
+
   return (
     <ErrorBoundary>
       <div className="App">
         <Header />
-        <ConnectionStatus 
-          connected={connected} 
-          lastUpdate={lastUpdate}
-          onRefresh={handleRefresh}
-          loading={loading}
-        />
-        
-        {error && (
-          <div className="container">
-            <div className="card" style={{ borderLeft: '4px solid #f44336' }}>
-              <div className="text-danger font-bold">Error</div>
-              <div className="text-muted mt-1">{error}</div>
-              <button 
-                className="button mt-4" 
-                onClick={handleRefresh}
-                disabled={loading}
-              >
-                {loading ? 'Retrying...' : 'Retry'}
-              </button>
-            </div>
-          </div>
-        )}
-        
-        <TradingDashboard 
-          tradingSignal={tradingSignal}
-          marketData={marketData}
-          connected={connected}
-          onRefresh={handleRefresh}
-          loading={loading}
-        />
+        <Routes>
+          <Route path="/" element={dashboard} />
+          <Route path="/signals" element={<SignalsPage apiBaseUrl={API_BASE_URL} />} />
+          <Route path="/signals/:id" element={<SignalDetail apiBaseUrl={API_BASE_URL} />} />
+          <Route path="/performance" element={<PerformancePage apiBaseUrl={API_BASE_URL} />} />
+          <Route path="*" element={<Navigate to="/" replace />} />
+        </Routes>
       </div>
     </ErrorBoundary>
   );
@@ -0,0 +1,177 @@
+import React from 'react';
+
+const formatNumber = (value, digits = 2) => (
+  Number.isFinite(value) ? Number(value).toFixed(digits) : (value ?? '—')
+);
+
+const Rows = ({ rows }) => (
+  <table className="performance-table analysis-table">
+    <tbody>
+      {rows.filter(([, value]) => value !== undefined && value !== null).map(([label, value]) => (
+        <tr key={label}>
+          <td className="text-muted">{label}</td>
+          <td>{value}</td>
+        </tr>
+      ))}
+    </tbody>
+  </table>
+);
+
+const List = ({ title, items }) => (
+  items && items.length > 0 ? (
+    <div className="mt-4">
+      <div className="price-label">{title}</div>
+      <ul className="recommendations-list">
+        {items.map((item, index) => (
+          <li key={index}>{typeof item === 'string' ? item : JSON.stringify(item)}</li>
+        ))}
+      </ul>
+    </div>
+  ) : null
+);
+
+const TechnicalDetails = ({ analysis }) => (
+  <Rows rows={[
+    ['RSI', analysis.rsi && `${formatNumber(analysis.rsi.value)} (${analysis.rsi.signal})`],
+    ['MACD', analysis.macd && `${formatNumber(analysis.macd.macd)} / signal ${formatNumber(analysis.macd.signal)} / histogram ${formatNumber(analysis.macd.histogram)} (${analysis.macd.action})`],
+    ['SMA', analysis.sma && `${formatNumber(analysis.sma.value)} (${analysis.sma.signal})`],
+    ['EMA', analysis.ema && `${formatNumber(analysis.ema.value)} (${analysis.ema.signal})`],
+    ['Bollinger', analysis.bollinger && `${formatNumber(analysis.bollinger.lower)} – ${formatNumber(analysis.bollinger.upper)} (${analysis.bollinger.signal})`],
+    ['Volume', analysis.volumeAnalysis && `${formatNumber(analysis.volumeAnalysis.ratio)}x average (${analysis.volumeAnalysis.signal})`],
+    ['Price action', analysis.priceAction && `${analysis.priceAction.signal}, momentum ${formatNumber(analysis.priceAction.momentum)}%`]
+  ]} />
+);
+
+const SentimentDetails = ({ analysis }) => {
+  const traditional = analysis.traditional || {};
+  const breadth = traditional.marketBreadth;
+  const micro = analysis.microstructure;
+  const historical = analysis.historical;
+  return (
+    <>
+      <Rows rows={[
+        ['Breadth', breadth && `${breadth.advancers} advancing / ${breadth.decliners} declining / ${breadth.unchanged} unchanged (${breadth.signal})`],
+        ['Breadth by weight', Number.isFinite(breadth?.advancingWeight) ? `${formatNumber(breadth.advancingWeight * 100, 0)}% advancing / ${formatNumber(breadth.decliningWeight * 100, 0)}% declining` : undefined],
+        ['Sector rotation', traditional.sectorRotation?.leadingSector && `${traditional.sectorRotation.leadingSector} leading, ${traditional.sectorRotation.laggingSector} lagging (${traditional.sectorRotation.rotationSignal})`],
+        ['Overall sentiment', traditional.overallSentiment && `${traditional.overallSentiment.sentiment} (score ${traditional.overallSentiment.score})`],
+        ['Volatility', traditional.volatility && `${traditional.volatility.level}, range ${formatNumber(traditional.volatility.intraDayRange)}%`],
+        ['Momentum', traditional.momentumAnalysis && `${traditional.momentumAnalysis.signal} (${traditional.momentumAnalysis.strength})`],
+        ['Order flow', micro && `${micro.orderFlowBias}, smart money ${micro.smartMoneyFlow}, liquidity risk ${micro.liquidityRisk}`],
+        ['Historical patterns', historical && `${historical.similarCount} similar, ${historical.accuracy}% accurate (${historical.dominantPattern})`],
+        ['AI view', analysis.aiInsights && `${analysis.aiInsights.overallSentiment} (${analysis.aiInsights.confidence}%)`]
+      ]} />
+      <List title="Key insights" items={analysis.combined?.keyInsights} />
+    </>
+  );
+};
+
+const ResearchDetails = ({ analysis }) => {
+  const news = analysis.newsAnalysis || {};
+  const fundamentals = analysis.fundamentalData;
+  const flows = analysis.fiiDiiData;
+  return (
+    <>
+      <Rows rows={[
+        ['News sentiment', `${news.overallSentiment || '—'} from ${news.newsCount || 0} articles (${news.dataSource || 'unknown'})`],
+        ['Valuation', fundamentals && `P/E ${formatNumber(fundamentals.peRatio)}, fair value ${formatNumber(fundamentals.fairValue)}, gap ${formatNumber(fundamentals.valuationGap)}%`],
+        ['FII / DII', flows && `${formatNumber(flows.fiiNetInvestment, 0)} / ${formatNumber(flows.diiNetInvestment, 0)} cr (${flows.interpretation})`],
+        ['Economy', analysis.economicIndicators && `score ${analysis.economicIndicators.economicScore}, GDP ${analysis.economicIndicators.gdpGrowth}%, CPI ${analysis.economicIndicators.inflation}%`],
+        ['Global', analysis.globalMarketImpact && analysis.globalMarketImpact.globalSentiment],
+        ['Overall risk', analysis.riskFactors && analysis.riskFactors.overallRisk]
+      ]} />
+      {news.recentNews && news.recentNews.length > 0 ? (
+        <div className="mt-4">
+          <div className="price-label">Headlines used</div>
+          <ul className="news-list">
+            {news.recentNews.map((item, index) => (
+              <li key={index}>
+                <span className={item.sentiment === 'POSITIVE' ? 'text-success' : 'text-danger'}>●</span>{' '}
+                {item.title}
+                <span className="text-muted"> — {item.source}</span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      ) : (
+        <div className="text-muted mt-4">No headlines were available for this run.</div>
+      )}
+      <List title="Key risks" items={analysis.riskFactors?.keyRisks} />
+    </>
+  );
+};
+
+const RISK_COMPONENTS = [
+  ['volatilityRisk', 'Volatility'],
+  ['liquidityRisk', 'Liquidity'],
+  ['marketRisk', 'Market'],
+  ['concentrationRisk', 'Concentration'],
+  ['drawdownRisk', 'Drawdown'],
+  ['correlationRisk', 'Correlation'],
+  ['timeDecayRisk', 'Time decay']
+];
+
+const RiskDetails = ({ analysis, result }) => {
+  const sizing = analysis.positionSizing;
+  return (
+    <>
+      <Rows rows={[
+        ...RISK_COMPONENTS
+          .filter(([key]) => analysis[key])
+          .map(([key, label]) => [label, `${analysis[key].level} (${Math.round((analysis[key].score || 0) * 100)})`]),
+        ['Overall score', Number.isFinite(result.riskScore) ? `${Math.round(result.riskScore * 100)}%` : undefined],
+        ['Position size', sizing && `${sizing.recommendedSize}% of normal`],
+        ['Stop / target', sizing && `${sizing.stopLoss?.percentage}% / ${sizing.targetPrice?.percentage}%`]
+      ]} />
+      <List title="Recommendations" items={result.recommendations} />
+    </>
+  );
+};
+
+const DETAILS = {
+  technical: TechnicalDetails,
+  sentiment: SentimentDetails,
+  research: ResearchDetails,
+  risk: RiskDetails
+};
+
+// One agent's stored output: the highlights this dashboard knows about, its reasoning and the raw analysis
+const AgentAnalysis = ({ id, result, summary }) => {
+  const Details = DETAILS[id];
+  const analysis = result?.analysis;
+
+  return (
+    <div className="card agent-analysis">
+      <div className="agent-header">
+        <div className="agent-name">{result?.agent || id}</div>
+        <div className="text-muted">
+          {summary?.signal || result?.signal} • {formatNumber(summary?.confidence ?? result?.confidence, 0)}%
+          {Number.isFinite(summary?.rawConfidence) && summary.rawConfidence !== summary.confidence && (
+            <span> (reported {formatNumber(summary.rawConfidence, 0)}%)</span>
+          )}
+        </div>
+      </div>
+
+      {(result?.error || summary?.error) && (
+        <div className="text-danger mb-4">{result?.error || summary?.error}</div>
+      )}
+
+      {Details && analysis && <Details analysis={analysis} result={result} />}
+
+      {result?.reasoning && (
+        <div className="mt-4">
+          <div className="price-label">Reasoning</div>
+          <div>{result.reasoning}</div>
+        </div>
+      )}
+
+      {result && (
+        <details className="mt-4">
+          <summary className="text-muted">Full output</summary>
+          <pre className="raw-output">{JSON.stringify(result, null, 2)}</pre>
+        </details>
+      )}
+    </div>
+  );
+};
+
+export default AgentAnalysis;
@@ -1,5 +1,11 @@
 import React from 'react';
 
+// Summary fields with their own sections below; anything else a plugin agent adds is listed as details
+const KNOWN_FIELDS = [
+  'signal', 'confidence', 'rawConfidence', 'status', 'dataProvenance', 'error', 'key_indicators', 'market_mood',
+  'key_factors', 'risk_level', 'position_sizing', 'recommendations'
+];
+
 const AgentCard = ({ name, icon, result, description }) => {
   if (!result) {
     return (
@@ -42,11 +48,19 @@ const AgentCard = ({ name, icon, result, description }) => {
     }
   };
 
+  const details = Object.entries(result)
+    .filter(([key, value]) => !KNOWN_FIELDS.includes(key) && value !== null && typeof value !== 'object');
+
   return (
     <div className="agent-card">
       <div className="agent-header">
         <div className="agent-name">{icon} {name}</div>
-        <div className="confidence-badge">
+        <div
+          className="confidence-badge"
+          title={result.rawConfidence !== undefined && result.rawConfidence !== result.confidence
+            ? `Calibrated from ${result.rawConfidence}% reported by the agent`
+            : undefined}
+        >
           {result.confidence || 0}%
         </div>
       </div>
@@ -131,6 +145,28 @@ const AgentCard = ({ name, icon, result, description }) => {
         </div>
       )}
 
+      {details.length > 0 && (
+        <div className="mt-4">
+          <div className="text-muted mb-2" style={{ fontSize: '0.8rem', fontWeight: 'bold' }}>
+            Details:
+          </div>
+          <div className="grid grid-2" style={{ gap: '8px', fontSize: '0.8rem' }}>
+            {details.map(([key, value]) => (
+              <div key={key} style={{ display: 'flex', justifyContent: 'space-between' }}>
+                <span style={{ textTransform: 'capitalize' }}>{key.replace(/_/g, ' ')}:</span>
+                <span className="font-bold">{String(value)}</span>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {result.error && (
+        <div className="text-danger mt-4" style={{ fontSize: '0.8rem' }}>
+          ⚠️ {result.status === 'TIMED_OUT' ? 'Timed out' : 'Failed'} - left out of the signal: {result.error}
+        </div>
+      )}
+
       {result.recommendations && result.recommendations.length > 0 && (
         <div className="mt-4">
           <div className="text-muted mb-2" style={{ fontSize: '0.8rem', fontWeight: 'bold' }}>
@@ -0,0 +1,55 @@
+import React from 'react';
+import {
+  ResponsiveContainer, ScatterChart, Scatter, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ReferenceLine
+} from 'recharts';
+
+const COLORS = ['#4caf50', '#2196f3', '#ffa726', '#ab47bc', '#26c6da', '#ef5350'];
+
+// Reliability diagram: mean confidence against hit rate in each confidence bin.
+// A calibrated agent sits on the diagonal
+const CalibrationChart = ({ agents }) => {
+  const series = Object.entries(agents).map(([id, scores]) => ({
+    id,
+    calibrationError: scores.calibrationError,
+    points: scores.calibration
+      .filter(bin => bin.count > 0)
+      .map(bin => ({ confidence: bin.meanConfidence, hitRate: bin.hitRate, count: bin.count, range: bin.range }))
+  }));
+
+  return (
+    <div className="card">
+      <h3 className="font-bold font-xl mb-4">🎚️ Calibration</h3>
+      <ResponsiveContainer width="100%" height={300}>
+        <ScatterChart>
+          <CartesianGrid strokeDasharray="3 3" stroke="rgba(255, 255, 255, 0.1)" />
+          <XAxis type="number" dataKey="confidence" name="Confidence" domain={[0, 100]} stroke="#b0b0b0" unit="%" />
+          <YAxis type="number" dataKey="hitRate" name="Hit rate" domain={[0, 100]} stroke="#b0b0b0" unit="%" />
+          <Tooltip
+            cursor={{ strokeDasharray: '3 3' }}
+            contentStyle={{ background: '#1a1a2e', border: '1px solid rgba(255, 255, 255, 0.1)' }}
+          />
+          <Legend />
+          <ReferenceLine
+            segment={[{ x: 0, y: 0 }, { x: 100, y: 100 }]}
+            stroke="#666"
+            strokeDasharray="4 4"
+          />
+          {series.map((agent, index) => (
+            <Scatter
+              key={agent.id}
+              name={`${agent.id} (${agent.calibrationError ?? '—'} pts)`}
+              data={agent.points}
+              fill={COLORS[index % COLORS.length]}
+              line
+            />
+          ))}
+        </ScatterChart>
+      </ResponsiveContainer>
+      <div className="text-muted mt-1" style={{ fontSize: '0.85rem' }}>
+        Points below the diagonal are overconfident; the legend shows each agent's calibration error.
+      </div>
+    </div>
+  );
+};
+
+export default CalibrationChart;
@@ -0,0 +1,77 @@
+import React, { useState } from 'react';
+
+const SIGNALS = ['BUY', 'SELL', 'HOLD'];
+const DIRECTIONS = ['UP', 'DOWN', 'FLAT'];
+// The realised direction each call is right on
+const CORRECT = { BUY: 'UP', SELL: 'DOWN', HOLD: 'FLAT' };
+
+const ConfusionMatrix = ({ agents }) => {
+  const ids = Object.keys(agents);
+  const [selected, setSelected] = useState(ids[0]);
+  // The selection falls back to the first agent when the report no longer has it
+  const current = agents[selected] ? selected : ids[0];
+  const matrix = agents[current]?.confusion;
+
+  if (!matrix) {
+    return null;
+  }
+
+  const total = SIGNALS.reduce((sum, signal) =>
+    sum + DIRECTIONS.reduce((rowSum, direction) => rowSum + matrix[signal][direction], 0), 0);
+
+  return (
+    <div className="card">
+      <div className="agent-header">
+        <h3 className="font-bold font-xl">🧮 Calls vs Realised Direction</h3>
+        <select value={current} onChange={(e) => setSelected(e.target.value)}>
+          {ids.map(id => (
+            <option key={id} value={id}>{id}</option>
+          ))}
+        </select>
+      </div>
+
+      <table className="confusion-table">
+        <thead>
+          <tr>
+            <th>Call \ Index</th>
+            {DIRECTIONS.map(direction => (
+              <th key={direction}>{direction}</th>
+            ))}
+            <th>Total</th>
+          </tr>
+        </thead>
+        <tbody>
+          {SIGNALS.map(signal => {
+            const rowTotal = DIRECTIONS.reduce((sum, direction) => sum + matrix[signal][direction], 0);
+            return (
+              <tr key={signal}>
+                <th>{signal}</th>
+                {DIRECTIONS.map(direction => {
+                  const count = matrix[signal][direction];
+                  const share = total > 0 ? count / total : 0;
+                  const correct = CORRECT[signal] === direction;
+                  return (
+                    <td
+                      key={direction}
+                      className={correct ? 'correct' : ''}
+                      style={{ background: `rgba(${correct ? '76, 175, 80' : '244, 67, 54'}, ${0.1 + share * 0.8})` }}
+                    >
+                      <div className="font-bold">{count}</div>
+                      <div className="text-muted">{rowTotal > 0 ? `${Math.round((count / rowTotal) * 100)}%` : '—'}</div>
+                    </td>
+                  );
+                })}
+                <td className="text-muted">{rowTotal}</td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+      <div className="text-muted mt-1" style={{ fontSize: '0.85rem' }}>
+        Row percentages show where each call ended up. FLAT means the move stayed inside the HOLD band.
+      </div>
+    </div>
+  );
+};
+
+export default ConfusionMatrix;
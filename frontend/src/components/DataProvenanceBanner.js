@@ -0,0 +1,54 @@
+import React from 'react';
+
+const DataProvenanceBanner = ({ tradingSignal, marketData }) => {
+  const signalProvenance = tradingSignal?.dataProvenance?.overall;
+  const marketProvenance = marketData?.provenance;
+
+  // Synthetic/stale reflect the data only; a failed analysis is reported on its own
+  const isSynthetic = signalProvenance === 'synthetic' || marketProvenance === 'synthetic';
+  const isStale = !isSynthetic && (signalProvenance === 'stale' || marketProvenance === 'stale');
+  const hasError = Boolean(tradingSignal?.error);
+
+  if (!isSynthetic && !isStale && !hasError) {
+    return null;
+  }
+
+  return (
+    <>
+      {hasError && (
+        <div className="provenance-banner error">
+          <div className="container">
+            <div className="font-bold">❌ ANALYSIS FAILED</div>
+            <div>
+              {tradingSignal.reasoning || 'The last analysis run failed.'} No signal was produced — do not trade on it.
+            </div>
+          </div>
+        </div>
+      )}
+
+      {isSynthetic && (
+        <div className="provenance-banner synthetic">
+          <div className="container">
+            <div className="font-bold">⚠️ SYNTHETIC DATA</div>
+            <div>
+              Live market data is unavailable and the system is running on generated prices.
+              Signals are not actionable — do not trade on them.
+              {tradingSignal?.suppressedAction && ` (Suppressed signal: ${tradingSignal.suppressedAction})`}
+            </div>
+          </div>
+        </div>
+      )}
+
+      {isStale && (
+        <div className="provenance-banner stale">
+          <div className="container">
+            <div className="font-bold">⏱️ STALE DATA</div>
+            <div>Market data could not be refreshed and is being served from an older cache.</div>
+          </div>
+        </div>
+      )}
+    </>
+  );
+};
+
+export default DataProvenanceBanner;
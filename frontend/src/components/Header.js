@@ -1,4 +1,5 @@
 import React from 'react';
+import { NavLink } from 'react-router-dom';
 
 const Header = () => {
   return (
@@ -14,6 +15,12 @@ const Header = () => {
           </div>
         </div>
         
+        <nav className="nav-links">
+          <NavLink to="/" end className="nav-link">Dashboard</NavLink>
+          <NavLink to="/signals" className="nav-link">Signals</NavLink>
+          <NavLink to="/performance" className="nav-link">Performance</NavLink>
+        </nav>
+        
         <div className="header-stats">
           <div className="text-muted" style={{ fontSize: '0.9rem' }}>
             Real-time • 15min cycles • AI-powered
@@ -0,0 +1,147 @@
+import React from 'react';
+import {
+  ResponsiveContainer, ComposedChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip,
+  ReferenceArea, ReferenceLine, ReferenceDot
+} from 'recharts';
+
+const SIGNAL_COLORS = { BUY: '#4caf50', SELL: '#f44336', HOLD: '#ffa726' };
+
+const formatTime = (timestamp) => new Date(timestamp).toLocaleTimeString('en-IN', {
+  hour: '2-digit', minute: '2-digit', hour12: false, timeZone: 'Asia/Kolkata'
+});
+
+// Wick from high to low with an open/close body; the bar spans [low, high] on the price axis
+const Candle = ({ x, y, width, height, payload }) => {
+  const { open, high, low, close } = payload;
+  const color = close >= open ? '#4caf50' : '#f44336';
+  const scale = high > low ? height / (high - low) : 0;
+  const bodyTop = y + (high - Math.max(open, close)) * scale;
+  const bodyHeight = Math.max(1, Math.abs(close - open) * scale);
+  const center = x + width / 2;
+
+  return (
+    <g>
+      <line x1={center} x2={center} y1={y} y2={y + height} stroke={color} />
+      <rect x={x + width * 0.15} y={bodyTop} width={width * 0.7} height={bodyHeight} fill={color} />
+    </g>
+  );
+};
+
+const CandleTooltip = ({ active, payload }) => {
+  if (!active || !payload || payload.length === 0) {
+    return null;
+  }
+
+  const bar = payload[0].payload;
+  return (
+    <div className="chart-tooltip">
+      <div className="font-bold">{bar.time}</div>
+      <div>O {bar.open} H {bar.high}</div>
+      <div>L {bar.low} C {bar.close}</div>
+    </div>
+  );
+};
+
+const IntradayChart = ({ chart }) => {
+  const data = chart.candles.map(candle => ({
+    ...candle,
+    time: formatTime(candle.timestamp),
+    range: [candle.low, candle.high]
+  }));
+  const markers = chart.signals.filter(marker => marker.barTime);
+  const levels = chart.levels;
+
+  // Keep the band and levels in view alongside the bars
+  const prices = [
+    ...data.flatMap(bar => [bar.low, bar.high]),
+    levels?.priceRange?.min,
+    levels?.priceRange?.max,
+    levels?.targetPrice,
+    levels?.stopLoss
+  ].filter(Number.isFinite);
+  const padding = (Math.max(...prices) - Math.min(...prices)) * 0.05 || 10;
+  const domain = [Math.floor(Math.min(...prices) - padding), Math.ceil(Math.max(...prices) + padding)];
+
+  const latestMarker = levels && markers.find(marker => marker.id === levels.signalId);
+  const markerPrice = (marker) => marker.price ?? data.find(bar => bar.timestamp === marker.barTime)?.close;
+
+  return (
+    <div className="card">
+      <div className="agent-header">
+        <h3 className="font-bold font-xl">🕯️ Nifty 50 • {chart.session?.date}</h3>
+        <div className="text-muted" style={{ fontSize: '0.9rem' }}>
+          {chart.interval} bars • {chart.source}
+          {chart.provenance && chart.provenance !== 'live' && (
+            <span className="text-danger font-bold"> • {chart.provenance.toUpperCase()}</span>
+          )}
+        </div>
+      </div>
+
+      <ResponsiveContainer width="100%" height={360}>
+        <ComposedChart data={data}>
+          <CartesianGrid strokeDasharray="3 3" stroke="rgba(255, 255, 255, 0.1)" />
+          <XAxis dataKey="time" stroke="#b0b0b0" minTickGap={30} />
+          <YAxis domain={domain} stroke="#b0b0b0" width={70} />
+          <Tooltip content={<CandleTooltip />} />
+
+          {levels?.priceRange && (
+            <ReferenceArea
+              x1={latestMarker ? formatTime(latestMarker.barTime) : undefined}
+              y1={levels.priceRange.min}
+              y2={levels.priceRange.max}
+              fill="#2196f3"
+              fillOpacity={0.12}
+              ifOverflow="extendDomain"
+            />
+          )}
+          {Number.isFinite(levels?.targetPrice) && (
+            <ReferenceLine
+              y={levels.targetPrice}
+              stroke="#4caf50"
+              strokeDasharray="6 4"
+              label={{ value: `Target ${levels.targetPrice}`, fill: '#4caf50', position: 'insideTopRight' }}
+            />
+          )}
+          {Number.isFinite(levels?.stopLoss) && (
+            <ReferenceLine
+              y={levels.stopLoss}
+              stroke="#f44336"
+              strokeDasharray="6 4"
+              label={{ value: `Stop ${levels.stopLoss}`, fill: '#f44336', position: 'insideBottomRight' }}
+            />
+          )}
+
+          <Bar dataKey="range" shape={<Candle />} isAnimationActive={false} />
+
+          {markers.map(marker => (
+            <ReferenceDot
+              key={marker.id}
+              x={formatTime(marker.barTime)}
+              y={markerPrice(marker)}
+              r={7}
+              fill={SIGNAL_COLORS[marker.signal]}
+              fillOpacity={marker.actionable ? 1 : 0.4}
+              stroke="#ffffff"
+              label={{ value: marker.signal[0], fill: '#ffffff', fontSize: 10 }}
+            />
+          ))}
+        </ComposedChart>
+      </ResponsiveContainer>
+
+      <div className="chart-legend text-muted">
+        {Object.entries(SIGNAL_COLORS).map(([signal, color]) => (
+          <span key={signal}><span className="legend-dot" style={{ background: color }} /> {signal}</span>
+        ))}
+        {levels?.priceRange && (
+          <span>
+            <span className="legend-dot" style={{ background: 'rgba(33, 150, 243, 0.4)' }} />
+            Target band ₹{levels.priceRange.min} – ₹{levels.priceRange.max}
+          </span>
+        )}
+        {levels && !levels.actionable && <span className="text-danger">Latest signal is not actionable</span>}
+      </div>
+    </div>
+  );
+};
+
+export default IntradayChart;
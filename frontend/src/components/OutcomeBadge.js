@@ -0,0 +1,24 @@
+import React from 'react';
+
+// What became of a signal: pending until its horizon, then hit or miss with the realised move
+const OutcomeBadge = ({ outcome }) => {
+  if (!outcome) {
+    return <span className="outcome-badge untracked">Not tracked</span>;
+  }
+
+  if (outcome.status === 'PENDING') {
+    return <span className="outcome-badge pending">Pending</span>;
+  }
+
+  if (outcome.status === 'SKIPPED') {
+    return <span className="outcome-badge untracked" title={outcome.skipReason || ''}>Skipped</span>;
+  }
+
+  return (
+    <span className={`outcome-badge ${outcome.hit ? 'hit' : 'miss'}`}>
+      {outcome.hit ? '✓ Hit' : '✗ Miss'} {outcome.movePct > 0 ? '+' : ''}{outcome.movePct}%
+    </span>
+  );
+};
+
+export default OutcomeBadge;
@@ -0,0 +1,211 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import {
+  ResponsiveContainer, LineChart, Line, BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ReferenceLine
+} from 'recharts';
+import CalibrationChart from './CalibrationChart';
+import ConfusionMatrix from './ConfusionMatrix';
+import WeightHistoryChart from './WeightHistoryChart';
+
+const WINDOWS = [10, 20, 50, 100];
+
+const formatTime = (timestamp) => new Date(timestamp).toLocaleString('en-IN', {
+  day: '2-digit', month: 'short', hour: '2-digit', minute: '2-digit'
+});
+
+const formatValue = (value, suffix = '') => (value === null || value === undefined ? '—' : `${value}${suffix}`);
+
+const hitRateColor = (hitRate) => {
+  if (hitRate === null || hitRate === undefined) return '#b0b0b0';
+  if (hitRate >= 55) return '#4caf50';
+  if (hitRate >= 45) return '#ffa726';
+  return '#f44336';
+};
+
+const PerformancePage = ({ apiBaseUrl }) => {
+  const [source, setSource] = useState('signal');
+  const [rollingWindow, setRollingWindow] = useState(20);
+  const [report, setReport] = useState(null);
+  const [weightHistory, setWeightHistory] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const fetchPerformance = useCallback(async () => {
+    setLoading(true);
+    try {
+      const [reportResponse, historyResponse] = await Promise.all([
+        axios.get(`${apiBaseUrl}/api/performance`, { params: { source, window: rollingWindow } }),
+        axios.get(`${apiBaseUrl}/api/agents/weights/history`, { params: { limit: 100 } })
+      ]);
+      setReport(reportResponse.data.data);
+      setWeightHistory(historyResponse.data.data || []);
+      setError(null);
+    } catch (err) {
+      console.error('Failed to load performance:', err);
+      setError(err.response?.data?.message || 'Failed to load performance data from the backend');
+    } finally {
+      setLoading(false);
+    }
+  }, [apiBaseUrl, source, rollingWindow]);
+
+  useEffect(() => {
+    fetchPerformance();
+  }, [fetchPerformance]);
+
+  const agents = report ? Object.entries(report.agents) : [];
+  const headline = report ? report.agents[source === 'signal' ? 'final' : 'sentiment'] : null;
+  const rolling = (headline?.rolling || []).map(point => ({ ...point, time: formatTime(point.timestamp) }));
+  const hitRates = agents.map(([id, scores]) => ({ agent: id, hitRate: scores.hitRate, count: scores.count }));
+
+  return (
+    <div className="container">
+      <div className="card performance-toolbar">
+        <div>
+          <h2 className="font-bold font-xl">📊 Forecast Performance</h2>
+          <div className="text-muted">
+            {report
+              ? `${report.predictions} validated predictions • ${report.horizonMinutes}min horizon • HOLD band ±${report.holdBandPct}%`
+              : 'Validated predictions scored against the index at their horizon'}
+          </div>
+        </div>
+        <div className="performance-controls">
+          <select value={source} onChange={(e) => setSource(e.target.value)}>
+            <option value="signal">Final signals</option>
+            <option value="sentiment">Sentiment agent</option>
+          </select>
+          <select value={rollingWindow} onChange={(e) => setRollingWindow(Number(e.target.value))}>
+            {WINDOWS.map(size => (
+              <option key={size} value={size}>Rolling {size}</option>
+            ))}
+          </select>
+          <button className="button" onClick={fetchPerformance} disabled={loading}>
+            {loading ? 'Loading...' : 'Refresh'}
+          </button>
+        </div>
+      </div>
+
+      {error && (
+        <div className="card" style={{ borderLeft: '4px solid #f44336' }}>
+          <div className="text-danger font-bold">Error</div>
+          <div className="text-muted mt-1">{error}</div>
+        </div>
+      )}
+
+      {report && agents.length === 0 && (
+        <div className="no-data-card">
+          <h3 className="font-bold font-xl mb-2">⏳ No Validated Predictions</h3>
+          <p className="text-muted">
+            Predictions are scored once their horizon bar has closed. Check back after the next few signals.
+          </p>
+        </div>
+      )}
+
+      {headline && (
+        <div className="grid grid-4 mb-4">
+          <div className="card performance-stat">
+            <div className="price-label">Hit Rate</div>
+            <div className="font-2xl font-bold" style={{ color: hitRateColor(headline.hitRate) }}>
+              {formatValue(headline.hitRate, '%')}
+            </div>
+            <div className="text-muted">{headline.count} calls</div>
+          </div>
+          <div className="card performance-stat">
+            <div className="price-label">Brier Score</div>
+            <div className="font-2xl font-bold">{formatValue(headline.brierScore)}</div>
+            <div className="text-muted">lower is better</div>
+          </div>
+          <div className="card performance-stat">
+            <div className="price-label">Log Loss</div>
+            <div className="font-2xl font-bold">{formatValue(headline.logLoss)}</div>
+            <div className="text-muted">lower is better</div>
+          </div>
+          <div className="card performance-stat">
+            <div className="price-label">Calibration Error</div>
+            <div className="font-2xl font-bold">{formatValue(headline.calibrationError, ' pts')}</div>
+            <div className="text-muted">
+              Target error {headline.targetError ? `${headline.targetError.maePct}%` : '—'}
+            </div>
+          </div>
+        </div>
+      )}
+
+      {headline && (
+        <div className="card">
+          <h3 className="font-bold font-xl mb-4">📈 Rolling Accuracy</h3>
+          {rolling.length === 0 ? (
+            <div className="text-muted">Fewer than {report.window} validated calls so far.</div>
+          ) : (
+            <ResponsiveContainer width="100%" height={280}>
+              <LineChart data={rolling}>
+                <CartesianGrid strokeDasharray="3 3" stroke="rgba(255, 255, 255, 0.1)" />
+                <XAxis dataKey="time" stroke="#b0b0b0" minTickGap={40} />
+                <YAxis yAxisId="hitRate" domain={[0, 100]} stroke="#b0b0b0" unit="%" />
+                <YAxis yAxisId="brier" orientation="right" domain={[0, 1]} stroke="#b0b0b0" />
+                <Tooltip contentStyle={{ background: '#1a1a2e', border: '1px solid rgba(255, 255, 255, 0.1)' }} />
+                <Legend />
+                <ReferenceLine yAxisId="hitRate" y={50} stroke="#666" strokeDasharray="4 4" />
+                <Line yAxisId="hitRate" type="monotone" dataKey="hitRate" name={`Hit rate (last ${report.window})`} stroke="#4caf50" dot={false} />
+                <Line yAxisId="brier" type="monotone" dataKey="brierScore" name="Brier score" stroke="#2196f3" dot={false} />
+              </LineChart>
+            </ResponsiveContainer>
+          )}
+        </div>
+      )}
+
+      {agents.length > 0 && (
+        <div className="grid grid-2">
+          <div className="card">
+            <h3 className="font-bold font-xl mb-4">🤖 Hit Rate by Agent</h3>
+            <ResponsiveContainer width="100%" height={240}>
+              <BarChart data={hitRates}>
+                <CartesianGrid strokeDasharray="3 3" stroke="rgba(255, 255, 255, 0.1)" />
+                <XAxis dataKey="agent" stroke="#b0b0b0" />
+                <YAxis domain={[0, 100]} stroke="#b0b0b0" unit="%" />
+                <Tooltip contentStyle={{ background: '#1a1a2e', border: '1px solid rgba(255, 255, 255, 0.1)' }} />
+                <ReferenceLine y={50} stroke="#666" strokeDasharray="4 4" />
+                <Bar dataKey="hitRate" name="Hit rate" fill="#4caf50" />
+              </BarChart>
+            </ResponsiveContainer>
+            <table className="performance-table mt-4">
+              <thead>
+                <tr>
+                  <th>Agent</th>
+                  <th>Calls</th>
+                  <th>Hit Rate</th>
+                  <th>Brier</th>
+                  <th>Log Loss</th>
+                </tr>
+              </thead>
+              <tbody>
+                {agents.map(([id, scores]) => (
+                  <tr key={id}>
+                    <td className="font-bold">{id}</td>
+                    <td>{scores.count}</td>
+                    <td style={{ color: hitRateColor(scores.hitRate) }}>{formatValue(scores.hitRate, '%')}</td>
+                    <td>{formatValue(scores.brierScore)}</td>
+                    <td>{formatValue(scores.logLoss)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <CalibrationChart agents={report.agents} />
+        </div>
+      )}
+
+      {agents.length > 0 && (
+        <div className="grid grid-2">
+          <ConfusionMatrix agents={report.agents} />
+          <WeightHistoryChart history={weightHistory} />
+        </div>
+      )}
+
+      {report && agents.length === 0 && weightHistory.length > 0 && (
+        <WeightHistoryChart history={weightHistory} />
+      )}
+    </div>
+  );
+};
+
+export default PerformancePage;
@@ -0,0 +1,165 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import axios from 'axios';
+import AgentAnalysis from './AgentAnalysis';
+import OutcomeBadge from './OutcomeBadge';
+
+const formatTime = (timestamp) => (timestamp ? new Date(timestamp).toLocaleString('en-IN', {
+  day: '2-digit', month: 'short', year: 'numeric', hour: '2-digit', minute: '2-digit', timeZone: 'Asia/Kolkata'
+}) : '—');
+
+const formatPrice = (value) => (Number.isFinite(value) ? `₹${value.toFixed(2)}` : '—');
+
+const SignalDetail = ({ apiBaseUrl }) => {
+  const { id } = useParams();
+  const [signal, setSignal] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const fetchSignal = async () => {
+      setLoading(true);
+      try {
+        const response = await axios.get(`${apiBaseUrl}/api/signals/${id}`);
+        setSignal(response.data.data);
+        setError(null);
+      } catch (err) {
+        console.error('Failed to load signal:', err);
+        setError(err.response?.data?.message || 'Failed to load signal from the backend');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchSignal();
+  }, [apiBaseUrl, id]);
+
+  if (loading) {
+    return (
+      <div className="container">
+        <div className="card text-center">
+          <div className="loading-spinner"></div>
+        </div>
+      </div>
+    );
+  }
+
+  if (error || !signal) {
+    return (
+      <div className="container">
+        <Link to="/signals" className="nav-link">← Signal history</Link>
+        <div className="card mt-4" style={{ borderLeft: '4px solid #f44336' }}>
+          <div className="text-danger font-bold">Error</div>
+          <div className="text-muted mt-1">{error || 'Signal not found'}</div>
+        </div>
+      </div>
+    );
+  }
+
+  const outcome = signal.outcome;
+  const prediction = signal.pricePrediction;
+  // Agents with a full stored output first, then any that only left a summary on the signal
+  const agentIds = [...new Set([...Object.keys(signal.agentOutputs || {}), ...Object.keys(signal.agentResults || {})])];
+
+  return (
+    <div className="container">
+      <Link to="/signals" className="nav-link">← Signal history</Link>
+
+      <div className="grid grid-2 mt-4">
+        <div className="card">
+          <div className="agent-header">
+            <span className={`signal-badge ${signal.signal.toLowerCase()}`}>{signal.signal}</span>
+            <span className="text-muted">{formatTime(signal.timestamp)} IST</span>
+          </div>
+          <div className="price-grid">
+            <div className="price-item">
+              <div className="price-label">Confidence</div>
+              <div className="price-value text-primary">{signal.confidence}%</div>
+            </div>
+            <div className="price-item">
+              <div className="price-label">Reported by agents</div>
+              <div className="price-value">{signal.rawConfidence ?? signal.confidence}%</div>
+            </div>
+            <div className="price-item">
+              <div className="price-label">Price</div>
+              <div className="price-value">{formatPrice(signal.currentPrice)}</div>
+            </div>
+            <div className="price-item">
+              <div className="price-label">Strategy</div>
+              <div className="price-value">{signal.strategy || 'weighted'}</div>
+            </div>
+          </div>
+          {signal.actionable === false && (
+            <div className="text-danger font-bold mt-4">
+              Not actionable ({signal.dataProvenance?.overall} data)
+              {signal.suppressedAction && ` • suppressed ${signal.suppressedAction}`}
+            </div>
+          )}
+          <div className="mt-4">
+            <div className="price-label">Reasoning</div>
+            <div>{signal.reasoning || '—'}</div>
+          </div>
+        </div>
+
+        <div className="card">
+          <div className="agent-header">
+            <h3 className="font-bold font-xl">🎯 Outcome</h3>
+            <OutcomeBadge outcome={outcome} />
+          </div>
+          <div className="price-grid">
+            <div className="price-item">
+              <div className="price-label">Target</div>
+              <div className="price-value">{formatPrice(prediction?.targetPrice)}</div>
+            </div>
+            <div className="price-item">
+              <div className="price-label">Target band</div>
+              <div className="price-value">
+                {prediction?.priceRange ? `${formatPrice(prediction.priceRange.min)} – ${formatPrice(prediction.priceRange.max)}` : '—'}
+              </div>
+            </div>
+            <div className="price-item">
+              <div className="price-label">Entry</div>
+              <div className="price-value">{formatPrice(outcome?.entryPrice)}</div>
+            </div>
+            <div className="price-item">
+              <div className="price-label">At horizon</div>
+              <div className="price-value">{formatPrice(outcome?.actualPrice)}</div>
+            </div>
+          </div>
+          <div className="text-muted mt-4">
+            {!outcome && 'This signal was not tracked for validation.'}
+            {outcome?.status === 'PENDING' && `Scored at ${formatTime(outcome.horizonAt)} IST.`}
+            {outcome?.status === 'SKIPPED' && `Not scored: ${outcome.skipReason || 'no bar for the horizon'}.`}
+            {outcome?.status === 'VALIDATED' &&
+              `The index moved ${outcome.movePct}% (${outcome.realised}) by ${formatTime(outcome.horizonAt)} IST.`}
+          </div>
+        </div>
+      </div>
+
+      {signal.recommendations && signal.recommendations.length > 0 && (
+        <div className="card">
+          <h3 className="font-bold font-xl mb-4">💡 Recommendations</h3>
+          <ul className="recommendations-list">
+            {signal.recommendations.map((rec, index) => (
+              <li key={index}>{rec}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <h3 className="font-bold font-xl mb-4 mt-4">🤖 Agent Analysis</h3>
+      <div className="agents-section">
+        {agentIds.map(agentId => (
+          <AgentAnalysis
+            key={agentId}
+            id={agentId}
+            result={signal.agentOutputs?.[agentId]}
+            summary={signal.agentResults?.[agentId]}
+          />
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default SignalDetail;
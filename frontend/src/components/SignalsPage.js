@@ -0,0 +1,158 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import axios from 'axios';
+import OutcomeBadge from './OutcomeBadge';
+
+const PAGE_SIZE = 25;
+const EMPTY_FILTERS = { from: '', to: '', signal: '', minConfidence: '' };
+
+const SIGNAL_COLORS = { BUY: '#4caf50', SELL: '#f44336', HOLD: '#ffa726' };
+
+const formatTime = (timestamp) => new Date(timestamp).toLocaleString('en-IN', {
+  day: '2-digit', month: 'short', hour: '2-digit', minute: '2-digit', timeZone: 'Asia/Kolkata'
+});
+
+// Query params for /api/signals; datetime-local inputs are read in the browser's timezone
+const toParams = (filters, cursor) => {
+  const params = { limit: PAGE_SIZE };
+  if (filters.from) params.from = new Date(filters.from).toISOString();
+  if (filters.to) params.to = new Date(filters.to).toISOString();
+  if (filters.signal) params.signal = filters.signal;
+  if (filters.minConfidence !== '') params.minConfidence = filters.minConfidence;
+  if (cursor) params.cursor = cursor;
+  return params;
+};
+
+const SignalsPage = ({ apiBaseUrl }) => {
+  const navigate = useNavigate();
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [applied, setApplied] = useState(EMPTY_FILTERS);
+  const [signals, setSignals] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const fetchSignals = useCallback(async (cursor = null) => {
+    setLoading(true);
+    try {
+      const response = await axios.get(`${apiBaseUrl}/api/signals`, { params: toParams(applied, cursor) });
+      setSignals(previous => (cursor ? [...previous, ...response.data.data] : response.data.data));
+      setNextCursor(response.data.pagination.nextCursor);
+      setError(null);
+    } catch (err) {
+      console.error('Failed to load signal history:', err);
+      setError(err.response?.data?.message || 'Failed to load signal history from the backend');
+    } finally {
+      setLoading(false);
+    }
+  }, [apiBaseUrl, applied]);
+
+  useEffect(() => {
+    fetchSignals();
+  }, [fetchSignals]);
+
+  const updateFilter = (key) => (e) => setFilters({ ...filters, [key]: e.target.value });
+
+  const applyFilters = (e) => {
+    e.preventDefault();
+    setApplied(filters);
+  };
+
+  const clearFilters = () => {
+    setFilters(EMPTY_FILTERS);
+    setApplied(EMPTY_FILTERS);
+  };
+
+  return (
+    <div className="container">
+      <div className="card">
+        <h2 className="font-bold font-xl mb-4">🗂️ Signal History</h2>
+        <form className="signal-filters" onSubmit={applyFilters}>
+          <label>
+            <span className="price-label">From</span>
+            <input type="datetime-local" value={filters.from} onChange={updateFilter('from')} />
+          </label>
+          <label>
+            <span className="price-label">To</span>
+            <input type="datetime-local" value={filters.to} onChange={updateFilter('to')} />
+          </label>
+          <label>
+            <span className="price-label">Signal</span>
+            <select value={filters.signal} onChange={updateFilter('signal')}>
+              <option value="">All</option>
+              <option value="BUY">BUY</option>
+              <option value="SELL">SELL</option>
+              <option value="HOLD">HOLD</option>
+            </select>
+          </label>
+          <label>
+            <span className="price-label">Min confidence</span>
+            <input
+              type="number"
+              min="0"
+              max="100"
+              placeholder="0"
+              value={filters.minConfidence}
+              onChange={updateFilter('minConfidence')}
+            />
+          </label>
+          <button type="submit" className="button" disabled={loading}>Apply</button>
+          <button type="button" className="button secondary" onClick={clearFilters} disabled={loading}>
+            Clear
+          </button>
+        </form>
+      </div>
+
+      {error && (
+        <div className="card" style={{ borderLeft: '4px solid #f44336' }}>
+          <div className="text-danger font-bold">Error</div>
+          <div className="text-muted mt-1">{error}</div>
+        </div>
+      )}
+
+      <div className="card">
+        {signals.length === 0 && !loading ? (
+          <div className="text-muted">No signals match these filters.</div>
+        ) : (
+          <table className="performance-table signal-table">
+            <thead>
+              <tr>
+                <th>Time (IST)</th>
+                <th>Signal</th>
+                <th>Confidence</th>
+                <th>Price</th>
+                <th>Strategy</th>
+                <th>Outcome</th>
+              </tr>
+            </thead>
+            <tbody>
+              {signals.map(signal => (
+                <tr key={signal.id} onClick={() => navigate(`/signals/${signal.id}`)}>
+                  <td>{formatTime(signal.timestamp)}</td>
+                  <td>
+                    <span className="font-bold" style={{ color: SIGNAL_COLORS[signal.signal] }}>{signal.signal}</span>
+                    {signal.actionable === false && <span className="text-danger"> • not actionable</span>}
+                  </td>
+                  <td>{signal.confidence}%</td>
+                  <td>{signal.currentPrice ? `₹${signal.currentPrice.toFixed(2)}` : '—'}</td>
+                  <td className="text-muted">{signal.strategy || 'weighted'}</td>
+                  <td><OutcomeBadge outcome={signal.outcome} /></td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+
+        {nextCursor && (
+          <div className="text-center mt-4">
+            <button className="button" onClick={() => fetchSignals(nextCursor)} disabled={loading}>
+              {loading ? 'Loading...' : 'Load more'}
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SignalsPage;
@@ -3,8 +3,15 @@ import SignalCard from './SignalCard';
 import AgentCard from './AgentCard';
 import MarketDataCard from './MarketDataCard';
 import PricePredictionCard from './PricePredictionCard';
+import IntradayChart from './IntradayChart';
 
-const TradingDashboard = ({ tradingSignal, marketData, connected, onRefresh, loading }) => {
+// Registered agents from /api/agents, or the agents present in the signal if that failed to load
+const agentList = (agents, agentResults) => {
+  if (agents.length > 0) return agents;
+  return Object.keys(agentResults).map(id => ({ id, name: id, icon: '🤖', description: '' }));
+};
+
+const TradingDashboard = ({ tradingSignal, marketData, agents = [], intradayChart, connected, onRefresh, loading }) => {
   if (!tradingSignal && !loading) {
     return (
       <div className="container">
@@ -39,35 +46,25 @@ const TradingDashboard = ({ tradingSignal, marketData, connected, onRefresh, loa
         )}
       </div>
 
+      {/* Session Price Chart */}
+      {intradayChart?.candles?.length > 0 && (
+        <IntradayChart chart={intradayChart} />
+      )}
+
       {/* Agent Results Section */}
       {tradingSignal?.agentResults && (
         <div className="card">
           <h3 className="font-bold font-xl mb-4">🤖 Agent Analysis</h3>
           <div className="agents-section">
-            <AgentCard 
-              name="Technical Analysis"
-              icon="📈"
-              result={tradingSignal.agentResults.technical}
-              description="RSI, MACD, Moving Averages"
-            />
-            <AgentCard 
-              name="Market Sentiment"
-              icon="📊"
-              result={tradingSignal.agentResults.sentiment}
-              description="Volume, Breadth, Sentiment"
-            />
-            <AgentCard 
-              name="Research Analysis"
-              icon="🔍"
-              result={tradingSignal.agentResults.research}
-              description="News, Fundamentals, Economy"
-            />
-            <AgentCard 
-              name="Risk Management"
-              icon="🛡️"
-              result={tradingSignal.agentResults.risk}
-              description="Volatility, Position Sizing"
-            />
+            {agentList(agents, tradingSignal.agentResults).map(agent => (
+              <AgentCard
+                key={agent.id}
+                name={agent.name}
+                icon={agent.icon}
+                result={tradingSignal.agentResults[agent.id]}
+                description={agent.description}
+              />
+            ))}
           </div>
         </div>
       )}
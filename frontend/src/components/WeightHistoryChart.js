@@ -0,0 +1,68 @@
+import React from 'react';
+import {
+  ResponsiveContainer, LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend
+} from 'recharts';
+
+const COLORS = ['#4caf50', '#2196f3', '#ffa726', '#ab47bc', '#26c6da', '#ef5350'];
+
+const formatTime = (timestamp) => new Date(timestamp).toLocaleString('en-IN', {
+  day: '2-digit', month: 'short', hour: '2-digit', minute: '2-digit'
+});
+
+// Agent weights after each adaptive re-estimate or reset; history arrives newest first
+const WeightHistoryChart = ({ history }) => {
+  const changes = [...history].reverse();
+  const agentIds = [...new Set(changes.flatMap(change => Object.keys(change.weights || {})))];
+  const data = changes.map(change => ({ time: formatTime(change.timestamp), ...change.weights }));
+
+  return (
+    <div className="card">
+      <h3 className="font-bold font-xl mb-4">⚖️ Weight Adjustments</h3>
+      {changes.length === 0 ? (
+        <div className="text-muted">
+          No weight changes yet. Weights are re-estimated once agents have enough validated calls.
+        </div>
+      ) : (
+        <>
+          <ResponsiveContainer width="100%" height={240}>
+            <LineChart data={data}>
+              <CartesianGrid strokeDasharray="3 3" stroke="rgba(255, 255, 255, 0.1)" />
+              <XAxis dataKey="time" stroke="#b0b0b0" minTickGap={40} />
+              <YAxis domain={[0, 'auto']} stroke="#b0b0b0" />
+              <Tooltip contentStyle={{ background: '#1a1a2e', border: '1px solid rgba(255, 255, 255, 0.1)' }} />
+              <Legend />
+              {agentIds.map((id, index) => (
+                <Line key={id} type="stepAfter" dataKey={id} stroke={COLORS[index % COLORS.length]} dot={data.length < 30} />
+              ))}
+            </LineChart>
+          </ResponsiveContainer>
+
+          <table className="performance-table mt-4">
+            <thead>
+              <tr>
+                <th>Time</th>
+                <th>Reason</th>
+                <th>Samples</th>
+                <th>Weights</th>
+              </tr>
+            </thead>
+            <tbody>
+              {history.slice(0, 10).map(change => (
+                <tr key={change.id || change.timestamp}>
+                  <td>{formatTime(change.timestamp)}</td>
+                  <td className={change.reason === 'reset' ? 'text-danger' : 'text-primary'}>{change.reason}</td>
+                  <td>{change.window?.samples ?? '—'}</td>
+                  <td className="text-muted">
+                    {Object.entries(change.weights || {}).map(([id, weight]) => `${id} ${weight}`).join(' • ')}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default WeightHistoryChart;